@@ -618,6 +618,7 @@ let containersData = []; // Array to store container data for creation
 let volumesData = []; // Array to store volume data for creation
 let portsData = []; // Array to store port data for creation
 let fileStoragesData = []; // Array to store OCI File System data for creation
+let imagePullSecretsData = []; // Array to store registry credentials for creation (not persisted)
 let containerInstancesCount = 0; // Count of container instances found on front page (total including deleted)
 let showDeletedCIs = false; // Toggle state for showing/hiding deleted CIs
 
@@ -629,12 +630,29 @@ function savePortsAndVolumesForCIName(ciName) {
     const data = {
         ports: portsData,
         volumes: volumesData,
-        fileStorages: fileStoragesData
+        fileStorages: fileStoragesData,
+        containerMounts: loadPortsAndVolumesForCINameForDetails(ciName).containerMounts
     };
     localStorage.setItem(key, JSON.stringify(data));
     console.log(`Saved ${portsData.length} ports, ${volumesData.length} volumes and ${fileStoragesData.length} file systems for CI name: ${ciName}`);
 }
 
+// Save the per-container volume mount selection for a specific CI name (projectName)
+// Stored as { containerName: [{ volumeName, mountPath, subPath, isReadOnly }] }
+function saveContainerMountsForCIName(ciName, containers) {
+    if (!ciName) return;
+    
+    const key = `ciPortsVolumes_${ciName}`;
+    const data = loadPortsAndVolumesForCINameForDetails(ciName);
+    data.containerMounts = {};
+    (containers || []).forEach(container => {
+        if (container.displayName && Array.isArray(container.volumeMounts)) {
+            data.containerMounts[container.displayName] = toContainerVolumeMountSelection(container.volumeMounts);
+        }
+    });
+    localStorage.setItem(key, JSON.stringify(data));
+}
+
 // Load ports, volumes and file systems for a specific CI name (projectName)
 function loadPortsAndVolumesForCIName(ciName, updateTables = true) {
     if (!ciName) {
@@ -691,7 +709,7 @@ function loadPortsAndVolumesForCIName(ciName, updateTables = true) {
 // Load ports, volumes and file systems for details edit mode (returns data, doesn't modify global variables)
 function loadPortsAndVolumesForCINameForDetails(ciName) {
     if (!ciName) {
-        return { ports: [], volumes: [], fileStorages: [] };
+        return { ports: [], volumes: [], fileStorages: [], containerMounts: {} };
     }
     
     const key = `ciPortsVolumes_${ciName}`;
@@ -703,14 +721,15 @@ function loadPortsAndVolumesForCINameForDetails(ciName) {
             return {
                 ports: data.ports || [],
                 volumes: data.volumes || [],
-                fileStorages: data.fileStorages || []
+                fileStorages: data.fileStorages || [],
+                containerMounts: data.containerMounts || {}
             };
         } catch (error) {
             console.error('Error loading ports and volumes:', error);
-            return { ports: [], volumes: [], fileStorages: [] };
+            return { ports: [], volumes: [], fileStorages: [], containerMounts: {} };
         }
     } else {
-        return { ports: [], volumes: [], fileStorages: [] };
+        return { ports: [], volumes: [], fileStorages: [], containerMounts: {} };
     }
 }
 
@@ -809,15 +828,57 @@ function formatMountOptions(mountOptions) {
         .join(',');
 }
 
-function buildEmptyDirVolumes() {
-    return volumesData.map((v, idx) => {
-        const volumeName = (v.name && v.name.trim()) || `volume-${idx}`;
+// Optional settings a volumes table entry keeps next to name and path (memory backing store, config files)
+function pickVolumeSettings(volume) {
+    const settings = {};
+    if (volume.volumeType === 'CONFIGFILE') {
+        settings.volumeType = 'CONFIGFILE';
+        settings.configs = (volume.configs || []).map(config => ({ fileName: config.fileName, data: config.data }));
+    } else if (volume.backingStore === 'MEMORY') {
+        settings.backingStore = 'MEMORY';
+    }
+    return settings;
+}
+
+// OCI volume for a volumes table entry: a CONFIGFILE volume with its files, else an EMPTYDIR volume
+function buildVolumePayload(volume, idx) {
+    const volumeName = (volume.name && volume.name.trim()) || `volume-${idx}`;
+    if (volume.volumeType === 'CONFIGFILE') {
         return {
             name: volumeName,
-            volumeType: 'EMPTYDIR',
-            backingStore: 'EPHEMERAL_STORAGE'
+            volumeType: 'CONFIGFILE',
+            configs: volume.configs || []
         };
+    }
+    return {
+        name: volumeName,
+        volumeType: 'EMPTYDIR',
+        backingStore: volume.backingStore || 'EPHEMERAL_STORAGE'
+    };
+}
+
+// Base64 encode/decode UTF-8 text (config file volume content)
+function encodeBase64Text(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
     });
+    return btoa(binary);
+}
+
+function decodeBase64Text(data) {
+    try {
+        const binary = atob(data || '');
+        return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    } catch (error) {
+        console.error('Error decoding config file content:', error);
+        return '';
+    }
+}
+
+function buildEmptyDirVolumes() {
+    return volumesData.map((v, idx) => buildVolumePayload(v, idx));
 }
 
 function buildFileStorageVolumes(sourceFileStorages = fileStoragesData) {
@@ -859,13 +920,18 @@ function buildAllStorageVolumes() {
     ];
 }
 
-function buildEmptyDirVolumeMounts() {
-    return volumesData.map((v, idx) => {
+function buildEmptyDirVolumeMounts(sourceVolumes = volumesData) {
+    return sourceVolumes.map((v, idx) => {
         const volumeName = (v.name && v.name.trim()) || `volume-${idx}`;
-        return {
+        const volumeMount = {
             mountPath: v.path,
             volumeName: volumeName
         };
+        // A single config file is mounted as the file at the path
+        if (v.volumeType === 'CONFIGFILE' && (v.configs || []).length === 1) {
+            volumeMount.subPath = v.configs[0].fileName;
+        }
+        return volumeMount;
     });
 }
 
@@ -888,13 +954,65 @@ function buildFileStorageVolumeMounts(sourceFileStorages = fileStoragesData) {
     });
 }
 
-function buildAllStorageVolumeMounts() {
+function buildAllStorageVolumeMounts(sourceVolumes = volumesData, sourceFileStorages = fileStoragesData) {
     return [
-        ...buildEmptyDirVolumeMounts(),
-        ...buildFileStorageVolumeMounts()
+        ...buildEmptyDirVolumeMounts(sourceVolumes),
+        ...buildFileStorageVolumeMounts(sourceFileStorages)
     ];
 }
 
+// Build the volume mounts of a single container from the mounts selected for it.
+// Containers without a selection (created before per-container mounts) mount every volume.
+// Selected mounts whose volume no longer exists are dropped.
+function buildContainerVolumeMounts(container, sourceVolumes = volumesData, sourceFileStorages = fileStoragesData) {
+    const availableMounts = buildAllStorageVolumeMounts(sourceVolumes, sourceFileStorages);
+    if (!Array.isArray(container.volumeMounts)) {
+        return availableMounts;
+    }
+
+    return container.volumeMounts
+        .map(mount => {
+            const availableMount = availableMounts.find(available => available.volumeName === mount.volumeName);
+            if (!availableMount) {
+                return null;
+            }
+            const volumeMount = {
+                ...availableMount,
+                mountPath: mount.mountPath || availableMount.mountPath
+            };
+            if (mount.subPath) {
+                volumeMount.subPath = mount.subPath;
+            }
+            if (typeof mount.isReadOnly === 'boolean') {
+                volumeMount.isReadOnly = mount.isReadOnly;
+            }
+            return volumeMount;
+        })
+        .filter(Boolean);
+}
+
+// Keep only the fields of a volume mount the UI stores per container
+function toContainerVolumeMountSelection(volumeMounts) {
+    if (!Array.isArray(volumeMounts)) {
+        return undefined;
+    }
+    return volumeMounts.map(mount => {
+        const selection = {
+            volumeName: mount.volumeName || mount.volume_name,
+            mountPath: mount.mountPath || mount.mount_path
+        };
+        const subPath = mount.subPath || mount.sub_path;
+        if (subPath) {
+            selection.subPath = subPath;
+        }
+        const isReadOnly = typeof mount.isReadOnly === 'boolean' ? mount.isReadOnly : mount.is_read_only;
+        if (typeof isReadOnly === 'boolean') {
+            selection.isReadOnly = isReadOnly;
+        }
+        return selection;
+    });
+}
+
 function buildVnicsWithFileStorageSubnets(primarySubnetId, sourceFileStorages = fileStoragesData) {
     const trimmedPrimarySubnetId = (primarySubnetId || '').trim();
     if (!trimmedPrimarySubnetId) {
@@ -2266,6 +2384,9 @@ function displayContainerInstanceDetails(instance) {
         shape: instance.shape,
         shapeConfig: instance.shapeConfig,
         containerRestartPolicy: instance.containerRestartPolicy || 'NEVER',
+        gracefulShutdownTimeoutInSeconds: instance.gracefulShutdownTimeoutInSeconds ?? null,
+        dnsConfig: instance.dnsConfig || null,
+        imagePullSecrets: instance.imagePullSecrets || [],
         lifecycleState: instance.lifecycleState,
         freeformTags: instance.freeformTags || {},
         containers: instance.containers || [],
@@ -2289,6 +2410,7 @@ function displayContainerInstanceDetails(instance) {
     html += `<dt class="col-5 text-muted">Compartment:</dt><dd class="col-7">${instance.compartmentName || 'N/A'}</dd>`;
     html += `<dt class="col-5 text-muted">Created:</dt><dd class="col-7">${instance.timeCreated ? new Date(instance.timeCreated).toLocaleString() : 'N/A'}</dd>`;
     html += `<dt class="col-5 text-muted">Updated:</dt><dd class="col-7">${instance.timeUpdated ? new Date(instance.timeUpdated).toLocaleString() : 'N/A'}</dd>`;
+    html += '<dt class="col-5 text-muted">Resource Manager:</dt><dd class="col-7" id="detailsResourceManagerStack"><span class="text-muted">Loading...</span></dd>';
     html += '</dl>';
     html += '</div>';
     
@@ -2363,6 +2485,23 @@ function displayContainerInstanceDetails(instance) {
         }
         html += `</select></dd>`;
     }
+    
+    // Graceful shutdown and DNS - show inputs in edit mode, text in view mode
+    const gracefulShutdownValue = instance.gracefulShutdownTimeoutInSeconds ?? null;
+    html += `<dt class="col-5 text-muted">Shutdown Grace:</dt>`;
+    html += `<dd class="col-7">`;
+    html += `<span id="detailsGracefulShutdownDisplay">${gracefulShutdownValue !== null ? `${gracefulShutdownValue}s` : 'Default'}</span>`;
+    html += `<input type="number" class="form-control form-control-sm" id="detailsGracefulShutdown" min="0" step="1" placeholder="OCI default" value="${gracefulShutdownValue !== null ? gracefulShutdownValue : ''}" style="display: none;">`;
+    html += `</dd>`;
+    const dnsConfig = instance.dnsConfig || {};
+    html += `<dt class="col-5 text-muted">DNS:</dt>`;
+    html += `<dd class="col-7">`;
+    html += `<span id="detailsDnsDisplay">${escapeHtml(formatDnsConfig(instance.dnsConfig)) || 'VCN resolver'}</span>`;
+    html += `<div id="detailsDnsInputs" style="display: none;">`;
+    html += `<input type="text" class="form-control form-control-sm mb-1" id="detailsDnsNameservers" placeholder="Nameservers" value="${escapeHtml((dnsConfig.nameservers || []).join(', '))}">`;
+    html += `<input type="text" class="form-control form-control-sm mb-1" id="detailsDnsSearches" placeholder="Search domains" value="${escapeHtml((dnsConfig.searches || []).join(', '))}">`;
+    html += `<input type="text" class="form-control form-control-sm" id="detailsDnsOptions" placeholder="Options (ndots:2)" value="${escapeHtml((dnsConfig.options || []).join(', '))}">`;
+    html += `</div></dd>`;
     html += '</dl>';
     html += '</div>';
     
@@ -2383,7 +2522,8 @@ function displayContainerInstanceDetails(instance) {
             if (parts.length >= 2) {
                 const name = parts[0].trim();
                 const path = parts.slice(1).join(':'); // Handle paths that might contain ':'
-                volumesList.push({ name, path });
+                const ociVolume = (instance.volumes || []).find(v => v.name === name);
+                volumesList.push({ name, path, ...pickVolumeSettings(ociVolume || {}) });
             }
         });
     }
@@ -2435,6 +2575,7 @@ function displayContainerInstanceDetails(instance) {
     html += '</div>';
     
     // Store containers data for CRUD operations (convert to editable format)
+    const savedContainerMounts = config.projectName ? (loadPortsAndVolumesForCINameForDetails(config.projectName).containerMounts || {}) : {};
     const detailsContainersData = (instance.containers || []).map((container, idx) => {
         const containerName = container.displayName || container.name || 'N/A';
         const resourceConfig = container.resourceConfig || {};
@@ -2454,6 +2595,11 @@ function displayContainerInstanceDetails(instance) {
             environmentVariables: container.environmentVariables || {},
             arguments: container.arguments || [],
             command: container.command || [],
+            healthChecks: container.healthChecks || [],
+            securityContext: container.securityContext || null,
+            workingDirectory: container.workingDirectory || null,
+            // Mounts from OCI, else the stored selection (undefined mounts every volume)
+            volumeMounts: toContainerVolumeMountSelection(container.volumeMounts) || savedContainerMounts[containerName],
             lifecycleState: container.lifecycleState,
             port: portNum ? portNum.toString() : null,
             portIndex: null // Will be set when editing if port matches a port in detailsPortsData
@@ -2496,8 +2642,10 @@ function displayContainerInstanceDetails(instance) {
             // State - first column
             html += `<td style="border-bottom: 1px solid #dee2e6;">${getStateBadgeHtml(container.lifecycleState)}</td>`;
             
-            // Container name with text-primary class
-            html += `<td style="border-bottom: 1px solid #dee2e6;"><strong class="text-primary">${containerName}</strong></td>`;
+            // Container name with text-primary class (shield icon when a security context is set)
+            const securitySummary = formatSecurityContext(container.securityContext);
+            const securityIcon = securitySummary ? ` <i class="bi bi-shield-lock text-muted" title="${escapeHtmlAttribute(securitySummary)}"></i>` : '';
+            html += `<td style="border-bottom: 1px solid #dee2e6;"><strong class="text-primary">${containerName}</strong>${securityIcon}</td>`;
             
             // Port - show "name(port)" or just "port" if name is empty
             let portDisplay = '-';
@@ -2565,11 +2713,12 @@ function displayContainerInstanceDetails(instance) {
             const mergedVolumes = existingData.volumes.map((v, idx) => ({
                 index: idx,
                 name: v.name || '',
-                path: v.path || ''
+                path: v.path || '',
+                ...pickVolumeSettings(v)
             }));
             window[`detailsVolumes_${containerInstanceId}`] = mergedVolumes;
             // Update the volumes list used in display
-            volumesList = existingData.volumes.map(v => ({ name: v.name || '', path: v.path || '' }));
+            volumesList = existingData.volumes.map(v => ({ name: v.name || '', path: v.path || '', ...pickVolumeSettings(v) }));
         }
     }
 
@@ -2598,7 +2747,8 @@ function displayContainerInstanceDetails(instance) {
     const detailsVolumesData = volumesList.map((volume, idx) => ({
         index: idx,
         name: volume.name || '',
-        path: volume.path || ''
+        path: volume.path || '',
+        ...pickVolumeSettings(volume)
     }));
     
     window[`detailsVolumes_${containerInstanceId}`] = detailsVolumesData;
@@ -2651,6 +2801,28 @@ function displayContainerInstanceDetails(instance) {
     html += '</tbody></table></div>';
     html += '</div>';
     html += '</div>';
+
+    // Registry Credentials Information
+    const detailsImagePullSecretsData = extractImagePullSecretsFromContainerInstance(instance);
+    window[`detailsImagePullSecrets_${containerInstanceId}`] = detailsImagePullSecretsData;
+    html += '<div class="row mt-3">';
+    html += '<div class="col-12 mb-4">';
+    html += '<div class="d-flex justify-content-between align-items-center mb-3">';
+    html += '<h5 class="border-bottom pb-2 mb-0">Registry Credentials</h5>';
+    html += `<button class="btn btn-success btn-sm" id="detailsAddImagePullSecretBtn" onclick="addImagePullSecretToDetails('${containerInstanceId}')" style="display: none;"><i class="bi bi-plus"></i> Add Registry</button>`;
+    html += '</div>';
+    html += '<p class="text-muted small mb-2">Image pull secrets for private registries. Passwords are not returned by OCI and have to be re-entered before saving changes.</p>';
+    html += '<div class="table-responsive"><table class="table table-sm">';
+    html += '<thead class="table-light"><tr><th>Registry</th><th>Type</th><th colspan="2">Credentials</th></tr></thead>';
+    html += '<tbody id="detailsImagePullSecretsTableBody_' + containerInstanceId + '">';
+    if (detailsImagePullSecretsData.length > 0) {
+        html += detailsImagePullSecretsData.map((secret, idx) => renderDetailsImagePullSecretRow(secret, idx, containerInstanceId)).join('');
+    } else {
+        html += '<tr><td colspan="4" class="text-center text-muted" style="border-bottom: 1px solid #dee2e6;">No registry credentials</td></tr>';
+    }
+    html += '</tbody></table></div>';
+    html += '</div>';
+    html += '</div>';
     
     // Edit, Save, Cancel, Restart, Delete, and Close buttons
     const isDeleted = (instance.lifecycleState || '').toUpperCase() === 'DELETED';
@@ -2663,10 +2835,15 @@ function displayContainerInstanceDetails(instance) {
     const canDelete = instance.lifecycleState !== 'UPDATING' && instance.lifecycleState !== 'CREATING' && instance.lifecycleState !== 'DELETING' && instance.lifecycleState !== 'DELETED';
     const deleteDisabledAttr = canDelete ? '' : 'disabled';
     html += '<div class="row mt-4">';
+    // Filled after an OCI CLI export that needs registry credentials
+    html += '<div class="col-12"><div id="detailsExportCliInfo" class="alert alert-info small" style="display: none;"></div></div>';
     html += '<div class="col-12 text-end">';
     html += `<button class="btn btn-success me-2" id="detailsSaveResourceManagerBtn" onclick="saveToResourceManager('${containerInstanceId}')" style="display: inline-block;">`;
     html += '<i class="bi bi-cloud-upload"></i> Save in Resource Manager';
     html += '</button>';
+    html += `<button class="btn btn-outline-success me-2" id="detailsExportCliBtn" onclick="exportToOciCli('${containerInstanceId}')" style="display: inline-block;" title="Download the OCI CLI --from-json payload and a create script">`;
+    html += '<i class="bi bi-terminal"></i> Export OCI CLI';
+    html += '</button>';
     html += `<button class="btn ${isDeleted ? 'btn-primary' : 'btn-info'} me-2" id="detailsRestartBtn" onclick="restartContainerInstance('${containerInstanceId}')" ${restartDisabledAttr}>`;
     html += `<i class="bi ${isDeleted ? 'bi-arrow-counterclockwise' : 'bi-arrow-clockwise'}"></i> ${isDeleted ? 'Restore' : 'Restart'}`;
     html += '</button>';
@@ -2696,6 +2873,7 @@ function displayContainerInstanceDetails(instance) {
     
     detailsDiv.innerHTML = html;
     hydrateDetailsFileStorageExportPaths(containerInstanceId);
+    hydrateDetailsResourceManagerStack(instance);
 }
 
 // CRUD functions for Containers in Details Modal
@@ -2730,12 +2908,18 @@ function enterEditMode(instanceId) {
 
     const addFileSystemBtn = document.getElementById('detailsAddFileSystemBtn');
     if (addFileSystemBtn) addFileSystemBtn.style.display = 'inline-block';
+
+    const addImagePullSecretBtn = document.getElementById('detailsAddImagePullSecretBtn');
+    if (addImagePullSecretBtn) addImagePullSecretBtn.style.display = 'inline-block';
     
     // Initialize and display volumes table
     refreshDetailsVolumesTable(instanceId);
 
     // Initialize and display file systems table
     refreshDetailsFileSystemsTable(instanceId);
+
+    // Display registry credentials with their actions (and the ones missing a password)
+    refreshDetailsImagePullSecretsTable(instanceId);
     
     // Refresh containers table to hide log column and show action buttons
     refreshDetailsContainersTable(instanceId);
@@ -2773,6 +2957,9 @@ function enterEditMode(instanceId) {
     const saveResourceManagerBtn = document.getElementById('detailsSaveResourceManagerBtn');
     if (saveResourceManagerBtn) saveResourceManagerBtn.style.display = 'none';
     
+    const exportCliBtn = document.getElementById('detailsExportCliBtn');
+    if (exportCliBtn) exportCliBtn.style.display = 'none';
+    
     const saveBtn = document.getElementById('detailsSaveBtn');
     if (saveBtn) saveBtn.style.display = 'inline-block';
     
@@ -2790,6 +2977,14 @@ function enterEditMode(instanceId) {
     if (ocpusDisplay) ocpusDisplay.style.display = 'none';
     if (ocpusSelect) ocpusSelect.style.display = 'block';
     
+    // Show graceful shutdown and DNS inputs
+    [['detailsGracefulShutdownDisplay', 'detailsGracefulShutdown'], ['detailsDnsDisplay', 'detailsDnsInputs']].forEach(([displayId, inputId]) => {
+        const display = document.getElementById(displayId);
+        const input = document.getElementById(inputId);
+        if (display) display.style.display = 'none';
+        if (input) input.style.display = 'block';
+    });
+    
     // Load and show subnet dropdown
     const subnetDisplay = document.getElementById('detailsSubnetDisplay');
     const subnetSelect = document.getElementById('detailsSubnetId');
@@ -2854,6 +3049,14 @@ function populateContainerVcpuDropdown(architecture, selectedValue = null) {
             vcpuSelect.appendChild(option);
         }
     }
+    // Keep sizes outside the standard options (e.g. imported from Compose resource limits)
+    if (selectedValue && !Array.from(vcpuSelect.options).some(option => option.value === selectedValue.toString())) {
+        const option = document.createElement('option');
+        option.value = selectedValue.toString();
+        option.textContent = `${selectedValue} vOCPU`;
+        option.selected = true;
+        vcpuSelect.insertBefore(option, vcpuSelect.firstChild);
+    }
     // If no option was selected (value doesn't match), select the first one
     if (!vcpuSelect.value && vcpuSelect.options.length > 0) {
         vcpuSelect.selectedIndex = 0;
@@ -2893,6 +3096,14 @@ function populateContainerMemoryDropdown(architecture, selectedValue = null) {
             memorySelect.appendChild(option);
         });
     }
+    // Keep sizes outside the standard options (e.g. imported from Compose resource limits)
+    if (selectedValue && !Array.from(memorySelect.options).some(option => option.value === selectedValue.toString())) {
+        const option = document.createElement('option');
+        option.value = selectedValue.toString();
+        option.textContent = `${selectedValue} GB`;
+        option.selected = true;
+        memorySelect.insertBefore(option, memorySelect.firstChild);
+    }
     // If no option was selected (value doesn't match), select the first one
     if (!memorySelect.value && memorySelect.options.length > 0) {
         memorySelect.selectedIndex = 0;
@@ -2973,6 +3184,16 @@ function addContainerToDetails() {
         });
     }
     
+    // Volume mount fields
+    const detailsStorage = getDetailsStorageSources(instanceId);
+    populateContainerVolumeMountFields(null, detailsStorage.volumes, detailsStorage.fileStorages);
+
+    // Health check fields
+    populateHealthCheckFields();
+
+    // Security context fields
+    populateSecurityContextFields();
+
     // Reset tabs to first tab
     const envTab = document.getElementById('env-tab');
     const envPane = document.getElementById('env-pane');
@@ -2987,6 +3208,18 @@ function addContainerToDetails() {
     if (cmdTab) cmdTab.classList.remove('active');
     if (argsPane) argsPane.classList.remove('show', 'active');
     if (cmdPane) cmdPane.classList.remove('show', 'active');
+    const healthTab = document.getElementById('health-tab');
+    const healthPane = document.getElementById('health-pane');
+    const mountsTab = document.getElementById('mounts-tab');
+    const mountsPane = document.getElementById('mounts-pane');
+    if (mountsTab) mountsTab.classList.remove('active');
+    if (mountsPane) mountsPane.classList.remove('show', 'active');
+    if (healthTab) healthTab.classList.remove('active');
+    if (healthPane) healthPane.classList.remove('show', 'active');
+    const securityTab = document.getElementById('security-tab');
+    const securityPane = document.getElementById('security-pane');
+    if (securityTab) securityTab.classList.remove('active');
+    if (securityPane) securityPane.classList.remove('show', 'active');
     
     const modalElement = document.getElementById('editContainerModal');
     const modal = new bootstrap.Modal(modalElement);
@@ -3107,7 +3340,18 @@ function editContainerInDetails(index, instanceId) {
     } else {
         document.getElementById('editContainerCmd').value = '';
     }
+    document.getElementById('editContainerWorkingDir').value = container.workingDirectory || '';
     
+    // Volume mount fields
+    const detailsStorage = getDetailsStorageSources(instanceId);
+    populateContainerVolumeMountFields(container, detailsStorage.volumes, detailsStorage.fileStorages);
+
+    // Health check fields
+    populateHealthCheckFields(container.healthChecks);
+
+    // Security context fields
+    populateSecurityContextFields(container.securityContext);
+
     // Reset tabs to first tab
     const envTab = document.getElementById('env-tab');
     const envPane = document.getElementById('env-pane');
@@ -3122,6 +3366,18 @@ function editContainerInDetails(index, instanceId) {
     if (cmdTab) cmdTab.classList.remove('active');
     if (argsPane) argsPane.classList.remove('show', 'active');
     if (cmdPane) cmdPane.classList.remove('show', 'active');
+    const healthTab = document.getElementById('health-tab');
+    const healthPane = document.getElementById('health-pane');
+    const mountsTab = document.getElementById('mounts-tab');
+    const mountsPane = document.getElementById('mounts-pane');
+    if (mountsTab) mountsTab.classList.remove('active');
+    if (mountsPane) mountsPane.classList.remove('show', 'active');
+    if (healthTab) healthTab.classList.remove('active');
+    if (healthPane) healthPane.classList.remove('show', 'active');
+    const securityTab = document.getElementById('security-tab');
+    const securityPane = document.getElementById('security-pane');
+    if (securityTab) securityTab.classList.remove('active');
+    if (securityPane) securityPane.classList.remove('show', 'active');
     
     const modalElement = document.getElementById('editContainerModal');
     const modal = new bootstrap.Modal(modalElement);
@@ -3326,7 +3582,9 @@ function refreshDetailsContainersTable(instanceId) {
         let html = `<tr class="container-row-hover" data-env-vars="${envVarsJson}" data-cmd="${cmdJson}" data-args="${argsJson}">`;
         
         html += `<td style="border-bottom: 1px solid #dee2e6;">${getStateBadgeHtml(container.lifecycleState)}</td>`;
-        html += `<td style="border-bottom: 1px solid #dee2e6;"><strong class="text-primary">${containerName}</strong></td>`;
+        const securitySummary = formatSecurityContext(container.securityContext);
+        const securityIcon = securitySummary ? ` <i class="bi bi-shield-lock text-muted" title="${escapeHtmlAttribute(securitySummary)}"></i>` : '';
+        html += `<td style="border-bottom: 1px solid #dee2e6;"><strong class="text-primary">${containerName}</strong>${securityIcon}</td>`;
         html += `<td style="border-bottom: 1px solid #dee2e6; ${portCellStyle}">${portDisplay}</td>`;
         html += `<td style="border-bottom: 1px solid #dee2e6;"><code>${container.imageUrl}</code></td>`;
         
@@ -3373,6 +3631,7 @@ function addVolumeToDetails(instanceId) {
     // Reset edit form
     document.getElementById('editVolumeForm').reset();
     document.getElementById('editVolumeIndex').value = '';
+    populateVolumeTypeFields();
     const volumeModalTitle = document.querySelector('#editVolumeModal .modal-title');
     if (volumeModalTitle) volumeModalTitle.textContent = 'Add Volume';
     
@@ -3405,6 +3664,7 @@ function editVolumeInDetails(index, instanceId) {
     document.getElementById('editVolumeIndex').value = index;
     document.getElementById('editVolumeName').value = volume.name || '';
     document.getElementById('editVolumePath').value = volume.path || '';
+    populateVolumeTypeFields(volume);
     const volumeModalTitle = document.querySelector('#editVolumeModal .modal-title');
     if (volumeModalTitle) volumeModalTitle.textContent = 'Edit Volume';
     
@@ -3436,7 +3696,7 @@ function deleteVolumeInDetails(index, instanceId) {
         const config = getConfiguration();
         if (config.projectName) {
             const existingData = loadPortsAndVolumesForCINameForDetails(config.projectName);
-            volumesData = volumes.map(v => ({ name: v.name, path: v.path }));
+            volumesData = volumes.map(v => ({ name: v.name, path: v.path, ...pickVolumeSettings(v) }));
             portsData = existingData.ports || [];
             fileStoragesData = existingData.fileStorages || [];
             savePortsAndVolumesForCIName(config.projectName);
@@ -3764,6 +4024,225 @@ function refreshDetailsFileSystemsTable(instanceId) {
         .join('');
 }
 
+// Build the create payload for the instance shown in the details view; returns null after notifying on invalid input
+function buildDetailsInstancePayload(instanceId, { requireRegistryCredentials = true } = {}) {
+    const config = getConfiguration();
+    // Get updated containers and volumes
+    const containers = window[`detailsContainers_${instanceId}`] || [];
+    const volumes = window[`detailsVolumes_${instanceId}`] || [];
+    const ports = window[`detailsPorts_${instanceId}`] || [];
+    const savedPortsVolumes = loadPortsAndVolumesForCINameForDetails(config.projectName || currentEditingInstance.displayName);
+    const detailsFileStorages = window[`detailsFileStorages_${instanceId}`];
+    const fileStorages = Array.isArray(detailsFileStorages) ? detailsFileStorages : (savedPortsVolumes.fileStorages || []);
+    const instanceFileStorages = extractFileStoragesFromContainerInstance(currentEditingInstance);
+    const instanceHasFss = instanceFileStorages.length > 0 ||
+        (Array.isArray(currentEditingInstance.volumes) && currentEditingInstance.volumes.some(isOciFssVolume)) ||
+        hasFileStoragesTag(currentEditingInstance.freeformTags);
+    
+    if (containers.length === 0) {
+        showNotification('Error: At least one container is required', 'error');
+        return null;
+    }
+
+    if (instanceHasFss && fileStorages.length === 0) {
+        showMissingFileStorageDefinitionsWarning();
+        return null;
+    }
+
+    if (instanceHasFss && hasIncompleteFileStorageDefinitions(fileStorages)) {
+        showMissingFileStorageDefinitionsWarning();
+        return null;
+    }
+
+    const invalidFileStorageIndex = fileStorages.findIndex(fileStorage =>
+        !fileStorage.mountPath ||
+        !fileStorage.mountTargetId ||
+        !fileStorage.exportId
+    );
+    if (invalidFileStorageIndex !== -1) {
+        showNotification(`Error: File System ${invalidFileStorageIndex + 1} is missing mount path, mount target OCID or export OCID.`, 'error');
+        return null;
+    }
+
+    for (const [index, fileStorage] of fileStorages.entries()) {
+        const mountOptionsError = validateFssMountOptions(fileStorage.mountOptions);
+        if (mountOptionsError) {
+            showNotification(`Error: File System ${index + 1} has invalid mount options: ${mountOptionsError}`, 'error');
+            return null;
+        }
+    }
+    
+    // Build containers payload (similar to confirmCreateContainerInstance)
+    const cleanedContainers = containers.map(container => {
+        const cleaned = {
+            displayName: container.displayName,
+            imageUrl: container.imageUrl,
+            resourceConfig: {
+                memoryInGBs: parseFloat(container.resourceConfig?.memoryInGBs) || 16,
+                vcpus: parseFloat(container.resourceConfig?.vcpus) || 1
+            }
+        };
+        
+        if (container.environmentVariables && typeof container.environmentVariables === 'object' && Object.keys(container.environmentVariables).length > 0) {
+            cleaned.environmentVariables = container.environmentVariables;
+        }
+        if (container.arguments && Array.isArray(container.arguments) && container.arguments.length > 0) {
+            cleaned.arguments = container.arguments;
+        }
+        if (container.command && Array.isArray(container.command) && container.command.length > 0) {
+            cleaned.command = container.command;
+        }
+        if (container.healthChecks && Array.isArray(container.healthChecks) && container.healthChecks.length > 0) {
+            cleaned.healthChecks = container.healthChecks;
+        }
+        if (container.securityContext) {
+            cleaned.securityContext = container.securityContext;
+        }
+        if (container.workingDirectory) {
+            cleaned.workingDirectory = container.workingDirectory;
+        }
+        
+        return cleaned;
+    });
+    
+    // Build volumes payload
+    const volumesPayload = [
+        ...volumes.map((v, idx) => buildVolumePayload(v, idx)),
+        ...buildFileStorageVolumes(fileStorages)
+    ];
+    
+    // Mount into each container only the volumes selected for it
+    if (volumesPayload.length > 0) {
+        cleanedContainers.forEach((container, idx) => {
+            const volumeMounts = buildContainerVolumeMounts(containers[idx], volumes, fileStorages);
+            if (volumeMounts.length > 0) {
+                container.volumeMounts = volumeMounts;
+            }
+        });
+    }
+    saveContainerMountsForCIName(config.projectName, containers);
+    
+    // Build freeformTags (architecture, volumes and ports)
+    const baseFreeformTags = {};
+    
+    // Add architecture tag from current instance or default to x86
+    const architecture = currentEditingInstance.freeformTags?.architecture || 'x86';
+    baseFreeformTags.architecture = architecture;
+    
+    // Preserve composeImport tag if it exists
+    if (currentEditingInstance.freeformTags?.composeImport) {
+        baseFreeformTags.composeImport = currentEditingInstance.freeformTags.composeImport;
+    }
+    
+    if (volumes.length > 0) {
+        const volumesTag = volumes.map((v, idx) => {
+            const volumeName = v.name || `volume-${idx}`;
+            return `${volumeName}:${v.path}`;
+        }).join(',');
+        baseFreeformTags.volumes = volumesTag;
+    }
+
+    if (fileStorages.length > 0) {
+        baseFreeformTags.fileSystems = buildFileStoragesTag(fileStorages);
+    }
+    
+    // Add port mappings - resolve from portIndex if port is not set
+    const detailsPorts = window[`detailsPorts_${instanceId}`] || [];
+    containers.forEach((container) => {
+        let portValue = container.port;
+        
+        // If port is not set but portIndex is, resolve it from detailsPorts
+        if (!portValue && container.portIndex !== undefined && container.portIndex !== null && container.portIndex !== '') {
+            const portIndex = parseInt(container.portIndex);
+            if (detailsPorts[portIndex]) {
+                portValue = detailsPorts[portIndex].port.toString();
+            }
+        }
+        
+        // Add to tags if port is available
+        if (portValue) {
+            baseFreeformTags[container.displayName] = portValue;
+        }
+    });
+    
+    // Get shape config from dropdowns if in edit mode, otherwise use current values
+    let shapeConfig = currentEditingInstance.shapeConfig || { memoryInGBs: 16, ocpus: 1 };
+    const memorySelect = document.getElementById('detailsShapeMemory');
+    const ocpusSelect = document.getElementById('detailsShapeOcpus');
+    if (memorySelect && ocpusSelect && isInEditMode) {
+        shapeConfig = {
+            memoryInGBs: parseFloat(memorySelect.value) || shapeConfig.memoryInGBs,
+            ocpus: parseFloat(ocpusSelect.value) || shapeConfig.ocpus
+        };
+    }
+    
+    // Get required fields with fallbacks for failed CIs
+    const displayName = currentEditingInstance.displayName || document.getElementById('ciName')?.value || config.projectName || 'CI';
+    const compartmentId = currentEditingInstance.compartmentId || config.compartmentId;
+    
+    // Subnet is mandatory - the dropdown selection, else the instance's current subnet
+    const subnetSelect = document.getElementById('detailsSubnetId');
+    const subnetId = (subnetSelect && subnetSelect.value) || currentEditingInstance.subnetId;
+    if (!subnetId) {
+        showNotification('Error: Subnet is required. Please select a subnet from the dropdown.', 'error');
+        if (subnetSelect) subnetSelect.focus();
+        return null;
+    }
+    
+    // Determine shape from architecture tag or instance shape, with fallback
+    let shape = currentEditingInstance.shape;
+    if (!shape) {
+        // Try to get architecture from freeformTags or determine from shape name
+        const architecture = baseFreeformTags.architecture || 'x86';
+        shape = architecture === 'ARM64' ? 'CI.Standard.A1.Flex' : 'CI.Standard.E4.Flex';
+    }
+    
+    // Validate required fields
+    if (!displayName || !compartmentId || !shape) {
+        const missingFields = [];
+        if (!displayName) missingFields.push('displayName');
+        if (!compartmentId) missingFields.push('compartmentId');
+        if (!shape) missingFields.push('shape');
+        throw new Error(`Missing required fields: ${missingFields.join(', ')}. Please ensure the container instance has all required information or check your configuration.`);
+    }
+    
+    // Graceful shutdown timeout and DNS from the edit inputs, else the instance's current values
+    const runtimeSettings = isInEditMode && document.getElementById('detailsGracefulShutdown')
+        ? readInstanceRuntimeFields('details')
+        : {
+            gracefulShutdownTimeoutInSeconds: currentEditingInstance.gracefulShutdownTimeoutInSeconds ?? null,
+            dnsConfig: currentEditingInstance.dnsConfig || null
+        };
+    
+    // Registry credentials (the instance is recreated, so BASIC passwords must have been re-entered)
+    const detailsImagePullSecrets = window[`detailsImagePullSecrets_${instanceId}`] || [];
+    const incompleteImagePullSecret = requireRegistryCredentials && findIncompleteImagePullSecret(detailsImagePullSecrets);
+    if (incompleteImagePullSecret) {
+        throw new Error(`Registry ${incompleteImagePullSecret.registryEndpoint} needs its username and password. OCI doesn't return stored passwords, edit the registry credentials to re-enter them.`);
+    }
+    
+    const payload = {
+        displayName: displayName,
+        compartmentId: compartmentId,
+        shape: shape,
+        shapeConfig: shapeConfig,
+        subnetId: subnetId,
+        containers: cleanedContainers,
+        containerRestartPolicy: currentEditingInstance.containerRestartPolicy || 'NEVER',
+        ...runtimeSettings,
+        imagePullSecrets: buildImagePullSecretsPayload(detailsImagePullSecrets),
+        volumes: volumesPayload,
+        freeformTags: Object.keys(baseFreeformTags).length > 0 ? baseFreeformTags : undefined,
+        logGroupId: config.logGroupId || null
+    };
+
+    if (fileStorages.length > 0) {
+        payload.vnics = buildVnicsWithFileStorageSubnets(subnetId, fileStorages);
+    }
+    
+    return { payload, config };
+}
+
 // Save CI changes by deleting old CI and creating new one with same name
 async function saveCIChanges(instanceId) {
     if (!currentEditingInstance || currentEditingInstance.id !== instanceId) {
@@ -3794,219 +4273,14 @@ async function saveCIChanges(instanceId) {
     }
     
     try {
-        const config = getConfiguration();
-        // Get updated containers and volumes
-        const containers = window[`detailsContainers_${instanceId}`] || [];
-        const volumes = window[`detailsVolumes_${instanceId}`] || [];
-        const ports = window[`detailsPorts_${instanceId}`] || [];
-        const savedPortsVolumes = loadPortsAndVolumesForCINameForDetails(config.projectName || currentEditingInstance.displayName);
-        const detailsFileStorages = window[`detailsFileStorages_${instanceId}`];
-        const fileStorages = Array.isArray(detailsFileStorages) ? detailsFileStorages : (savedPortsVolumes.fileStorages || []);
-        const instanceFileStorages = extractFileStoragesFromContainerInstance(currentEditingInstance);
-        const instanceHasFss = instanceFileStorages.length > 0 ||
-            (Array.isArray(currentEditingInstance.volumes) && currentEditingInstance.volumes.some(isOciFssVolume)) ||
-            hasFileStoragesTag(currentEditingInstance.freeformTags);
-        
-        if (containers.length === 0) {
-            showNotification('Error: At least one container is required', 'error');
-            return;
-        }
-
-        if (instanceHasFss && fileStorages.length === 0) {
-            showMissingFileStorageDefinitionsWarning();
-            return;
-        }
-
-        if (instanceHasFss && hasIncompleteFileStorageDefinitions(fileStorages)) {
-            showMissingFileStorageDefinitionsWarning();
-            return;
-        }
-
-        const invalidFileStorageIndex = fileStorages.findIndex(fileStorage =>
-            !fileStorage.mountPath ||
-            !fileStorage.mountTargetId ||
-            !fileStorage.exportId
-        );
-        if (invalidFileStorageIndex !== -1) {
-            showNotification(`Error: File System ${invalidFileStorageIndex + 1} is missing mount path, mount target OCID or export OCID.`, 'error');
-            return;
-        }
-
-        for (const [index, fileStorage] of fileStorages.entries()) {
-            const mountOptionsError = validateFssMountOptions(fileStorage.mountOptions);
-            if (mountOptionsError) {
-                showNotification(`Error: File System ${index + 1} has invalid mount options: ${mountOptionsError}`, 'error');
-                return;
-            }
-        }
-        
-        // Build containers payload (similar to confirmCreateContainerInstance)
-        const cleanedContainers = containers.map(container => {
-            const cleaned = {
-                displayName: container.displayName,
-                imageUrl: container.imageUrl,
-                resourceConfig: {
-                    memoryInGBs: parseFloat(container.resourceConfig?.memoryInGBs) || 16,
-                    vcpus: parseFloat(container.resourceConfig?.vcpus) || 1
-                }
-            };
-            
-            if (container.environmentVariables && typeof container.environmentVariables === 'object' && Object.keys(container.environmentVariables).length > 0) {
-                cleaned.environmentVariables = container.environmentVariables;
-            }
-            if (container.arguments && Array.isArray(container.arguments) && container.arguments.length > 0) {
-                cleaned.arguments = container.arguments;
-            }
-            if (container.command && Array.isArray(container.command) && container.command.length > 0) {
-                cleaned.command = container.command;
-            }
-            
-            return cleaned;
-        });
-        
-        // Build volumes payload
-        const volumesPayload = [
-            ...volumes.map((v, idx) => ({
-                name: v.name || `volume-${idx}`,
-                volumeType: 'EMPTYDIR',
-                backingStore: 'EPHEMERAL_STORAGE'
-            })),
-            ...buildFileStorageVolumes(fileStorages)
-        ];
-        
-        // Map volumes to containers
-        if (volumesPayload.length > 0) {
-            const emptyDirVolumeMounts = volumes.map((v, idx) => ({
-                mountPath: v.path,
-                volumeName: v.name || `volume-${idx}`
-            }));
-            const fileStorageVolumeMounts = buildFileStorageVolumeMounts(fileStorages);
-            cleanedContainers.forEach(container => {
-                container.volumeMounts = [
-                    ...emptyDirVolumeMounts,
-                    ...fileStorageVolumeMounts
-                ];
-            });
-        }
-        
-        // Build freeformTags (architecture, volumes and ports)
-        const baseFreeformTags = {};
-        
-        // Add architecture tag from current instance or default to x86
-        const architecture = currentEditingInstance.freeformTags?.architecture || 'x86';
-        baseFreeformTags.architecture = architecture;
-        
-        // Preserve composeImport tag if it exists
-        if (currentEditingInstance.freeformTags?.composeImport) {
-            baseFreeformTags.composeImport = currentEditingInstance.freeformTags.composeImport;
-        }
-        
-        if (volumes.length > 0) {
-            const volumesTag = volumes.map((v, idx) => {
-                const volumeName = v.name || `volume-${idx}`;
-                return `${volumeName}:${v.path}`;
-            }).join(',');
-            baseFreeformTags.volumes = volumesTag;
-        }
-
-        if (fileStorages.length > 0) {
-            baseFreeformTags.fileSystems = buildFileStoragesTag(fileStorages);
-        }
-        
-        // Add port mappings - resolve from portIndex if port is not set
-        const detailsPorts = window[`detailsPorts_${instanceId}`] || [];
-        containers.forEach((container) => {
-            let portValue = container.port;
-            
-            // If port is not set but portIndex is, resolve it from detailsPorts
-            if (!portValue && container.portIndex !== undefined && container.portIndex !== null && container.portIndex !== '') {
-                const portIndex = parseInt(container.portIndex);
-                if (detailsPorts[portIndex]) {
-                    portValue = detailsPorts[portIndex].port.toString();
-                }
-            }
-            
-            // Add to tags if port is available
-            if (portValue) {
-                baseFreeformTags[container.displayName] = portValue;
-            }
-        });
-        
-        // Get shape config from dropdowns if in edit mode, otherwise use current values
-        let shapeConfig = currentEditingInstance.shapeConfig || { memoryInGBs: 16, ocpus: 1 };
-        const memorySelect = document.getElementById('detailsShapeMemory');
-        const ocpusSelect = document.getElementById('detailsShapeOcpus');
-        if (memorySelect && ocpusSelect && isInEditMode) {
-            shapeConfig = {
-                memoryInGBs: parseFloat(memorySelect.value) || shapeConfig.memoryInGBs,
-                ocpus: parseFloat(ocpusSelect.value) || shapeConfig.ocpus
-            };
-        }
-        
-        // Get required fields with fallbacks for failed CIs
-        const displayName = currentEditingInstance.displayName || document.getElementById('ciName')?.value || config.projectName || 'CI';
-        const compartmentId = currentEditingInstance.compartmentId || config.compartmentId;
-        
-        // Get subnet - validate it's selected (required field)
-        const subnetSelect = document.getElementById('detailsSubnetId');
-        let subnetId = null;
-        
-        // Subnet is mandatory - must be selected from dropdown
-        if (!subnetSelect) {
-            showNotification('Error: Subnet dropdown not found. Please refresh and try again.', 'error');
-            return;
-        }
-        
-        // Check if subnet is selected (empty string or null means not selected)
-        if (!subnetSelect.value || subnetSelect.value === '' || subnetSelect.value === null) {
-            showNotification('Error: Subnet is required. Please select a subnet from the dropdown.', 'error');
-            // Focus the subnet dropdown to help user
-            subnetSelect.focus();
-            return;
-        }
-        
-        subnetId = subnetSelect.value;
-        
-        // Final validation - ensure we have a subnet ID
-        if (!subnetId) {
-            showNotification('Error: Subnet is required. Please select a subnet from the dropdown.', 'error');
-            subnetSelect.focus();
+        const built = buildDetailsInstancePayload(instanceId);
+        if (!built) {
             return;
         }
-        
-        // Determine shape from architecture tag or instance shape, with fallback
-        let shape = currentEditingInstance.shape;
-        if (!shape) {
-            // Try to get architecture from freeformTags or determine from shape name
-            const architecture = baseFreeformTags.architecture || 'x86';
-            shape = architecture === 'ARM64' ? 'CI.Standard.A1.Flex' : 'CI.Standard.E4.Flex';
-        }
-        
-        // Validate required fields
-        if (!displayName || !compartmentId || !shape) {
-            const missingFields = [];
-            if (!displayName) missingFields.push('displayName');
-            if (!compartmentId) missingFields.push('compartmentId');
-            if (!shape) missingFields.push('shape');
-            throw new Error(`Missing required fields: ${missingFields.join(', ')}. Please ensure the container instance has all required information or check your configuration.`);
-        }
-        
-        const payload = {
-            displayName: displayName,
-            compartmentId: compartmentId,
-            shape: shape,
-            shapeConfig: shapeConfig,
-            subnetId: subnetId,
-            containers: cleanedContainers,
-            containerRestartPolicy: currentEditingInstance.containerRestartPolicy || 'NEVER',
-            volumes: volumesPayload,
-            freeformTags: Object.keys(baseFreeformTags).length > 0 ? baseFreeformTags : undefined,
-            logGroupId: config.logGroupId || null
-        };
-
-        if (fileStorages.length > 0) {
-            payload.vnics = buildVnicsWithFileStorageSubnets(subnetId, fileStorages);
-        }
+        const { payload, config } = built;
+        const cleanedContainers = payload.containers;
+        const compartmentId = payload.compartmentId;
+        saveContainerMountsForCIName(config.projectName, window[`detailsContainers_${instanceId}`] || []);
         
         // Validate sidecar configurations before proceeding with delete
         showNotification('Validating sidecar configurations...', 'info');
@@ -4160,7 +4434,15 @@ async function duplicateContainerInstance(instanceId) {
             ocpusSelect.value = instanceOcpus.toString();
         }
 
-        // Set subnet to match the original instance
+        // Restart policy, graceful shutdown timeout and DNS from the original instance
+        document.getElementById('ciRestartPolicy').value = currentEditingInstance.containerRestartPolicy || 'NEVER';
+        populateInstanceRuntimeFields('ci', currentEditingInstance);
+
+        // Registry credentials (BASIC passwords aren't returned by OCI and have to be re-entered)
+        imagePullSecretsData = (window[`detailsImagePullSecrets_${instanceId}`] || []).map(secret => ({ ...secret }));
+        updateImagePullSecretsTable();
+
+        // Set subnet to match the original instance
         const subnetSelect = document.getElementById('ciSubnetId');
         if (subnetSelect && currentEditingInstance.compartmentId && currentEditingInstance.subnetId) {
             // Ensure subnets are loaded for this compartment
@@ -4179,7 +4461,8 @@ async function duplicateContainerInstance(instanceId) {
         const detailsVolumes = window[`detailsVolumes_${instanceId}`] || [];
         volumesData = detailsVolumes.map(v => ({
             name: v.name || '',
-            path: v.path || ''
+            path: v.path || '',
+            ...pickVolumeSettings(v)
         }));
 
         const existingData = loadPortsAndVolumesForCINameForDetails(config.projectName);
@@ -4220,6 +4503,10 @@ async function duplicateContainerInstance(instanceId) {
                 environmentVariables: container.environmentVariables || {},
                 command: container.command || [],
                 arguments: container.arguments || [],
+                healthChecks: container.healthChecks || [],
+                securityContext: container.securityContext || null,
+                workingDirectory: container.workingDirectory || null,
+                volumeMounts: toContainerVolumeMountSelection(container.volumeMounts),
                 portIndex: portIndex
             };
         });
@@ -4262,6 +4549,9 @@ function exitEditMode() {
 
     const addFileSystemBtn = document.getElementById('detailsAddFileSystemBtn');
     if (addFileSystemBtn) addFileSystemBtn.style.display = 'none';
+
+    const addImagePullSecretBtn = document.getElementById('detailsAddImagePullSecretBtn');
+    if (addImagePullSecretBtn) addImagePullSecretBtn.style.display = 'none';
     
     // Hide all container action buttons
     const containerActions = document.querySelectorAll('[id^="containerActions_"]');
@@ -4274,6 +4564,10 @@ function exitEditMode() {
     // Hide all file system action buttons
     const fileSystemActions = document.querySelectorAll('[id^="fileSystemActions_"]');
     fileSystemActions.forEach(el => el.style.display = 'none');
+
+    // Hide all registry credential action buttons
+    const imagePullSecretActions = document.querySelectorAll('[id^="imagePullSecretActions_"]');
+    imagePullSecretActions.forEach(el => el.style.display = 'none');
     
     // Refresh containers table to show log column and hide action buttons
     if (currentEditingInstance && currentEditingInstance.id) {
@@ -4299,6 +4593,9 @@ function exitEditMode() {
     const saveResourceManagerBtn = document.getElementById('detailsSaveResourceManagerBtn');
     if (saveResourceManagerBtn) saveResourceManagerBtn.style.display = 'inline-block';
     
+    const exportCliBtn = document.getElementById('detailsExportCliBtn');
+    if (exportCliBtn) exportCliBtn.style.display = 'inline-block';
+    
     const saveBtn = document.getElementById('detailsSaveBtn');
     if (saveBtn) saveBtn.style.display = 'none';
     
@@ -4316,6 +4613,14 @@ function exitEditMode() {
     if (ocpusDisplay) ocpusDisplay.style.display = 'inline';
     if (ocpusSelect) ocpusSelect.style.display = 'none';
     
+    // Hide graceful shutdown and DNS inputs
+    [['detailsGracefulShutdownDisplay', 'detailsGracefulShutdown'], ['detailsDnsDisplay', 'detailsDnsInputs']].forEach(([displayId, inputId]) => {
+        const display = document.getElementById(displayId);
+        const input = document.getElementById(inputId);
+        if (display) display.style.display = 'inline';
+        if (input) input.style.display = 'none';
+    });
+    
     // Hide subnet dropdown and show display
     const subnetDisplay = document.getElementById('detailsSubnetDisplay');
     const subnetSelect = document.getElementById('detailsSubnetId');
@@ -4406,6 +4711,9 @@ async function restartContainerInstance(instanceId) {
                     shapeConfig: instance.shapeConfig,
                     subnetId: instance.subnetId || (instance.vnics && instance.vnics.length > 0 ? instance.vnics[0].subnetId : null),
                     containerRestartPolicy: instance.containerRestartPolicy || 'NEVER',
+                    gracefulShutdownTimeoutInSeconds: instance.gracefulShutdownTimeoutInSeconds ?? null,
+                    dnsConfig: instance.dnsConfig || null,
+                    imagePullSecrets: extractImagePullSecretsFromContainerInstance(instance),
                     freeformTags: instance.freeformTags || {},
                     containers: [],
                     volumes: [],
@@ -4433,7 +4741,8 @@ async function restartContainerInstance(instanceId) {
                         const volumePath = (vol.path && vol.path.trim()) || `/mnt/${volumeName}`;
                         return {
                             name: volumeName,
-                            path: volumePath
+                            path: volumePath,
+                            ...pickVolumeSettings(vol)
                         };
                     });
                     console.log('Restore volumes set from current config:', restoreConfig.volumes);
@@ -4462,6 +4771,9 @@ async function restartContainerInstance(instanceId) {
                                         environmentVariables: containerDetails.environmentVariables || {},
                                         command: containerDetails.command,
                                         arguments: containerDetails.arguments,
+                                        healthChecks: containerDetails.healthChecks || [],
+                                        securityContext: containerDetails.securityContext || null,
+                                        workingDirectory: containerDetails.workingDirectory || null,
                                         // Don't include volumeMounts here - we'll set them from current config volumes
                                         volumeMounts: []
                                     });
@@ -4474,6 +4786,9 @@ async function restartContainerInstance(instanceId) {
                                         environmentVariables: container.environmentVariables || {},
                                         command: container.command,
                                         arguments: container.arguments,
+                                        healthChecks: container.healthChecks || [],
+                                        securityContext: container.securityContext || null,
+                                        workingDirectory: container.workingDirectory || null,
                                         // Don't include volumeMounts here - we'll set them from current config volumes
                                         volumeMounts: []
                                     });
@@ -4488,6 +4803,9 @@ async function restartContainerInstance(instanceId) {
                                     environmentVariables: container.environmentVariables || {},
                                     command: container.command,
                                     arguments: container.arguments,
+                                    healthChecks: container.healthChecks || [],
+                                    securityContext: container.securityContext || null,
+                                    workingDirectory: container.workingDirectory || null,
                                     // Don't include volumeMounts here - we'll set them from current config volumes
                                     volumeMounts: []
                                 });
@@ -4587,6 +4905,15 @@ async function restartContainerInstance(instanceId) {
                     if (container.arguments && Array.isArray(container.arguments) && container.arguments.length > 0) {
                         cleaned.arguments = container.arguments;
                     }
+                    if (container.healthChecks && Array.isArray(container.healthChecks) && container.healthChecks.length > 0) {
+                        cleaned.healthChecks = container.healthChecks;
+                    }
+                    if (container.securityContext) {
+                        cleaned.securityContext = container.securityContext;
+                    }
+                    if (container.workingDirectory) {
+                        cleaned.workingDirectory = container.workingDirectory;
+                    }
                     
                     return cleaned;
                 });
@@ -4595,21 +4922,15 @@ async function restartContainerInstance(instanceId) {
                 let volumesArray = [];
                 const fileStorageVolumes = buildFileStorageVolumes(restoreConfig.fileStorages || []);
                 if ((restoreConfig.volumes && restoreConfig.volumes.length > 0) || fileStorageVolumes.length > 0) {
-                    const emptyDirVolumes = (restoreConfig.volumes || []).map((vol) => {
-                        const volumeName = (vol.name && vol.name.trim()) || vol.name;
-                        return {
-                            name: volumeName,
-                            volumeType: 'EMPTYDIR',
-                            backingStore: 'EPHEMERAL_STORAGE'
-                        };
-                    });
+                    const emptyDirVolumes = (restoreConfig.volumes || []).map((vol, idx) => buildVolumePayload(vol, idx));
                     volumesArray = [
                         ...emptyDirVolumes,
                         ...fileStorageVolumes
                     ];
                     
-                    // Map volumes from current config to all containers as volumeMounts
+                    // Map volumes from current config to the containers that mount them
                     // Don't use old volumeMounts from deleted container - recreate from current volumes config
+                    // and the stored per-container selection (containers without one mount every volume)
                     console.log('Mapping volumes to containers:', {
                         volumesCount: restoreConfig.volumes.length,
                         fileStoragesCount: restoreConfig.fileStorages.length,
@@ -4618,27 +4939,16 @@ async function restartContainerInstance(instanceId) {
                         fileStorages: restoreConfig.fileStorages
                     });
 
-                    const emptyDirVolumeMounts = (restoreConfig.volumes || []).map((vol) => {
-                        const volumeName = (vol.name && vol.name.trim()) || `volume-${Date.now()}`;
-                        const mountPath = (vol.path && vol.path.trim()) || `/mnt/${volumeName}`;
-
-                        if (!volumeName || !mountPath) {
-                            console.error('Invalid volume mapping:', vol);
-                            throw new Error(`Invalid volume: name="${volumeName}", path="${mountPath}"`);
-                        }
-
-                        return {
-                            mountPath: mountPath,
-                            volumeName: volumeName
-                        };
-                    });
-                    const fileStorageVolumeMounts = buildFileStorageVolumeMounts(restoreConfig.fileStorages || []);
-                    
+                    const containerMounts = savedPortsVolumes.containerMounts || {};
                     cleanedContainers.forEach(container => {
-                        container.volumeMounts = [
-                            ...emptyDirVolumeMounts,
-                            ...fileStorageVolumeMounts
-                        ];
+                        const volumeMounts = buildContainerVolumeMounts(
+                            { volumeMounts: containerMounts[container.displayName] },
+                            restoreConfig.volumes || [],
+                            restoreConfig.fileStorages || []
+                        );
+                        if (volumeMounts.length > 0) {
+                            container.volumeMounts = volumeMounts;
+                        }
                         console.log(`Set volumeMounts for container ${container.displayName}:`, container.volumeMounts);
                     });
                 } else {
@@ -4658,6 +4968,21 @@ async function restartContainerInstance(instanceId) {
                     containers: cleanedContainers,
                     containerRestartPolicy: restoreConfig.containerRestartPolicy || 'NEVER'
                 };
+                if (restoreConfig.gracefulShutdownTimeoutInSeconds !== null) {
+                    payload.gracefulShutdownTimeoutInSeconds = restoreConfig.gracefulShutdownTimeoutInSeconds;
+                }
+                if (restoreConfig.dnsConfig) {
+                    payload.dnsConfig = restoreConfig.dnsConfig;
+                }
+                
+                // Vault-backed registry credentials can be reused, BASIC passwords are not returned by OCI
+                const restorableImagePullSecrets = restoreConfig.imagePullSecrets.filter(secret => secret.secretType === 'VAULT');
+                if (restorableImagePullSecrets.length > 0) {
+                    payload.imagePullSecrets = buildImagePullSecretsPayload(restorableImagePullSecrets);
+                }
+                if (restorableImagePullSecrets.length < restoreConfig.imagePullSecrets.length) {
+                    showNotification('Registry credentials with a username and password can\'t be restored. Edit the restored instance to re-enter them.', 'warning', 8000);
+                }
 
                 if ((restoreConfig.fileStorages || []).length > 0) {
                     payload.vnics = buildVnicsWithFileStorageSubnets(restoreConfig.subnetId, restoreConfig.fileStorages || []);
@@ -4796,184 +5121,31 @@ async function saveToResourceManager(instanceId) {
     }
     
     try {
-        // Get current instance data
-        const containers = window[`detailsContainers_${instanceId}`] || [];
-        const volumes = window[`detailsVolumes_${instanceId}`] || [];
-        const ports = window[`detailsPorts_${instanceId}`] || [];
-        const config = getConfiguration();
-        const savedPortsVolumes = loadPortsAndVolumesForCINameForDetails(config.projectName || currentEditingInstance.displayName);
-        const detailsFileStorages = window[`detailsFileStorages_${instanceId}`];
-        const configuredFileStorages = Array.isArray(detailsFileStorages)
-            ? detailsFileStorages
-            : (savedPortsVolumes.fileStorages || []);
-        const instanceHasFssVolumes = Array.isArray(currentEditingInstance.volumes) &&
-            currentEditingInstance.volumes.some((volume) => volume.volumeType === 'OCI_FSS_FILE_SYSTEM');
-
-        if (configuredFileStorages.length > 0 || instanceHasFssVolumes) {
-            showNotification('OCI Resource Manager export does not support File Systems (FSS) yet. Remove File Systems from this deployment before exporting to Resource Manager, or create the Container Instance directly from CI Compose.', 'warning', 10000);
+        // Same payload as saving the instance; BASIC registry passwords become stack variables
+        const built = buildDetailsInstancePayload(instanceId, { requireRegistryCredentials: false });
+        if (!built) {
             return;
         }
-
-        // Build Terraform configuration
-        const architecture = currentEditingInstance.freeformTags?.architecture || 'x86';
-        const shape = architecture === 'ARM64' ? 'CI.Standard.A1.Flex' : 'CI.Standard.E4.Flex';
-        
-        // Get region from config or extract from subnet OCID
-        let region = config.region || '';
-        if (!region && currentEditingInstance.subnetId) {
-            // Extract region from subnet OCID (format: ocid1.subnet.oc1.<region>...)
-            const subnetMatch = currentEditingInstance.subnetId.match(/ocid1\.subnet\.oc1\.([^.]+)/);
-            if (subnetMatch) {
-                region = subnetMatch[1];
-            }
-        }
-        // Fallback to common regions if still not found
-        if (!region) {
-            region = 'us-ashburn-1'; // Default fallback
-        }
-        
-        // Get shape config
-        const memorySelect = document.getElementById('detailsShapeMemory');
-        const ocpusSelect = document.getElementById('detailsShapeOcpus');
-        const shapeMemory = memorySelect ? memorySelect.value : (currentEditingInstance.shapeConfig?.memoryInGBs || '16');
-        const shapeOcpus = ocpusSelect ? ocpusSelect.value : (currentEditingInstance.shapeConfig?.ocpus || '1');
-        
-        // Get subnet
-        const subnetSelect = document.getElementById('detailsSubnetId');
-        const subnetId = subnetSelect && subnetSelect.value ? subnetSelect.value : currentEditingInstance.subnetId;
+        const { payload } = built;
         
-        // Build containers configuration
-        const containersConfig = containers.map((container, idx) => {
-            const containerConfig = {
-                display_name: container.displayName,
-                image_url: container.imageUrl,
-                resource_config: {
-                    memory_limit_in_gbs: container.resourceConfig?.memoryInGBs || 16,
-                    vcpus_limit: container.resourceConfig?.vcpus || 1
-                },
-                is_resource_principal_disabled: "false"
-            };
-            
-            if (container.environmentVariables && Object.keys(container.environmentVariables).length > 0) {
-                containerConfig.environment_variables = container.environmentVariables;
-            }
-            
-            if (container.command && Array.isArray(container.command) && container.command.length > 0) {
-                containerConfig.command = container.command;
-            }
-            
-            if (container.arguments && Array.isArray(container.arguments) && container.arguments.length > 0) {
-                containerConfig.arguments = container.arguments;
-            }
-            
-            // Add volume mounts (will be generated as blocks in Terraform)
-            if (volumes.length > 0) {
-                containerConfig.volume_mounts = volumes.map((v, volIdx) => ({
-                    mount_path: v.path,
-                    volume_name: v.name || `volume-${volIdx}`
-                }));
-            }
-            
-            return containerConfig;
+        // Generate main.tf, variables.tf and schema.yaml on the server
+        showNotification('Generating Terraform configuration...', 'info');
+        const terraformResponse = await fetch(buildOCIUrl('/api/oci/resource-manager/terraform'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
         });
         
-        // Build volumes configuration
-        const volumesConfig = volumes.map((v, idx) => ({
-            name: v.name || `volume-${idx}`,
-            volume_type: 'EMPTYDIR',
-            backing_store: 'EPHEMERAL_STORAGE'
-        }));
+        const terraformData = await terraformResponse.json();
+        if (!terraformData.success) {
+            const details = Array.isArray(terraformData.details) ? `: ${terraformData.details.join('; ')}` : '';
+            throw new Error(`${terraformData.error || 'Failed to generate Terraform configuration'}${details}`);
+        }
         
-        // Get availability domain - use data source to get first AD
-        // In Terraform, we'll use a data source to get availability domains
-        const terraformConfig = `# Terraform configuration for Container Instance: ${currentEditingInstance.displayName}
-# Generated by CI Compose
-
-# Provider configuration for OCI Resource Manager
-# Uses instance principal authentication (automatic in Resource Manager)
-provider "oci" {
-  region = var.region
-}
-
-# Get availability domain
-data "oci_identity_availability_domain" "oci_ad" {
-  compartment_id = "${currentEditingInstance.compartmentId}"
-  ad_number      = 1
-}
-
-resource "oci_container_instances_container_instance" "this" {
-  availability_domain = data.oci_identity_availability_domain.oci_ad.name
-  compartment_id      = "${currentEditingInstance.compartmentId}"
-  display_name        = "${currentEditingInstance.displayName}"
-  shape               = "${shape}"
-  
-  shape_config {
-    memory_in_gbs = ${shapeMemory}
-    ocpus         = ${shapeOcpus}
-  }
-  
-  vnics {
-    subnet_id = "${subnetId}"
-  }
-  
-  container_restart_policy = "${currentEditingInstance.containerRestartPolicy || 'NEVER'}"
-  
-  graceful_shutdown_timeout_in_seconds = "10"
-  
-  state = "ACTIVE"
-  
-${containersConfig.map((container, idx) => {
-    let containerBlock = `  containers {
-    image_url    = "${container.image_url}"
-    display_name = "${container.display_name}"
-    
-    is_resource_principal_disabled = "${container.is_resource_principal_disabled}"
-    
-    resource_config {
-      memory_limit_in_gbs = "${container.resource_config.memory_limit_in_gbs}"
-      vcpus_limit         = "${container.resource_config.vcpus_limit}"
-    }`;
-    
-    if (container.environment_variables && Object.keys(container.environment_variables).length > 0) {
-        containerBlock += `\n    environment_variables = {\n${Object.entries(container.environment_variables).map(([k, v]) => `      "${k}" = "${String(v).replace(/"/g, '\\"')}"`).join('\n')}\n    }`;
-    }
-    
-    if (container.command && Array.isArray(container.command) && container.command.length > 0) {
-        containerBlock += `\n    command = ${JSON.stringify(container.command)}`;
-    }
-    
-    if (container.arguments && Array.isArray(container.arguments) && container.arguments.length > 0) {
-        containerBlock += `\n    arguments = ${JSON.stringify(container.arguments)}`;
-    }
-    
-    if (container.volume_mounts && container.volume_mounts.length > 0) {
-        containerBlock += `\n${container.volume_mounts.map(vm => `    volume_mounts {\n      mount_path  = "${vm.mount_path}"\n      volume_name = "${vm.volume_name}"\n    }`).join('\n')}`;
-    }
-    
-    containerBlock += `\n  }`;
-    return containerBlock;
-}).join('\n\n')}
-${volumesConfig.length > 0 ? volumesConfig.map(vol => `  volumes {
-    name         = "${vol.name}"
-    volume_type  = "${vol.volume_type}"
-    backing_store = "${vol.backing_store}"
-  }`).join('\n\n') : ''}
-  
-  freeform_tags = {
-${Object.entries(currentEditingInstance.freeformTags || {}).map(([k, v]) => `    "${k}" = "${String(v).replace(/"/g, '\\"')}"`).join('\n')}
-  }
-}
-
-# Variable for region (required by provider)
-variable "region" {
-  type        = string
-  default     = "${region}"
-  description = "OCI region"
-}
-`;
-        
-        // Send to backend to create Resource Manager stack
-        showNotification('Creating Resource Manager stack...', 'info');
+        // Send to backend; the stack already exported for this CI gets the new configuration
+        showNotification('Saving Resource Manager stack...', 'info');
         
         const response = await fetch(buildOCIUrl('/api/oci/resource-manager/stacks'), {
             method: 'POST',
@@ -4984,14 +5156,25 @@ variable "region" {
                 displayName: `${currentEditingInstance.displayName}-stack`,
                 description: `Container Instance configuration stack for ${currentEditingInstance.displayName}`,
                 compartmentId: currentEditingInstance.compartmentId,
-                terraformConfig: terraformConfig
+                instanceName: currentEditingInstance.displayName,
+                instanceId: currentEditingInstance.id,
+                terraformFiles: terraformData.data.files
             })
         });
         
         const data = await response.json();
         
         if (data.success) {
-            showNotification(`Resource Manager stack created successfully! Stack ID: ${data.data.id}`, 'success');
+            if (data.data.updated) {
+                showNotification(`Resource Manager stack ${data.data.displayName} updated to configuration version ${data.data.configVersion}`, 'success');
+            } else {
+                showNotification(`Resource Manager stack created successfully! Stack ID: ${data.data.id}`, 'success');
+            }
+            delete resourceManagerStackCache[getResourceManagerStackCacheKey(currentEditingInstance)];
+            if (terraformData.data.variables.some(variable => variable.sensitive)) {
+                showNotification('Enter the registry passwords in the stack variables before running Apply.', 'warning', 8000);
+            }
+            showResourceManagerJobsModal(data.data.id, data.data.displayName);
         } else {
             throw new Error(data.error || 'Failed to create Resource Manager stack');
         }
@@ -5001,6 +5184,387 @@ variable "region" {
     }
 }
 
+// Export OCI CLI: download a zip with the --from-json payload and a script that creates the CI,
+// waits for ACTIVE and prints its IPs (the server normalizes the payload like the create route)
+async function exportToOciCli(instanceId) {
+    if (!currentEditingInstance || currentEditingInstance.id !== instanceId) {
+        showNotification('Error: Instance data not available', 'error');
+        return;
+    }
+    
+    try {
+        // Registry credentials are not exported, the script reads them from the environment
+        const built = buildDetailsInstancePayload(instanceId, { requireRegistryCredentials: false });
+        if (!built) {
+            return;
+        }
+        const { payload } = built;
+        
+        showNotification('Generating OCI CLI export...', 'info');
+        const response = await fetch(buildOCIUrl('/api/oci/container-instances/cli-export'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        });
+        
+        if (!response.ok) {
+            const data = await response.json();
+            const details = Array.isArray(data.details) ? `: ${data.details.join('; ')}` : '';
+            throw new Error(`${data.error || 'Failed to export OCI CLI script'}${details}`);
+        }
+        
+        const fileNameMatch = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileNameMatch ? fileNameMatch[1] : 'oci-cli.zip';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+        
+        showNotification('OCI CLI export downloaded. Run the script with bash to create the Container Instance.', 'success');
+        showExportCliRegistryVariables((response.headers.get('X-Registry-Variables') || '').split(',').filter(Boolean), link.download);
+    } catch (error) {
+        console.error('Error exporting OCI CLI script:', error);
+        showNotification(`Error exporting OCI CLI script: ${error.message}`, 'error');
+    }
+}
+
+// List the registry credential variables the exported script needs (and its jq requirement) in the details view
+function showExportCliRegistryVariables(registryVariables, zipFileName) {
+    const info = document.getElementById('detailsExportCliInfo');
+    if (!info) {
+        return;
+    }
+    if (registryVariables.length === 0) {
+        info.style.display = 'none';
+        return;
+    }
+    const scriptName = `create-${zipFileName.replace(/-oci-cli\.zip$/, '')}.sh`;
+    const assignments = registryVariables.map(variable => `${variable}=...`).join(' ');
+    info.innerHTML = '<i class="bi bi-key"></i> Registry credentials are not included in the OCI CLI export. ' +
+        `The script requires <code>jq</code> and these environment variables: ${registryVariables.map(variable => `<code>${escapeHtml(variable)}</code>`).join(', ')}` +
+        `<pre class="mb-0 mt-2">${escapeHtml(`${assignments} bash ${scriptName}`)}</pre>`;
+    info.style.display = 'block';
+}
+
+// Resource Manager stack shown in the jobs modal, its last successful plan and the job being followed
+let resourceManagerStackId = null;
+let resourceManagerPlanJobId = null;
+let resourceManagerJobPollTimer = null;
+
+const RESOURCE_MANAGER_JOB_POLL_MS = 5000;
+const RESOURCE_MANAGER_FINISHED_JOB_STATES = ['SUCCEEDED', 'FAILED', 'CANCELED'];
+
+// Show the plan/apply/destroy jobs modal for a stack
+function showResourceManagerJobsModal(stackId, stackName) {
+    stopResourceManagerJobPolling();
+    resourceManagerStackId = stackId;
+    resourceManagerPlanJobId = null;
+    
+    document.getElementById('resourceManagerJobsModalTitle').textContent = `Resource Manager: ${stackName || stackId}`;
+    document.getElementById('resourceManagerStackId').textContent = stackId;
+    document.getElementById('resourceManagerJobStatus').innerHTML = '<span class="text-muted">No job started</span>';
+    document.getElementById('resourceManagerJobLog').textContent = '';
+    setResourceManagerJobButtons(false);
+    
+    document.getElementById('resourceManagerStackConfig').innerHTML = '<span class="text-muted">Loading...</span>';
+    
+    const modalElement = document.getElementById('resourceManagerJobsModal');
+    modalElement.addEventListener('hidden.bs.modal', stopResourceManagerJobPolling, { once: true });
+    bootstrap.Modal.getOrCreateInstance(modalElement).show();
+    loadResourceManagerStackDetails(stackId);
+}
+
+// Stack lookups for the details view, by CI OCID (null when not exported)
+const resourceManagerStackCache = {};
+
+function getResourceManagerStackCacheKey(instance) {
+    return instance.id;
+}
+
+// Show the stack's configuration version and its recent jobs in the jobs modal
+async function loadResourceManagerStackDetails(stackId) {
+    const configElement = document.getElementById('resourceManagerStackConfig');
+    const jobsBody = document.getElementById('resourceManagerJobsTableBody');
+    try {
+        const response = await fetch(buildOCIUrl(`/api/oci/resource-manager/stacks/${encodeURIComponent(stackId)}`));
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load stack');
+        }
+        const { stack, jobs } = data.data;
+        if (stack.instanceId) {
+            resourceManagerStackCache[stack.instanceId] = data.data;
+        }
+        
+        const exportedAt = stack.exportedAt ? `, exported ${new Date(stack.exportedAt).toLocaleString()}` : '';
+        configElement.innerHTML = `Version ${stack.configVersion}${escapeHtml(exportedAt)} <small class="text-muted">(Terraform ${escapeHtml(stack.terraformVersion || 'N/A')})</small>`;
+        
+        if (jobs.length === 0) {
+            jobsBody.innerHTML = '<tr><td colspan="5" class="text-muted">No jobs yet</td></tr>';
+            return;
+        }
+        jobsBody.innerHTML = jobs.map(job => {
+            const configUrl = buildOCIUrl(`/api/oci/resource-manager/jobs/${encodeURIComponent(job.id)}/config`);
+            return '<tr>' +
+                `<td>${escapeHtml(job.operation)}</td>` +
+                `<td>${getStateBadgeHtml(job.lifecycleState)}</td>` +
+                `<td>${job.configVersion ? `v${job.configVersion}` : '-'}</td>` +
+                `<td>${job.timeCreated ? new Date(job.timeCreated).toLocaleString() : 'N/A'}</td>` +
+                `<td class="text-end"><a href="${configUrl}" title="Download the Terraform configuration this job ran"><i class="bi bi-download"></i></a></td>` +
+                '</tr>';
+        }).join('');
+    } catch (error) {
+        console.error('Error loading Resource Manager stack:', error);
+        configElement.innerHTML = `<span class="text-danger">${escapeHtml(error.message)}</span>`;
+    }
+}
+
+// Show the CI's Resource Manager stack and its last job in the details view
+async function hydrateDetailsResourceManagerStack(instance) {
+    const element = document.getElementById('detailsResourceManagerStack');
+    if (!element || !instance.id || !instance.compartmentId) {
+        return;
+    }
+    
+    const cacheKey = getResourceManagerStackCacheKey(instance);
+    if (!(cacheKey in resourceManagerStackCache)) {
+        try {
+            const response = await fetch(buildOCIUrl('/api/oci/resource-manager/stacks', {
+                compartmentId: instance.compartmentId,
+                instanceId: instance.id,
+                instanceName: instance.displayName
+            }));
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to look up stack');
+            }
+            resourceManagerStackCache[cacheKey] = data.data;
+        } catch (error) {
+            console.error('Error looking up Resource Manager stack:', error);
+            element.textContent = 'N/A';
+            return;
+        }
+    }
+    
+    const stackData = resourceManagerStackCache[cacheKey];
+    if (!stackData) {
+        element.innerHTML = '<span class="text-muted">Not exported</span>';
+        return;
+    }
+    const { stack, jobs } = stackData;
+    const lastJob = jobs[0];
+    const lastJobHtml = lastJob
+        ? ` ${escapeHtml(lastJob.operation)} ${getStateBadgeHtml(lastJob.lifecycleState)}`
+        : ' <span class="text-muted">no jobs</span>';
+    element.innerHTML = `<a href="#" onclick="showResourceManagerJobsModal('${escapeHtmlAttribute(stack.id)}', '${escapeHtmlAttribute(stack.displayName)}'); return false;">${escapeHtml(stack.displayName)}</a> (v${stack.configVersion})${lastJobHtml}` +
+        ` · <a href="#" onclick="showResourceManagerDriftModal('${escapeHtmlAttribute(stack.id)}', '${escapeHtmlAttribute(stack.displayName)}', '${escapeHtmlAttribute(instance.id)}'); return false;">Check drift</a>`;
+}
+
+// Stack and instance compared in the drift modal
+let resourceManagerDriftContext = null;
+
+// Compare the stack's configuration with the live instance and list the differing fields
+async function showResourceManagerDriftModal(stackId, stackName, instanceId) {
+    resourceManagerDriftContext = { stackId, stackName, instanceId };
+    
+    const summary = document.getElementById('resourceManagerDriftSummary');
+    const tableBody = document.getElementById('resourceManagerDriftTableBody');
+    document.getElementById('resourceManagerDriftModalTitle').textContent = `Drift Check: ${stackName || stackId}`;
+    summary.innerHTML = '<span class="text-muted">Comparing the stack configuration with the live instance...</span>';
+    tableBody.innerHTML = '';
+    document.getElementById('resourceManagerDriftWarnings').style.display = 'none';
+    bootstrap.Modal.getOrCreateInstance(document.getElementById('resourceManagerDriftModal')).show();
+    
+    try {
+        const response = await fetch(buildOCIUrl(`/api/oci/resource-manager/stacks/${encodeURIComponent(stackId)}/drift`, { instanceId }));
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to check drift');
+        }
+        const { stack, differences, warnings } = data.data;
+        
+        summary.innerHTML = data.data.inSync
+            ? `<span class="text-success"><i class="bi bi-check-circle"></i> In sync with configuration version ${stack.configVersion}</span>`
+            : `<span class="text-danger"><i class="bi bi-exclamation-triangle"></i> ${differences.length} difference(s) from configuration version ${stack.configVersion}.</span> ` +
+                'Re-export to save the current configuration to the stack, or plan a re-apply to restore the stack\'s configuration.';
+        
+        const formatValue = (value) => (value === null ? '<span class="text-muted">-</span>' : `<code>${escapeHtml(value)}</code>`);
+        tableBody.innerHTML = differences.map(difference => '<tr>' +
+            `<td>${escapeHtml(difference.section)}</td>` +
+            `<td>${escapeHtml(difference.field)}</td>` +
+            `<td>${formatValue(difference.expected)}</td>` +
+            `<td>${formatValue(difference.actual)}</td>` +
+            '</tr>').join('');
+        
+        const warningsList = document.getElementById('resourceManagerDriftWarningsList');
+        warningsList.innerHTML = warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('');
+        document.getElementById('resourceManagerDriftWarnings').style.display = warnings.length > 0 ? 'block' : 'none';
+    } catch (error) {
+        console.error('Error checking Resource Manager drift:', error);
+        summary.innerHTML = `<span class="text-danger">${escapeHtml(error.message)}</span>`;
+    }
+}
+
+// Upload the instance's current configuration to its stack (from the details view)
+async function reexportDriftedStack() {
+    if (!resourceManagerDriftContext) {
+        return;
+    }
+    bootstrap.Modal.getInstance(document.getElementById('resourceManagerDriftModal')).hide();
+    await saveToResourceManager(resourceManagerDriftContext.instanceId);
+}
+
+// Start a plan of the stack's configuration; applying it reverts the live changes
+function planDriftedStackReapply() {
+    if (!resourceManagerDriftContext) {
+        return;
+    }
+    const { stackId, stackName } = resourceManagerDriftContext;
+    bootstrap.Modal.getInstance(document.getElementById('resourceManagerDriftModal')).hide();
+    showResourceManagerJobsModal(stackId, stackName);
+    startResourceManagerJob('PLAN');
+}
+
+// Enable the job buttons; Apply also needs a successful plan to apply
+function setResourceManagerJobButtons(jobRunning) {
+    document.getElementById('resourceManagerPlanBtn').disabled = jobRunning;
+    document.getElementById('resourceManagerApplyBtn').disabled = jobRunning || !resourceManagerPlanJobId;
+    document.getElementById('resourceManagerDestroyBtn').disabled = jobRunning;
+}
+
+function stopResourceManagerJobPolling() {
+    if (resourceManagerJobPollTimer) {
+        clearTimeout(resourceManagerJobPollTimer);
+        resourceManagerJobPollTimer = null;
+    }
+}
+
+// Start a PLAN, APPLY (of the last plan) or DESTROY job and follow it
+async function startResourceManagerJob(operation) {
+    if (!resourceManagerStackId) {
+        return;
+    }
+    if (operation === 'APPLY') {
+        if (!resourceManagerPlanJobId) {
+            showNotification('Run a plan and review its output before applying.', 'warning');
+            return;
+        }
+        if (!confirm('Apply the plan shown in the job log? This creates or changes the resources it lists.')) {
+            return;
+        }
+    }
+    if (operation === 'DESTROY' && !confirm('Destroy all resources managed by this stack, including the Container Instance?')) {
+        return;
+    }
+    
+    try {
+        setResourceManagerJobButtons(true);
+        const response = await fetch(buildOCIUrl(`/api/oci/resource-manager/stacks/${encodeURIComponent(resourceManagerStackId)}/jobs`), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                operation,
+                planJobId: operation === 'APPLY' ? resourceManagerPlanJobId : undefined
+            })
+        });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || `Failed to start ${operation} job`);
+        }
+        
+        // A new plan replaces the reviewed one; an apply or destroy uses it up
+        resourceManagerPlanJobId = null;
+        document.getElementById('resourceManagerJobLog').textContent = '';
+        showNotification(`Resource Manager ${operation} job started`, 'info');
+        await pollResourceManagerJob(data.data.id, 0);
+    } catch (error) {
+        console.error('Error starting Resource Manager job:', error);
+        showNotification(`Error starting ${operation} job: ${error.message}`, 'error');
+        setResourceManagerJobButtons(false);
+    }
+}
+
+// Point the stack at the instance a succeeded apply created or kept, so the details view still finds it
+async function syncResourceManagerStackInstance(jobId) {
+    try {
+        const response = await fetch(buildOCIUrl(`/api/oci/resource-manager/jobs/${encodeURIComponent(jobId)}/sync-instance`), {
+            method: 'POST'
+        });
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to update the stack instance');
+        }
+        if (data.data.instanceId) {
+            delete resourceManagerStackCache[data.data.instanceId];
+        }
+    } catch (error) {
+        console.error('Error updating the Resource Manager stack instance:', error);
+    }
+}
+
+// Append new job log lines and refresh the job state until the job finishes
+async function pollResourceManagerJob(jobId, logCount) {
+    resourceManagerJobPollTimer = null;
+    const statusElement = document.getElementById('resourceManagerJobStatus');
+    const logElement = document.getElementById('resourceManagerJobLog');
+    
+    try {
+        const logsResponse = await fetch(buildOCIUrl(`/api/oci/resource-manager/jobs/${encodeURIComponent(jobId)}/logs`, { after: logCount }));
+        const logsData = await logsResponse.json();
+        if (logsData.success) {
+            const newLines = logsData.data.entries.map(entry => entry.message).join('\n');
+            if (newLines) {
+                logElement.textContent += `${logElement.textContent ? '\n' : ''}${newLines}`;
+                logElement.scrollTop = logElement.scrollHeight;
+            }
+            logCount = logsData.data.total;
+        }
+        
+        const jobResponse = await fetch(buildOCIUrl(`/api/oci/resource-manager/jobs/${encodeURIComponent(jobId)}`));
+        const jobData = await jobResponse.json();
+        if (!jobData.success) {
+            throw new Error(jobData.error || 'Failed to get job state');
+        }
+        const job = jobData.data;
+        statusElement.innerHTML = `${escapeHtml(job.operation)} ${getStateBadgeHtml(job.lifecycleState)} <small class="text-muted">${escapeHtml(job.id)}</small>`;
+        
+        if (!RESOURCE_MANAGER_FINISHED_JOB_STATES.includes(job.lifecycleState)) {
+            resourceManagerJobPollTimer = setTimeout(() => pollResourceManagerJob(jobId, logCount), RESOURCE_MANAGER_JOB_POLL_MS);
+            return;
+        }
+        
+        if (job.operation === 'APPLY' && job.lifecycleState === 'SUCCEEDED') {
+            await syncResourceManagerStackInstance(job.id);
+        }
+        loadResourceManagerStackDetails(job.stackId);
+        
+        if (job.lifecycleState === 'SUCCEEDED') {
+            if (job.operation === 'PLAN') {
+                resourceManagerPlanJobId = job.id;
+                showNotification('Plan finished. Review the plan output, then click Apply.', 'success', 8000);
+            } else {
+                showNotification(`Resource Manager ${job.operation} job succeeded`, 'success');
+                await loadContainerInstances();
+            }
+        } else {
+            const reason = job.failureDetails?.message ? `: ${job.failureDetails.message}` : '';
+            showNotification(`Resource Manager ${job.operation} job ${job.lifecycleState.toLowerCase()}${reason}`, 'error', 10000);
+        }
+        setResourceManagerJobButtons(false);
+    } catch (error) {
+        console.error('Error polling Resource Manager job:', error);
+        showNotification(`Error following Resource Manager job: ${error.message}`, 'error');
+        setResourceManagerJobButtons(false);
+    }
+}
+
 // Delete container instance
 async function deleteContainerInstance(instanceId) {
     if (!confirm('Are you sure you want to delete this container instance?')) {
@@ -5042,11 +5606,11 @@ async function deleteContainerInstance(instanceId) {
 function getStateColor(state) {
     if (!state) return 'secondary';
     const stateLower = state.toLowerCase();
-    if (stateLower === 'active' || stateLower === 'running') return 'success';
-    if (stateLower === 'creating' || stateLower === 'updating' || stateLower === 'inactive') return 'warning';
+    if (stateLower === 'active' || stateLower === 'running' || stateLower === 'succeeded') return 'success';
+    if (stateLower === 'creating' || stateLower === 'updating' || stateLower === 'inactive' || stateLower === 'accepted' || stateLower === 'in_progress' || stateLower === 'canceling') return 'warning';
     if (stateLower === 'stopped' || stateLower === 'stopping') return 'info';
     if (stateLower === 'failed' || stateLower === 'deleting') return 'danger';
-    if (stateLower === 'deleted') return 'secondary';
+    if (stateLower === 'deleted' || stateLower === 'canceled') return 'secondary';
     return 'secondary';
 }
 
@@ -5054,7 +5618,7 @@ function getStateColor(state) {
 function shouldShowSpinner(state) {
     if (!state) return false;
     const stateLower = state.toLowerCase();
-    return stateLower === 'creating' || stateLower === 'updating' || stateLower === 'deleting';
+    return stateLower === 'creating' || stateLower === 'updating' || stateLower === 'deleting' || stateLower === 'accepted' || stateLower === 'in_progress';
 }
 
 // Get state badge HTML with optional spinner
@@ -5121,8 +5685,9 @@ const shapeConfigs = {
 };
 
 async function showCreateContainerInstanceModal() {
-    // Reset form and containers
+    // Reset form, containers and registry credentials
     containersData = [];
+    imagePullSecretsData = [];
     document.getElementById('createContainerInstanceForm').reset();
     
     // Load ports and volumes for the current CI name (projectName) from localStorage
@@ -5173,6 +5738,7 @@ async function showCreateContainerInstanceModal() {
     document.getElementById('ciShape').value = 'CI.Standard.E4.Flex';
     document.getElementById('ciShapeMemory').value = '16';
     document.getElementById('ciShapeOcpus').value = '1';
+    document.getElementById('ciRestartPolicy').value = 'NEVER';
     // Set default architecture to x86
     const archX86 = document.getElementById('ciArchX86');
     const archARM64 = document.getElementById('ciArchARM64');
@@ -5291,6 +5857,7 @@ async function showCreateContainerInstanceModal() {
     updateVolumesTable();
     updatePortsTable();
     updateFileStoragesTable();
+    updateImagePullSecretsTable();
     
     // Show modal
     const modal = new bootstrap.Modal(document.getElementById('createContainerInstanceModal'));
@@ -5438,6 +6005,15 @@ function addContainerToTable() {
     // Update port dropdown
     updateContainerPortDropdown();
     
+    // Volume mount fields
+    populateContainerVolumeMountFields(null);
+
+    // Health check fields
+    populateHealthCheckFields();
+
+    // Security context fields
+    populateSecurityContextFields();
+
     // Reset tabs to first tab
     const envTab = document.getElementById('env-tab');
     const envPane = document.getElementById('env-pane');
@@ -5452,6 +6028,18 @@ function addContainerToTable() {
     cmdTab.classList.remove('active');
     argsPane.classList.remove('show', 'active');
     cmdPane.classList.remove('show', 'active');
+    const healthTab = document.getElementById('health-tab');
+    const healthPane = document.getElementById('health-pane');
+    const mountsTab = document.getElementById('mounts-tab');
+    const mountsPane = document.getElementById('mounts-pane');
+    if (mountsTab) mountsTab.classList.remove('active');
+    if (mountsPane) mountsPane.classList.remove('show', 'active');
+    if (healthTab) healthTab.classList.remove('active');
+    if (healthPane) healthPane.classList.remove('show', 'active');
+    const securityTab = document.getElementById('security-tab');
+    const securityPane = document.getElementById('security-pane');
+    if (securityTab) securityTab.classList.remove('active');
+    if (securityPane) securityPane.classList.remove('show', 'active');
     
     // Show modal
     const modalElement = document.getElementById('editContainerModal');
@@ -5521,7 +6109,17 @@ function editContainer(index) {
     } else {
         document.getElementById('editContainerCmd').value = '';
     }
+    document.getElementById('editContainerWorkingDir').value = container.workingDirectory || '';
     
+    // Volume mount fields
+    populateContainerVolumeMountFields(container);
+
+    // Health check fields
+    populateHealthCheckFields(container.healthChecks);
+
+    // Security context fields
+    populateSecurityContextFields(container.securityContext);
+
     // Reset tabs to first tab
     const envTab = document.getElementById('env-tab');
     const envPane = document.getElementById('env-pane');
@@ -5536,6 +6134,18 @@ function editContainer(index) {
     cmdTab.classList.remove('active');
     argsPane.classList.remove('show', 'active');
     cmdPane.classList.remove('show', 'active');
+    const healthTab = document.getElementById('health-tab');
+    const healthPane = document.getElementById('health-pane');
+    const mountsTab = document.getElementById('mounts-tab');
+    const mountsPane = document.getElementById('mounts-pane');
+    if (mountsTab) mountsTab.classList.remove('active');
+    if (mountsPane) mountsPane.classList.remove('show', 'active');
+    if (healthTab) healthTab.classList.remove('active');
+    if (healthPane) healthPane.classList.remove('show', 'active');
+    const securityTab = document.getElementById('security-tab');
+    const securityPane = document.getElementById('security-pane');
+    if (securityTab) securityTab.classList.remove('active');
+    if (securityPane) securityPane.classList.remove('show', 'active');
     
     const modalElement = document.getElementById('editContainerModal');
     const modal = new bootstrap.Modal(modalElement);
@@ -5558,33 +6168,307 @@ function deleteContainer(index) {
     }
 }
 
-function saveEditedContainer() {
-    const form = document.getElementById('editContainerForm');
-    if (!form.checkValidity()) {
-        form.reportValidity();
+// Original mounts of the container being edited (keeps subPath/isReadOnly of selected mounts)
+let editingContainerVolumeMounts = [];
+
+// Volumes and file systems of a CI in the details modal
+function getDetailsStorageSources(instanceId) {
+    const config = getConfiguration();
+    const saved = loadPortsAndVolumesForCINameForDetails(config.projectName || currentEditingInstance?.displayName);
+    const detailsFileStorages = window[`detailsFileStorages_${instanceId}`];
+    return {
+        volumes: window[`detailsVolumes_${instanceId}`] || [],
+        fileStorages: Array.isArray(detailsFileStorages) ? detailsFileStorages : (saved.fileStorages || [])
+    };
+}
+
+function populateContainerVolumeMountFields(container, sourceVolumes = volumesData, sourceFileStorages = fileStoragesData) {
+    const listDiv = document.getElementById('editContainerVolumeMounts');
+    const availableMounts = [
+        ...buildEmptyDirVolumeMounts(sourceVolumes).map(mount => ({ ...mount, type: 'Volume' })),
+        ...buildFileStorageVolumeMounts(sourceFileStorages).map(mount => ({ ...mount, type: 'File System' }))
+    ];
+    
+    // New containers start without mounts, containers without a selection mount everything
+    const volumeMounts = container ? container.volumeMounts : [];
+    editingContainerVolumeMounts = Array.isArray(volumeMounts) ? volumeMounts : availableMounts;
+    
+    if (availableMounts.length === 0) {
+        listDiv.innerHTML = '<p class="text-muted small mb-1">No volumes or file systems added yet.</p>';
         return;
     }
     
-    const index = document.getElementById('editContainerIndex').value;
-    const container = {
-        displayName: document.getElementById('editContainerName').value.trim(),
-        imageUrl: document.getElementById('editContainerImage').value.trim(),
-        resourceConfig: {
-            memoryInGBs: parseFloat(document.getElementById('editContainerMemory').value),
-            vcpus: parseFloat(document.getElementById('editContainerVcpus').value)
+    listDiv.innerHTML = availableMounts.map(mount => {
+        const selected = editingContainerVolumeMounts.find(m => m.volumeName === mount.volumeName);
+        const volumeName = escapeHtml(mount.volumeName);
+        const mountPath = escapeHtml((selected && selected.mountPath) || mount.mountPath || '');
+        return `
+            <div class="input-group input-group-sm mb-2">
+                <div class="input-group-text">
+                    <input class="form-check-input mt-0 container-volume-mount-check" type="checkbox" data-volume-name="${volumeName}" ${selected ? 'checked' : ''}>
+                </div>
+                <span class="input-group-text">${volumeName}&nbsp;<small class="text-muted">(${mount.type})</small></span>
+                <input type="text" class="form-control container-volume-mount-path" data-volume-name="${volumeName}" value="${mountPath}" placeholder="${escapeHtml(mount.mountPath || '')}">
+            </div>
+        `;
+    }).join('');
+}
+
+function readContainerVolumeMountFields() {
+    const volumeMounts = [];
+    document.querySelectorAll('#editContainerVolumeMounts .container-volume-mount-check').forEach(checkbox => {
+        if (!checkbox.checked) return;
+        const volumeName = checkbox.getAttribute('data-volume-name');
+        const pathInput = Array.from(document.querySelectorAll('#editContainerVolumeMounts .container-volume-mount-path'))
+            .find(input => input.getAttribute('data-volume-name') === volumeName);
+        const original = editingContainerVolumeMounts.find(mount => mount.volumeName === volumeName) || {};
+        const volumeMount = {
+            volumeName: volumeName,
+            mountPath: (pathInput && pathInput.value.trim()) || pathInput?.placeholder || ''
+        };
+        if (original.subPath) {
+            volumeMount.subPath = original.subPath;
+        }
+        if (typeof original.isReadOnly === 'boolean') {
+            volumeMount.isReadOnly = original.isReadOnly;
         }
+        volumeMounts.push(volumeMount);
+    });
+    return volumeMounts;
+}
+
+function updateHealthCheckFields() {
+    const type = document.getElementById('editContainerHealthType').value;
+    const toggle = (selector, visible) => {
+        document.querySelectorAll(selector).forEach(el => {
+            el.style.display = visible ? '' : 'none';
+        });
     };
-    
-    // Store selected port index
-    // Store selected port index - handle 0 as valid index
-    const portSelect = document.getElementById('editContainerPort');
-    let portIndex = '';
-    
-    // First, try to get from editing context (set when port was added)
-    if (editingDetailsContext && editingDetailsContext.selectedPortIndex !== undefined) {
-        portIndex = editingDetailsContext.selectedPortIndex.toString();
-        // Clear it after using
-        delete editingDetailsContext.selectedPortIndex;
+    toggle('.health-check-port-field', type === 'HTTP' || type === 'TCP');
+    toggle('.health-check-path-field', type === 'HTTP');
+    toggle('.health-check-command-field', type === 'COMMAND');
+    toggle('.health-check-timing-fields', type !== '');
+}
+
+function populateHealthCheckFields(healthChecks) {
+    // The modal edits the first health check (Compose healthcheck maps to one)
+    const healthCheck = (Array.isArray(healthChecks) && healthChecks[0]) || {};
+    document.getElementById('editContainerHealthType').value = healthCheck.healthCheckType || '';
+    document.getElementById('editContainerHealthPort').value = healthCheck.port || '';
+    document.getElementById('editContainerHealthPath').value = healthCheck.path || '';
+    document.getElementById('editContainerHealthCmd').value = Array.isArray(healthCheck.command) ? healthCheck.command.join(', ') : '';
+    document.getElementById('editContainerHealthInterval').value = healthCheck.intervalInSeconds || 30;
+    document.getElementById('editContainerHealthTimeout').value = healthCheck.timeoutInSeconds || 30;
+    document.getElementById('editContainerHealthRetries').value = healthCheck.failureThreshold || 3;
+    document.getElementById('editContainerHealthDelay').value = healthCheck.initialDelayInSeconds || 0;
+    updateHealthCheckFields();
+}
+
+function formatHealthCheck(healthCheck) {
+    let target = '';
+    if (healthCheck.healthCheckType === 'HTTP') {
+        target = `:${healthCheck.port}${healthCheck.path || '/'}`;
+    } else if (healthCheck.healthCheckType === 'TCP') {
+        target = `:${healthCheck.port}`;
+    } else if (Array.isArray(healthCheck.command)) {
+        target = ` ${healthCheck.command.join(' ')}`;
+    }
+    return `${healthCheck.healthCheckType}${target} (every ${healthCheck.intervalInSeconds || 30}s, timeout ${healthCheck.timeoutInSeconds || 30}s, retries ${healthCheck.failureThreshold || 3})`;
+}
+
+function readHealthCheckFields(containerName) {
+    const type = document.getElementById('editContainerHealthType').value;
+    if (!type) {
+        return [];
+    }
+    
+    const healthCheck = {
+        name: `${containerName}-health`,
+        healthCheckType: type,
+        intervalInSeconds: parseInt(document.getElementById('editContainerHealthInterval').value) || 30,
+        timeoutInSeconds: parseInt(document.getElementById('editContainerHealthTimeout').value) || 30,
+        failureThreshold: parseInt(document.getElementById('editContainerHealthRetries').value) || 3
+    };
+    const initialDelay = parseInt(document.getElementById('editContainerHealthDelay').value);
+    if (initialDelay > 0) {
+        healthCheck.initialDelayInSeconds = initialDelay;
+    }
+    
+    if (type === 'COMMAND') {
+        const command = document.getElementById('editContainerHealthCmd').value.split(',').map(part => part.trim()).filter(part => part.length > 0);
+        if (command.length === 0) {
+            throw new Error('Health check command is required for Command health checks');
+        }
+        healthCheck.command = command;
+    } else {
+        const port = parseInt(document.getElementById('editContainerHealthPort').value);
+        if (!port || port < 1 || port > 65535) {
+            throw new Error(`A valid health check port is required for ${type} health checks`);
+        }
+        healthCheck.port = port;
+        if (type === 'HTTP') {
+            healthCheck.path = document.getElementById('editContainerHealthPath').value.trim() || '/';
+        }
+    }
+    
+    return [healthCheck];
+}
+
+function populateSecurityContextFields(securityContext) {
+    const context = securityContext || {};
+    const capabilities = context.capabilities || {};
+    document.getElementById('editContainerRunAsUser').value = context.runAsUser ?? '';
+    document.getElementById('editContainerRunAsGroup').value = context.runAsGroup ?? '';
+    document.getElementById('editContainerNonRootCheck').checked = context.isNonRootUserCheckEnabled === true;
+    document.getElementById('editContainerReadOnlyRootFs').checked = context.isRootFileSystemReadonly === true;
+    document.getElementById('editContainerCapAdd').value = (capabilities.addCapabilities || []).join(', ');
+    document.getElementById('editContainerCapDrop').value = (capabilities.dropCapabilities || []).join(', ');
+}
+
+// Short description of a security context for the container tables and summary
+function formatSecurityContext(securityContext) {
+    if (!securityContext) {
+        return '';
+    }
+    const parts = [];
+    if (securityContext.runAsUser !== undefined && securityContext.runAsUser !== null) {
+        const group = securityContext.runAsGroup !== undefined && securityContext.runAsGroup !== null ? `:${securityContext.runAsGroup}` : '';
+        parts.push(`user ${securityContext.runAsUser}${group}`);
+    } else if (securityContext.runAsGroup !== undefined && securityContext.runAsGroup !== null) {
+        parts.push(`group ${securityContext.runAsGroup}`);
+    }
+    if (securityContext.isNonRootUserCheckEnabled) parts.push('non-root');
+    if (securityContext.isRootFileSystemReadonly) parts.push('read-only root');
+    const capabilities = securityContext.capabilities || {};
+    if (capabilities.addCapabilities && capabilities.addCapabilities.length > 0) parts.push(`+${capabilities.addCapabilities.join(' +')}`);
+    if (capabilities.dropCapabilities && capabilities.dropCapabilities.length > 0) parts.push(`-${capabilities.dropCapabilities.join(' -')}`);
+    return parts.join(', ');
+}
+
+function readSecurityContextFields() {
+    const readId = (id, label) => {
+        const value = document.getElementById(id).value.trim();
+        if (value === '') {
+            return undefined;
+        }
+        if (!/^\d+$/.test(value)) {
+            throw new Error(`${label} must be a non-negative number`);
+        }
+        return parseInt(value);
+    };
+    // Capabilities are stored with the CAP_ prefix OCI expects ("NET_ADMIN" -> "CAP_NET_ADMIN")
+    const readCapabilities = id => [...new Set(document.getElementById(id).value.split(',')
+        .map(capability => capability.trim().toUpperCase())
+        .filter(capability => capability.length > 0)
+        .map(capability => (capability === 'ALL' || capability.startsWith('CAP_') ? capability : `CAP_${capability}`)))];
+    
+    const securityContext = { securityContextType: 'LINUX' };
+    const runAsUser = readId('editContainerRunAsUser', 'Run as user');
+    const runAsGroup = readId('editContainerRunAsGroup', 'Run as group');
+    if (runAsUser !== undefined) securityContext.runAsUser = runAsUser;
+    if (runAsGroup !== undefined) securityContext.runAsGroup = runAsGroup;
+    if (document.getElementById('editContainerNonRootCheck').checked) {
+        if (runAsUser === 0) {
+            throw new Error('Run as user 0 (root) can\'t be used with the non-root user check');
+        }
+        securityContext.isNonRootUserCheckEnabled = true;
+    }
+    if (document.getElementById('editContainerReadOnlyRootFs').checked) {
+        securityContext.isRootFileSystemReadonly = true;
+    }
+    const addCapabilities = readCapabilities('editContainerCapAdd');
+    const dropCapabilities = readCapabilities('editContainerCapDrop');
+    if (addCapabilities.length > 0 || dropCapabilities.length > 0) {
+        securityContext.capabilities = {};
+        if (addCapabilities.length > 0) securityContext.capabilities.addCapabilities = addCapabilities;
+        if (dropCapabilities.length > 0) securityContext.capabilities.dropCapabilities = dropCapabilities;
+    }
+    
+    return Object.keys(securityContext).length > 1 ? securityContext : null;
+}
+
+// Fill the instance graceful shutdown and DNS inputs (prefix 'ci' for the create modal, 'details' for edit mode)
+function populateInstanceRuntimeFields(prefix, instance) {
+    const settings = instance || {};
+    const dnsConfig = settings.dnsConfig || {};
+    const timeout = settings.gracefulShutdownTimeoutInSeconds;
+    document.getElementById(`${prefix}GracefulShutdown`).value = timeout !== undefined && timeout !== null ? timeout : '';
+    document.getElementById(`${prefix}DnsNameservers`).value = (dnsConfig.nameservers || []).join(', ');
+    document.getElementById(`${prefix}DnsSearches`).value = (dnsConfig.searches || []).join(', ');
+    document.getElementById(`${prefix}DnsOptions`).value = (dnsConfig.options || []).join(', ');
+}
+
+// Short description of a DNS config for the details view and summary
+function formatDnsConfig(dnsConfig) {
+    if (!dnsConfig) {
+        return '';
+    }
+    const parts = [];
+    if (dnsConfig.nameservers && dnsConfig.nameservers.length > 0) parts.push(dnsConfig.nameservers.join(', '));
+    if (dnsConfig.searches && dnsConfig.searches.length > 0) parts.push(`search ${dnsConfig.searches.join(' ')}`);
+    if (dnsConfig.options && dnsConfig.options.length > 0) parts.push(`options ${dnsConfig.options.join(' ')}`);
+    return parts.join('; ');
+}
+
+// Read the instance graceful shutdown timeout and DNS config, throws on invalid values
+function readInstanceRuntimeFields(prefix) {
+    const readList = id => document.getElementById(id).value.split(',')
+        .map(item => item.trim())
+        .filter(item => item.length > 0);
+    
+    const settings = { gracefulShutdownTimeoutInSeconds: null, dnsConfig: null };
+    const timeout = document.getElementById(`${prefix}GracefulShutdown`).value.trim();
+    if (timeout !== '') {
+        if (!/^\d+$/.test(timeout)) {
+            throw new Error('Graceful shutdown timeout must be a non-negative number of seconds');
+        }
+        settings.gracefulShutdownTimeoutInSeconds = parseInt(timeout);
+    }
+    
+    const nameservers = readList(`${prefix}DnsNameservers`);
+    const invalidNameserver = nameservers.find(nameserver => !/^[0-9a-fA-F:.]+$/.test(nameserver));
+    if (invalidNameserver) {
+        throw new Error(`DNS nameserver "${invalidNameserver}" must be an IP address`);
+    }
+    const dnsConfig = {};
+    const searches = readList(`${prefix}DnsSearches`);
+    const options = readList(`${prefix}DnsOptions`);
+    if (nameservers.length > 0) dnsConfig.nameservers = nameservers;
+    if (searches.length > 0) dnsConfig.searches = searches;
+    if (options.length > 0) dnsConfig.options = options;
+    if (Object.keys(dnsConfig).length > 0) {
+        settings.dnsConfig = dnsConfig;
+    }
+    return settings;
+}
+
+function saveEditedContainer() {
+    const form = document.getElementById('editContainerForm');
+    if (!form.checkValidity()) {
+        form.reportValidity();
+        return;
+    }
+    
+    const index = document.getElementById('editContainerIndex').value;
+    const container = {
+        displayName: document.getElementById('editContainerName').value.trim(),
+        imageUrl: document.getElementById('editContainerImage').value.trim(),
+        resourceConfig: {
+            memoryInGBs: parseFloat(document.getElementById('editContainerMemory').value),
+            vcpus: parseFloat(document.getElementById('editContainerVcpus').value)
+        }
+    };
+    
+    // Store selected port index
+    // Store selected port index - handle 0 as valid index
+    const portSelect = document.getElementById('editContainerPort');
+    let portIndex = '';
+    
+    // First, try to get from editing context (set when port was added)
+    if (editingDetailsContext && editingDetailsContext.selectedPortIndex !== undefined) {
+        portIndex = editingDetailsContext.selectedPortIndex.toString();
+        // Clear it after using
+        delete editingDetailsContext.selectedPortIndex;
     }
     
     // If not in context, try reading from dropdown
@@ -5655,6 +6539,34 @@ function saveEditedContainer() {
         container.command = cmdStr.split(',').map(cmd => cmd.trim()).filter(cmd => cmd.length > 0);
     }
     
+    // Working directory (image default if empty)
+    const workingDir = document.getElementById('editContainerWorkingDir').value.trim();
+    if (workingDir) {
+        if (!workingDir.startsWith('/')) {
+            showNotification('Working directory must be an absolute path', 'error');
+            return;
+        }
+        container.workingDirectory = workingDir;
+    }
+    
+    // Volume mounts (only the selected volumes are mounted into this container)
+    container.volumeMounts = readContainerVolumeMountFields();
+    
+    // Health check
+    try {
+        const healthChecks = readHealthCheckFields(container.displayName);
+        if (healthChecks.length > 0) {
+            container.healthChecks = healthChecks;
+        }
+        const securityContext = readSecurityContextFields();
+        if (securityContext) {
+            container.securityContext = securityContext;
+        }
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+    
     // Check if we're editing in details modal context
     if (editingDetailsContext && editingDetailsContext.type === 'details') {
         const instanceId = editingDetailsContext.instanceId;
@@ -5922,6 +6834,30 @@ function populateAddSidecarModal() {
     `).join('');
 }
 
+// Volumes a sidecar mounts: its saved defaults (default sidecars) or its own list, without disabled ones
+function getEnabledSidecarVolumes(sidecar, sidecarVolumes) {
+    if (!Array.isArray(sidecarVolumes) || sidecarVolumes.length === 0) {
+        return [];
+    }
+    if (sidecar.isDefault) {
+        try {
+            const savedDefaults = localStorage.getItem(`sidecarDefaults_${sidecar.id}`);
+            if (savedDefaults) {
+                const defaults = JSON.parse(savedDefaults);
+                if (defaults.volumes && defaults.volumes.length > 0) {
+                    // Use volumes from defaults, filtering by enabled flag
+                    return defaults.volumes.filter(vol => vol.enabled !== false);
+                }
+            }
+        } catch (error) {
+            console.error('Error loading sidecar volume defaults:', error);
+        }
+        return sidecarVolumes;
+    }
+    // For custom sidecars, filter by enabled flag directly from volumes
+    return sidecarVolumes.filter(vol => vol.enabled !== false);
+}
+
 function addSidecar(index) {
     const sidecar = sidecars[index];
     if (!sidecar) return;
@@ -5997,30 +6933,21 @@ function addSidecar(index) {
     // Skip volume merging if CI was created from Docker Compose (check parsedComposeData for create flow)
     const isComposeImport = parsedComposeData !== null;
     
-    // Ensure volumes is an array
-    const sidecarVolumes = effectiveSidecar.volumes || sidecar.volumes || [];
+    const enabledVolumes = getEnabledSidecarVolumes(sidecar, effectiveSidecar.volumes || sidecar.volumes || []);
+    const sidecarVolumeMounts = []; // The sidecar only mounts its own volumes
     
-    if (!isComposeImport && Array.isArray(sidecarVolumes) && sidecarVolumes.length > 0) {
-        // Get enabled volumes from defaults if available
-        let enabledVolumes = sidecarVolumes;
-        if (sidecar.isDefault) {
-            try {
-                const savedDefaults = localStorage.getItem(`sidecarDefaults_${sidecar.id}`);
-                if (savedDefaults) {
-                    const defaults = JSON.parse(savedDefaults);
-                    if (defaults.volumes && defaults.volumes.length > 0) {
-                        // Use volumes from defaults, filtering by enabled flag
-                        enabledVolumes = defaults.volumes.filter(vol => vol.enabled !== false);
-                    }
-                }
-            } catch (error) {
-                console.error('Error loading sidecar volume defaults:', error);
+    if (isComposeImport) {
+        // Compose volumes stay as imported; the sidecar mounts the ones at its volume paths
+        enabledVolumes.forEach(sidecarVolume => {
+            const volumeIndex = volumesData.findIndex(v => v.path === sidecarVolume.path);
+            if (sidecarVolume.path && volumeIndex !== -1) {
+                sidecarVolumeMounts.push({
+                    volumeName: (volumesData[volumeIndex].name && volumesData[volumeIndex].name.trim()) || `volume-${volumeIndex}`,
+                    mountPath: sidecarVolume.path
+                });
             }
-        } else {
-            // For custom sidecars, filter by enabled flag directly from volumes
-            enabledVolumes = sidecarVolumes.filter(vol => vol.enabled !== false);
-        }
-        
+        });
+    } else if (enabledVolumes.length > 0) {
         enabledVolumes.forEach(sidecarVolume => {
             if (sidecarVolume.path) {
                 // Check if volume with same path already exists
@@ -6037,6 +6964,11 @@ function addSidecar(index) {
                         volumesData[existingVolumeIndex].name = sidecarVolume.name.trim();
                     }
                 }
+                const volumeIndex = volumesData.findIndex(v => v.path === sidecarVolume.path);
+                sidecarVolumeMounts.push({
+                    volumeName: (volumesData[volumeIndex].name && volumesData[volumeIndex].name.trim()) || `volume-${volumeIndex}`,
+                    mountPath: sidecarVolume.path
+                });
             }
         });
         
@@ -6107,6 +7039,8 @@ function addSidecar(index) {
             vcpus: parseFloat(effectiveSidecar.ocpu || '1')
         },
         environmentVariables: environmentVariables,
+        // Without mounts of its own the sidecar keeps the default of mounting every volume
+        volumeMounts: sidecarVolumeMounts.length > 0 ? sidecarVolumeMounts : undefined,
         portIndex: portIndex !== null ? portIndex.toString() : null
     };
     
@@ -6256,27 +7190,9 @@ function addSidecarToDetails(index) {
     // Merge volumes from sidecar into volumesData (avoid duplicates by path)
     // Always allow volume merging when editing an existing CI (even if originally created from compose)
     let detailsVolumes = window[`detailsVolumes_${instanceId}`] || [];
-    if (effectiveSidecar.volumes && Array.isArray(effectiveSidecar.volumes) && effectiveSidecar.volumes.length > 0) {
-        // Get enabled volumes from defaults if available
-        let enabledVolumes = effectiveSidecar.volumes;
-        if (sidecar.isDefault) {
-            try {
-                const savedDefaults = localStorage.getItem(`sidecarDefaults_${sidecar.id}`);
-                if (savedDefaults) {
-                    const defaults = JSON.parse(savedDefaults);
-                    if (defaults.volumes && defaults.volumes.length > 0) {
-                        // Use volumes from defaults, filtering by enabled flag
-                        enabledVolumes = defaults.volumes.filter(vol => vol.enabled !== false);
-                    }
-                }
-            } catch (error) {
-                console.error('Error loading sidecar volume defaults:', error);
-            }
-        } else {
-            // For custom sidecars, filter by enabled flag directly from volumes
-            enabledVolumes = effectiveSidecar.volumes.filter(vol => vol.enabled !== false);
-        }
-        
+    const sidecarVolumeMounts = []; // The sidecar only mounts its own volumes
+    const enabledVolumes = getEnabledSidecarVolumes(sidecar, effectiveSidecar.volumes);
+    if (enabledVolumes.length > 0) {
         enabledVolumes.forEach(sidecarVolume => {
             if (sidecarVolume.path) {
                 // Check if volume with same path already exists
@@ -6293,6 +7209,11 @@ function addSidecarToDetails(index) {
                         detailsVolumes[existingVolumeIndex].name = sidecarVolume.name.trim();
                     }
                 }
+                const volumeIndex = detailsVolumes.findIndex(v => v.path === sidecarVolume.path);
+                sidecarVolumeMounts.push({
+                    volumeName: (detailsVolumes[volumeIndex].name && detailsVolumes[volumeIndex].name.trim()) || `volume-${volumeIndex}`,
+                    mountPath: sidecarVolume.path
+                });
             }
         });
         
@@ -6322,6 +7243,8 @@ function addSidecarToDetails(index) {
             vcpus: parseFloat(effectiveSidecar.ocpu || '1')
         },
         environmentVariables: environmentVariables,
+        // Without mounts of its own the sidecar keeps the default of mounting every volume
+        volumeMounts: sidecarVolumeMounts.length > 0 ? sidecarVolumeMounts : undefined,
         lifecycleState: 'ACTIVE',
         portIndex: portIndex !== null ? portIndex.toString() : null
     };
@@ -6977,6 +7900,7 @@ function saveCustomSidecar() {
 function addVolumeToTable() {
     document.getElementById('editVolumeForm').reset();
     document.getElementById('editVolumeIndex').value = '';
+    populateVolumeTypeFields();
     const volumeModalTitle = document.querySelector('#editVolumeModal .modal-title');
     if (volumeModalTitle) volumeModalTitle.textContent = 'Add Volume';
     
@@ -7000,6 +7924,7 @@ function editVolume(index) {
     document.getElementById('editVolumeIndex').value = index;
     document.getElementById('editVolumeName').value = volume.name || '';
     document.getElementById('editVolumePath').value = volume.path || '';
+    populateVolumeTypeFields(volume);
     const volumeModalTitle = document.querySelector('#editVolumeModal .modal-title');
     if (volumeModalTitle) volumeModalTitle.textContent = 'Edit Volume';
     
@@ -7017,6 +7942,39 @@ function editVolume(index) {
     modal.show();
 }
 
+// Show the fields of the selected volume type in the volume modal
+function updateVolumeTypeFields() {
+    const isConfigFile = document.getElementById('editVolumeType').value === 'CONFIGFILE';
+    document.querySelectorAll('#editVolumeModal .volume-emptydir-field').forEach(field => {
+        field.style.display = isConfigFile ? 'none' : '';
+    });
+    document.querySelectorAll('#editVolumeModal .volume-configfile-field').forEach(field => {
+        field.style.display = isConfigFile ? '' : 'none';
+    });
+}
+
+// Fill the volume modal's type, backing store and config file fields (single file per config volume)
+function populateVolumeTypeFields(volume = {}) {
+    const config = (volume.configs || [])[0] || {};
+    document.getElementById('editVolumeType').value = volume.volumeType === 'CONFIGFILE' ? 'CONFIGFILE' : 'EMPTYDIR';
+    document.getElementById('editVolumeBackingStore').value = volume.backingStore || 'EPHEMERAL_STORAGE';
+    document.getElementById('editVolumeConfigFileName').value = config.fileName || '';
+    document.getElementById('editVolumeConfigContent').value = config.data ? decodeBase64Text(config.data) : '';
+    document.getElementById('editVolumeConfigUpload').value = '';
+    updateVolumeTypeFields();
+}
+
+// Load an uploaded file into the volume modal's config file content
+async function loadVolumeConfigFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    document.getElementById('editVolumeConfigContent').value = await file.text();
+    const fileNameInput = document.getElementById('editVolumeConfigFileName');
+    if (!fileNameInput.value.trim()) {
+        fileNameInput.value = file.name;
+    }
+}
+
 function deleteVolume(index) {
     if (confirm('Are you sure you want to delete this volume?')) {
         volumesData.splice(index, 1);
@@ -7029,6 +7987,21 @@ function deleteVolume(index) {
     }
 }
 
+// Keep the container mount selections pointing at a volume when it is renamed
+function renameContainerVolumeMounts(containers, oldVolume, newVolume, index) {
+    const oldName = (oldVolume?.name && oldVolume.name.trim()) || `volume-${index}`;
+    const newName = (newVolume.name && newVolume.name.trim()) || `volume-${index}`;
+    if (oldName === newName) return;
+    
+    (containers || []).forEach(container => {
+        (container.volumeMounts || []).forEach(mount => {
+            if (mount.volumeName === oldName) {
+                mount.volumeName = newName;
+            }
+        });
+    });
+}
+
 function saveEditedVolume() {
     const form = document.getElementById('editVolumeForm');
     if (!form.checkValidity()) {
@@ -7046,6 +8019,22 @@ function saveEditedVolume() {
         volume.name = name;
     }
     
+    // Config files keep their content inline; only memory-backed empty directories record a backing store
+    if (document.getElementById('editVolumeType').value === 'CONFIGFILE') {
+        const fileName = document.getElementById('editVolumeConfigFileName').value.trim();
+        if (!fileName || fileName.includes('/')) {
+            showNotification('Please enter a config file name (without a directory)', 'error');
+            return;
+        }
+        volume.volumeType = 'CONFIGFILE';
+        volume.configs = [{
+            fileName: fileName,
+            data: encodeBase64Text(document.getElementById('editVolumeConfigContent').value)
+        }];
+    } else if (document.getElementById('editVolumeBackingStore').value === 'MEMORY') {
+        volume.backingStore = 'MEMORY';
+    }
+    
     // Check if we're editing in details modal context
     if (editingDetailsContext && editingDetailsContext.type === 'details' && editingDetailsContext.itemType === 'volume') {
         const instanceId = editingDetailsContext.instanceId;
@@ -7054,6 +8043,7 @@ function saveEditedVolume() {
         if (index === '' || index === null) {
             volumes.push(volume);
         } else {
+            renameContainerVolumeMounts(window[`detailsContainers_${instanceId}`], volumes[parseInt(index)], volume, parseInt(index));
             volumes[parseInt(index)] = volume;
         }
         
@@ -7072,7 +8062,7 @@ function saveEditedVolume() {
         const config = getConfiguration();
         if (config.projectName) {
             const existingData = loadPortsAndVolumesForCINameForDetails(config.projectName);
-            volumesData = volumes.map(v => ({ name: v.name, path: v.path }));
+            volumesData = volumes.map(v => ({ name: v.name, path: v.path, ...pickVolumeSettings(v) }));
             portsData = existingData.ports || [];
             fileStoragesData = existingData.fileStorages || [];
             savePortsAndVolumesForCIName(config.projectName);
@@ -7093,6 +8083,7 @@ function saveEditedVolume() {
         if (index === '' || index === null) {
             volumesData.push(volume);
         } else {
+            renameContainerVolumeMounts(containersData, volumesData[parseInt(index)], volume, parseInt(index));
             volumesData[parseInt(index)] = volume;
         }
         
@@ -7137,7 +8128,7 @@ function updateVolumesTable() {
                                 data-bs-placement="top" 
                                 data-bs-title="${escapedPath}"
                                 style="cursor: default;"
-                            >${escapeHtml(displayText)}</span>
+                            >${escapeHtml(displayText)}</span>${volume.backingStore === 'MEMORY' ? ' <span class="badge bg-secondary">memory</span>' : ''}${volume.volumeType === 'CONFIGFILE' ? ' <span class="badge bg-info">config</span>' : ''}
                         </td>
                         <td style="border-bottom: 1px solid #dee2e6;">
                             <button type="button" class="btn btn-success btn-sm me-1" onclick="editVolume(${index})"><i class="bi bi-pencil"></i></button>
@@ -7735,6 +8726,219 @@ function updateFileStoragesTable() {
         }
     }
 }
+// Image pull secret (registry credentials) CRUD functions
+// Credentials column text; BASIC secrets read back from OCI have no password and must be re-entered
+function getImagePullSecretCredentialsDisplay(secret) {
+    if (secret.secretType === 'VAULT') {
+        return secret.secretId || 'Vault secret OCID required';
+    }
+    if (!secret.username || !secret.password) {
+        return 'Username and password required';
+    }
+    return `${secret.username} / ********`;
+}
+
+// First image pull secret that can't be sent to OCI as it is (missing credentials)
+function findIncompleteImagePullSecret(secrets = []) {
+    return secrets.find(secret => (secret.secretType === 'VAULT' ? !secret.secretId : !secret.username || !secret.password)) || null;
+}
+
+// Image pull secrets as sent to the create route (plain credentials, the server encodes them)
+function buildImagePullSecretsPayload(secrets = []) {
+    return secrets.map(secret => (secret.secretType === 'VAULT'
+        ? { registryEndpoint: secret.registryEndpoint, secretType: 'VAULT', secretId: secret.secretId }
+        : { registryEndpoint: secret.registryEndpoint, secretType: 'BASIC', username: secret.username, password: secret.password }));
+}
+
+// Image pull secrets of an existing instance (OCI returns the registry and type, plus secretId for VAULT)
+function extractImagePullSecretsFromContainerInstance(instance) {
+    return (instance.imagePullSecrets || []).map(secret => (secret.secretType === 'VAULT'
+        ? { registryEndpoint: secret.registryEndpoint, secretType: 'VAULT', secretId: secret.secretId || '' }
+        : { registryEndpoint: secret.registryEndpoint, secretType: 'BASIC', username: secret.username || '', password: '' }));
+}
+
+function updateImagePullSecretTypeFields() {
+    const isVault = document.getElementById('editImagePullSecretType').value === 'VAULT';
+    document.getElementById('editImagePullSecretBasicFields').style.display = isVault ? 'none' : 'block';
+    document.getElementById('editImagePullSecretVaultFields').style.display = isVault ? 'block' : 'none';
+}
+
+function showImagePullSecretModal(secret, index) {
+    document.getElementById('editImagePullSecretForm').reset();
+    document.getElementById('editImagePullSecretIndex').value = index !== undefined && index !== null ? index : '';
+    document.getElementById('editImagePullSecretEndpoint').value = secret?.registryEndpoint || '';
+    document.getElementById('editImagePullSecretType').value = secret?.secretType || 'BASIC';
+    document.getElementById('editImagePullSecretUsername').value = secret?.username || '';
+    document.getElementById('editImagePullSecretPassword').value = secret?.password || '';
+    document.getElementById('editImagePullSecretSecretId').value = secret?.secretId || '';
+    updateImagePullSecretTypeFields();
+
+    const modalTitle = document.querySelector('#editImagePullSecretModal .modal-title');
+    if (modalTitle) modalTitle.textContent = secret ? 'Edit Registry Credentials' : 'Add Registry Credentials';
+
+    const modalElement = document.getElementById('editImagePullSecretModal');
+    modalElement.addEventListener('hidden.bs.modal', function() {
+        if (editingDetailsContext && editingDetailsContext.type === 'details' && editingDetailsContext.itemType === 'imagePullSecret') {
+            editingDetailsContext = null;
+        }
+    }, { once: true });
+
+    const modal = new bootstrap.Modal(modalElement);
+    modal.show();
+}
+
+function addImagePullSecret() {
+    editingDetailsContext = null;
+    showImagePullSecretModal(null, null);
+}
+
+function editImagePullSecret(index) {
+    const secret = imagePullSecretsData[index];
+    if (!secret) return;
+    editingDetailsContext = null;
+    showImagePullSecretModal(secret, index);
+}
+
+function deleteImagePullSecret(index) {
+    if (confirm('Are you sure you want to delete these registry credentials?')) {
+        imagePullSecretsData.splice(index, 1);
+        updateImagePullSecretsTable();
+    }
+}
+
+function addImagePullSecretToDetails(instanceId) {
+    editingDetailsContext = { type: 'details', instanceId: instanceId, itemType: 'imagePullSecret' };
+    showImagePullSecretModal(null, null);
+}
+
+function editImagePullSecretInDetails(index, instanceId) {
+    const secrets = window[`detailsImagePullSecrets_${instanceId}`] || [];
+    const secret = secrets[index];
+    if (!secret) return;
+    editingDetailsContext = { type: 'details', instanceId: instanceId, index: index, itemType: 'imagePullSecret' };
+    showImagePullSecretModal(secret, index);
+}
+
+function deleteImagePullSecretInDetails(index, instanceId) {
+    const secrets = window[`detailsImagePullSecrets_${instanceId}`] || [];
+    if (!secrets[index]) return;
+
+    if (confirm('Are you sure you want to delete these registry credentials?')) {
+        secrets.splice(index, 1);
+        window[`detailsImagePullSecrets_${instanceId}`] = secrets;
+        refreshDetailsImagePullSecretsTable(instanceId);
+    }
+}
+
+function saveEditedImagePullSecret() {
+    const form = document.getElementById('editImagePullSecretForm');
+    if (!form.checkValidity()) {
+        form.reportValidity();
+        return;
+    }
+
+    const index = document.getElementById('editImagePullSecretIndex').value;
+    const registryEndpoint = document.getElementById('editImagePullSecretEndpoint').value.trim()
+        .replace(/^https?:\/\//i, '')
+        .replace(/\/+$/, '');
+    const secretType = document.getElementById('editImagePullSecretType').value;
+    let secret;
+    if (secretType === 'VAULT') {
+        const secretId = document.getElementById('editImagePullSecretSecretId').value.trim();
+        if (!secretId.startsWith('ocid1.vaultsecret.')) {
+            showNotification('Enter the OCID of the Vault secret holding the registry credentials', 'error');
+            return;
+        }
+        secret = { registryEndpoint, secretType, secretId };
+    } else {
+        const username = document.getElementById('editImagePullSecretUsername').value.trim();
+        const password = document.getElementById('editImagePullSecretPassword').value;
+        if (!username || !password) {
+            showNotification('Username and password are required', 'error');
+            return;
+        }
+        secret = { registryEndpoint, secretType, username, password };
+    }
+
+    const isDetails = editingDetailsContext && editingDetailsContext.type === 'details' && editingDetailsContext.itemType === 'imagePullSecret';
+    const instanceId = isDetails ? editingDetailsContext.instanceId : null;
+    const secrets = isDetails ? (window[`detailsImagePullSecrets_${instanceId}`] || []) : imagePullSecretsData;
+    const duplicate = secrets.some((existing, idx) => existing.registryEndpoint === registryEndpoint && String(idx) !== String(index));
+    if (duplicate) {
+        showNotification(`Registry ${registryEndpoint} already has credentials`, 'error');
+        return;
+    }
+
+    if (index === '' || index === null) {
+        secrets.push(secret);
+    } else {
+        secrets[parseInt(index, 10)] = secret;
+    }
+
+    if (isDetails) {
+        window[`detailsImagePullSecrets_${instanceId}`] = secrets;
+        refreshDetailsImagePullSecretsTable(instanceId);
+        editingDetailsContext = null;
+    } else {
+        updateImagePullSecretsTable();
+    }
+
+    const modal = bootstrap.Modal.getInstance(document.getElementById('editImagePullSecretModal'));
+    modal.hide();
+}
+
+function updateImagePullSecretsTable() {
+    const tbody = document.getElementById('createImagePullSecretsTableBody');
+    if (!tbody) return;
+
+    if (imagePullSecretsData.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" class="text-center text-muted" style="border-bottom: 1px solid #dee2e6;">No registry credentials added yet. Click "Add Registry" to add one.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = imagePullSecretsData.map((secret, index) => {
+        const incomplete = findIncompleteImagePullSecret([secret]) !== null;
+        return `
+            <tr>
+                <td style="border-bottom: 1px solid #dee2e6;"><code>${escapeHtml(secret.registryEndpoint)}</code></td>
+                <td style="border-bottom: 1px solid #dee2e6;">${secret.secretType}</td>
+                <td style="border-bottom: 1px solid #dee2e6;" class="${incomplete ? 'text-danger' : ''}">${escapeHtml(getImagePullSecretCredentialsDisplay(secret))}</td>
+                <td style="border-bottom: 1px solid #dee2e6;">
+                    <button type="button" class="btn btn-success btn-sm me-1" onclick="editImagePullSecret(${index})"><i class="bi bi-pencil"></i></button>
+                    <button type="button" class="btn btn-danger btn-sm" onclick="deleteImagePullSecret(${index})"><i class="bi bi-trash"></i></button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function renderDetailsImagePullSecretRow(secret, idx, instanceId) {
+    const actionsDisplay = isInEditMode ? 'table-cell' : 'none';
+    const incomplete = isInEditMode && findIncompleteImagePullSecret([secret]) !== null;
+    const credentials = secret.secretType === 'VAULT' || isInEditMode ? getImagePullSecretCredentialsDisplay(secret) : (secret.username || 'Username and password');
+
+    return `
+        <tr>
+            <td style="border-bottom: 1px solid #dee2e6;"><code>${escapeHtml(secret.registryEndpoint)}</code></td>
+            <td style="border-bottom: 1px solid #dee2e6;">${secret.secretType}</td>
+            <td style="border-bottom: 1px solid #dee2e6;" class="${incomplete ? 'text-danger' : ''}">${escapeHtml(credentials)}</td>
+            <td id="imagePullSecretActions_${idx}" style="display: ${actionsDisplay}; border-bottom: 1px solid #dee2e6; white-space: nowrap;">
+                <button class="btn btn-success btn-sm me-1" onclick="editImagePullSecretInDetails(${idx}, '${instanceId}')"><i class="bi bi-pencil"></i></button>
+                <button class="btn btn-danger btn-sm" onclick="deleteImagePullSecretInDetails(${idx}, '${instanceId}')"><i class="bi bi-trash"></i></button>
+            </td>
+        </tr>
+    `;
+}
+
+function refreshDetailsImagePullSecretsTable(instanceId) {
+    const tbody = document.getElementById(`detailsImagePullSecretsTableBody_${instanceId}`);
+    if (!tbody) return;
+
+    const secrets = window[`detailsImagePullSecrets_${instanceId}`] || [];
+    tbody.innerHTML = secrets.length > 0
+        ? secrets.map((secret, idx) => renderDetailsImagePullSecretRow(secret, idx, instanceId)).join('')
+        : '<tr><td colspan="4" class="text-center text-muted" style="border-bottom: 1px solid #dee2e6;">No registry credentials</td></tr>';
+}
 
 // Port CRUD functions
 // Show Add Port modal from container edit - handles both CI create and CI edit contexts
@@ -8115,6 +9319,18 @@ function showCISummaryModal() {
         showNotification('Please select a subnet', 'error');
         return;
     }
+    let runtimeSettings;
+    try {
+        runtimeSettings = readInstanceRuntimeFields('ci');
+    } catch (error) {
+        showNotification(error.message, 'error');
+        return;
+    }
+    const incompleteImagePullSecret = findIncompleteImagePullSecret(imagePullSecretsData);
+    if (incompleteImagePullSecret) {
+        showNotification(`Registry ${incompleteImagePullSecret.registryEndpoint} needs its credentials`, 'error');
+        return;
+    }
     
     // Get subnet name for display
     const subnetSelect = document.getElementById('ciSubnetId');
@@ -8133,6 +9349,16 @@ function showCISummaryModal() {
     html += `<dt class="col-sm-4">Architecture:</dt><dd class="col-sm-8">${ciArchitecture}</dd>`;
     html += `<dt class="col-sm-4">Shape Memory:</dt><dd class="col-sm-8">${ciShapeMemory} GB</dd>`;
     html += `<dt class="col-sm-4">Shape OCPUs:</dt><dd class="col-sm-8">${ciShapeOcpus}</dd>`;
+    html += `<dt class="col-sm-4">Restart Policy:</dt><dd class="col-sm-8">${document.getElementById('ciRestartPolicy').value}</dd>`;
+    if (runtimeSettings.gracefulShutdownTimeoutInSeconds !== null) {
+        html += `<dt class="col-sm-4">Shutdown Grace:</dt><dd class="col-sm-8">${runtimeSettings.gracefulShutdownTimeoutInSeconds}s</dd>`;
+    }
+    if (runtimeSettings.dnsConfig) {
+        html += `<dt class="col-sm-4">DNS:</dt><dd class="col-sm-8">${escapeHtml(formatDnsConfig(runtimeSettings.dnsConfig))}</dd>`;
+    }
+    if (imagePullSecretsData.length > 0) {
+        html += `<dt class="col-sm-4">Registries:</dt><dd class="col-sm-8">${imagePullSecretsData.map(secret => `${escapeHtml(secret.registryEndpoint)} (${secret.secretType})`).join(', ')}</dd>`;
+    }
     html += `<dt class="col-sm-4">Compartment:</dt><dd class="col-sm-8">${compartmentName}</dd>`;
     html += '</dl>';
     html += '</div>';
@@ -8192,6 +9418,31 @@ function showCISummaryModal() {
             additionalInfoHtml += `<tr><td colspan="5" class="small text-muted"><strong>Command:</strong> ${container.command.join(', ')}</td></tr>`;
         }
         
+        // Volume Mounts
+        const summaryVolumeMounts = buildContainerVolumeMounts(container);
+        if (summaryVolumeMounts.length > 0) {
+            hasAdditionalInfo = true;
+            additionalInfoHtml += `<tr><td colspan="5" class="small text-muted"><strong>Volumes:</strong> ${summaryVolumeMounts.map(mount => `${escapeHtml(mount.volumeName)} → ${escapeHtml(mount.mountPath)}`).join(', ')}</td></tr>`;
+        }
+        
+        // Health Check
+        if (container.healthChecks && Array.isArray(container.healthChecks) && container.healthChecks.length > 0) {
+            hasAdditionalInfo = true;
+            additionalInfoHtml += `<tr><td colspan="5" class="small text-muted"><strong>Health Check:</strong> ${container.healthChecks.map(formatHealthCheck).join('; ')}</td></tr>`;
+        }
+        
+        // Security Context
+        if (container.securityContext && formatSecurityContext(container.securityContext)) {
+            hasAdditionalInfo = true;
+            additionalInfoHtml += `<tr><td colspan="5" class="small text-muted"><strong>Security:</strong> ${escapeHtml(formatSecurityContext(container.securityContext))}</td></tr>`;
+        }
+        
+        // Working Directory
+        if (container.workingDirectory) {
+            hasAdditionalInfo = true;
+            additionalInfoHtml += `<tr><td colspan="5" class="small text-muted"><strong>Working Directory:</strong> ${escapeHtml(container.workingDirectory)}</td></tr>`;
+        }
+        
         if (hasAdditionalInfo) {
             html += additionalInfoHtml;
         }
@@ -8384,8 +9635,19 @@ async function confirmCreateContainerInstance() {
         if (container.command && Array.isArray(container.command) && container.command.length > 0) {
             cleaned.command = container.command;
         }
-        if (container.volumeMounts && Array.isArray(container.volumeMounts) && container.volumeMounts.length > 0) {
-            cleaned.volumeMounts = container.volumeMounts;
+        // Only the volumes and file systems selected for this container
+        const volumeMounts = buildContainerVolumeMounts(container);
+        if (volumeMounts.length > 0) {
+            cleaned.volumeMounts = volumeMounts;
+        }
+        if (container.healthChecks && Array.isArray(container.healthChecks) && container.healthChecks.length > 0) {
+            cleaned.healthChecks = container.healthChecks;
+        }
+        if (container.securityContext) {
+            cleaned.securityContext = container.securityContext;
+        }
+        if (container.workingDirectory) {
+            cleaned.workingDirectory = container.workingDirectory;
         }
         
         return cleaned;
@@ -8406,10 +9668,22 @@ async function confirmCreateContainerInstance() {
         architecture: ciArchitecture,
         subnetId: primarySubnetId,
         containers: cleanedContainers,
-        containerRestartPolicy: 'NEVER',
+        containerRestartPolicy: document.getElementById('ciRestartPolicy').value || 'NEVER',
         logGroupId: config.logGroupId || null
     };
 
+    // Summary already validated these inputs
+    const runtimeSettings = readInstanceRuntimeFields('ci');
+    if (runtimeSettings.gracefulShutdownTimeoutInSeconds !== null) {
+        payload.gracefulShutdownTimeoutInSeconds = runtimeSettings.gracefulShutdownTimeoutInSeconds;
+    }
+    if (runtimeSettings.dnsConfig) {
+        payload.dnsConfig = runtimeSettings.dnsConfig;
+    }
+    if (imagePullSecretsData.length > 0) {
+        payload.imagePullSecrets = buildImagePullSecretsPayload(imagePullSecretsData);
+    }
+
     if (fileStoragesData.length > 0) {
         payload.vnics = buildVnicsWithFileStorageSubnets(primarySubnetId, fileStoragesData);
     }
@@ -8421,15 +9695,10 @@ async function confirmCreateContainerInstance() {
     }
     
     const storageVolumes = buildAllStorageVolumes();
-    const storageVolumeMounts = buildAllStorageVolumeMounts();
     if (storageVolumes.length > 0) {
         payload.volumes = storageVolumes;
-
-        // Map volumes and file systems to all containers.
-        cleanedContainers.forEach(container => {
-            container.volumeMounts = storageVolumeMounts;
-        });
     }
+    saveContainerMountsForCIName(config.projectName, containersData);
     
     // Note: Ports/ingress IPs are assigned by OCI after container instance creation
     // They cannot be specified during creation - OCI assigns them automatically
@@ -8714,16 +9983,109 @@ if (dataForm) {
 // Store parsed data for import
 let parsedComposeData = null;
 
-// Show Import Docker Compose Modal
-async function showImportDockerComposeModal() {
-    const modal = new bootstrap.Modal(document.getElementById('importDockerComposeModal'));
-    
-    // Reset form
-    document.getElementById('composeYaml').value = '';
-    document.getElementById('composeFileUpload').value = '';
+// Whether the imported Compose file names the CI (top-level name or x-oci displayName)
+let parsedComposeHasDisplayName = false;
+
+// Service hostname references found on parse, as [{ service, field, hostnames, from, to, applied }]
+let parsedHostnameSubstitutions = [];
+
+// Keys of the hostname substitutions left ticked in the import modal (null until one is unticked: apply all)
+let selectedHostnameSubstitutions = null;
+
+// Compose secrets to create in OCI Vault, as [{ name, containerName, secretName, vaultId, keyId, content }]
+let parsedSecretRequests = [];
+
+// Files referenced by service env_file entries, as { fileName: content }
+let composeServiceEnvFiles = {};
+
+// Files referenced by top-level configs and secrets entries, as { fileName: content }
+let composeConfigFiles = {};
+
+// Name of the uploaded base Compose file and ordered override files [{ name, yaml }]
+let composeBaseFileName = 'docker-compose.yml';
+let composeOverrideFiles = [];
+
+// Show override files in merge order in the import modal
+function updateComposeOverrideFilesList() {
+    const list = document.getElementById('composeOverrideFilesList');
+    list.innerHTML = '';
+    composeOverrideFiles.forEach(file => {
+        const li = document.createElement('li');
+        li.textContent = file.name;
+        list.appendChild(li);
+    });
+}
+
+// Files referenced by "extends: { file }", as [{ name, yaml }]
+let composeExtendsFiles = [];
+
+// Show uploaded extends files in the import modal
+function updateComposeExtendsFilesList() {
+    const list = document.getElementById('composeExtendsFilesList');
+    list.innerHTML = '';
+    composeExtendsFiles.forEach(file => {
+        const li = document.createElement('li');
+        li.textContent = file.name;
+        list.appendChild(li);
+    });
+}
+
+// Remove all override files from the import modal
+function clearComposeOverrideFiles() {
+    composeOverrideFiles = [];
+    document.getElementById('composeOverrideFilesUpload').value = '';
+    updateComposeOverrideFilesList();
+}
+
+// Show uploaded env_file names in the import modal
+function updateComposeServiceEnvFilesList() {
+    const list = document.getElementById('composeServiceEnvFilesList');
+    list.innerHTML = '';
+    Object.keys(composeServiceEnvFiles).forEach(fileName => {
+        const li = document.createElement('li');
+        li.textContent = fileName;
+        list.appendChild(li);
+    });
+}
+
+// Show uploaded config file names in the import modal
+function updateComposeConfigFilesList() {
+    const list = document.getElementById('composeConfigFilesList');
+    list.innerHTML = '';
+    Object.keys(composeConfigFiles).forEach(fileName => {
+        const li = document.createElement('li');
+        li.textContent = fileName;
+        list.appendChild(li);
+    });
+}
+
+// Show Import Docker Compose Modal
+async function showImportDockerComposeModal() {
+    const modal = new bootstrap.Modal(document.getElementById('importDockerComposeModal'));
+    
+    // Reset form
+    document.getElementById('composeYaml').value = '';
+    document.getElementById('composeFileUpload').value = '';
+    document.getElementById('composeEnvFile').value = '';
+    document.getElementById('composeEnvFileUpload').value = '';
+    document.getElementById('composeServiceEnvFilesUpload').value = '';
+    composeServiceEnvFiles = {};
+    updateComposeServiceEnvFilesList();
+    document.getElementById('composeConfigFilesUpload').value = '';
+    composeConfigFiles = {};
+    updateComposeConfigFilesList();
+    composeBaseFileName = 'docker-compose.yml';
+    clearComposeOverrideFiles();
+    document.getElementById('composeExtendsFilesUpload').value = '';
+    composeExtendsFiles = [];
+    updateComposeExtendsFilesList();
     document.getElementById('importWarnings').style.display = 'none';
     document.getElementById('importErrors').style.display = 'none';
+    document.getElementById('importHostnameSubstitutions').style.display = 'none';
     parsedComposeData = null;
+    parsedHostnameSubstitutions = [];
+    selectedHostnameSubstitutions = null;
+    parsedSecretRequests = [];
     
     // Load current configuration
     const config = getConfiguration();
@@ -8750,15 +10112,62 @@ async function showImportDockerComposeModal() {
     // Set dependency delay (default: 10)
     document.getElementById('importDependencyDelay').value = 10;
     
+    // No profiles active by default (only services without profiles are imported)
+    document.getElementById('importProfiles').value = '';
+    
     // Handle file upload
     document.getElementById('composeFileUpload').addEventListener('change', async function(e) {
         const file = e.target.files[0];
         if (file) {
             const text = await file.text();
             document.getElementById('composeYaml').value = text;
+            composeBaseFileName = file.name;
         }
     });
     
+    // Handle override file uploads (appended in the order they are added)
+    document.getElementById('composeOverrideFilesUpload').onchange = async function(e) {
+        for (const file of Array.from(e.target.files)) {
+            composeOverrideFiles.push({ name: file.name, yaml: await file.text() });
+        }
+        e.target.value = '';
+        updateComposeOverrideFilesList();
+    };
+    
+    // Handle .env file upload
+    document.getElementById('composeEnvFileUpload').onchange = async function(e) {
+        const file = e.target.files[0];
+        if (file) {
+            document.getElementById('composeEnvFile').value = await file.text();
+        }
+    };
+    
+    // Handle extends file uploads (replacing files with the same name)
+    document.getElementById('composeExtendsFilesUpload').onchange = async function(e) {
+        for (const file of Array.from(e.target.files)) {
+            const yaml = await file.text();
+            composeExtendsFiles = composeExtendsFiles.filter(existing => existing.name !== file.name);
+            composeExtendsFiles.push({ name: file.name, yaml: yaml });
+        }
+        updateComposeExtendsFilesList();
+    };
+    
+    // Handle service env_file uploads (several files can be selected)
+    document.getElementById('composeServiceEnvFilesUpload').onchange = async function(e) {
+        for (const file of Array.from(e.target.files)) {
+            composeServiceEnvFiles[file.name] = await file.text();
+        }
+        updateComposeServiceEnvFilesList();
+    };
+    
+    // Handle config file uploads (several files can be selected)
+    document.getElementById('composeConfigFilesUpload').onchange = async function(e) {
+        for (const file of Array.from(e.target.files)) {
+            composeConfigFiles[file.name] = await file.text();
+        }
+        updateComposeConfigFilesList();
+    };
+    
     modal.show();
 }
 
@@ -8870,10 +10279,18 @@ async function parseDockerCompose() {
     const subnetId = document.getElementById('importSubnetId').value;
     const architecture = document.querySelector('input[name="importArchitecture"]:checked')?.value || 'x86';
     const dependencyDelaySeconds = parseInt(document.getElementById('importDependencyDelay').value) || 10;
+    const envFileText = document.getElementById('composeEnvFile').value;
+    const profiles = document.getElementById('importProfiles').value
+        .split(',')
+        .map(profile => profile.trim())
+        .filter(Boolean);
+    
+    const rewriteServiceHostnames = document.getElementById('importRewriteServiceHostnames').checked;
     
     // Hide previous errors/warnings
     document.getElementById('importWarnings').style.display = 'none';
     document.getElementById('importErrors').style.display = 'none';
+    document.getElementById('importHostnameSubstitutions').style.display = 'none';
     
     // Validate inputs
     if (!yamlText) {
@@ -8895,12 +10312,19 @@ async function parseDockerCompose() {
             'Content-Type': 'application/json'
         },
         body: JSON.stringify({
-            yaml: yamlText,
+            files: [{ name: composeBaseFileName, yaml: yamlText }, ...composeOverrideFiles],
+            extendsFiles: composeExtendsFiles,
+            envFile: envFileText,
+            envFiles: composeServiceEnvFiles,
+            configFiles: composeConfigFiles,
+            profiles: profiles,
             ociConfig: {
                 compartmentId: compartmentId,
                 subnetId: subnetId,
                 architecture: architecture,
-                dependencyDelaySeconds: dependencyDelaySeconds
+                dependencyDelaySeconds: dependencyDelaySeconds,
+                rewriteServiceHostnames: rewriteServiceHostnames,
+                hostnameSubstitutions: selectedHostnameSubstitutions || undefined
             }
         })
     });
@@ -8908,11 +10332,17 @@ async function parseDockerCompose() {
     const data = await response.json();
     
     if (!data.success) {
-        throw new Error(data.error || 'Failed to parse Docker Compose');
+        const parseError = new Error(data.error || 'Failed to parse Docker Compose');
+        parseError.details = data.errors || [];
+        throw parseError;
     }
     
     // Store parsed data
     parsedComposeData = data.payload;
+    parsedComposeHasDisplayName = Boolean(data.hasComposeDisplayName);
+    parsedHostnameSubstitutions = data.hostnameSubstitutions || [];
+    parsedSecretRequests = data.secretRequests || [];
+    showHostnameSubstitutions(parsedHostnameSubstitutions);
     
     // Show warnings if any
     if (data.warnings && data.warnings.length > 0) {
@@ -8926,16 +10356,102 @@ async function parseDockerCompose() {
         document.getElementById('importWarnings').style.display = 'block';
     }
     
+    if (data.missingEnvFiles && data.missingEnvFiles.length > 0) {
+        showNotification(`Missing env_file(s): ${data.missingEnvFiles.join(', ')}. Upload them to include their variables.`, 'warning');
+    }
+    
+    if (data.missingConfigFiles && data.missingConfigFiles.length > 0) {
+        showNotification(`Missing config or secret file(s): ${data.missingConfigFiles.join(', ')}. Upload them to include their content.`, 'warning');
+    }
+    
     return parsedComposeData;
 }
 
-// Show import error
-function showImportError(message) {
+// List service hostname substitutions (applied or only found) in the import modal for review;
+// with rewriting enabled each one has a checkbox, and unticked ones are kept on the next import
+function showHostnameSubstitutions(substitutions) {
+    const list = document.getElementById('importHostnameSubstitutionsList');
+    const rewriteEnabled = document.getElementById('importRewriteServiceHostnames').checked;
+    list.innerHTML = '';
+    substitutions.forEach(substitution => {
+        const li = document.createElement('li');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'form-check-input me-1';
+        checkbox.value = substitution.key;
+        checkbox.checked = substitution.applied;
+        checkbox.disabled = !rewriteEnabled;
+        checkbox.addEventListener('change', updateSelectedHostnameSubstitutions);
+        const status = substitution.applied ? '' : ' (not applied)';
+        li.appendChild(checkbox);
+        li.appendChild(document.createTextNode(`${substitution.service} ${substitution.field}: ${substitution.from} → ${substitution.to}${status}`));
+        list.appendChild(li);
+    });
+    document.getElementById('importHostnameSubstitutions').style.display = substitutions.length > 0 ? 'block' : 'none';
+}
+
+// Remember which hostname substitutions are ticked (sent with the next parse)
+function updateSelectedHostnameSubstitutions() {
+    selectedHostnameSubstitutions = Array.from(document.querySelectorAll('#importHostnameSubstitutionsList input[type="checkbox"]:checked'))
+        .map(checkbox => checkbox.value);
+}
+
+// Create the Vault secrets requested by Compose secrets and point their VaultReader sidecars at them
+async function createComposeVaultSecrets(secretRequests, compartmentId) {
+    const creatable = secretRequests.filter(request => request.vaultId && request.keyId && request.content);
+    const pending = secretRequests.filter(request => !creatable.includes(request));
+    
+    if (creatable.length > 0 &&
+        confirm(`Create ${creatable.length} secret(s) in OCI Vault for the Compose secrets (${creatable.map(request => request.secretName).join(', ')})?`)) {
+        for (const request of creatable) {
+            try {
+                const response = await fetch(buildOCIUrl('/api/oci/vault/secrets'), {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        compartmentId: compartmentId,
+                        vaultId: request.vaultId,
+                        keyId: request.keyId,
+                        secretName: request.secretName,
+                        content: request.content,
+                        description: `Compose secret ${request.name}`
+                    })
+                });
+                const data = await response.json();
+                if (!data.success) {
+                    throw new Error(data.error || 'Failed to create secret');
+                }
+                const sidecar = containersData.find(container => container.displayName === request.containerName);
+                if (sidecar) {
+                    sidecar.environmentVariables = { ...sidecar.environmentVariables, secret_ocid: data.data.id };
+                }
+            } catch (error) {
+                console.error(`Error creating secret ${request.secretName}:`, error);
+                showNotification(`Failed to create secret ${request.secretName}: ${error.message}`, 'error');
+                pending.push(request);
+            }
+        }
+    } else {
+        pending.push(...creatable);
+    }
+    
+    // Sidecars of secrets that weren't created keep the secret_ocid placeholder, which validation rejects
+    if (pending.length > 0) {
+        showNotification(`Set secret_ocid of ${pending.map(request => request.containerName).join(', ')} to an OCI Vault secret before creating the Container Instance.`, 'warning', 10000);
+    }
+}
+
+// Show import error (with optional detail lines, e.g. validation or interpolation errors)
+function showImportError(message, details = []) {
     const errorsList = document.getElementById('importErrorsList');
     errorsList.innerHTML = '';
-    const li = document.createElement('li');
-    li.textContent = message;
-    errorsList.appendChild(li);
+    [message, ...details].forEach(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        errorsList.appendChild(li);
+    });
     document.getElementById('importErrors').style.display = 'block';
 }
 
@@ -8977,178 +10493,243 @@ function mergePorts(existingPorts, newPorts) {
     return merged;
 }
 
-// Import to Create CI
-async function importToCreateCI() {
-    try {
-        // Parse Docker Compose first (implicit parsing)
-        await parseDockerCompose();
-        
-        if (!parsedComposeData) {
-            showNotification('Failed to parse Docker Compose.', 'error');
-            return;
+// Load an imported create payload (Docker Compose or Terraform) into the create CI modal:
+// merges its volumes, ports and file systems into the project, then fills in the instance and containers
+async function loadPayloadIntoCreateModal(payload, { importModalId, useDisplayName = true, secretRequests = [] }) {
+    const config = getConfiguration();
+    
+    // Load existing volumes and ports from localStorage
+    loadPortsAndVolumesForCIName(config.projectName);
+    
+    // Extract volumes and ports from the payload
+    // Volumes from the payload are in format: { name, volumeType, backingStore }
+    // We need to get mount paths from container volumeMounts (or the volumes tag of an exported CI)
+    const parsedVolumesMap = new Map();
+    (payload.containers || []).forEach(container => {
+        if (container.volumeMounts) {
+            container.volumeMounts.forEach(mount => {
+                if (!parsedVolumesMap.has(mount.volumeName)) {
+                    parsedVolumesMap.set(mount.volumeName, mount.mountPath);
+                }
+            });
         }
-        const config = getConfiguration();
-        
-        // Load existing volumes and ports from localStorage
-        loadPortsAndVolumesForCIName(config.projectName);
-        
-        // Extract volumes and ports from parsed data
-        // Volumes from parsed data are in format: { name, volumeType, backingStore }
-        // We need to get mount paths from container volumeMounts
-        const parsedVolumesMap = new Map();
-        (parsedComposeData.containers || []).forEach(container => {
-            if (container.volumeMounts) {
-                container.volumeMounts.forEach(mount => {
-                    if (!parsedVolumesMap.has(mount.volumeName)) {
-                        parsedVolumesMap.set(mount.volumeName, mount.mountPath);
-                    }
+    });
+    (payload.freeformTags?.volumes || '').split(',').forEach(entry => {
+        const separator = entry.indexOf(':');
+        if (separator > 0 && !parsedVolumesMap.has(entry.slice(0, separator))) {
+            parsedVolumesMap.set(entry.slice(0, separator), entry.slice(separator + 1));
+        }
+    });
+    
+    const parsedVolumes = (payload.volumes || []).filter(vol => !isOciFssVolume(vol)).map(vol => ({
+        name: vol.name || `volume-${volumesData.length}`,
+        path: parsedVolumesMap.get(vol.name) || `/mnt/${vol.name}`,
+        ...pickVolumeSettings(vol)
+    }));
+    
+    // File systems (FSS volumes, from the x-oci block for Compose) replace file systems with the same name
+    const parsedFileStorages = extractFileStoragesFromContainerInstance(payload);
+    
+    const parsedPorts = [];
+    // Extract ports from freeformTags
+    if (payload.freeformTags) {
+        Object.entries(payload.freeformTags).forEach(([key, value]) => {
+            if (key !== 'architecture' && key !== 'volumes' && key !== 'fileSystems' && !isNaN(parseInt(value))) {
+                parsedPorts.push({
+                    port: parseInt(value),
+                    name: key
                 });
             }
         });
-        
-        const parsedVolumes = (parsedComposeData.volumes || []).map(vol => ({
-            name: vol.name || `volume-${volumesData.length}`,
-            path: parsedVolumesMap.get(vol.name) || `/mnt/${vol.name}`
-        }));
-        
-        const parsedPorts = [];
-        // Extract ports from freeformTags
-        if (parsedComposeData.freeformTags) {
-            Object.entries(parsedComposeData.freeformTags).forEach(([key, value]) => {
-                if (key !== 'architecture' && key !== 'volumes' && !isNaN(parseInt(value))) {
-                    parsedPorts.push({
-                        port: parseInt(value),
-                        name: key
-                    });
-                }
+    }
+    
+    // Merge with existing data
+    volumesData = mergeVolumes(volumesData, parsedVolumes);
+    portsData = mergePorts(portsData, parsedPorts);
+    fileStoragesData = [
+        ...fileStoragesData.filter(existing => !parsedFileStorages.some(fs => fs.name === existing.name)),
+        ...parsedFileStorages
+    ];
+    
+    // Save merged data to localStorage
+    savePortsAndVolumesForCIName(config.projectName);
+    
+    // Update UI tables
+    updateVolumesTable();
+    updatePortsTable();
+    updateFileStoragesTable();
+    
+    // Close import modal first
+    const importModal = bootstrap.Modal.getInstance(document.getElementById(importModalId));
+    importModal.hide();
+    
+    // Open create CI modal (this will reset containersData and reload volumes/ports, so we populate after)
+    await showCreateContainerInstanceModal();
+    
+    // CI name (for Compose, only when the file names it with top-level name or x-oci displayName)
+    if (useDisplayName && payload.displayName) {
+        document.getElementById('ciName').value = payload.displayName;
+    }
+    
+    // Restart policy (for Compose, x-oci containerRestartPolicy or the first service's restart)
+    document.getElementById('ciRestartPolicy').value = payload.containerRestartPolicy || 'NEVER';
+
+    // Graceful shutdown timeout and DNS (for Compose, stop_grace_period, dns, dns_search and dns_opt)
+    populateInstanceRuntimeFields('ci', payload);
+
+    // Registry credentials (for Compose, x-oci imagePullSecrets)
+    imagePullSecretsData = (payload.imagePullSecrets || []).map(secret => ({ ...secret }));
+    updateImagePullSecretsTable();
+    
+    // Re-load volumes/ports after modal opens (to get the merged data we just saved)
+    loadPortsAndVolumesForCIName(config.projectName);
+    updateVolumesTable();
+    updatePortsTable();
+    updateFileStoragesTable();
+    
+    // Populate containers data AFTER modal is opened (to avoid being cleared)
+    console.log('Importing containers from parsed data:', payload.containers);
+    
+    // Get architecture for minimum resource defaults
+    const architecture = payload.freeformTags?.architecture || 'x86';
+    const minMemory = architecture === 'ARM64' ? 6 : 16;
+    
+    // Set architecture before adding containers and refresh shape/memory/OCPU options
+    const archRadio = document.querySelector(`input[name="ciArchitecture"][value="${architecture}"]`);
+    if (archRadio) {
+        archRadio.checked = true;
+        archRadio.dispatchEvent(new Event('change'));
+    }
+    
+    containersData = (payload.containers || []).map(container => {
+        // Find port index for this container
+        let portIndex = null;
+        if (container.freeformTags && container.freeformTags[container.displayName]) {
+            const portNum = parseInt(container.freeformTags[container.displayName]);
+            portIndex = portsData.findIndex(p => {
+                const pNum = typeof p.port === 'number' ? p.port : parseInt(p.port);
+                return pNum === portNum;
             });
+            if (portIndex === -1) portIndex = null;
         }
         
-        // Merge with existing data
-        volumesData = mergeVolumes(volumesData, parsedVolumes);
-        portsData = mergePorts(portsData, parsedPorts);
-        
-        // Save merged data to localStorage
-        savePortsAndVolumesForCIName(config.projectName);
+        // Normalize resourceConfig from parser format (memoryLimitInGBs/vcpusLimit) to UI format (memoryInGBs/vcpus)
+        const parserResourceConfig = container.resourceConfig || {};
+        const memoryFromParser = parserResourceConfig.memoryLimitInGBs || parserResourceConfig.memoryInGBs;
+        const vcpusFromParser = parserResourceConfig.vcpusLimit || parserResourceConfig.vcpus;
         
-        // Update UI tables
-        updateVolumesTable();
-        updatePortsTable();
-        updateFileStoragesTable();
-        
-        // Close import modal first
-        const importModal = bootstrap.Modal.getInstance(document.getElementById('importDockerComposeModal'));
-        importModal.hide();
-        
-        // Open create CI modal (this will reset containersData and reload volumes/ports, so we populate after)
-        showCreateContainerInstanceModal();
-        
-        // Re-load volumes/ports after modal opens (to get the merged data we just saved)
-        loadPortsAndVolumesForCIName(config.projectName);
-        updateVolumesTable();
-        updatePortsTable();
-        updateFileStoragesTable();
-        
-        // Populate containers data AFTER modal is opened (to avoid being cleared)
-        console.log('Importing containers from parsed data:', parsedComposeData.containers);
+        // Use parsed values or defaults based on architecture
+        const resourceConfig = {
+            memoryInGBs: memoryFromParser || minMemory,
+            vcpus: vcpusFromParser || 1
+        };
         
-        // Get architecture for minimum resource defaults
-        const architecture = parsedComposeData.freeformTags?.architecture || 'x86';
-        const minMemory = architecture === 'ARM64' ? 6 : 16;
+        return {
+            displayName: container.displayName,
+            imageUrl: container.imageUrl,
+            resourceConfig: resourceConfig,
+            environmentVariables: container.environmentVariables || {},
+            command: container.command || [],
+            arguments: container.arguments || [],
+            healthChecks: container.healthChecks || [],
+            securityContext: container.securityContext || null,
+            workingDirectory: container.workingDirectory || null,
+            // Services only mount the volumes they declare; volumes merged by path keep the existing name
+            volumeMounts: (toContainerVolumeMountSelection(container.volumeMounts) || []).map(mount => {
+                if (fileStoragesData.some(fileStorage => fileStorage.name === mount.volumeName) ||
+                    volumesData.some(volume => volume.name === mount.volumeName)) {
+                    return mount;
+                }
+                const mergedVolume = volumesData.find(volume => volume.path === mount.mountPath && volume.name);
+                return mergedVolume ? { ...mount, volumeName: mergedVolume.name } : mount;
+            }),
+            portIndex: portIndex
+        };
+    });
+    
+    // Compose secrets without an x-oci secretId are created in OCI Vault on request
+    if (secretRequests.length > 0) {
+        await createComposeVaultSecrets(secretRequests, payload.compartmentId);
+    }
+    
+    // Update containers table
+    console.log('Populated containersData:', containersData);
+    updateContainersTable();
+    
+    
+    // Set shape config if available
+    const memorySelect = document.getElementById('ciShapeMemory');
+    const ocpusSelect = document.getElementById('ciShapeOcpus');
+    
+    console.log('Setting CI shape config from parsed data:', payload.shapeConfig);
+    
+    if (payload.shapeConfig) {
+        // Set OCPU (should always be valid)
+        if (ocpusSelect) {
+            ocpusSelect.value = (payload.shapeConfig.ocpus || 1).toString();
+        }
         
-        containersData = (parsedComposeData.containers || []).map(container => {
-            // Find port index for this container
-            let portIndex = null;
-            if (container.freeformTags && container.freeformTags[container.displayName]) {
-                const portNum = parseInt(container.freeformTags[container.displayName]);
-                portIndex = portsData.findIndex(p => {
-                    const pNum = typeof p.port === 'number' ? p.port : parseInt(p.port);
-                    return pNum === portNum;
-                });
-                if (portIndex === -1) portIndex = null;
+        // Set memory - ensure value exists in dropdown (create modal has fixed options: 16, 32, 64, 96, 128)
+        if (memorySelect) {
+            const memoryValue = payload.shapeConfig.memoryInGBs || 16;
+            // Check if value exists in dropdown options
+            const optionExists = Array.from(memorySelect.options).some(opt => opt.value === memoryValue.toString());
+            if (optionExists) {
+                memorySelect.value = memoryValue.toString();
+            } else {
+                // Use the lowest available option in the create modal dropdown (16GB x86, 6GB ARM64)
+                memorySelect.value = memorySelect.options[0]?.value || '16';
             }
-            
-            // Normalize resourceConfig from parser format (memoryLimitInGBs/vcpusLimit) to UI format (memoryInGBs/vcpus)
-            const parserResourceConfig = container.resourceConfig || {};
-            const memoryFromParser = parserResourceConfig.memoryLimitInGBs || parserResourceConfig.memoryInGBs;
-            const vcpusFromParser = parserResourceConfig.vcpusLimit || parserResourceConfig.vcpus;
-            
-            // Use parsed values or defaults based on architecture
-            const resourceConfig = {
-                memoryInGBs: memoryFromParser || minMemory,
-                vcpus: vcpusFromParser || 1
-            };
-            
-            return {
-                displayName: container.displayName,
-                imageUrl: container.imageUrl,
-                resourceConfig: resourceConfig,
-                environmentVariables: container.environmentVariables || {},
-                command: container.command || [],
-                arguments: container.arguments || [],
-                portIndex: portIndex
-            };
-        });
-        
-        // Update containers table
-        console.log('Populated containersData:', containersData);
-        updateContainersTable();
-        
-        // Set architecture (reuse architecture variable from above)
-        const archRadio = document.querySelector(`input[name="ciArchitecture"][value="${architecture}"]`);
-        if (archRadio) {
-            archRadio.checked = true;
         }
+    } else {
+        // No shapeConfig from parser, use architecture-specific defaults
+        // Note: Create modal dropdown only has 16, 32, 64, 96, 128, so use 16GB as minimum
+        if (memorySelect) {
+            memorySelect.value = '16';
+        }
+        if (ocpusSelect) {
+            ocpusSelect.value = '1';
+        }
+    }
+    
+    // Set subnet
+    const subnetSelect = document.getElementById('ciSubnetId');
+    if (subnetSelect && payload.subnetId) {
+        // Load subnets if needed
+        if (subnetSelect.options.length === 0 || subnetSelect.value !== payload.subnetId) {
+            await loadSubnetsForCI(payload.compartmentId);
+        }
+        subnetSelect.value = payload.subnetId;
+    }
+}
+
+// Import to Create CI
+async function importToCreateCI() {
+    try {
+        // Parse Docker Compose first (implicit parsing)
+        await parseDockerCompose();
         
-        // Set shape config if available
-        const memorySelect = document.getElementById('ciShapeMemory');
-        const ocpusSelect = document.getElementById('ciShapeOcpus');
-        
-        console.log('Setting CI shape config from parsed data:', parsedComposeData.shapeConfig);
-        
-        if (parsedComposeData.shapeConfig) {
-            // Set OCPU (should always be valid)
-            if (ocpusSelect) {
-                ocpusSelect.value = (parsedComposeData.shapeConfig.ocpus || 1).toString();
-            }
-            
-            // Set memory - ensure value exists in dropdown (create modal has fixed options: 16, 32, 64, 96, 128)
-            if (memorySelect) {
-                const memoryValue = parsedComposeData.shapeConfig.memoryInGBs || 16;
-                // Check if value exists in dropdown options
-                const optionExists = Array.from(memorySelect.options).some(opt => opt.value === memoryValue.toString());
-                if (optionExists) {
-                    memorySelect.value = memoryValue.toString();
-                } else {
-                    // Use 16GB as minimum (lowest available option in create modal dropdown)
-                    memorySelect.value = '16';
-                }
-            }
-        } else {
-            // No shapeConfig from parser, use architecture-specific defaults
-            // Note: Create modal dropdown only has 16, 32, 64, 96, 128, so use 16GB as minimum
-            if (memorySelect) {
-                memorySelect.value = '16';
-            }
-            if (ocpusSelect) {
-                ocpusSelect.value = '1';
-            }
+        if (!parsedComposeData) {
+            showNotification('Failed to parse Docker Compose.', 'error');
+            return;
         }
         
-        // Set subnet
-        const subnetSelect = document.getElementById('ciSubnetId');
-        if (subnetSelect && parsedComposeData.subnetId) {
-            // Load subnets if needed
-            if (subnetSelect.options.length === 0 || subnetSelect.value !== parsedComposeData.subnetId) {
-                await loadSubnetsForCI(parsedComposeData.compartmentId);
-            }
-            subnetSelect.value = parsedComposeData.subnetId;
+        // Let the user review hostname rewrites before importing (Cancel keeps the import dialog open)
+        const appliedSubstitutions = parsedHostnameSubstitutions.filter(substitution => substitution.applied);
+        if (appliedSubstitutions.length > 0 &&
+            !confirm(`${appliedSubstitutions.length} service hostname reference(s) will be rewritten to 127.0.0.1 (listed in the import dialog, untick any to keep). Continue with the import?`)) {
+            return;
         }
+        await loadPayloadIntoCreateModal(parsedComposeData, {
+            importModalId: 'importDockerComposeModal',
+            useDisplayName: parsedComposeHasDisplayName,
+            secretRequests: parsedSecretRequests
+        });
         
         showNotification('Docker Compose imported successfully! Review and create the Container Instance.', 'success');
     } catch (error) {
         console.error('Error importing to Create CI:', error);
-        showImportError(error.message || 'Error importing Docker Compose');
+        showImportError(error.message || 'Error importing Docker Compose', error.details || []);
         showNotification(`Error importing: ${error.message}`, 'error');
     }
 }
@@ -9171,3 +10752,233 @@ async function pasteComposeYaml() {
         showNotification("Failed to paste from clipboard. Please paste manually.", "error");
     }
 }
+
+// Terraform Import Functions
+
+// Uploaded .tf and .tfvars files, as { fileName: content }
+let importTerraformFiles = {};
+
+// Container instance resources read from the stack or files, as [{ address, payload }], and the
+// values that couldn't be resolved while reading them
+let parsedTerraformInstances = [];
+let parsedTerraformWarnings = [];
+
+// Show Import Terraform Modal
+async function showImportTerraformModal() {
+    const modal = new bootstrap.Modal(document.getElementById('importTerraformModal'));
+    
+    // Reset form
+    document.getElementById('importTerraformSourceStack').checked = true;
+    document.getElementById('importTerraformFilesUpload').value = '';
+    importTerraformFiles = {};
+    updateImportTerraformFilesList();
+    updateImportTerraformSource();
+    
+    // Read uploaded files (a new selection replaces the previous one)
+    document.getElementById('importTerraformFilesUpload').onchange = async function(e) {
+        importTerraformFiles = {};
+        for (const file of Array.from(e.target.files)) {
+            importTerraformFiles[file.name] = await file.text();
+        }
+        updateImportTerraformFilesList();
+        clearImportTerraformResults();
+    };
+    document.getElementById('importTerraformStackId').onchange = clearImportTerraformResults;
+    
+    modal.show();
+    
+    await loadImportTerraformCompartments();
+}
+
+// Show uploaded Terraform file names in the import modal
+function updateImportTerraformFilesList() {
+    const list = document.getElementById('importTerraformFilesList');
+    list.innerHTML = '';
+    Object.keys(importTerraformFiles).forEach(fileName => {
+        const li = document.createElement('li');
+        li.textContent = fileName;
+        list.appendChild(li);
+    });
+}
+
+// Switch the import modal between a Resource Manager stack and uploaded files
+function updateImportTerraformSource() {
+    const source = document.querySelector('input[name="importTerraformSource"]:checked').value;
+    document.getElementById('importTerraformStackFields').style.display = source === 'stack' ? 'block' : 'none';
+    document.getElementById('importTerraformFileFields').style.display = source === 'files' ? 'block' : 'none';
+    clearImportTerraformResults();
+}
+
+// Forget the resources read so far (source changed) and hide warnings and errors
+function clearImportTerraformResults() {
+    parsedTerraformInstances = [];
+    parsedTerraformWarnings = [];
+    document.getElementById('importTerraformResourceField').style.display = 'none';
+    document.getElementById('importTerraformResource').innerHTML = '';
+    document.getElementById('importTerraformWarnings').style.display = 'none';
+    document.getElementById('importTerraformErrors').style.display = 'none';
+}
+
+// Load compartments for the stack picker (pre-selects the configured compartment)
+async function loadImportTerraformCompartments() {
+    const compartmentSelect = document.getElementById('importTerraformCompartmentId');
+    try {
+        const tenancyResponse = await fetch(buildOCIUrl('/api/oci/config/tenancy'));
+        const tenancyData = await tenancyResponse.json();
+        if (!tenancyData.success || !tenancyData.tenancyId) {
+            throw new Error('Could not get tenancy ID');
+        }
+        
+        const response = await fetch(buildOCIUrl('/api/oci/compartments', { tenancyId: tenancyData.tenancyId }));
+        const data = await response.json();
+        if (!data.success || !data.compartments) {
+            throw new Error(data.error || 'Could not load compartments');
+        }
+        
+        compartmentSelect.innerHTML = '<option value="">Select a compartment...</option>';
+        data.compartments.forEach(comp => {
+            const option = document.createElement('option');
+            option.value = comp.id;
+            option.textContent = comp.name + (comp.description ? ` - ${comp.description}` : '');
+            compartmentSelect.appendChild(option);
+        });
+        
+        const config = getConfiguration();
+        if (config.compartmentId) {
+            compartmentSelect.value = config.compartmentId;
+            await loadImportTerraformStacks(config.compartmentId);
+        }
+    } catch (error) {
+        console.error('Could not load compartments:', error);
+        compartmentSelect.innerHTML = '<option value="">Error: ' + escapeHtml(error.message) + '</option>';
+    }
+}
+
+// Load the active Resource Manager stacks of a compartment into the stack picker
+async function loadImportTerraformStacks(compartmentId) {
+    const stackSelect = document.getElementById('importTerraformStackId');
+    clearImportTerraformResults();
+    if (!compartmentId) {
+        stackSelect.innerHTML = '<option value="">Select compartment first</option>';
+        return;
+    }
+    
+    stackSelect.innerHTML = '<option value="">Loading stacks...</option>';
+    try {
+        const response = await fetch(buildOCIUrl('/api/oci/resource-manager/stacks', { compartmentId }));
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load stacks');
+        }
+        
+        if (data.data.length === 0) {
+            stackSelect.innerHTML = '<option value="">No active stacks in this compartment</option>';
+            return;
+        }
+        stackSelect.innerHTML = '<option value="">Select a stack...</option>';
+        data.data.forEach(stack => {
+            const option = document.createElement('option');
+            option.value = stack.id;
+            option.textContent = stack.instanceName
+                ? `${stack.displayName} (${stack.instanceName}, config v${stack.configVersion})`
+                : stack.displayName;
+            stackSelect.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading Resource Manager stacks:', error);
+        stackSelect.innerHTML = '<option value="">Error: ' + escapeHtml(error.message) + '</option>';
+    }
+}
+
+// Show a list of messages in the import modal's warnings or errors box
+function showImportTerraformMessages(kind, messages) {
+    const list = document.getElementById(`importTerraform${kind}List`);
+    list.innerHTML = '';
+    messages.forEach(text => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        list.appendChild(li);
+    });
+    document.getElementById(`importTerraform${kind}`).style.display = messages.length > 0 ? 'block' : 'none';
+}
+
+// Read the container instance resources from the selected stack or the uploaded files
+async function readImportTerraform() {
+    const source = document.querySelector('input[name="importTerraformSource"]:checked').value;
+    let response;
+    if (source === 'stack') {
+        const stackId = document.getElementById('importTerraformStackId').value;
+        if (!stackId) {
+            throw new Error('Select a Resource Manager stack');
+        }
+        response = await fetch(buildOCIUrl(`/api/oci/resource-manager/stacks/${encodeURIComponent(stackId)}/container-instance`));
+    } else {
+        if (!Object.keys(importTerraformFiles).some(fileName => fileName.endsWith('.tf'))) {
+            throw new Error('Upload at least one .tf file');
+        }
+        response = await fetch('/api/terraform/parse', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ files: importTerraformFiles })
+        });
+    }
+    
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to read Terraform');
+    }
+    if (data.data.containerInstances.length === 0) {
+        throw new Error('No oci_container_instances_container_instance resource found');
+    }
+    showImportTerraformMessages('Warnings', data.data.warnings);
+    return data.data;
+}
+
+// Import to Create CI from Terraform
+async function importTerraformToCreateCI() {
+    try {
+        document.getElementById('importTerraformErrors').style.display = 'none';
+        
+        // Read the source on the first click; a second click imports the picked resource
+        if (parsedTerraformInstances.length === 0) {
+            const result = await readImportTerraform();
+            parsedTerraformInstances = result.containerInstances;
+            parsedTerraformWarnings = result.warnings;
+            
+            if (parsedTerraformInstances.length > 1) {
+                const resourceSelect = document.getElementById('importTerraformResource');
+                resourceSelect.innerHTML = parsedTerraformInstances.map((instance, index) =>
+                    `<option value="${index}">${escapeHtml(instance.address)}${instance.payload.displayName ? ` (${escapeHtml(instance.payload.displayName)})` : ''}</option>`
+                ).join('');
+                document.getElementById('importTerraformResourceField').style.display = 'block';
+                showNotification(`${parsedTerraformInstances.length} Container Instances found. Pick one and import again.`, 'info');
+                return;
+            }
+        }
+        
+        // Values that need Terraform to evaluate (resource references, conditionals) are left empty
+        if (parsedTerraformWarnings.length > 0 &&
+            !confirm(`${parsedTerraformWarnings.length} value(s) could not be resolved (listed in the import dialog) and will be left empty. Continue with the import?`)) {
+            return;
+        }
+        
+        const index = parseInt(document.getElementById('importTerraformResource').value, 10) || 0;
+        const payload = parsedTerraformInstances[index].payload;
+        const config = getConfiguration();
+        
+        // Not a Compose import (no composeImport tag, sidecar volumes merge as usual)
+        parsedComposeData = null;
+        
+        await loadPayloadIntoCreateModal({
+            ...payload,
+            compartmentId: payload.compartmentId || document.getElementById('importTerraformCompartmentId').value || config.compartmentId
+        }, { importModalId: 'importTerraformModal' });
+        
+        showNotification('Terraform imported successfully! Review and create the Container Instance.', 'success');
+    } catch (error) {
+        console.error('Error importing Terraform:', error);
+        parsedTerraformInstances = [];
+        showImportTerraformMessages('Errors', [error.message || 'Error importing Terraform']);
+        showNotification(`Error importing: ${error.message}`, 'error');
+    }
+}
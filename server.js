@@ -19,6 +19,11 @@ const common = require('oci-common');
 
 // Docker Compose Parser
 const dockerComposeParser = require('./server/utils/docker-compose-parser');
+const terraformGenerator = require('./server/utils/terraform-generator');
+const terraformParser = require('./server/utils/terraform-parser');
+const containerInstanceDiff = require('./server/utils/container-instance-diff');
+const ociCliGenerator = require('./server/utils/oci-cli-generator');
+const imageRegistry = require('./server/utils/image-registry');
 const yaml = require('js-yaml');
 
 const app = express();
@@ -103,6 +108,572 @@ function hasOciFssVolumes(volumes = []) {
   return Array.isArray(volumes) && volumes.some(volume => volume.volumeType === 'OCI_FSS_FILE_SYSTEM');
 }
 
+const HEALTH_CHECK_TYPES = ['HTTP', 'TCP', 'COMMAND'];
+
+function normalizeHealthChecks(healthChecks, containerName) {
+  const errors = [];
+  const normalized = (Array.isArray(healthChecks) ? healthChecks : []).map((healthCheck, idx) => {
+    const label = `Container "${containerName}" health check ${idx + 1}`;
+    const healthCheckType = String(healthCheck?.healthCheckType || '').toUpperCase();
+    if (!HEALTH_CHECK_TYPES.includes(healthCheckType)) {
+      errors.push(`${label}: healthCheckType must be one of ${HEALTH_CHECK_TYPES.join(', ')}`);
+      return null;
+    }
+
+    const detail = { healthCheckType };
+    if (healthCheck.name) {
+      detail.name = String(healthCheck.name);
+    }
+    if (healthCheckType === 'COMMAND') {
+      const command = Array.isArray(healthCheck.command)
+        ? healthCheck.command.map(String).filter(part => part !== '')
+        : [];
+      if (command.length === 0) {
+        errors.push(`${label}: command is required for COMMAND health checks`);
+        return null;
+      }
+      detail.command = command;
+    } else {
+      const port = parseInt(healthCheck.port, 10);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) {
+        errors.push(`${label}: a valid port is required for ${healthCheckType} health checks`);
+        return null;
+      }
+      detail.port = port;
+      if (healthCheckType === 'HTTP') {
+        detail.path = healthCheck.path ? String(healthCheck.path) : '/';
+        if (Array.isArray(healthCheck.headers) && healthCheck.headers.length > 0) {
+          detail.headers = healthCheck.headers;
+        }
+      }
+    }
+
+    ['initialDelayInSeconds', 'intervalInSeconds', 'failureThreshold', 'successThreshold', 'timeoutInSeconds'].forEach(field => {
+      if (healthCheck[field] === undefined || healthCheck[field] === null || healthCheck[field] === '') return;
+      const value = parseInt(healthCheck[field], 10);
+      if (!Number.isInteger(value) || value < 0) {
+        errors.push(`${label}: ${field} must be a non-negative integer`);
+        return;
+      }
+      detail[field] = value;
+    });
+    if (healthCheck.failureAction) {
+      detail.failureAction = String(healthCheck.failureAction).toUpperCase();
+    }
+
+    return detail;
+  }).filter(Boolean);
+
+  return { healthChecks: normalized, errors };
+}
+
+// Capabilities can be given without the CAP_ prefix (Compose style, "NET_ADMIN"); OCI expects "CAP_NET_ADMIN" or "ALL"
+function normalizeCapabilities(capabilities) {
+  const list = Array.isArray(capabilities) ? capabilities : String(capabilities || '').split(',');
+  return [...new Set(list
+    .map(capability => String(capability).trim().toUpperCase())
+    .filter(Boolean)
+    .map(capability => (capability === 'ALL' || capability.startsWith('CAP_') ? capability : `CAP_${capability}`)))];
+}
+
+function normalizeSecurityContext(securityContext, containerName) {
+  const errors = [];
+  if (!securityContext || typeof securityContext !== 'object') {
+    return { securityContext: null, errors };
+  }
+
+  const label = `Container "${containerName}" security context`;
+  const detail = { securityContextType: 'LINUX' };
+  ['runAsUser', 'runAsGroup'].forEach(field => {
+    if (securityContext[field] === undefined || securityContext[field] === null || securityContext[field] === '') return;
+    const value = Number(securityContext[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push(`${label}: ${field} must be a non-negative integer`);
+      return;
+    }
+    detail[field] = value;
+  });
+  ['isNonRootUserCheckEnabled', 'isRootFileSystemReadonly'].forEach(field => {
+    if (typeof securityContext[field] === 'boolean') {
+      detail[field] = securityContext[field];
+    }
+  });
+  if (detail.isNonRootUserCheckEnabled && detail.runAsUser === 0) {
+    errors.push(`${label}: runAsUser 0 (root) can't be used with the non-root user check`);
+  }
+
+  const capabilities = securityContext.capabilities || {};
+  const addCapabilities = normalizeCapabilities(capabilities.addCapabilities);
+  const dropCapabilities = normalizeCapabilities(capabilities.dropCapabilities);
+  [...addCapabilities, ...dropCapabilities].forEach(capability => {
+    if (!/^(ALL|CAP_[A-Z_]+)$/.test(capability)) {
+      errors.push(`${label}: invalid capability "${capability}"`);
+    }
+  });
+  if (addCapabilities.length > 0 || dropCapabilities.length > 0) {
+    detail.capabilities = {};
+    if (addCapabilities.length > 0) detail.capabilities.addCapabilities = addCapabilities;
+    if (dropCapabilities.length > 0) detail.capabilities.dropCapabilities = dropCapabilities;
+  }
+
+  return { securityContext: Object.keys(detail).length > 1 ? detail : null, errors };
+}
+
+// DNS lists can be arrays or comma-separated strings (as typed in the UI)
+function toStringList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+function normalizeDnsConfig(dnsConfig) {
+  const errors = [];
+  if (!dnsConfig || typeof dnsConfig !== 'object') {
+    return { dnsConfig: null, errors };
+  }
+
+  const nameservers = toStringList(dnsConfig.nameservers);
+  nameservers.forEach(nameserver => {
+    if (!/^[0-9a-fA-F:.]+$/.test(nameserver)) {
+      errors.push(`DNS nameserver "${nameserver}" must be an IP address`);
+    }
+  });
+  const detail = {};
+  if (nameservers.length > 0) detail.nameservers = nameservers;
+  const searches = toStringList(dnsConfig.searches);
+  if (searches.length > 0) detail.searches = searches;
+  const options = toStringList(dnsConfig.options);
+  if (options.length > 0) detail.options = options;
+
+  return { dnsConfig: Object.keys(detail).length > 0 ? detail : null, errors };
+}
+
+// Registry credentials come in as plain text (BASIC) or a Vault secret OCID (VAULT); OCI expects
+// BASIC usernames and passwords base64-encoded. One secret per registry endpoint. The Terraform
+// export turns BASIC credentials into stack variables, so it passes requireCredentials: false.
+function normalizeImagePullSecrets(imagePullSecrets, { requireCredentials = true } = {}) {
+  const errors = [];
+  if (!Array.isArray(imagePullSecrets) || imagePullSecrets.length === 0) {
+    return { imagePullSecrets: [], errors };
+  }
+
+  const endpoints = new Set();
+  const normalized = [];
+  imagePullSecrets.forEach((secret, index) => {
+    const registryEndpoint = String((secret && secret.registryEndpoint) || '')
+      .trim()
+      .replace(/^https?:\/\//i, '')
+      .replace(/\/+$/, '');
+    const label = `Image pull secret ${registryEndpoint || index + 1}`;
+    if (!registryEndpoint) {
+      errors.push(`${label}: registryEndpoint is required`);
+      return;
+    }
+    if (endpoints.has(registryEndpoint)) {
+      errors.push(`${label}: only one image pull secret per registry endpoint is allowed`);
+      return;
+    }
+    endpoints.add(registryEndpoint);
+
+    const secretType = String(secret.secretType || (secret.secretId ? 'VAULT' : 'BASIC')).toUpperCase();
+    if (secretType === 'VAULT') {
+      if (!secret.secretId || !String(secret.secretId).startsWith('ocid1.vaultsecret.')) {
+        errors.push(`${label}: secretId must be a Vault secret OCID`);
+        return;
+      }
+      normalized.push({ secretType, registryEndpoint, secretId: String(secret.secretId).trim() });
+    } else if (secretType === 'BASIC') {
+      if (requireCredentials && (!secret.username || !secret.password)) {
+        errors.push(`${label}: username and password are required`);
+        return;
+      }
+      const basicSecret = { secretType, registryEndpoint };
+      if (secret.username) {
+        basicSecret.username = Buffer.from(String(secret.username), 'utf8').toString('base64');
+      }
+      if (secret.password) {
+        basicSecret.password = Buffer.from(String(secret.password), 'utf8').toString('base64');
+      }
+      normalized.push(basicSecret);
+    } else {
+      errors.push(`${label}: secretType must be BASIC or VAULT`);
+    }
+  });
+
+  return { imagePullSecrets: normalized, errors };
+}
+
+// Availability domain new container instances are created in (the tenancy's first)
+async function getFirstAvailabilityDomain(identityClient, tenancyId) {
+  const adResponse = await identityClient.listAvailabilityDomains({ compartmentId: tenancyId });
+  if (!adResponse.items || adResponse.items.length === 0) {
+    throw new Error('No availability domains found for tenancy');
+  }
+  return adResponse.items[0].name;
+}
+
+// Whether a VNIC in the subnet may get a public IP (private subnets prohibit it).
+// Defaults to true if the subnet can't be read (backward compatibility).
+async function isPublicIpAllowedOnSubnet(virtualNetworkClient, subnetId) {
+  try {
+    const subnetResponse = await virtualNetworkClient.getSubnet({ subnetId });
+    return subnetResponse.subnet.prohibitPublicIpOnVnic !== true;
+  } catch (subnetError) {
+    return true;
+  }
+}
+
+// Normalize a create request body (UI or Compose payload) into OCI CreateContainerInstanceDetails.
+// Shared by the create route and the Terraform export; the availability domain and whether the primary
+// VNIC gets a public IP need OCI lookups, so the caller passes them in.
+// Returns { containerInstanceDetails }, or { error, details } for invalid input (malformed VNICs, volumes
+// and mounts throw).
+function buildContainerInstanceDetails(body, { availabilityDomain = null, isPublicIpAssigned = true, requireCredentials = true } = {}) {
+  const {
+    displayName,
+    compartmentId,
+    shape,
+    shapeConfig,
+    subnetId,
+    vnics,
+    containers,
+    volumes,
+    containerRestartPolicy,
+    freeformTags,
+    gracefulShutdownTimeoutInSeconds,
+    dnsConfig,
+    imagePullSecrets
+  } = body;
+
+  const requestedVnics = Array.isArray(vnics) ? vnics.filter(Boolean) : [];
+  const requestedPrimaryVnic = requestedVnics.find((vnic) => String(vnic.purpose || '').toUpperCase() === 'PRIMARY') || requestedVnics[0];
+  const primarySubnetId = subnetId || requestedPrimaryVnic?.subnetId;
+
+  if (!displayName || !compartmentId || !shape || !primarySubnetId || !Array.isArray(containers) || containers.length === 0) {
+    return {
+      error: 'Missing required fields: displayName, compartmentId, shape, subnetId, and at least one container are required'
+    };
+  }
+
+  // Build containers array - ensure all fields are properly formatted
+  const healthCheckErrors = [];
+  const securityContextErrors = [];
+  const containerDetails = containers.map((container, idx) => {
+    // Container resourceConfig uses vcpusLimit and memoryLimitInGBs (not vcpus and memoryInGBs)
+    // Ensure values are valid numbers (not NaN, Infinity, etc.)
+    let memoryLimitInGBs = parseFloat(container.resourceConfig?.memoryInGBs || container.resourceConfig?.memoryLimitInGBs) || 1;
+    let vcpusLimit = parseFloat(container.resourceConfig?.vcpus || container.resourceConfig?.vcpusLimit) || 1;
+    
+    // Validate and ensure minimum values
+    if (!isFinite(memoryLimitInGBs) || memoryLimitInGBs <= 0) memoryLimitInGBs = 1;
+    if (!isFinite(vcpusLimit) || vcpusLimit <= 0) vcpusLimit = 1;
+    
+    const containerDetail = {
+      displayName: container.displayName,
+      imageUrl: container.imageUrl,
+      isResourcePrincipalDisabled: false,
+      resourceConfig: {
+        memoryLimitInGBs: memoryLimitInGBs,
+        vcpusLimit: vcpusLimit
+      }
+    };
+
+    // Only include environmentVariables if they exist and have values
+    if (container.environmentVariables && typeof container.environmentVariables === 'object' && Object.keys(container.environmentVariables).length > 0) {
+      containerDetail.environmentVariables = container.environmentVariables;
+    }
+
+    // Only include optional fields if they have values and are arrays
+    if (container.arguments && Array.isArray(container.arguments) && container.arguments.length > 0) {
+      containerDetail.arguments = container.arguments;
+    }
+    if (container.command && Array.isArray(container.command) && container.command.length > 0) {
+      containerDetail.command = container.command;
+    }
+    if (container.volumeMounts && Array.isArray(container.volumeMounts) && container.volumeMounts.length > 0) {
+      containerDetail.volumeMounts = container.volumeMounts;
+    }
+    if (container.workingDirectory && String(container.workingDirectory).trim()) {
+      containerDetail.workingDirectory = String(container.workingDirectory).trim();
+    }
+
+    // Health checks (HTTP, TCP or COMMAND)
+    if (Array.isArray(container.healthChecks) && container.healthChecks.length > 0) {
+      const normalizedHealthChecks = normalizeHealthChecks(container.healthChecks, container.displayName || `container-${idx}`);
+      healthCheckErrors.push(...normalizedHealthChecks.errors);
+      if (normalizedHealthChecks.healthChecks.length > 0) {
+        containerDetail.healthChecks = normalizedHealthChecks.healthChecks;
+      }
+    }
+
+    // Security context (run-as user/group, read-only root filesystem, capabilities)
+    if (container.securityContext) {
+      const normalizedSecurityContext = normalizeSecurityContext(container.securityContext, container.displayName || `container-${idx}`);
+      securityContextErrors.push(...normalizedSecurityContext.errors);
+      if (normalizedSecurityContext.securityContext) {
+        containerDetail.securityContext = normalizedSecurityContext.securityContext;
+      }
+    }
+
+    // Add freeformTags to container if provided (e.g., port information)
+    if (container.freeformTags && typeof container.freeformTags === 'object' && Object.keys(container.freeformTags).length > 0) {
+      containerDetail.freeformTags = container.freeformTags;
+    }
+
+    return containerDetail;
+  });
+
+  if (healthCheckErrors.length > 0) {
+    return {
+      error: 'Invalid health check configuration',
+      details: healthCheckErrors
+    };
+  }
+
+  if (securityContextErrors.length > 0) {
+    return {
+      error: 'Invalid security context configuration',
+      details: securityContextErrors
+    };
+  }
+
+  // Instance-wide shutdown grace period and DNS settings
+  let gracefulShutdownTimeout = null;
+  if (gracefulShutdownTimeoutInSeconds !== undefined && gracefulShutdownTimeoutInSeconds !== null && gracefulShutdownTimeoutInSeconds !== '') {
+    gracefulShutdownTimeout = Number(gracefulShutdownTimeoutInSeconds);
+    if (!Number.isInteger(gracefulShutdownTimeout) || gracefulShutdownTimeout < 0) {
+      return {
+        error: 'gracefulShutdownTimeoutInSeconds must be a non-negative integer'
+      };
+    }
+  }
+  const normalizedDnsConfig = normalizeDnsConfig(dnsConfig);
+  if (normalizedDnsConfig.errors.length > 0) {
+    return {
+      error: 'Invalid DNS configuration',
+      details: normalizedDnsConfig.errors
+    };
+  }
+
+  // Private registry credentials
+  const normalizedImagePullSecrets = normalizeImagePullSecrets(imagePullSecrets, { requireCredentials });
+  if (normalizedImagePullSecrets.errors.length > 0) {
+    return {
+      error: 'Invalid image pull secrets',
+      details: normalizedImagePullSecrets.errors
+    };
+  }
+
+  // Use shapeConfig from request, or calculate from containers if not provided
+  let shapeConfigToUse;
+  if (shapeConfig && shapeConfig.memoryInGBs && shapeConfig.ocpus) {
+    // Use provided shapeConfig
+    shapeConfigToUse = {
+      memoryInGBs: parseFloat(shapeConfig.memoryInGBs),
+      ocpus: parseFloat(shapeConfig.ocpus)
+    };
+  } else {
+    // Fallback: Calculate total resources needed from all containers
+    let totalMemoryInGBs = 0;
+    let totalVcpus = 0;
+    containerDetails.forEach(container => {
+      if (container.resourceConfig) {
+        totalMemoryInGBs += container.resourceConfig.memoryLimitInGBs || 0;
+        totalVcpus += container.resourceConfig.vcpusLimit || 0;
+      }
+    });
+    
+    // Ensure minimum values
+    totalVcpus = Math.max(Math.ceil(totalVcpus), 1);
+    totalMemoryInGBs = Math.max(Math.ceil(totalMemoryInGBs), Math.max(totalVcpus, 1));
+    
+    shapeConfigToUse = {
+      memoryInGBs: totalMemoryInGBs,
+      ocpus: totalVcpus
+    };
+  }
+  
+  // Validate that values are finite numbers
+  if (!isFinite(shapeConfigToUse.ocpus) || !isFinite(shapeConfigToUse.memoryInGBs)) {
+    throw new Error('Invalid resource values: ocpus and memoryInGBs must be valid numbers');
+  }
+
+  const hasExplicitPrimaryVnic = requestedVnics.some((vnic) => String(vnic.purpose || '').toUpperCase() === 'PRIMARY');
+  const normalizedVnics = requestedVnics.length > 0
+    ? requestedVnics.map((vnic, index) => {
+        if (!vnic.subnetId) {
+          throw new Error(`Invalid VNIC ${index + 1}: subnetId is required`);
+        }
+
+        const purpose = String(vnic.purpose || (index === 0 && !hasExplicitPrimaryVnic ? 'PRIMARY' : 'SECONDARY')).toUpperCase();
+        if (!['PRIMARY', 'SECONDARY'].includes(purpose)) {
+          throw new Error(`Invalid VNIC ${index + 1}: purpose must be PRIMARY or SECONDARY`);
+        }
+
+        const normalizedVnic = {
+          subnetId: vnic.subnetId,
+          isPublicIpAssigned: purpose === 'PRIMARY' ? isPublicIpAssigned : false
+        };
+
+        if (purpose) {
+          normalizedVnic.purpose = purpose;
+        }
+        if (vnic.displayName) {
+          normalizedVnic.displayName = vnic.displayName;
+        }
+        if (vnic.hostnameLabel) {
+          normalizedVnic.hostnameLabel = vnic.hostnameLabel;
+        }
+        if (typeof vnic.skipSourceDestCheck === 'boolean') {
+          normalizedVnic.skipSourceDestCheck = vnic.skipSourceDestCheck;
+        }
+        if (Array.isArray(vnic.nsgIds) && vnic.nsgIds.length > 0) {
+          normalizedVnic.nsgIds = vnic.nsgIds;
+        }
+        if (vnic.privateIp) {
+          normalizedVnic.privateIp = vnic.privateIp;
+        }
+        if (vnic.freeformTags && typeof vnic.freeformTags === 'object') {
+          normalizedVnic.freeformTags = vnic.freeformTags;
+        }
+        if (vnic.definedTags && typeof vnic.definedTags === 'object') {
+          normalizedVnic.definedTags = vnic.definedTags;
+        }
+
+        return normalizedVnic;
+      })
+    : [{
+        subnetId: primarySubnetId,
+        isPublicIpAssigned: isPublicIpAssigned
+      }];
+
+  // Build container instance configuration. FSS volumes use a raw REST fallback below
+  // because the bundled SDK version predates OCI_FSS_FILE_SYSTEM volume models.
+  const containerInstanceDetails = {
+    displayName: displayName,
+    compartmentId: compartmentId,
+    shape: shape,
+    shapeConfig: {
+      ocpus: shapeConfigToUse.ocpus,
+      memoryInGBs: shapeConfigToUse.memoryInGBs
+    },
+    containers: containerDetails,
+    vnics: normalizedVnics,
+    containerRestartPolicy: containerRestartPolicy || 'NEVER'
+  };
+  if (availabilityDomain) {
+    containerInstanceDetails.availabilityDomain = availabilityDomain;
+  }
+  if (gracefulShutdownTimeout !== null) {
+    containerInstanceDetails.gracefulShutdownTimeoutInSeconds = gracefulShutdownTimeout;
+  }
+  if (normalizedDnsConfig.dnsConfig) {
+    containerInstanceDetails.dnsConfig = normalizedDnsConfig.dnsConfig;
+  }
+  if (normalizedImagePullSecrets.imagePullSecrets.length > 0) {
+    containerInstanceDetails.imagePullSecrets = normalizedImagePullSecrets.imagePullSecrets;
+  }
+  
+  // Add freeformTags to container instance if provided
+  if (freeformTags && typeof freeformTags === 'object' && Object.keys(freeformTags).length > 0) {
+    containerInstanceDetails.freeformTags = freeformTags;
+  }
+
+  // Add volumes if provided
+  if (volumes && volumes.length > 0) {
+    containerInstanceDetails.volumes = volumes.map((volume, index) => {
+      const volumeName = volume.name || `volume-${index}`;
+      if (volume.volumeType === 'OCI_FSS_FILE_SYSTEM') {
+        if (!volume.mountTarget || !volume.mountTarget.id || !volume.export || !volume.export.id) {
+          throw new Error(`Invalid FSS volume "${volumeName}": mountTarget.id and export.id are required`);
+        }
+
+        const fssVolume = {
+          name: volumeName,
+          volumeType: 'OCI_FSS_FILE_SYSTEM',
+          mountTarget: volume.mountTarget,
+          export: volume.export
+        };
+
+        if (volume.security) {
+          fssVolume.security = volume.security;
+        }
+        if (volume.mountCommand) {
+          fssVolume.mountCommand = volume.mountCommand;
+        }
+        if (volume.subnetId) {
+          fssVolume.subnetId = volume.subnetId;
+        }
+
+        return fssVolume;
+      }
+
+      if (volume.volumeType === 'CONFIGFILE') {
+        const configs = Array.isArray(volume.configs) ? volume.configs : [];
+        if (configs.length === 0 || configs.some(config => !config || !config.fileName || typeof config.data !== 'string')) {
+          throw new Error(`Invalid config file volume "${volumeName}": each config needs a fileName and base64 data`);
+        }
+
+        return {
+          name: volumeName,
+          volumeType: 'CONFIGFILE',
+          configs: configs.map(config => {
+            const configFile = { fileName: config.fileName, data: config.data };
+            if (config.path) {
+              configFile.path = config.path;
+            }
+            return configFile;
+          })
+        };
+      }
+
+      return {
+        name: volumeName,
+        volumeType: volume.volumeType || 'EMPTYDIR',
+        backingStore: volume.backingStore || 'EPHEMERAL_STORAGE'
+      };
+    });
+    
+    // Validate volumeMounts - ensure volumeName references exist in volumes array
+    // Frontend should already set volumeMounts correctly, but we validate here
+    const volumeNames = volumes.map((v, idx) => v.name || `volume-${idx}`);
+    containerDetails.forEach((container) => {
+      if (container.volumeMounts && container.volumeMounts.length > 0) {
+        // Just ensure volumeMounts structure is correct - volumeName should match a volume in the volumes array
+        container.volumeMounts = container.volumeMounts.map((mount) => {
+          // Validate that mountPath and volumeName are present
+          if (!mount.mountPath || !mount.volumeName) {
+            throw new Error(`Invalid volumeMount: mountPath and volumeName are required`);
+          }
+          // Check if volumeName exists in volumes (optional validation)
+          if (!volumeNames.includes(mount.volumeName)) {
+          }
+          const normalizedMount = {
+            mountPath: mount.mountPath,
+            volumeName: mount.volumeName
+          };
+          if (mount.subPath) {
+            normalizedMount.subPath = mount.subPath;
+          }
+          if (typeof mount.isReadOnly === 'boolean') {
+            normalizedMount.isReadOnly = mount.isReadOnly;
+          }
+          return normalizedMount;
+        });
+      }
+    });
+  }
+
+  return { containerInstanceDetails };
+}
+
+// Compose config name for a file of a CONFIGFILE volume ("config-app" -> "app", one config per file)
+function getComposeConfigName(volume, config) {
+  const baseName = String(volume.name || 'config').replace(/^config-/, '');
+  return (volume.configs || []).length > 1
+    ? `${baseName}-${String(config.fileName).replace(/[^A-Za-z0-9_-]+/g, '-')}`
+    : baseName;
+}
+
 function shortOcid(value) {
   const ocid = value ? String(value) : '';
   if (!ocid || ocid.length <= 28) return ocid || null;
@@ -117,10 +688,20 @@ function summarizeCreateContainerInstanceDetails(details = {}) {
     shape: details.shape,
     shapeConfig: details.shapeConfig,
     containerRestartPolicy: details.containerRestartPolicy,
+    gracefulShutdownTimeoutInSeconds: details.gracefulShutdownTimeoutInSeconds,
+    dnsConfig: details.dnsConfig || null,
+    imagePullSecrets: Array.isArray(details.imagePullSecrets)
+      ? details.imagePullSecrets.map(secret => ({
+          secretType: secret.secretType,
+          registryEndpoint: secret.registryEndpoint,
+          secretId: shortOcid(secret.secretId)
+        }))
+      : [],
     containers: Array.isArray(details.containers)
       ? details.containers.map(container => ({
           displayName: container.displayName,
           imageUrl: container.imageUrl,
+          securityContext: container.securityContext || null,
           volumeMounts: Array.isArray(container.volumeMounts)
             ? container.volumeMounts.map(mount => ({
                 volumeName: mount.volumeName,
@@ -139,7 +720,8 @@ function summarizeCreateContainerInstanceDetails(details = {}) {
           exportId: shortOcid(volume.export?.id),
           subnetId: shortOcid(volume.subnetId),
           mountOptions: volume.mountCommand?.mountOptions || [],
-          isEncryptedInTransit: volume.security?.isEncryptedInTransit
+          isEncryptedInTransit: volume.security?.isEncryptedInTransit,
+          configFiles: Array.isArray(volume.configs) ? volume.configs.map(config => config.fileName) : undefined
         }))
       : [],
     vnics: Array.isArray(details.vnics)
@@ -1107,6 +1689,51 @@ app.post('/api/oci/container-instances/validate', async (req, res) => {
   }
 });
 
+// Vault - Create a secret (used for Compose secrets that don't reference an existing Vault secret)
+app.post('/api/oci/vault/secrets', async (req, res) => {
+  try {
+    const { vaultClient } = createOCIClients(getOCIRequestConfig(req));
+    const { compartmentId, vaultId, keyId, secretName, content, description } = req.body;
+
+    if (!compartmentId || !vaultId || !keyId || !secretName || !content) {
+      return res.status(400).json({
+        success: false,
+        error: 'compartmentId, vaultId, keyId, secretName and content are required'
+      });
+    }
+
+    const createSecretRequest = {
+      createSecretDetails: {
+        compartmentId: compartmentId,
+        vaultId: vaultId,
+        keyId: keyId,
+        secretName: secretName,
+        description: description || undefined,
+        secretContent: {
+          contentType: 'BASE64',
+          content: content
+        }
+      }
+    };
+    const response = await vaultClient.createSecret(createSecretRequest);
+
+    res.json({
+      success: true,
+      data: {
+        id: response.secret.id,
+        secretName: response.secret.secretName,
+        lifecycleState: response.secret.lifecycleState
+      }
+    });
+  } catch (error) {
+    console.error('Error creating vault secret:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Container Instances - Create Container Instance
 app.post('/api/oci/container-instances', async (req, res) => {
   let createSummary;
@@ -1124,14 +1751,9 @@ app.post('/api/oci/container-instances', async (req, res) => {
       displayName,
       compartmentId,
       shape,
-      shapeConfig,
       subnetId,
       vnics,
       containers,
-      volumes,
-      containerRestartPolicy,
-      ingressIps,
-      freeformTags,
       logGroupId
     } = req.body;
 
@@ -1176,259 +1798,30 @@ app.post('/api/oci/container-instances', async (req, res) => {
       });
     }
     
-    const listAvailabilityDomainsRequest = {
-      compartmentId: tenancyId
-    };
-    const adResponse = await identityClient.listAvailabilityDomains(listAvailabilityDomainsRequest);
-    if (!adResponse.items || adResponse.items.length === 0) {
-      throw new Error('No availability domains found for tenancy');
-    }
-    // Use the first availability domain
-    const availabilityDomain = adResponse.items[0].name;
-
-    // Build containers array - ensure all fields are properly formatted
-    const containerDetails = containers.map((container, idx) => {
-      // Container resourceConfig uses vcpusLimit and memoryLimitInGBs (not vcpus and memoryInGBs)
-      // Ensure values are valid numbers (not NaN, Infinity, etc.)
-      let memoryLimitInGBs = parseFloat(container.resourceConfig?.memoryInGBs || container.resourceConfig?.memoryLimitInGBs) || 1;
-      let vcpusLimit = parseFloat(container.resourceConfig?.vcpus || container.resourceConfig?.vcpusLimit) || 1;
-      
-      // Validate and ensure minimum values
-      if (!isFinite(memoryLimitInGBs) || memoryLimitInGBs <= 0) memoryLimitInGBs = 1;
-      if (!isFinite(vcpusLimit) || vcpusLimit <= 0) vcpusLimit = 1;
-      
-      const containerDetail = {
-        displayName: container.displayName,
-        imageUrl: container.imageUrl,
-        isResourcePrincipalDisabled: false,
-        resourceConfig: {
-          memoryLimitInGBs: memoryLimitInGBs,
-          vcpusLimit: vcpusLimit
-        }
-      };
-
-      // Only include environmentVariables if they exist and have values
-      if (container.environmentVariables && typeof container.environmentVariables === 'object' && Object.keys(container.environmentVariables).length > 0) {
-        containerDetail.environmentVariables = container.environmentVariables;
-      }
-
-      // Only include optional fields if they have values and are arrays
-      if (container.arguments && Array.isArray(container.arguments) && container.arguments.length > 0) {
-        containerDetail.arguments = container.arguments;
-      }
-      if (container.command && Array.isArray(container.command) && container.command.length > 0) {
-        containerDetail.command = container.command;
-      }
-      if (container.volumeMounts && Array.isArray(container.volumeMounts) && container.volumeMounts.length > 0) {
-        containerDetail.volumeMounts = container.volumeMounts;
-      }
-      
-      // Add freeformTags to container if provided (e.g., port information)
-      if (container.freeformTags && typeof container.freeformTags === 'object' && Object.keys(container.freeformTags).length > 0) {
-        containerDetail.freeformTags = container.freeformTags;
-      }
+    const availabilityDomain = await getFirstAvailabilityDomain(identityClient, tenancyId);
 
-      return containerDetail;
-    });
+    // Check if subnet is private (prohibits public IP assignment)
+    const isPublicIpAssigned = await isPublicIpAllowedOnSubnet(virtualNetworkClient, primarySubnetId);
 
-    // Use shapeConfig from request, or calculate from containers if not provided
-    let shapeConfigToUse;
-    if (shapeConfig && shapeConfig.memoryInGBs && shapeConfig.ocpus) {
-      // Use provided shapeConfig
-      shapeConfigToUse = {
-        memoryInGBs: parseFloat(shapeConfig.memoryInGBs),
-        ocpus: parseFloat(shapeConfig.ocpus)
-      };
-    } else {
-      // Fallback: Calculate total resources needed from all containers
-      let totalMemoryInGBs = 0;
-      let totalVcpus = 0;
-      containerDetails.forEach(container => {
-        if (container.resourceConfig) {
-          totalMemoryInGBs += container.resourceConfig.memoryLimitInGBs || 0;
-          totalVcpus += container.resourceConfig.vcpusLimit || 0;
-        }
+    const built = buildContainerInstanceDetails(req.body, { availabilityDomain, isPublicIpAssigned });
+    if (built.error) {
+      return res.status(400).json({
+        success: false,
+        error: built.error,
+        ...(built.details ? { details: built.details } : {})
       });
-      
-      // Ensure minimum values
-      totalVcpus = Math.max(Math.ceil(totalVcpus), 1);
-      totalMemoryInGBs = Math.max(Math.ceil(totalMemoryInGBs), Math.max(totalVcpus, 1));
-      
-      shapeConfigToUse = {
-        memoryInGBs: totalMemoryInGBs,
-        ocpus: totalVcpus
-      };
-    }
-    
-    // Validate that values are finite numbers
-    if (!isFinite(shapeConfigToUse.ocpus) || !isFinite(shapeConfigToUse.memoryInGBs)) {
-      throw new Error('Invalid resource values: ocpus and memoryInGBs must be valid numbers');
-    }
-
-    // Check if subnet is private (prohibits public IP assignment)
-    let isPublicIpAssigned = true; // Default to true for public subnets
-    try {
-      const getSubnetRequest = {
-        subnetId: primarySubnetId
-      };
-      const subnetResponse = await virtualNetworkClient.getSubnet(getSubnetRequest);
-      const subnet = subnetResponse.subnet;
-      
-      // If prohibitPublicIpOnVnic is true, the subnet is private and we cannot assign a public IP
-      if (subnet.prohibitPublicIpOnVnic === true) {
-        isPublicIpAssigned = false;
-      } else {
-      }
-    } catch (subnetError) {
-      // Default to true if we can't check (backward compatibility)
-      isPublicIpAssigned = true;
     }
+    const { containerInstanceDetails } = built;
 
-    const hasExplicitPrimaryVnic = requestedVnics.some((vnic) => String(vnic.purpose || '').toUpperCase() === 'PRIMARY');
-    const normalizedVnics = requestedVnics.length > 0
-      ? requestedVnics.map((vnic, index) => {
-          if (!vnic.subnetId) {
-            throw new Error(`Invalid VNIC ${index + 1}: subnetId is required`);
-          }
+    // Note: ingressIps are assigned by OCI after creation, not during creation
+    // Ports should be specified in the container configuration if needed
+    // We skip ingressIps in the creation request
 
-          const purpose = String(vnic.purpose || (index === 0 && !hasExplicitPrimaryVnic ? 'PRIMARY' : 'SECONDARY')).toUpperCase();
-          if (!['PRIMARY', 'SECONDARY'].includes(purpose)) {
-            throw new Error(`Invalid VNIC ${index + 1}: purpose must be PRIMARY or SECONDARY`);
-          }
+    const createContainerInstanceRequest = {
+      createContainerInstanceDetails: containerInstanceDetails
+    };
 
-          const normalizedVnic = {
-            subnetId: vnic.subnetId,
-            isPublicIpAssigned: purpose === 'PRIMARY' ? isPublicIpAssigned : false
-          };
-
-          if (purpose) {
-            normalizedVnic.purpose = purpose;
-          }
-          if (vnic.displayName) {
-            normalizedVnic.displayName = vnic.displayName;
-          }
-          if (vnic.hostnameLabel) {
-            normalizedVnic.hostnameLabel = vnic.hostnameLabel;
-          }
-          if (typeof vnic.skipSourceDestCheck === 'boolean') {
-            normalizedVnic.skipSourceDestCheck = vnic.skipSourceDestCheck;
-          }
-          if (Array.isArray(vnic.nsgIds) && vnic.nsgIds.length > 0) {
-            normalizedVnic.nsgIds = vnic.nsgIds;
-          }
-          if (vnic.privateIp) {
-            normalizedVnic.privateIp = vnic.privateIp;
-          }
-          if (vnic.freeformTags && typeof vnic.freeformTags === 'object') {
-            normalizedVnic.freeformTags = vnic.freeformTags;
-          }
-          if (vnic.definedTags && typeof vnic.definedTags === 'object') {
-            normalizedVnic.definedTags = vnic.definedTags;
-          }
-
-          return normalizedVnic;
-        })
-      : [{
-          subnetId: primarySubnetId,
-          isPublicIpAssigned: isPublicIpAssigned
-        }];
-
-    // Build container instance configuration. FSS volumes use a raw REST fallback below
-    // because the bundled SDK version predates OCI_FSS_FILE_SYSTEM volume models.
-    const containerInstanceDetails = {
-      displayName: displayName,
-      compartmentId: compartmentId,
-      availabilityDomain: availabilityDomain,
-      shape: shape,
-      shapeConfig: {
-        ocpus: shapeConfigToUse.ocpus,
-        memoryInGBs: shapeConfigToUse.memoryInGBs
-      },
-      containers: containerDetails,
-      vnics: normalizedVnics,
-      containerRestartPolicy: containerRestartPolicy || 'NEVER'
-    };
-    
-    // Add freeformTags to container instance if provided
-    if (freeformTags && typeof freeformTags === 'object' && Object.keys(freeformTags).length > 0) {
-      containerInstanceDetails.freeformTags = freeformTags;
-    }
-
-    // Add volumes if provided
-    if (volumes && volumes.length > 0) {
-      containerInstanceDetails.volumes = volumes.map((volume, index) => {
-        const volumeName = volume.name || `volume-${index}`;
-        if (volume.volumeType === 'OCI_FSS_FILE_SYSTEM') {
-          if (!volume.mountTarget || !volume.mountTarget.id || !volume.export || !volume.export.id) {
-            throw new Error(`Invalid FSS volume "${volumeName}": mountTarget.id and export.id are required`);
-          }
-
-          const fssVolume = {
-            name: volumeName,
-            volumeType: 'OCI_FSS_FILE_SYSTEM',
-            mountTarget: volume.mountTarget,
-            export: volume.export
-          };
-
-          if (volume.security) {
-            fssVolume.security = volume.security;
-          }
-          if (volume.mountCommand) {
-            fssVolume.mountCommand = volume.mountCommand;
-          }
-          if (volume.subnetId) {
-            fssVolume.subnetId = volume.subnetId;
-          }
-
-          return fssVolume;
-        }
-
-        return {
-          name: volumeName,
-          volumeType: volume.volumeType || 'EMPTYDIR',
-          backingStore: volume.backingStore || 'EPHEMERAL_STORAGE'
-        };
-      });
-      
-      // Validate volumeMounts - ensure volumeName references exist in volumes array
-      // Frontend should already set volumeMounts correctly, but we validate here
-      const volumeNames = volumes.map((v, idx) => v.name || `volume-${idx}`);
-      containerDetails.forEach((container) => {
-        if (container.volumeMounts && container.volumeMounts.length > 0) {
-          // Just ensure volumeMounts structure is correct - volumeName should match a volume in the volumes array
-          container.volumeMounts = container.volumeMounts.map((mount) => {
-            // Validate that mountPath and volumeName are present
-            if (!mount.mountPath || !mount.volumeName) {
-              throw new Error(`Invalid volumeMount: mountPath and volumeName are required`);
-            }
-            // Check if volumeName exists in volumes (optional validation)
-            if (!volumeNames.includes(mount.volumeName)) {
-            }
-            const normalizedMount = {
-              mountPath: mount.mountPath,
-              volumeName: mount.volumeName
-            };
-            if (mount.subPath) {
-              normalizedMount.subPath = mount.subPath;
-            }
-            if (typeof mount.isReadOnly === 'boolean') {
-              normalizedMount.isReadOnly = mount.isReadOnly;
-            }
-            return normalizedMount;
-          });
-        }
-      });
-    }
-
-    // Note: ingressIps are assigned by OCI after creation, not during creation
-    // Ports should be specified in the container configuration if needed
-    // We skip ingressIps in the creation request
-
-    const createContainerInstanceRequest = {
-      createContainerInstanceDetails: containerInstanceDetails
-    };
-
-    createSummary = summarizeCreateContainerInstanceDetails(containerInstanceDetails);
+    createSummary = summarizeCreateContainerInstanceDetails(containerInstanceDetails);
 
     const response = hasOciFssVolumes(containerInstanceDetails.volumes)
       ? await createContainerInstanceRaw(requestConfig, containerInstancesClient, containerInstanceDetails)
@@ -1484,6 +1877,101 @@ app.get('/api/oci/container-instances/:instanceId', async (req, res) => {
   }
 });
 
+// Container Instances - Export the create request as an OCI CLI --from-json payload and a bash script
+// that creates the instance, waits for ACTIVE and prints its IPs. Takes the same body as the create route
+// and validates and normalizes it the same way (sidecar checks, availability domain and public IP lookups).
+// BASIC registry credentials are left out of the JSON, the script reads them from the environment.
+// Responds with a zip of both files; pass format=json to get { files } instead.
+app.post('/api/oci/container-instances/cli-export', async (req, res) => {
+  try {
+    const requestConfig = getOCIRequestConfig(req);
+    const clients = createOCIClients(requestConfig);
+    const { identityClient, containerInstancesClient, virtualNetworkClient } = clients;
+    const { displayName, compartmentId, shape, subnetId, vnics, containers, logGroupId, format } = req.body;
+
+    const requestedVnics = Array.isArray(vnics) ? vnics.filter(Boolean) : [];
+    const requestedPrimaryVnic = requestedVnics.find((vnic) => String(vnic.purpose || '').toUpperCase() === 'PRIMARY') || requestedVnics[0];
+    const primarySubnetId = subnetId || requestedPrimaryVnic?.subnetId;
+
+    if (!displayName || !compartmentId || !shape || !primarySubnetId || !containers || containers.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: displayName, compartmentId, shape, subnetId, and at least one container are required'
+      });
+    }
+
+    const ociConfig = readOCIConfig(requestConfig.configPath, requestConfig.profile);
+    const tenancyId = ociConfig?.tenancy || req.body.tenancyId;
+
+    // Validate sidecar configurations (bucket, log, vault) like the create route
+    try {
+      const validationResult = await validateSidecarConfigs(containers, compartmentId, tenancyId, logGroupId, clients);
+      if (validationResult.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Sidecar configuration validation failed',
+          details: validationResult.errors,
+          warnings: validationResult.warnings
+        });
+      }
+    } catch (validationError) {
+      return res.status(500).json({
+        success: false,
+        error: `Sidecar validation error: ${validationError.message}`
+      });
+    }
+
+    if (!tenancyId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tenancy ID is required to get availability domain. Please ensure OCI config file is properly configured.'
+      });
+    }
+
+    const [availabilityDomain, isPublicIpAssigned] = await Promise.all([
+      getFirstAvailabilityDomain(identityClient, tenancyId),
+      isPublicIpAllowedOnSubnet(virtualNetworkClient, primarySubnetId)
+    ]);
+
+    let built;
+    try {
+      built = buildContainerInstanceDetails(req.body, { availabilityDomain, isPublicIpAssigned, requireCredentials: false });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    if (built.error) {
+      return res.status(400).json({
+        success: false,
+        error: built.error,
+        ...(built.details ? { details: built.details } : {})
+      });
+    }
+
+    const cliExport = ociCliGenerator.generateOciCliExport(built.containerInstanceDetails, {
+      endpoint: containerInstancesClient.endpoint
+    });
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: cliExport
+      });
+    }
+
+    const zipBuffer = await zipTerraformFiles(cliExport.files);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('X-Registry-Variables', cliExport.registryVariables.join(','));
+    res.setHeader('Content-Disposition', `attachment; filename="${ociCliGenerator.toFileNameBase(displayName)}-oci-cli.zip"`);
+    res.send(zipBuffer);
+  } catch (error) {
+    console.error('Error exporting OCI CLI script:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Container Instances - Delete Container Instance
 app.delete('/api/oci/container-instances/:instanceId', async (req, res) => {
   try {
@@ -2136,7 +2624,242 @@ app.get('/api/oci/networking/vnics/:vnicId', async (req, res) => {
   }
 });
 
-// Resource Manager - Create Stack
+// Container instance with full container details (image, env, resources, mounts) instead of the summaries
+// getContainerInstance lists; containers that can't be read keep their summary
+async function getContainerInstanceWithContainers(containerInstancesClient, instanceId) {
+  const response = await containerInstancesClient.getContainerInstance({ containerInstanceId: instanceId });
+  const instance = response.containerInstance;
+  const containers = await Promise.all((instance.containers || []).map(async (containerSummary) => {
+    if (!containerSummary.containerId) {
+      return containerSummary;
+    }
+    try {
+      const containerResponse = await containerInstancesClient.getContainer({ containerId: containerSummary.containerId });
+      return containerResponse.container;
+    } catch (containerError) {
+      console.error(`Error getting container ${containerSummary.containerId}:`, containerError);
+      return containerSummary;
+    }
+  }));
+  return { ...instance, containers };
+}
+
+// Resource Manager - Generate Terraform (main.tf, variables.tf, schema.yaml) for a container instance.
+// Takes the same body as the create route and normalizes it the same way.
+app.post('/api/oci/resource-manager/terraform', async (req, res) => {
+  try {
+    const { virtualNetworkClient } = createOCIClients(getOCIRequestConfig(req));
+    const { subnetId, vnics } = req.body;
+
+    const requestedVnics = Array.isArray(vnics) ? vnics.filter(Boolean) : [];
+    const requestedPrimaryVnic = requestedVnics.find((vnic) => String(vnic.purpose || '').toUpperCase() === 'PRIMARY') || requestedVnics[0];
+    const primarySubnetId = subnetId || requestedPrimaryVnic?.subnetId;
+    const isPublicIpAssigned = primarySubnetId
+      ? await isPublicIpAllowedOnSubnet(virtualNetworkClient, primarySubnetId)
+      : true;
+
+    let built;
+    try {
+      built = buildContainerInstanceDetails(req.body, { isPublicIpAssigned, requireCredentials: false });
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+    if (built.error) {
+      return res.status(400).json({
+        success: false,
+        error: built.error,
+        ...(built.details ? { details: built.details } : {})
+      });
+    }
+
+    const terraform = terraformGenerator.generateContainerInstanceTerraform(built.containerInstanceDetails);
+    res.json({
+      success: true,
+      data: terraform
+    });
+  } catch (error) {
+    console.error('Error generating Terraform:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Freeform tags linking a Resource Manager stack to the Container Instance it was exported from
+// (by OCID; the name tag is only matched for stacks exported before the OCID was stored),
+// and counting the Terraform configurations uploaded to it (jobs get the version they ran)
+const STACK_INSTANCE_TAG = 'ciComposeInstance';
+const STACK_INSTANCE_ID_TAG = 'ciComposeInstanceId';
+const STACK_CONFIG_VERSION_TAG = 'ciComposeConfigVersion';
+const STACK_EXPORTED_AT_TAG = 'ciComposeExportedAt';
+const DEFAULT_TERRAFORM_VERSION = '1.5.x';
+
+// Zip files ({ fileName: content }): Terraform for a ZIP_UPLOAD stack config source, or the OCI CLI export
+function zipTerraformFiles(files) {
+  const archiver = require('archiver');
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('data', (chunk) => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+    Object.entries(files).forEach(([fileName, content]) => {
+      archive.append(content, { name: fileName });
+    });
+    archive.finalize();
+  });
+}
+
+// Read a binary SDK response body (Node stream, web stream or Blob) into a Buffer
+async function readBinaryValue(value) {
+  if (value && typeof value.arrayBuffer === 'function') {
+    return Buffer.from(await value.arrayBuffer());
+  }
+  const chunks = [];
+  for await (const chunk of value) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+}
+
+// Limits for zip archives read from Resource Manager: total uncompressed size and number of entries
+const MAX_UNZIPPED_BYTES = 20 * 1024 * 1024;
+const MAX_ZIP_ENTRIES = 1000;
+
+// Read the files of a zip archive ({ fileName: content }), e.g. a stack's Terraform configuration.
+// yauzl checks that entries inflate to their declared size, so the size limit can't be bypassed;
+// encrypted entries are rejected.
+function unzipTerraformFiles(buffer) {
+  const yauzl = require('yauzl');
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true, strictFileNames: true }, (openError, zipFile) => {
+      if (openError) {
+        reject(new Error(`Invalid zip archive: ${openError.message}`));
+        return;
+      }
+      if (zipFile.entryCount > MAX_ZIP_ENTRIES) {
+        zipFile.close();
+        reject(new Error(`Zip archive has more than ${MAX_ZIP_ENTRIES} entries`));
+        return;
+      }
+
+      const files = {};
+      let totalBytes = 0;
+      const fail = (error) => {
+        zipFile.close();
+        reject(error);
+      };
+      zipFile.on('error', reject);
+      zipFile.on('end', () => resolve(files));
+      zipFile.on('entry', (entry) => {
+        if (entry.fileName.endsWith('/')) {
+          zipFile.readEntry();
+          return;
+        }
+        if (entry.isEncrypted()) {
+          fail(new Error(`Zip entry ${entry.fileName} is encrypted`));
+          return;
+        }
+        totalBytes += entry.uncompressedSize;
+        if (totalBytes > MAX_UNZIPPED_BYTES) {
+          fail(new Error(`Zip archive is larger than ${MAX_UNZIPPED_BYTES / (1024 * 1024)} MB uncompressed`));
+          return;
+        }
+        zipFile.openReadStream(entry, (streamError, stream) => {
+          if (streamError) {
+            fail(streamError);
+            return;
+          }
+          const chunks = [];
+          stream.on('data', (chunk) => chunks.push(chunk));
+          stream.on('error', fail);
+          stream.on('end', () => {
+            files[entry.fileName] = Buffer.concat(chunks).toString('utf8');
+            zipFile.readEntry();
+          });
+        });
+      });
+      zipFile.readEntry();
+    });
+  });
+}
+
+// Newest Terraform version Resource Manager offers (e.g. 1.5.x), used for new stacks
+async function getLatestTerraformVersion(resourceManagerClient, compartmentId) {
+  try {
+    const response = await resourceManagerClient.listTerraformVersions({ compartmentId });
+    const versions = (response.terraformVersionCollection?.items || []).map(item => item.name).filter(Boolean);
+    const numeric = (version) => version.split('.').map(part => parseInt(part, 10) || 0);
+    versions.sort((a, b) => {
+      const [aMajor, aMinor] = numeric(a);
+      const [bMajor, bMinor] = numeric(b);
+      return aMajor - bMajor || aMinor - bMinor;
+    });
+    return versions[versions.length - 1] || DEFAULT_TERRAFORM_VERSION;
+  } catch (error) {
+    return DEFAULT_TERRAFORM_VERSION;
+  }
+}
+
+// Newest active stack tagged with the Container Instance's OCID, else the newest one tagged with its name
+// and no OCID (stacks of other instances with the same name are never matched), or null
+async function findInstanceStack(resourceManagerClient, compartmentId, { instanceId, instanceName }) {
+  const stacks = [];
+  let page;
+  do {
+    const response = await resourceManagerClient.listStacks({ compartmentId, lifecycleState: 'ACTIVE', page });
+    stacks.push(...(response.items || []));
+    page = response.opcNextPage;
+  } while (page);
+
+  const newestFirst = (a, b) => new Date(b.timeCreated) - new Date(a.timeCreated);
+  const idMatches = instanceId
+    ? stacks.filter(stack => stack.freeformTags && stack.freeformTags[STACK_INSTANCE_ID_TAG] === instanceId).sort(newestFirst)
+    : [];
+  if (idMatches.length > 0) {
+    return idMatches[0];
+  }
+  const nameMatches = instanceName
+    ? stacks.filter(stack => stack.freeformTags && !stack.freeformTags[STACK_INSTANCE_ID_TAG] &&
+      stack.freeformTags[STACK_INSTANCE_TAG] === instanceName).sort(newestFirst)
+    : [];
+  return nameMatches[0] || null;
+}
+
+// Stack fields the UI shows, including which uploaded configuration it holds
+function summarizeResourceManagerStack(stack) {
+  const freeformTags = stack.freeformTags || {};
+  return {
+    id: stack.id,
+    displayName: stack.displayName,
+    compartmentId: stack.compartmentId,
+    lifecycleState: stack.lifecycleState,
+    terraformVersion: stack.terraformVersion,
+    timeCreated: stack.timeCreated,
+    instanceName: freeformTags[STACK_INSTANCE_TAG] || null,
+    instanceId: freeformTags[STACK_INSTANCE_ID_TAG] || null,
+    configVersion: parseInt(freeformTags[STACK_CONFIG_VERSION_TAG], 10) || 1,
+    exportedAt: freeformTags[STACK_EXPORTED_AT_TAG] || null
+  };
+}
+
+// A stack with its most recent jobs (newest first)
+async function getStackWithJobs(resourceManagerClient, stackId) {
+  const [stackResponse, jobsResponse] = await Promise.all([
+    resourceManagerClient.getStack({ stackId }),
+    resourceManagerClient.listJobs({ stackId, sortBy: 'TIMECREATED', sortOrder: 'DESC', limit: 10 })
+  ]);
+  return {
+    stack: summarizeResourceManagerStack(stackResponse.stack),
+    jobs: (jobsResponse.items || []).map(summarizeResourceManagerJob)
+  };
+}
+
+// Resource Manager - Create or update the stack of a Container Instance.
+// Takes either terraformFiles ({ fileName: content }) or a single terraformConfig written as main.tf.
+// The stack given by stackId, or else the one tagged for instanceId (or instanceName), gets the new
+// configuration uploaded; a new stack is only created when there is none.
 app.post('/api/oci/resource-manager/stacks', async (req, res) => {
   try {
     const { resourceManagerClient } = createOCIClients(getOCIRequestConfig(req));
@@ -2144,100 +2867,468 @@ app.post('/api/oci/resource-manager/stacks', async (req, res) => {
       displayName,
       description,
       compartmentId,
-      terraformConfig
+      instanceName,
+      instanceId,
+      stackId,
+      terraformConfig,
+      terraformFiles
     } = req.body;
 
-    if (!displayName || !compartmentId || !terraformConfig) {
+    const stackFiles = terraformFiles && typeof terraformFiles === 'object' && Object.keys(terraformFiles).length > 0
+      ? terraformFiles
+      : (terraformConfig ? { 'main.tf': terraformConfig } : null);
+
+    if (!displayName || !compartmentId || !stackFiles) {
       return res.status(400).json({
         success: false,
-        error: 'displayName, compartmentId, and terraformConfig are required'
+        error: 'displayName, compartmentId, and terraformConfig or terraformFiles are required'
       });
     }
 
-    const createStackDetails = {
-      compartmentId: compartmentId,
-      displayName: displayName,
-      description: description || `Container Instance configuration for ${displayName}`,
-      configSource: {
-        configSourceType: 'ZIP_UPLOAD'
-      },
-      terraformVersion: '1.5.x',
-      variables: {},
-      freeformTags: {}
-    };
+    const invalidFileName = Object.keys(stackFiles).find(fileName => !/^[\w.-]+$/.test(fileName) || typeof stackFiles[fileName] !== 'string');
+    if (invalidFileName) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid Terraform file: ${invalidFileName}`
+      });
+    }
 
-    // Create a ZIP file with the Terraform configuration
-    const archiver = require('archiver');
-    const stream = require('stream');
-    
-    // Create a readable stream for the ZIP
-    const zipStream = new stream.PassThrough();
-    const archive = archiver('zip', { zlib: { level: 9 } });
-    
-    archive.on('error', (error) => {
-      console.error('Error creating ZIP:', error);
+    let zipBuffer;
+    try {
+      zipBuffer = await zipTerraformFiles(stackFiles);
+    } catch (zipError) {
+      console.error('Error creating ZIP:', zipError);
       return res.status(500).json({
         success: false,
-        error: 'Failed to create ZIP file: ' + error.message
+        error: 'Failed to create ZIP file: ' + zipError.message
       });
-    });
-    
-    archive.pipe(zipStream);
-    archive.append(terraformConfig, { name: 'main.tf' });
-    archive.finalize();
+    }
+    const configSource = {
+      configSourceType: 'ZIP_UPLOAD',
+      zipFileBase64Encoded: zipBuffer.toString('base64')
+    };
+    const exportedAt = new Date().toISOString();
+
+    const existingStack = stackId
+      ? (await resourceManagerClient.getStack({ stackId })).stack
+      : (instanceId || instanceName ? await findInstanceStack(resourceManagerClient, compartmentId, { instanceId, instanceName }) : null);
+    const instanceTags = {
+      ...(instanceName ? { [STACK_INSTANCE_TAG]: instanceName } : {}),
+      ...(instanceId ? { [STACK_INSTANCE_ID_TAG]: instanceId } : {})
+    };
 
-    // Convert stream to buffer
-    const chunks = [];
-    zipStream.on('data', (chunk) => chunks.push(chunk));
-    zipStream.on('end', async () => {
-      try {
-        const zipBuffer = Buffer.concat(chunks);
-        
-        // Create stack with ZIP_UPLOAD config source
-        const createStackRequest = {
-          createStackDetails: {
-            compartmentId: compartmentId,
-            displayName: displayName,
-            description: description || `Container Instance configuration for ${displayName}`,
-            configSource: {
-              configSourceType: 'ZIP_UPLOAD',
-              zipFileBase64Encoded: zipBuffer.toString('base64')
-            },
-            terraformVersion: '1.5.x',
-            variables: {},
-            freeformTags: {}
+    let stack;
+    if (existingStack) {
+      const freeformTags = existingStack.freeformTags || {};
+      const configVersion = (parseInt(freeformTags[STACK_CONFIG_VERSION_TAG], 10) || 1) + 1;
+      const response = await resourceManagerClient.updateStack({
+        stackId: existingStack.id,
+        updateStackDetails: {
+          configSource,
+          freeformTags: {
+            ...freeformTags,
+            ...instanceTags,
+            [STACK_CONFIG_VERSION_TAG]: String(configVersion),
+            [STACK_EXPORTED_AT_TAG]: exportedAt
           }
-        };
-
-        const response = await resourceManagerClient.createStack(createStackRequest);
-        
-        res.json({
-          success: true,
-          data: {
-            id: response.stack.id,
-            displayName: response.stack.displayName,
-            lifecycleState: response.stack.lifecycleState,
-            compartmentId: response.stack.compartmentId
+        }
+      });
+      stack = response.stack;
+    } else {
+      const response = await resourceManagerClient.createStack({
+        createStackDetails: {
+          compartmentId: compartmentId,
+          displayName: displayName,
+          description: description || `Container Instance configuration for ${displayName}`,
+          configSource,
+          terraformVersion: await getLatestTerraformVersion(resourceManagerClient, compartmentId),
+          variables: {},
+          freeformTags: {
+            ...instanceTags,
+            [STACK_CONFIG_VERSION_TAG]: '1',
+            [STACK_EXPORTED_AT_TAG]: exportedAt
           }
+        }
+      });
+      stack = response.stack;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...summarizeResourceManagerStack(stack),
+        updated: Boolean(existingStack)
+      }
+    });
+  } catch (error) {
+    console.error('Error in Resource Manager stack creation:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Resource Manager - Find the stack exported for a Container Instance (by instanceId, and instanceName
+// for older stacks), with its recent jobs.
+// Without instanceId and instanceName, lists the compartment's active stacks instead (newest first).
+app.get('/api/oci/resource-manager/stacks', async (req, res) => {
+  try {
+    const { resourceManagerClient } = createOCIClients(getOCIRequestConfig(req));
+    const { compartmentId, instanceName, instanceId } = req.query;
+
+    if (!compartmentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'compartmentId is required'
+      });
+    }
+
+    if (!instanceName && !instanceId) {
+      const stacks = [];
+      let page;
+      do {
+        const response = await resourceManagerClient.listStacks({
+          compartmentId,
+          lifecycleState: 'ACTIVE',
+          sortBy: 'TIMECREATED',
+          sortOrder: 'DESC',
+          page
         });
-      } catch (error) {
-        console.error('Error creating Resource Manager stack:', error);
-        res.status(500).json({
-          success: false,
-          error: error.message
-        });
+        stacks.push(...(response.items || []));
+        page = response.opcNextPage;
+      } while (page);
+      return res.json({
+        success: true,
+        data: stacks.map(summarizeResourceManagerStack)
+      });
+    }
+
+    const stack = await findInstanceStack(resourceManagerClient, compartmentId, { instanceId, instanceName });
+    res.json({
+      success: true,
+      data: stack ? await getStackWithJobs(resourceManagerClient, stack.id) : null
+    });
+  } catch (error) {
+    console.error('Error finding Resource Manager stack:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Resource Manager - Get a stack with its recent jobs
+app.get('/api/oci/resource-manager/stacks/:stackId', async (req, res) => {
+  try {
+    const { resourceManagerClient } = createOCIClients(getOCIRequestConfig(req));
+    res.json({
+      success: true,
+      data: await getStackWithJobs(resourceManagerClient, req.params.stackId)
+    });
+  } catch (error) {
+    console.error('Error getting Resource Manager stack:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Container Instances defined in a stack's Terraform configuration, with var.* resolved from the
+// stack's variables (then the configuration's defaults). Syntax errors throw with statusCode 400.
+async function readStackContainerInstances(resourceManagerClient, stackId) {
+  const [stackResponse, configResponse] = await Promise.all([
+    resourceManagerClient.getStack({ stackId }),
+    resourceManagerClient.getStackTfConfig({ stackId })
+  ]);
+  const stack = stackResponse.stack;
+
+  // Only read the stack's working directory, not modules or other folders in the zip
+  const workingDirectory = (stack.configSource?.workingDirectory || '').replace(/^\/+|\/+$/g, '');
+  const files = {};
+  Object.entries(await unzipTerraformFiles(await readBinaryValue(configResponse.value))).forEach(([fileName, content]) => {
+    const directory = fileName.includes('/') ? fileName.slice(0, fileName.lastIndexOf('/')) : '';
+    if (directory === workingDirectory) {
+      files[fileName] = content;
+    }
+  });
+
+  try {
+    return {
+      stack: summarizeResourceManagerStack(stack),
+      ...terraformParser.parseTerraformContainerInstances(files, { variables: stack.variables || {} })
+    };
+  } catch (parseError) {
+    parseError.statusCode = 400;
+    throw parseError;
+  }
+}
+
+// Resource Manager - Read the Container Instances defined in a stack's Terraform configuration
+app.get('/api/oci/resource-manager/stacks/:stackId/container-instance', async (req, res) => {
+  try {
+    const { resourceManagerClient } = createOCIClients(getOCIRequestConfig(req));
+    res.json({
+      success: true,
+      data: await readStackContainerInstances(resourceManagerClient, req.params.stackId)
+    });
+  } catch (error) {
+    console.error('Error reading Resource Manager stack configuration:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Resource Manager - Compare a stack's configuration with the live Container Instance (drift).
+// Reads the resource with the instance's display name (or the only one) and returns field differences.
+app.get('/api/oci/resource-manager/stacks/:stackId/drift', async (req, res) => {
+  try {
+    const { resourceManagerClient, containerInstancesClient } = createOCIClients(getOCIRequestConfig(req));
+    const { instanceId } = req.query;
+
+    if (!instanceId) {
+      return res.status(400).json({
+        success: false,
+        error: 'instanceId is required'
+      });
+    }
+
+    const [stackConfig, instance] = await Promise.all([
+      readStackContainerInstances(resourceManagerClient, req.params.stackId),
+      getContainerInstanceWithContainers(containerInstancesClient, instanceId)
+    ]);
+    const { containerInstances } = stackConfig;
+    const resource = containerInstances.find(candidate => candidate.payload.displayName === instance.displayName) ||
+      (containerInstances.length === 1 ? containerInstances[0] : null);
+
+    if (!resource) {
+      return res.status(400).json({
+        success: false,
+        error: containerInstances.length === 0
+          ? 'The stack does not define a Container Instance'
+          : `None of the stack's Container Instances is named ${instance.displayName}`
+      });
+    }
+
+    const differences = containerInstanceDiff.diffContainerInstances(resource.payload, instance);
+    res.json({
+      success: true,
+      data: {
+        stack: stackConfig.stack,
+        address: resource.address,
+        instance: {
+          id: instance.id,
+          displayName: instance.displayName,
+          lifecycleState: instance.lifecycleState
+        },
+        inSync: differences.length === 0,
+        differences,
+        warnings: stackConfig.warnings
       }
     });
-    
-    zipStream.on('error', (error) => {
-      console.error('Error in ZIP stream:', error);
-      res.status(500).json({
+  } catch (error) {
+    console.error('Error checking Resource Manager stack drift:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+const RESOURCE_MANAGER_JOB_OPERATIONS = ['PLAN', 'APPLY', 'DESTROY'];
+
+// Job fields the UI needs to follow a Resource Manager job
+function summarizeResourceManagerJob(job) {
+  return {
+    id: job.id,
+    stackId: job.stackId,
+    displayName: job.displayName,
+    operation: job.operation,
+    lifecycleState: job.lifecycleState,
+    timeCreated: job.timeCreated,
+    timeFinished: job.timeFinished,
+    failureDetails: job.failureDetails,
+    planJobId: job.jobOperationDetails?.executionPlanJobId,
+    configVersion: parseInt(job.freeformTags?.[STACK_CONFIG_VERSION_TAG], 10) || null
+  };
+}
+
+// Resource Manager - Start a PLAN, APPLY or DESTROY job on a stack.
+// An APPLY with planJobId applies exactly that reviewed plan; without one it's auto-approved.
+app.post('/api/oci/resource-manager/stacks/:stackId/jobs', async (req, res) => {
+  try {
+    const { resourceManagerClient } = createOCIClients(getOCIRequestConfig(req));
+    const { stackId } = req.params;
+    const operation = String(req.body.operation || '').toUpperCase();
+    const { planJobId, displayName } = req.body;
+
+    if (!RESOURCE_MANAGER_JOB_OPERATIONS.includes(operation)) {
+      return res.status(400).json({
         success: false,
-        error: 'Failed to create ZIP file: ' + error.message
+        error: `operation must be one of ${RESOURCE_MANAGER_JOB_OPERATIONS.join(', ')}`
       });
+    }
+
+    const jobOperationDetails = { operation };
+    if (operation === 'APPLY') {
+      jobOperationDetails.executionPlanStrategy = planJobId ? 'FROM_PLAN_JOB_ID' : 'AUTO_APPROVED';
+      if (planJobId) {
+        jobOperationDetails.executionPlanJobId = planJobId;
+      }
+    } else if (operation === 'DESTROY') {
+      jobOperationDetails.executionPlanStrategy = 'AUTO_APPROVED';
+    }
+
+    // Record which uploaded configuration the job runs
+    const { stack } = await resourceManagerClient.getStack({ stackId });
+    const configVersion = stack.freeformTags?.[STACK_CONFIG_VERSION_TAG];
+
+    const response = await resourceManagerClient.createJob({
+      createJobDetails: {
+        stackId,
+        displayName: displayName || `${operation.toLowerCase()}-${new Date().toISOString()}`,
+        operation,
+        jobOperationDetails,
+        freeformTags: configVersion ? { [STACK_CONFIG_VERSION_TAG]: configVersion } : {}
+      }
+    });
+
+    res.json({
+      success: true,
+      data: summarizeResourceManagerJob(response.job)
     });
   } catch (error) {
-    console.error('Error in Resource Manager stack creation:', error);
+    console.error('Error creating Resource Manager job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// After a successful apply, point the stack's instance OCID tag at the instance the apply created
+// or kept (container_instance_id output), so the stack is still found when Terraform replaced it
+async function syncStackInstanceId(resourceManagerClient, job) {
+  const outputs = await resourceManagerClient.listJobOutputs({ jobId: job.id });
+  const output = (outputs.jobOutputsCollection?.items || []).find(item => item.outputName === 'container_instance_id');
+  if (!output || !output.outputValue) {
+    return;
+  }
+  const { stack } = await resourceManagerClient.getStack({ stackId: job.stackId });
+  const freeformTags = stack.freeformTags || {};
+  if (freeformTags[STACK_INSTANCE_ID_TAG] !== output.outputValue) {
+    await resourceManagerClient.updateStack({
+      stackId: job.stackId,
+      updateStackDetails: {
+        freeformTags: { ...freeformTags, [STACK_INSTANCE_ID_TAG]: output.outputValue }
+      }
+    });
+  }
+}
+
+// Resource Manager - Get job state
+app.get('/api/oci/resource-manager/jobs/:jobId', async (req, res) => {
+  try {
+    const { resourceManagerClient } = createOCIClients(getOCIRequestConfig(req));
+    const response = await resourceManagerClient.getJob({ jobId: req.params.jobId });
+
+    res.json({
+      success: true,
+      data: summarizeResourceManagerJob(response.job)
+    });
+  } catch (error) {
+    console.error('Error getting Resource Manager job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Resource Manager - After a successful APPLY job, update the stack's instance OCID tag from its output.
+// Called once by the UI when it sees the apply succeed (the job GET stays read-only).
+app.post('/api/oci/resource-manager/jobs/:jobId/sync-instance', async (req, res) => {
+  try {
+    const { resourceManagerClient } = createOCIClients(getOCIRequestConfig(req));
+    const { job } = await resourceManagerClient.getJob({ jobId: req.params.jobId });
+
+    if (job.operation !== 'APPLY' || job.lifecycleState !== 'SUCCEEDED') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only a succeeded APPLY job can update the stack instance'
+      });
+    }
+
+    await syncStackInstanceId(resourceManagerClient, job);
+    const { stack } = await resourceManagerClient.getStack({ stackId: job.stackId });
+    res.json({
+      success: true,
+      data: summarizeResourceManagerStack(stack)
+    });
+  } catch (error) {
+    console.error('Error updating the stack instance tag:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Resource Manager - Get the Terraform log of a job, oldest first.
+// Pass after=<number of entries already shown> to get only new entries while the job runs.
+app.get('/api/oci/resource-manager/jobs/:jobId/logs', async (req, res) => {
+  try {
+    const { resourceManagerClient } = createOCIClients(getOCIRequestConfig(req));
+    const after = Math.max(0, parseInt(req.query.after, 10) || 0);
+
+    const entries = [];
+    let page;
+    do {
+      const response = await resourceManagerClient.getJobLogs({
+        jobId: req.params.jobId,
+        sortOrder: 'ASC',
+        limit: 1000,
+        page
+      });
+      entries.push(...(response.items || []));
+      page = response.opcNextPage;
+    } while (page);
+
+    res.json({
+      success: true,
+      data: {
+        total: entries.length,
+        entries: entries.slice(after).map(entry => ({
+          timestamp: entry.timestamp,
+          level: entry.level,
+          message: entry.message
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error getting Resource Manager job logs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Resource Manager - Download the Terraform configuration (zip) a job ran with
+app.get('/api/oci/resource-manager/jobs/:jobId/config', async (req, res) => {
+  try {
+    const { resourceManagerClient } = createOCIClients(getOCIRequestConfig(req));
+    const response = await resourceManagerClient.getJobTfConfig({ jobId: req.params.jobId });
+    const zipBuffer = await readBinaryValue(response.value);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="job-config-${req.params.jobId.slice(-8)}.zip"`);
+    res.send(zipBuffer);
+  } catch (error) {
+    console.error('Error getting Resource Manager job configuration:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -2245,49 +3336,143 @@ app.post('/api/oci/resource-manager/stacks', async (req, res) => {
   }
 });
 
+// Terraform - Read the Container Instances defined in uploaded Terraform files.
+// Takes files ({ fileName: content }, .tf and .tfvars) and optional variables overriding their values.
+app.post('/api/terraform/parse', (req, res) => {
+  try {
+    const { files, variables } = req.body;
+
+    if (!files || typeof files !== 'object' || !Object.keys(files).some(fileName => fileName.endsWith('.tf'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one .tf file is required'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = terraformParser.parseTerraformContainerInstances(files, {
+        variables: variables && typeof variables === 'object' ? variables : {}
+      });
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: parseError.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: parsed
+    });
+  } catch (error) {
+    console.error('Error parsing Terraform:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Read the image ENTRYPOINT of the Compose services whose command gets wrapped in a startup script
+// (depends_on or secrets wait); failed lookups are returned as { error } and only produce a warning
+async function readImageEntrypoints(composeObject, ociConfig) {
+  const ociExtension = dockerComposeParser.getOciExtension(composeObject);
+  const architecture = ociExtension.shape
+    ? (String(ociExtension.shape).includes('.A1.') ? 'ARM64' : 'x86')
+    : (ociConfig.architecture || 'x86');
+  const imagePullSecrets = dockerComposeParser.getImagePullSecrets(ociExtension);
+
+  const imageEntrypoints = {};
+  await Promise.all(dockerComposeParser.getImageEntrypointRequests(composeObject).map(async ({ serviceName, image }) => {
+    try {
+      imageEntrypoints[serviceName] = await imageRegistry.getImageEntrypoint(image, {
+        architecture,
+        credentials: imageRegistry.findRegistryCredentials(image, imagePullSecrets)
+      });
+    } catch (error) {
+      console.error(`Error reading the ENTRYPOINT of image ${image}:`, error.message);
+      imageEntrypoints[serviceName] = { error: error.message };
+    }
+  }));
+  return imageEntrypoints;
+}
+
 // Docker Compose - Parse YAML to OCI payload
-app.post('/api/docker-compose/parse', (req, res) => {
+app.post('/api/docker-compose/parse', async (req, res) => {
   try {
-    const { yaml: yamlString, ociConfig } = req.body;
+    const { yaml: yamlString, files, extendsFiles, ociConfig, envFile, variables, envFiles, configFiles, profiles } = req.body;
 
-    if (!yamlString) {
+    // Ordered list of Compose files (base first, overrides after), or a single YAML string
+    const composeFiles = Array.isArray(files) && files.length > 0
+      ? files.filter(file => file && file.yaml)
+      : (yamlString ? [{ name: 'docker-compose.yml', yaml: yamlString }] : []);
+
+    if (composeFiles.length === 0) {
       return res.status(400).json({
         success: false,
         error: 'YAML string is required'
       });
     }
 
-    if (!ociConfig || !ociConfig.compartmentId || !ociConfig.subnetId) {
+    if (!ociConfig || !ociConfig.compartmentId) {
       return res.status(400).json({
         success: false,
         error: 'ociConfig with compartmentId and subnetId is required'
       });
     }
 
-    // Parse YAML
-    const composeObject = dockerComposeParser.parseDockerCompose(yamlString);
+    // Parse, interpolate (explicit key/value map overrides the .env file) and merge the files
+    const project = dockerComposeParser.loadDockerComposeProject({
+      files: composeFiles,
+      extendsFiles: Array.isArray(extendsFiles) ? extendsFiles : [],
+      variables: {
+        ...dockerComposeParser.parseEnvFile(envFile),
+        ...(variables && typeof variables === 'object' ? variables : {})
+      },
+      envFiles,
+      configFiles,
+      profiles: profiles || ociConfig.profiles || []
+    });
+    const composeObject = project.composeObject;
+
+    // Subnet can come from the request or from the Compose file's x-oci block
+    if (!ociConfig.subnetId && !dockerComposeParser.getOciExtension(composeObject).subnetId) {
+      return res.status(400).json({
+        success: false,
+        error: 'ociConfig with compartmentId and subnetId is required'
+      });
+    }
 
     // Validate structure
     const validation = dockerComposeParser.validateDockerCompose(composeObject);
-    if (!validation.valid) {
+    if (!validation.valid || project.errors.length > 0) {
       return res.status(400).json({
         success: false,
         error: 'Invalid Docker Compose structure',
-        errors: validation.errors
+        errors: [...project.errors, ...validation.errors]
       });
     }
 
-    // Convert to OCI payload
-    const { payload, warnings } = dockerComposeParser.convertToOCIPayload(composeObject, ociConfig);
+    // Convert to OCI payload (commands wrapped in startup scripts keep the image ENTRYPOINT)
+    const imageEntrypoints = await readImageEntrypoints(composeObject, ociConfig);
+    const { payload, warnings, hostnameSubstitutions, secretRequests } = dockerComposeParser.convertToOCIPayload(composeObject, { ...ociConfig, imageEntrypoints });
 
     res.json({
       success: true,
       payload: payload,
-      warnings: warnings
+      warnings: [...project.warnings, ...warnings],
+      hostnameSubstitutions: hostnameSubstitutions,
+      secretRequests: secretRequests,
+      missingEnvFiles: project.missingEnvFiles,
+      missingConfigFiles: project.missingConfigFiles,
+      droppedServices: project.droppedServices,
+      sources: project.sources,
+      hasComposeDisplayName: Boolean(dockerComposeParser.getOciExtension(composeObject).displayName || composeObject.name)
     });
   } catch (error) {
     console.error('Error parsing Docker Compose:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message
     });
@@ -2304,17 +3489,19 @@ app.post('/api/docker-compose/export', async (req, res) => {
 
     // If instanceId provided, fetch from OCI
     if (instanceId && !payload) {
-      const getContainerInstanceRequest = {
-        containerInstanceId: instanceId
-      };
-
-      const response = await containerInstancesClient.getContainerInstance(getContainerInstanceRequest);
-      const instance = response.containerInstance;
+      const instance = await getContainerInstanceWithContainers(containerInstancesClient, instanceId);
 
       // Convert instance to payload format
       ociPayload = {
         displayName: instance.displayName,
-        containers: instance.containers || [],
+        shape: instance.shape,
+        shapeConfig: instance.shapeConfig,
+        containerRestartPolicy: instance.containerRestartPolicy,
+        gracefulShutdownTimeoutInSeconds: instance.gracefulShutdownTimeoutInSeconds,
+        dnsConfig: instance.dnsConfig,
+        imagePullSecrets: instance.imagePullSecrets || [],
+        subnetId: instance.vnics?.[0]?.subnetId,
+        containers: instance.containers,
         volumes: instance.volumes || [],
         freeformTags: instance.freeformTags || {}
       };
@@ -2329,14 +3516,77 @@ app.post('/api/docker-compose/export', async (req, res) => {
 
     // Convert OCI payload to Docker Compose YAML
     const composeObject = {
-      version: '3.8',
-      services: {}
+      version: '3.8'
     };
 
+    // Compose project names must be lowercase; the exact CI name is kept in x-oci.displayName
+    if (ociPayload.displayName && /^[a-z0-9][a-z0-9_-]*$/.test(ociPayload.displayName)) {
+      composeObject.name = ociPayload.displayName;
+    }
+    composeObject.services = {};
+
     const containers = ociPayload.containers || [];
-    const volumes = ociPayload.volumes || [];
+    const allVolumes = ociPayload.volumes || [];
+    const volumes = allVolumes.filter(volume => volume.volumeType !== 'OCI_FSS_FILE_SYSTEM' && volume.volumeType !== 'CONFIGFILE');
+    const fileSystemVolumes = allVolumes.filter(volume => volume.volumeType === 'OCI_FSS_FILE_SYSTEM');
+    const configFileVolumes = allVolumes.filter(volume => volume.volumeType === 'CONFIGFILE');
     const freeformTags = ociPayload.freeformTags || {};
 
+    // OCI-specific settings in the top-level x-oci extension block (read back by the importer)
+    const ociExtension = {};
+    if (ociPayload.displayName) ociExtension.displayName = ociPayload.displayName;
+    if (ociPayload.shape) ociExtension.shape = ociPayload.shape;
+    if (ociPayload.shapeConfig?.ocpus) ociExtension.ocpus = ociPayload.shapeConfig.ocpus;
+    if (ociPayload.shapeConfig?.memoryInGBs) ociExtension.memoryInGBs = ociPayload.shapeConfig.memoryInGBs;
+    const exportSubnetId = ociPayload.subnetId || ociPayload.vnics?.[0]?.subnetId;
+    if (exportSubnetId) ociExtension.subnetId = exportSubnetId;
+    if (ociPayload.containerRestartPolicy) ociExtension.containerRestartPolicy = ociPayload.containerRestartPolicy;
+    // Registry passwords are never written out; BASIC secrets reference variables from the .env file instead
+    if (Array.isArray(ociPayload.imagePullSecrets) && ociPayload.imagePullSecrets.length > 0) {
+      ociExtension.imagePullSecrets = ociPayload.imagePullSecrets.map(secret => {
+        if (String(secret.secretType).toUpperCase() === 'VAULT') {
+          return { registryEndpoint: secret.registryEndpoint, secretType: 'VAULT', secretId: secret.secretId };
+        }
+        const variablePrefix = `REGISTRY_${String(secret.registryEndpoint).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+        return {
+          registryEndpoint: secret.registryEndpoint,
+          secretType: 'BASIC',
+          username: secret.username || `\${${variablePrefix}_USERNAME}`,
+          password: `\${${variablePrefix}_PASSWORD}`
+        };
+      });
+    }
+    if (fileSystemVolumes.length > 0) {
+      ociExtension.fileSystems = fileSystemVolumes.map(volume => {
+        const mount = containers
+          .flatMap(container => container.volumeMounts || [])
+          .find(volumeMount => volumeMount.volumeName === volume.name) || {};
+        const fileSystem = {
+          name: volume.name,
+          mountPath: mount.mountPath,
+          mountTargetId: volume.mountTarget?.id,
+          exportId: volume.export?.id
+        };
+        if (volume.subnetId) fileSystem.subnetId = volume.subnetId;
+        if (mount.subPath) fileSystem.subPath = mount.subPath;
+        if (typeof mount.isReadOnly === 'boolean') fileSystem.isReadOnly = mount.isReadOnly;
+        const mountOptions = volume.mountCommand?.mountOptions || [];
+        if (mountOptions.length > 0) {
+          fileSystem.mountOptions = mountOptions.map(option => (option.value ? `${option.option}=${option.value}` : option.option)).join(',');
+        }
+        if (volume.security && volume.security.isEncryptedInTransit === false) fileSystem.isEncryptedInTransit = false;
+        const mountingContainers = containers.filter(container =>
+          (container.volumeMounts || []).some(volumeMount => volumeMount.volumeName === volume.name));
+        if (mountingContainers.length < containers.length) {
+          fileSystem.services = mountingContainers.map(container => container.displayName || 'container');
+        }
+        return fileSystem;
+      });
+    }
+    if (Object.keys(ociExtension).length > 0) {
+      composeObject['x-oci'] = ociExtension;
+    }
+
     // Convert containers to services
     containers.forEach(container => {
       const serviceName = container.displayName || 'container';
@@ -2362,22 +3612,125 @@ app.post('/api/docker-compose/export', async (req, res) => {
         service.environment = Object.entries(container.environmentVariables).map(([key, value]) => `${key}=${value}`);
       }
 
-      // Command
+      if (container.workingDirectory) {
+        service.working_dir = container.workingDirectory;
+      }
+
+      // Instance-wide shutdown grace period and DNS settings are repeated on every service
+      if (ociPayload.gracefulShutdownTimeoutInSeconds) {
+        service.stop_grace_period = `${ociPayload.gracefulShutdownTimeoutInSeconds}s`;
+      }
+      const exportDnsConfig = ociPayload.dnsConfig || {};
+      if (Array.isArray(exportDnsConfig.nameservers) && exportDnsConfig.nameservers.length > 0) {
+        service.dns = exportDnsConfig.nameservers;
+      }
+      if (Array.isArray(exportDnsConfig.searches) && exportDnsConfig.searches.length > 0) {
+        service.dns_search = exportDnsConfig.searches;
+      }
+      if (Array.isArray(exportDnsConfig.options) && exportDnsConfig.options.length > 0) {
+        service.dns_opt = exportDnsConfig.options;
+      }
+
+      // OCI command overrides the image ENTRYPOINT, OCI arguments its CMD
       if (container.command && Array.isArray(container.command) && container.command.length > 0) {
-        service.command = container.command;
+        service.entrypoint = container.command;
+      }
+      if (container.arguments && Array.isArray(container.arguments) && container.arguments.length > 0) {
+        service.command = container.arguments;
       }
 
-      // Volumes (from volumeMounts)
-      if (container.volumeMounts && container.volumeMounts.length > 0) {
-        service.volumes = container.volumeMounts.map(mount => {
+      // Volumes (from volumeMounts, file systems are described in x-oci)
+      const serviceVolumeMounts = (container.volumeMounts || [])
+        .filter(mount => !fileSystemVolumes.some(v => v.name === mount.volumeName))
+        .filter(mount => !configFileVolumes.some(v => v.name === mount.volumeName));
+      if (serviceVolumeMounts.length > 0) {
+        service.volumes = serviceVolumeMounts.map(mount => {
           const volume = volumes.find(v => v.name === mount.volumeName);
-          if (volume) {
-            return `${mount.volumeName}:${mount.mountPath}`;
+          if (!volume) {
+            return mount.mountPath;
+          }
+          if (mount.subPath) {
+            return {
+              type: 'volume',
+              source: mount.volumeName,
+              target: mount.mountPath,
+              ...(mount.isReadOnly ? { read_only: true } : {}),
+              volume: { subpath: mount.subPath }
+            };
           }
-          return mount.mountPath;
+          return `${mount.volumeName}:${mount.mountPath}${mount.isReadOnly ? ':ro' : ''}`;
         });
       }
 
+      // Config files (CONFIGFILE volumes) become Compose configs mounted at the same paths
+      const serviceConfigs = (container.volumeMounts || []).flatMap(mount => {
+        const configFileVolume = configFileVolumes.find(v => v.name === mount.volumeName);
+        if (!configFileVolume) {
+          return [];
+        }
+        return (configFileVolume.configs || [])
+          .filter(config => !mount.subPath || config.fileName === mount.subPath)
+          .map(config => ({
+            source: getComposeConfigName(configFileVolume, config),
+            target: mount.subPath ? mount.mountPath : `${mount.mountPath.replace(/\/$/, '')}/${config.fileName}`
+          }));
+      });
+      if (serviceConfigs.length > 0) {
+        service.configs = serviceConfigs;
+      }
+
+      // Health check (first OCI health check only, Compose supports one per service)
+      const healthCheck = (container.healthChecks || [])[0];
+      if (healthCheck) {
+        let test;
+        if (healthCheck.healthCheckType === 'HTTP') {
+          test = ['CMD-SHELL', `curl -f http://localhost:${healthCheck.port}${healthCheck.path || '/'} || exit 1`];
+        } else if (healthCheck.healthCheckType === 'TCP') {
+          test = ['CMD-SHELL', `nc -z localhost ${healthCheck.port} || exit 1`];
+        } else if (Array.isArray(healthCheck.command) && healthCheck.command.length > 0) {
+          test = ['CMD', ...healthCheck.command];
+        }
+        if (test) {
+          service.healthcheck = { test };
+          if (healthCheck.intervalInSeconds) service.healthcheck.interval = `${healthCheck.intervalInSeconds}s`;
+          if (healthCheck.timeoutInSeconds) service.healthcheck.timeout = `${healthCheck.timeoutInSeconds}s`;
+          if (healthCheck.failureThreshold) service.healthcheck.retries = healthCheck.failureThreshold;
+          if (healthCheck.initialDelayInSeconds) service.healthcheck.start_period = `${healthCheck.initialDelayInSeconds}s`;
+        }
+      }
+
+      // Security context (Compose user, read_only and capabilities)
+      const securityContext = container.securityContext;
+      if (securityContext) {
+        if (securityContext.runAsUser !== undefined && securityContext.runAsUser !== null) {
+          service.user = securityContext.runAsGroup !== undefined && securityContext.runAsGroup !== null
+            ? `${securityContext.runAsUser}:${securityContext.runAsGroup}`
+            : String(securityContext.runAsUser);
+        }
+        if (securityContext.isRootFileSystemReadonly) {
+          service.read_only = true;
+        }
+        const stripCapabilityPrefix = capability => (capability === 'ALL' ? capability : String(capability).replace(/^CAP_/, ''));
+        if (Array.isArray(securityContext.capabilities?.addCapabilities) && securityContext.capabilities.addCapabilities.length > 0) {
+          service.cap_add = securityContext.capabilities.addCapabilities.map(stripCapabilityPrefix);
+        }
+        if (Array.isArray(securityContext.capabilities?.dropCapabilities) && securityContext.capabilities.dropCapabilities.length > 0) {
+          service.cap_drop = securityContext.capabilities.dropCapabilities.map(stripCapabilityPrefix);
+        }
+        if (securityContext.isNonRootUserCheckEnabled) {
+          service['x-oci'] = { ...(service['x-oci'] || {}), isNonRootUserCheckEnabled: true };
+        }
+      }
+
+      // Container resources in the per-service x-oci block
+      const memoryInGBs = container.resourceConfig?.memoryLimitInGBs || container.resourceConfig?.memoryInGBs;
+      const vcpus = container.resourceConfig?.vcpusLimit || container.resourceConfig?.vcpus;
+      if (memoryInGBs || vcpus) {
+        service['x-oci'] = service['x-oci'] || {};
+        if (memoryInGBs) service['x-oci'].memoryInGBs = memoryInGBs;
+        if (vcpus) service['x-oci'].vcpus = vcpus;
+      }
+
       composeObject.services[serviceName] = service;
     });
 
@@ -2385,9 +3738,21 @@ app.post('/api/docker-compose/export', async (req, res) => {
     if (volumes.length > 0) {
       composeObject.volumes = {};
       volumes.forEach(vol => {
-        composeObject.volumes[vol.name] = {
-          driver: 'local'
-        };
+        composeObject.volumes[vol.name] = vol.backingStore === 'MEMORY'
+          ? { driver: 'local', driver_opts: { type: 'tmpfs', device: 'tmpfs' } }
+          : { driver: 'local' };
+      });
+    }
+
+    // Add configs section (inline content, read back into CONFIGFILE volumes by the importer)
+    if (configFileVolumes.length > 0) {
+      composeObject.configs = {};
+      configFileVolumes.forEach(vol => {
+        (vol.configs || []).forEach(config => {
+          composeObject.configs[getComposeConfigName(vol, config)] = {
+            content: Buffer.from(config.data || '', 'base64').toString('utf8')
+          };
+        });
       });
     }
 
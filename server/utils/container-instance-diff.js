@@ -0,0 +1,119 @@
+/**
+ * Format a compared value for display
+ * @param {*} value - Value from either side of the comparison
+ * @returns {string|null} String form (arrays space-separated, objects as JSON), or null when absent
+ */
+function formatDiffValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => (typeof item === 'object' ? JSON.stringify(item) : String(item))).join(' ');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Record a difference when two values differ
+ * @param {array} differences - Array collecting differences
+ * @param {string} section - What the field belongs to, e.g. "instance" or "container web"
+ * @param {string} field - Field name, e.g. "imageUrl"
+ * @param {*} expected - Value in the Terraform configuration
+ * @param {*} actual - Value on the live instance
+ */
+function compareField(differences, section, field, expected, actual) {
+  const expectedValue = formatDiffValue(expected);
+  const actualValue = formatDiffValue(actual);
+  if (expectedValue !== actualValue) {
+    differences.push({ section, field, expected: expectedValue, actual: actualValue });
+  }
+}
+
+/**
+ * Compare two collections matched by key, recording entries only on one side
+ * @param {array} differences - Array collecting differences
+ * @param {string} section - Section of the entries
+ * @param {string} field - Field prefix, e.g. "volumeMount"
+ * @param {Map} expected - Expected entries by key
+ * @param {Map} actual - Live entries by key
+ * @param {function} compareEntry - Called with (key, expectedEntry, actualEntry) for entries on both sides
+ */
+function compareKeyed(differences, section, field, expected, actual, compareEntry) {
+  const keys = [...new Set([...expected.keys(), ...actual.keys()])];
+  keys.forEach(key => {
+    if (!actual.has(key)) {
+      differences.push({ section, field: `${field} ${key}`, expected: 'present', actual: null });
+    } else if (!expected.has(key)) {
+      differences.push({ section, field: `${field} ${key}`, expected: null, actual: 'present' });
+    } else {
+      compareEntry(key, expected.get(key), actual.get(key));
+    }
+  });
+}
+
+/**
+ * Compare the container instance a Terraform configuration defines with the live instance
+ * Scalar fields are only compared when the configuration sets them (values it couldn't resolve are
+ * missing); containers, environment variables, volume mounts and volumes are compared both ways.
+ * @param {object} expected - Create payload read from Terraform (terraform-parser)
+ * @param {object} live - Container instance from getContainerInstance, with full container details
+ * @returns {array} Differences [{ section, field, expected, actual }]; expected/actual are null when absent
+ */
+function diffContainerInstances(expected, live) {
+  const differences = [];
+  const compareDefined = (section, field, expectedValue, actualValue) => {
+    if (expectedValue !== undefined) {
+      compareField(differences, section, field, expectedValue, actualValue);
+    }
+  };
+
+  compareDefined('instance', 'displayName', expected.displayName, live.displayName);
+  compareDefined('instance', 'shape', expected.shape, live.shape);
+  compareDefined('instance', 'ocpus', expected.shapeConfig?.ocpus, live.shapeConfig?.ocpus);
+  compareDefined('instance', 'memoryInGBs', expected.shapeConfig?.memoryInGBs, live.shapeConfig?.memoryInGBs);
+  compareDefined('instance', 'containerRestartPolicy', expected.containerRestartPolicy, live.containerRestartPolicy);
+  compareDefined('instance', 'gracefulShutdownTimeoutInSeconds', expected.gracefulShutdownTimeoutInSeconds, live.gracefulShutdownTimeoutInSeconds);
+
+  const byName = (items, key) => new Map((items || []).filter(item => item && item[key]).map(item => [item[key], item]));
+
+  compareKeyed(differences, 'instance', 'container', byName(expected.containers, 'displayName'), byName(live.containers, 'displayName'), (name, container, liveContainer) => {
+    const section = `container ${name}`;
+    compareDefined(section, 'imageUrl', container.imageUrl, liveContainer.imageUrl);
+    compareDefined(section, 'memoryLimitInGBs', container.resourceConfig?.memoryLimitInGBs, liveContainer.resourceConfig?.memoryLimitInGBs);
+    compareDefined(section, 'vcpusLimit', container.resourceConfig?.vcpusLimit, liveContainer.resourceConfig?.vcpusLimit);
+    compareDefined(section, 'workingDirectory', container.workingDirectory, liveContainer.workingDirectory);
+
+    // Unset command/arguments and empty lists mean the same thing
+    ['command', 'arguments'].forEach(field => {
+      const expectedList = container[field] || [];
+      const liveList = liveContainer[field] || [];
+      compareField(differences, section, field, expectedList.length ? expectedList : null, liveList.length ? liveList : null);
+    });
+
+    const expectedEnvironment = container.environmentVariables || {};
+    const liveEnvironment = liveContainer.environmentVariables || {};
+    [...new Set([...Object.keys(expectedEnvironment), ...Object.keys(liveEnvironment)])].forEach(key => {
+      compareField(differences, section, `env ${key}`, expectedEnvironment[key], liveEnvironment[key]);
+    });
+
+    compareKeyed(differences, section, 'volumeMount', byName(container.volumeMounts, 'mountPath'), byName(liveContainer.volumeMounts, 'mountPath'), (mountPath, mount, liveMount) => {
+      compareField(differences, section, `volumeMount ${mountPath} volumeName`, mount.volumeName, liveMount.volumeName);
+      compareField(differences, section, `volumeMount ${mountPath} subPath`, mount.subPath || null, liveMount.subPath || null);
+      compareField(differences, section, `volumeMount ${mountPath} isReadOnly`, Boolean(mount.isReadOnly), Boolean(liveMount.isReadOnly));
+    });
+  });
+
+  compareKeyed(differences, 'instance', 'volume', byName(expected.volumes, 'name'), byName(live.volumes, 'name'), (name, volume, liveVolume) => {
+    compareField(differences, `volume ${name}`, 'volumeType', volume.volumeType, liveVolume.volumeType);
+  });
+
+  return differences;
+}
+
+module.exports = {
+  formatDiffValue,
+  diffContainerInstances
+};
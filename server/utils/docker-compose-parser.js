@@ -1,4 +1,5 @@
 const yaml = require('js-yaml');
+const defaultSidecars = require('../../public/sidecars.json');
 
 /**
  * Parse Docker Compose YAML string to object
@@ -15,6 +16,418 @@ function parseDockerCompose(yamlString) {
   }
 }
 
+/**
+ * Parse .env file content (Compose dotenv format)
+ * Supports comments, blank lines, optional "export" prefix, single-quoted (literal)
+ * and double-quoted (escape sequences) values, and inline comments on unquoted values
+ * @param {string} content - .env file content
+ * @returns {object} Variables as { KEY: value }
+ */
+function parseEnvFile(content) {
+  const variables = {};
+  if (!content || typeof content !== 'string') {
+    return variables;
+  }
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    let line = rawLine.trim();
+    if (line === '' || line.startsWith('#')) {
+      return;
+    }
+    if (line.startsWith('export ')) {
+      line = line.substring(7).trim();
+    }
+
+    const separatorIndex = line.indexOf('=');
+    if (separatorIndex <= 0) {
+      // "KEY" without value takes it from the shell environment, which we don't have
+      return;
+    }
+
+    const key = line.substring(0, separatorIndex).trim();
+    let value = line.substring(separatorIndex + 1).trim();
+
+    if (value.startsWith("'")) {
+      const closingIndex = value.indexOf("'", 1);
+      value = closingIndex > 0 ? value.substring(1, closingIndex) : value.substring(1);
+    } else if (value.startsWith('"')) {
+      let unquoted = '';
+      let i = 1;
+      while (i < value.length && value[i] !== '"') {
+        if (value[i] === '\\' && i + 1 < value.length) {
+          const escapes = { n: '\n', r: '\r', t: '\t', '"': '"', '\\': '\\' };
+          const next = value[i + 1];
+          unquoted += escapes[next] !== undefined ? escapes[next] : `\\${next}`;
+          i += 2;
+        } else {
+          unquoted += value[i];
+          i++;
+        }
+      }
+      value = unquoted;
+    } else {
+      // Unquoted values: " #" starts an inline comment
+      const commentIndex = value.search(/\s#/);
+      if (commentIndex >= 0) {
+        value = value.substring(0, commentIndex).trim();
+      }
+    }
+
+    variables[key] = value;
+  });
+
+  return variables;
+}
+
+/**
+ * Find the index of the "}" closing a "${" expression, honoring nested "${...}"
+ * @param {string} str - String being interpolated
+ * @param {number} start - Index just after the opening "${"
+ * @returns {number} Index of the closing brace or -1
+ */
+function findClosingBrace(str, start) {
+  let depth = 1;
+  for (let i = start; i < str.length; i++) {
+    if (str[i] === '$' && str[i + 1] === '{') {
+      depth++;
+      i++;
+    } else if (str[i] === '}') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Interpolate a single string using Compose-spec syntax
+ * Supports $VAR, ${VAR}, ${VAR:-default}, ${VAR-default}, ${VAR:?error}, ${VAR?error},
+ * ${VAR:+replacement}, ${VAR+replacement} and "$$" escaping
+ * @param {string} str - String to interpolate
+ * @param {object} variables - Variables as { KEY: value }
+ * @param {object} context - { errors: string[], warnings: string[], path: string }
+ * @returns {string} Interpolated string
+ */
+function interpolateString(str, variables, context) {
+  const isSet = name => Object.prototype.hasOwnProperty.call(variables, name) && variables[name] !== undefined && variables[name] !== null;
+  const lookup = name => (isSet(name) ? String(variables[name]) : '');
+  let result = '';
+  let i = 0;
+
+  while (i < str.length) {
+    const char = str[i];
+    if (char !== '$') {
+      result += char;
+      i++;
+      continue;
+    }
+
+    const next = str[i + 1];
+
+    // "$$" escapes a literal "$"
+    if (next === '$') {
+      result += '$';
+      i += 2;
+      continue;
+    }
+
+    // Braced expression: ${...}
+    if (next === '{') {
+      const closingIndex = findClosingBrace(str, i + 2);
+      if (closingIndex === -1) {
+        context.errors.push(`${context.path}: invalid interpolation format for "${str}" (missing closing "}")`);
+        return str;
+      }
+
+      const expression = str.substring(i + 2, closingIndex);
+      const match = expression.match(/^([A-Za-z_][A-Za-z0-9_]*)(?:(:?[-?+])([\s\S]*))?$/);
+      if (!match) {
+        context.errors.push(`${context.path}: invalid interpolation format for "\${${expression}}"`);
+        return str;
+      }
+
+      const [, name, operator, operand = ''] = match;
+      const value = lookup(name);
+      const checkEmpty = operator && operator.startsWith(':');
+      const missing = checkEmpty ? value === '' : !isSet(name);
+
+      switch (operator) {
+        case ':-':
+        case '-':
+          result += missing ? interpolateString(operand, variables, context) : value;
+          break;
+        case ':?':
+        case '?':
+          if (missing) {
+            const message = interpolateString(operand, variables, context);
+            context.errors.push(`${context.path}: required variable "${name}" is missing a value${message ? `: ${message}` : ''}`);
+          }
+          result += value;
+          break;
+        case ':+':
+        case '+':
+          result += missing ? '' : interpolateString(operand, variables, context);
+          break;
+        default:
+          if (!isSet(name)) {
+            context.warnings.push(`${context.path}: variable "${name}" is not set, defaulting to a blank string`);
+          }
+          result += value;
+      }
+
+      i = closingIndex + 1;
+      continue;
+    }
+
+    // Unbraced expression: $VAR
+    const nameMatch = str.substring(i + 1).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+    if (nameMatch) {
+      const name = nameMatch[0];
+      if (!isSet(name)) {
+        context.warnings.push(`${context.path}: variable "${name}" is not set, defaulting to a blank string`);
+      }
+      result += lookup(name);
+      i += 1 + name.length;
+      continue;
+    }
+
+    // Lone "$" is kept as-is
+    result += char;
+    i++;
+  }
+
+  return result;
+}
+
+/**
+ * Interpolate variables in all string values of a parsed Docker Compose object
+ * Keys are not interpolated, matching the Compose specification
+ * @param {object} composeObject - Parsed Docker Compose object
+ * @param {object} variables - Variables as { KEY: value }
+ * @returns {object} { composeObject: object, errors: string[], warnings: string[] }
+ */
+function interpolateDockerCompose(composeObject, variables = {}) {
+  const errors = [];
+  const warnings = [];
+
+  const walk = (value, path) => {
+    if (typeof value === 'string') {
+      return interpolateString(value, variables, { errors, warnings, path });
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, idx) => walk(item, `${path}[${idx}]`));
+    }
+    if (value && typeof value === 'object') {
+      const interpolated = {};
+      Object.entries(value).forEach(([key, item]) => {
+        interpolated[key] = walk(item, path ? `${path}.${key}` : key);
+      });
+      return interpolated;
+    }
+    return value;
+  };
+
+  return {
+    composeObject: walk(composeObject, ''),
+    errors,
+    warnings: Array.from(new Set(warnings))
+  };
+}
+
+// Service keys whose value is replaced (not merged) by later Compose files
+const COMPOSE_REPLACE_KEYS = ['command', 'entrypoint'];
+
+// Service keys that accept either a list or a mapping and merge as mappings
+const COMPOSE_MAPPING_KEYS = ['environment', 'labels', 'annotations', 'sysctls', 'extra_hosts', 'depends_on'];
+
+/**
+ * Convert a list-or-mapping Compose value to a mapping
+ * @param {array|object} value - Compose value (e.g. ["KEY=value"] or { KEY: value })
+ * @param {string} key - Service key the value belongs to
+ * @returns {object} Mapping
+ */
+function toComposeMapping(value, key) {
+  if (!value) {
+    return {};
+  }
+  if (!Array.isArray(value)) {
+    return { ...value };
+  }
+
+  const mapping = {};
+  value.forEach(item => {
+    if (key === 'depends_on') {
+      mapping[item] = { condition: 'service_started' };
+      return;
+    }
+    const entry = String(item);
+    const separator = key === 'extra_hosts' ? entry.search(/[=:]/) : entry.indexOf('=');
+    if (separator > 0) {
+      mapping[entry.substring(0, separator)] = entry.substring(separator + 1);
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Get the identity of a sequence item used to dedupe it when merging Compose files
+ * (volumes by mount target, secrets/configs by target or source, everything else by value)
+ * @param {string} key - Service key the sequence belongs to
+ * @param {*} item - Sequence item
+ * @returns {string} Identity key
+ */
+function getComposeSequenceItemKey(key, item) {
+  if (key === 'volumes') {
+    if (item && typeof item === 'object') {
+      return `target:${item.target}`;
+    }
+    const parts = String(item).split(':');
+    return `target:${parts.length > 1 ? parts[1] : parts[0]}`;
+  }
+  if (key === 'secrets' || key === 'configs') {
+    if (item && typeof item === 'object') {
+      return `target:${item.target || item.source}`;
+    }
+    return `target:${item}`;
+  }
+  return JSON.stringify(item);
+}
+
+/**
+ * Record which file each leaf value under a path came from
+ * Previously recorded sources under the same path are cleared first
+ * @param {*} value - Effective value
+ * @param {string} path - Dotted path (e.g. "services.app.image")
+ * @param {string} fileName - Source file name
+ * @param {object} sources - Source map { path: fileName } (mutated)
+ */
+function recordComposeSources(value, path, fileName, sources) {
+  Object.keys(sources).forEach(existingPath => {
+    if (!path || existingPath === path || existingPath.startsWith(`${path}.`) || existingPath.startsWith(`${path}[`)) {
+      delete sources[existingPath];
+    }
+  });
+
+  const walk = (item, itemPath) => {
+    if (Array.isArray(item)) {
+      item.forEach((child, idx) => walk(child, `${itemPath}[${idx}]`));
+    } else if (item && typeof item === 'object') {
+      Object.entries(item).forEach(([key, child]) => walk(child, itemPath ? `${itemPath}.${key}` : key));
+    } else if (item !== undefined) {
+      sources[itemPath] = fileName;
+    }
+  };
+  walk(value, path);
+}
+
+/**
+ * Re-key source entries of a list-form value ("path[0]") after it was converted to a mapping ("path.KEY")
+ * @param {array} list - List-form value
+ * @param {string} key - Service key the value belongs to
+ * @param {string} path - Dotted path of the value
+ * @param {object} sources - Source map (mutated)
+ */
+function remapComposeListSources(list, key, path, sources) {
+  const itemSources = list.map((item, idx) => ({ item, fileName: sources[`${path}[${idx}]`] }));
+  recordComposeSources(undefined, path, null, sources); // clears the list-form entries
+  itemSources.forEach(({ item, fileName }) => {
+    if (!fileName) {
+      return;
+    }
+    Object.entries(toComposeMapping([item], key)).forEach(([mappedKey, mappedValue]) => {
+      recordComposeSources(mappedValue, `${path}.${mappedKey}`, fileName, sources);
+    });
+  });
+}
+
+/**
+ * Merge two Compose values following Compose-spec merge rules
+ * Mappings merge recursively, sequences append (deduped by item identity),
+ * scalars and replace-keys (command, entrypoint, healthcheck.test) are overridden
+ * @param {*} base - Value from earlier files
+ * @param {*} override - Value from the current file
+ * @param {string} path - Dotted path of the value
+ * @param {string} scope - Position of the value: root, services, definition (a service),
+ *   service (a service attribute), healthcheck or other
+ * @param {string|null} key - Key of the value in its parent
+ * @param {string} fileName - Current file name
+ * @param {object} sources - Source map (mutated)
+ * @returns {*} Merged value
+ */
+function mergeComposeValues(base, override, path, scope, key, fileName, sources) {
+  const isServiceKey = scope === 'service';
+  const isReplaced = (isServiceKey && COMPOSE_REPLACE_KEYS.includes(key)) || (scope === 'healthcheck' && key === 'test');
+
+  if (base === undefined || base === null || override === null || isReplaced) {
+    recordComposeSources(override, path, fileName, sources);
+    return override;
+  }
+
+  if (isServiceKey && COMPOSE_MAPPING_KEYS.includes(key) && (Array.isArray(base) || Array.isArray(override))) {
+    if (Array.isArray(base)) {
+      remapComposeListSources(base, key, path, sources);
+    }
+    base = toComposeMapping(base, key);
+    override = toComposeMapping(override, key);
+  }
+
+  if (Array.isArray(base) && Array.isArray(override)) {
+    const merged = [...base];
+    override.forEach(item => {
+      const itemKey = getComposeSequenceItemKey(isServiceKey ? key : null, item);
+      const existingIndex = merged.findIndex(existing => getComposeSequenceItemKey(isServiceKey ? key : null, existing) === itemKey);
+      const index = existingIndex >= 0 ? existingIndex : merged.length;
+      merged[index] = item;
+      recordComposeSources(item, `${path}[${index}]`, fileName, sources);
+    });
+    return merged;
+  }
+
+  if (base && typeof base === 'object' && !Array.isArray(base) && override && typeof override === 'object' && !Array.isArray(override)) {
+    const merged = { ...base };
+    Object.entries(override).forEach(([childKey, childValue]) => {
+      let childScope = 'other';
+      if (scope === 'root') {
+        childScope = childKey === 'services' ? 'services' : 'other';
+      } else if (scope === 'services') {
+        childScope = 'definition';
+      } else if (scope === 'definition') {
+        childScope = 'service';
+      } else if (isServiceKey && key === 'healthcheck') {
+        childScope = 'healthcheck';
+      }
+      const childPath = path ? `${path}.${childKey}` : childKey;
+      merged[childKey] = mergeComposeValues(base[childKey], childValue, childPath, childScope, childKey, fileName, sources);
+    });
+    return merged;
+  }
+
+  recordComposeSources(override, path, fileName, sources);
+  return override;
+}
+
+/**
+ * Merge an ordered list of Compose documents (base file first, overrides after)
+ * @param {array} documents - Array of { name: string, composeObject: object }
+ * @returns {object} { composeObject: object, sources: object } where sources maps each
+ *   effective value path (e.g. "services.app.ports[0]") to the file it came from
+ */
+function mergeDockerComposeFiles(documents) {
+  const sources = {};
+  let merged;
+
+  documents.forEach(({ name, composeObject }) => {
+    if (!composeObject || typeof composeObject !== 'object') {
+      return;
+    }
+    merged = mergeComposeValues(merged, composeObject, '', 'root', null, name, sources);
+  });
+
+  return { composeObject: merged, sources };
+}
+
 /**
  * Validate Docker Compose structure
  * @param {object} composeObject - Parsed Docker Compose object
@@ -46,136 +459,562 @@ function validateDockerCompose(composeObject) {
   };
 }
 
+// Protocols OCI networking (security lists and NSGs) can open for a container port
+const SUPPORTED_PORT_PROTOCOLS = ['tcp', 'udp'];
+
 /**
- * Extract container port from port configuration
- * @param {string|number|object} portConfig - Port configuration (e.g., "8080:8080", 8080, or object)
- * @returns {number|null} Container port number or null
+ * Parse a port or port range ("80" or "8000-8010")
+ * @param {string|number} value - Port or port range
+ * @returns {object|null} { start, end } or null when invalid
  */
-function extractContainerPort(portConfig) {
-  if (typeof portConfig === 'string') {
-    if (portConfig.includes(':')) {
-      const parts = portConfig.split(':');
-      const containerPort = parts[parts.length - 1]; // Get last part (container port)
-      return parseInt(containerPort);
-    }
-    return parseInt(portConfig);
+function parsePortRange(value) {
+  const match = String(value).trim().match(/^(\d+)(?:-(\d+))?$/);
+  if (!match) {
+    return null;
+  }
+  const start = parseInt(match[1], 10);
+  const end = match[2] !== undefined ? parseInt(match[2], 10) : start;
+  if (start < 1 || end > 65535 || end < start) {
+    return null;
   }
+  return { start, end };
+}
+
+/**
+ * Parse a Compose port entry into port mappings
+ * Supports short syntax ("80", "8080:80", "127.0.0.1:8080:80", "[::1]:8080:80", "127.0.0.1::80",
+ * "8000-8010:8000-8010", "53:53/udp") and long syntax ({ target, published, host_ip, protocol }).
+ * Ranges are expanded to one mapping per port; a host range published for a single container port
+ * resolves to the container port when it is in the range, as Compose would pick any free one.
+ * @param {string|number|object} portConfig - Port configuration
+ * @returns {array|null} Array of { target, published, hostIp, protocol } or null when the entry is invalid
+ */
+function parsePortMapping(portConfig) {
+  let target;
+  let published = null;
+  let hostIp = null;
+  let protocol = 'tcp';
+
   if (typeof portConfig === 'number') {
-    return portConfig;
+    target = String(portConfig);
+  } else if (typeof portConfig === 'string') {
+    let spec = portConfig.trim();
+    const protocolIndex = spec.lastIndexOf('/');
+    if (protocolIndex !== -1) {
+      protocol = spec.slice(protocolIndex + 1).toLowerCase();
+      spec = spec.slice(0, protocolIndex);
+    }
+    const bracketedIp = spec.match(/^\[([^\]]+)\]:(.*)$/);
+    if (bracketedIp) {
+      hostIp = bracketedIp[1];
+      spec = bracketedIp[2];
+    }
+    const parts = spec.split(':');
+    if (!bracketedIp && parts.length > 2) {
+      // Everything before "published:target" is the host IP (IPv4 or unbracketed IPv6)
+      hostIp = parts.slice(0, -2).join(':');
+      parts.splice(0, parts.length - 2);
+    }
+    if (parts.length > 2) {
+      return null;
+    }
+    target = parts[parts.length - 1];
+    if (parts.length === 2 && parts[0] !== '') {
+      published = parts[0];
+    }
+  } else if (portConfig && typeof portConfig === 'object') {
+    if (portConfig.target === undefined || portConfig.target === null) {
+      return null;
+    }
+    target = String(portConfig.target);
+    if (portConfig.published !== undefined && portConfig.published !== null && portConfig.published !== '') {
+      published = String(portConfig.published);
+    }
+    hostIp = portConfig.host_ip || null;
+    protocol = String(portConfig.protocol || 'tcp').toLowerCase();
+  } else {
+    return null;
   }
-  if (typeof portConfig === 'object' && portConfig.target) {
-    return parseInt(portConfig.target);
+
+  const targetRange = parsePortRange(target);
+  const publishedRange = published !== null ? parsePortRange(published) : null;
+  if (!targetRange || (published !== null && !publishedRange)) {
+    return null;
   }
-  return null;
+  const targetCount = targetRange.end - targetRange.start + 1;
+  const publishedCount = publishedRange ? publishedRange.end - publishedRange.start + 1 : 0;
+  if (publishedRange && publishedCount !== targetCount && targetCount !== 1) {
+    return null;
+  }
+
+  const mappings = [];
+  for (let offset = 0; offset < targetCount; offset++) {
+    const containerPort = targetRange.start + offset;
+    let hostPort = null;
+    if (publishedRange && publishedCount === targetCount) {
+      hostPort = publishedRange.start + offset;
+    } else if (publishedRange) {
+      hostPort = containerPort >= publishedRange.start && containerPort <= publishedRange.end
+        ? containerPort
+        : publishedRange.start;
+    }
+    mappings.push({ target: containerPort, published: hostPort, hostIp, protocol });
+  }
+  return mappings;
 }
 
 /**
- * Parse ports array and extract container ports
+ * Extract container port from port configuration
+ * @param {string|number|object} portConfig - Port configuration (e.g., "8080:8080", 8080, or object)
+ * @returns {number|null} First container port number or null
+ */
+function extractContainerPort(portConfig) {
+  const mappings = parsePortMapping(portConfig);
+  return mappings && mappings.length > 0 ? mappings[0].target : null;
+}
+
+/**
+ * Parse a service's ports into port mappings
+ * Invalid entries and unsupported protocols are skipped. Host IPs and host ports that differ from the
+ * container port are reported, as container instances publish container ports directly on the instance IP.
  * @param {array} portsArray - Array of port configurations
- * @returns {array} Array of container port numbers
+ * @param {array} warnings - Array to collect warnings
+ * @param {string} serviceName - Service name used in warnings
+ * @returns {array} Array of { target, published, hostIp, protocol }
  */
-function parsePorts(portsArray) {
+function parseServicePorts(portsArray, warnings = [], serviceName = '') {
   if (!Array.isArray(portsArray)) {
     return [];
   }
+  const prefix = serviceName ? `Service "${serviceName}": ` : '';
+
+  return portsArray.flatMap(portConfig => {
+    const label = typeof portConfig === 'object' ? JSON.stringify(portConfig) : String(portConfig);
+    const mappings = parsePortMapping(portConfig);
+    if (!mappings) {
+      warnings.push(`${prefix}port "${label}" could not be parsed, skipping`);
+      return [];
+    }
+    const { protocol, hostIp } = mappings[0];
+    if (!SUPPORTED_PORT_PROTOCOLS.includes(protocol)) {
+      warnings.push(`${prefix}port "${label}" uses protocol "${protocol}", which OCI Container Instances don't support, skipping`);
+      return [];
+    }
+    if (hostIp && hostIp !== '0.0.0.0' && hostIp !== '::') {
+      warnings.push(`${prefix}port "${label}" binds to host IP ${hostIp}, which is ignored; the port is reachable on the container instance IP`);
+    }
+    const remapped = mappings.filter(mapping => mapping.published !== null && mapping.published !== mapping.target);
+    if (remapped.length > 0) {
+      const first = remapped[0];
+      warnings.push(`${prefix}port "${label}" maps host port ${first.published} to container port ${first.target}, but container instances have no port remapping; use port ${first.target} to reach it`);
+    }
+    return mappings;
+  });
+}
+
+/**
+ * Parse ports array and extract container ports
+ * @param {array} portsArray - Array of port configurations
+ * @param {array} warnings - Array to collect warnings
+ * @param {string} serviceName - Service name used in warnings
+ * @returns {array} Array of unique container port numbers
+ */
+function parsePorts(portsArray, warnings = [], serviceName = '') {
+  const containerPorts = parseServicePorts(portsArray, warnings, serviceName).map(mapping => mapping.target);
+  return [...new Set(containerPorts)];
+}
 
-  const containerPorts = portsArray
-    .map(port => extractContainerPort(port))
-    .filter(port => port !== null && !isNaN(port));
+/**
+ * Find container ports used by more than one service
+ * Containers in a container instance share one network namespace, so only one of them can listen on a port
+ * @param {Map} servicePorts - Map of service name -> array of { target, protocol }
+ * @returns {array} Array of { port, protocol, services }
+ */
+function findPortConflicts(servicePorts) {
+  const listeners = new Map(); // "port/protocol" -> service names
+  servicePorts.forEach((mappings, serviceName) => {
+    mappings.forEach(mapping => {
+      const key = `${mapping.target}/${mapping.protocol}`;
+      if (!listeners.has(key)) {
+        listeners.set(key, []);
+      }
+      if (!listeners.get(key).includes(serviceName)) {
+        listeners.get(key).push(serviceName);
+      }
+    });
+  });
 
-  return containerPorts;
+  return [...listeners.entries()]
+    .filter(([, services]) => services.length > 1)
+    .map(([key, services]) => {
+      const [port, protocol] = key.split('/');
+      return { port: parseInt(port, 10), protocol, services };
+    });
 }
 
 /**
- * Parse volume configuration
- * @param {string} volumeConfig - Volume configuration (e.g., "volume-name:/path" or "/host:/container")
- * @returns {object|null} { name: string, path: string } or null
+ * Check whether a path is a Windows path (e.g. "C:\data", "C:/data" or "\\server\share")
+ * @param {string} path - Path to check
+ * @returns {boolean} True for Windows paths
  */
-function parseVolume(volumeConfig) {
-  if (typeof volumeConfig !== 'string') {
-    return null;
+function isWindowsPath(path) {
+  return /^[A-Za-z]:[\\/]/.test(path) || /^\\\\/.test(path);
+}
+
+/**
+ * Check whether a volume source is a host path (bind mount) rather than a named volume
+ * @param {string} source - Volume source
+ * @returns {boolean} True for host paths
+ */
+function isHostPath(source) {
+  return source.startsWith('/') || source.startsWith('.') || source.startsWith('~') || isWindowsPath(source);
+}
+
+/**
+ * Generate an OCI volume name from a path
+ * @param {string} path - Host or container path
+ * @param {string} prefix - Name prefix (default: "volume")
+ * @returns {string} Volume name
+ */
+function volumeNameFromPath(path, prefix = 'volume') {
+  const suffix = String(path)
+    .replace(/^[A-Za-z]:/, match => match[0].toLowerCase())
+    .replace(/[\\/:.~\s]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return suffix ? `${prefix}-${suffix}` : prefix;
+}
+
+/**
+ * Split a short-syntax volume string into source, target and mode,
+ * keeping the ":" of Windows drive letters ("C:\data:/data:ro")
+ * @param {string} volumeConfig - Short-syntax volume string
+ * @returns {array} Parts of the volume string
+ */
+function splitVolumeString(volumeConfig) {
+  const parts = [];
+  let rest = volumeConfig;
+  while (rest.length > 0) {
+    const drive = rest.match(/^[A-Za-z]:[\\/]/);
+    const searchFrom = drive ? 2 : 0;
+    const separatorIndex = rest.indexOf(':', searchFrom);
+    if (separatorIndex === -1) {
+      parts.push(rest);
+      break;
+    }
+    parts.push(rest.substring(0, separatorIndex));
+    rest = rest.substring(separatorIndex + 1);
   }
+  return parts;
+}
+
+// Short-syntax access modes that have no meaning for OCI volumes and are dropped silently
+const IGNORED_VOLUME_MODES = ['rw', 'cached', 'delegated', 'consistent'];
+
+/**
+ * Parse volume configuration
+ * Supports short syntax ("name:/path", "/host:/path:ro", "C:\host:/path", "/path") and
+ * long syntax ({ type, source, target, read_only, volume: { subpath }, tmpfs }).
+ * Bind mounts become EMPTYDIR volumes (host files are not available), tmpfs mounts become
+ * EMPTYDIR volumes with MEMORY backing store. Anything that can't be mapped is reported in warnings.
+ * @param {string|object} volumeConfig - Volume configuration
+ * @param {array} warnings - Optional warnings array to append to
+ * @param {string} serviceName - Optional service name (used in warnings)
+ * @returns {object|null} { name, path, isReadOnly?, subPath?, backingStore? } or null
+ */
+function parseVolume(volumeConfig, warnings = [], serviceName = '') {
+  const prefix = serviceName ? `Service "${serviceName}": ` : '';
+
+  if (typeof volumeConfig === 'string') {
+    const parts = splitVolumeString(volumeConfig);
 
-  // Handle named volumes: "volume-name:/path"
-  if (volumeConfig.includes(':')) {
-    const [source, target] = volumeConfig.split(':');
-    // If source doesn't start with /, it's a named volume
-    if (!source.startsWith('/')) {
+    // Anonymous volume: "/path" or ":/path"
+    if (parts.length === 1 || (parts.length === 2 && parts[0] === '')) {
+      const path = parts[parts.length - 1];
       return {
-        name: source,
-        path: target
+        name: volumeNameFromPath(path),
+        path: path
       };
-    } else {
+    }
+
+    const [source, target, mode = ''] = parts;
+    if (parts.length > 3) {
+      warnings.push(`${prefix}volume "${volumeConfig}" could not be parsed, skipping`);
+      return null;
+    }
+    if (isWindowsPath(target)) {
+      warnings.push(`${prefix}volume "${volumeConfig}" has a Windows container path, which OCI Container Instances don't support, skipping`);
+      return null;
+    }
+
+    const volume = {
+      name: isHostPath(source) ? volumeNameFromPath(source) : source,
+      path: target
+    };
+    if (isHostPath(source)) {
       // Bind mount: "/host:/container" -> create EMPTYDIR with generated name
-      return {
-        name: `volume-${source.replace(/\//g, '-').replace(/^-/, '')}`, // Generate name from path
-        path: target
-      };
+      warnings.push(`${prefix}bind mount "${source}" is mounted as an empty volume at ${target} (host files are not available in OCI)`);
     }
+
+    mode.split(',').map(option => option.trim()).filter(Boolean).forEach(option => {
+      if (option === 'ro') {
+        volume.isReadOnly = true;
+      } else if (!IGNORED_VOLUME_MODES.includes(option)) {
+        warnings.push(`${prefix}volume option "${option}" on ${target} is not supported in OCI and is ignored`);
+      }
+    });
+    return volume;
   }
 
-  // Anonymous volume: "/path" or ":/path"
-  const path = volumeConfig.startsWith(':') ? volumeConfig.substring(1) : volumeConfig;
-  return {
-    name: `volume-${path.replace(/\//g, '-').replace(/^-/, '')}`,
-    path: path
-  };
+  if (!volumeConfig || typeof volumeConfig !== 'object') {
+    return null;
+  }
+
+  // Long syntax
+  const { type = 'volume', source, target } = volumeConfig;
+  if (!target) {
+    warnings.push(`${prefix}volume without target could not be mapped, skipping`);
+    return null;
+  }
+  if (isWindowsPath(String(target))) {
+    warnings.push(`${prefix}volume target "${target}" is a Windows container path, which OCI Container Instances don't support, skipping`);
+    return null;
+  }
+
+  let volume;
+  if (type === 'volume') {
+    volume = {
+      name: source || volumeNameFromPath(target),
+      path: target
+    };
+    if (volumeConfig.volume && volumeConfig.volume.subpath) {
+      volume.subPath = volumeConfig.volume.subpath;
+    }
+    if (volumeConfig.volume && volumeConfig.volume.nocopy) {
+      warnings.push(`${prefix}volume.nocopy on ${target} is not supported in OCI and is ignored`);
+    }
+  } else if (type === 'bind') {
+    volume = {
+      name: source ? volumeNameFromPath(source) : volumeNameFromPath(target),
+      path: target
+    };
+    warnings.push(`${prefix}bind mount "${source || ''}" is mounted as an empty volume at ${target} (host files are not available in OCI)`);
+    if (volumeConfig.bind && Object.keys(volumeConfig.bind).length > 0) {
+      warnings.push(`${prefix}bind options (${Object.keys(volumeConfig.bind).join(', ')}) on ${target} are ignored`);
+    }
+  } else if (type === 'tmpfs') {
+    volume = {
+      name: volumeNameFromPath(target, 'tmpfs'),
+      path: target,
+      backingStore: 'MEMORY'
+    };
+    if (volumeConfig.tmpfs && Object.keys(volumeConfig.tmpfs).length > 0) {
+      warnings.push(`${prefix}tmpfs options (${Object.keys(volumeConfig.tmpfs).join(', ')}) on ${target} are not supported in OCI and are ignored`);
+    }
+  } else {
+    warnings.push(`${prefix}volume type "${type}" on ${target} is not supported in OCI, skipping`);
+    return null;
+  }
+
+  if (volumeConfig.read_only === true) {
+    volume.isReadOnly = true;
+  }
+  return volume;
 }
 
 /**
  * Parse volumes array
  * @param {array} volumesArray - Array of volume configurations
- * @returns {array} Array of { name: string, path: string }
+ * @param {array} warnings - Optional warnings array to append to
+ * @param {string} serviceName - Optional service name (used in warnings)
+ * @returns {array} Array of { name, path, isReadOnly?, subPath?, backingStore? }
  */
-function parseVolumes(volumesArray) {
+function parseVolumes(volumesArray, warnings = [], serviceName = '') {
   if (!Array.isArray(volumesArray)) {
     return [];
   }
 
   return volumesArray
-    .map(vol => parseVolume(vol))
+    .map(vol => parseVolume(vol, warnings, serviceName))
     .filter(vol => vol !== null);
 }
 
 /**
- * Combine entrypoint and command
- * @param {array} entrypoint - Entrypoint array
- * @param {array} command - Command array
- * @returns {array} Combined command array
+ * Parse a service "tmpfs" entry (string or list, e.g. "/run" or "/run:size=64m")
+ * @param {string|array} tmpfs - Compose tmpfs value
+ * @param {array} warnings - Optional warnings array to append to
+ * @param {string} serviceName - Optional service name (used in warnings)
+ * @returns {array} Array of { name, path, backingStore: 'MEMORY' }
  */
-function combineEntrypointAndCommand(entrypoint, command) {
-  const entrypointArray = Array.isArray(entrypoint) ? entrypoint : (entrypoint ? [entrypoint] : []);
-  const commandArray = Array.isArray(command) ? command : (command ? [command] : []);
-
-  if (entrypointArray.length > 0 && commandArray.length > 0) {
-    return [...entrypointArray, ...commandArray];
-  } else if (entrypointArray.length > 0) {
-    return entrypointArray;
-  } else if (commandArray.length > 0) {
-    return commandArray;
-  }
-
-  return [];
+function parseTmpfs(tmpfs, warnings = [], serviceName = '') {
+  const prefix = serviceName ? `Service "${serviceName}": ` : '';
+  const entries = Array.isArray(tmpfs) ? tmpfs : (tmpfs ? [tmpfs] : []);
+
+  return entries.map(entry => {
+    const [path, options] = String(entry).split(/:(.*)/s);
+    if (options) {
+      warnings.push(`${prefix}tmpfs options "${options}" on ${path} are not supported in OCI and are ignored`);
+    }
+    return {
+      name: volumeNameFromPath(path, 'tmpfs'),
+      path: path,
+      backingStore: 'MEMORY'
+    };
+  });
 }
 
 /**
- * Parse environment variables
- * @param {array|object} env - Environment variables (array or object format)
- * @returns {object} Environment variables as object
+ * Split a Compose command string into arguments like a shell would (quotes and backslash escapes,
+ * no variable expansion), e.g. "sh -c 'echo hi'" -> ["sh", "-c", "echo hi"]
+ * @param {string} commandLine - Command string
+ * @returns {array} Arguments
  */
-function parseEnvironment(env) {
-  if (!env) {
-    return {};
+function splitCommandString(commandLine) {
+  const args = [];
+  let current = '';
+  let hasToken = false;
+  let quote = null;
+
+  for (let i = 0; i < commandLine.length; i++) {
+    const char = commandLine[i];
+    if (quote === "'") {
+      if (char === "'") {
+        quote = null;
+      } else {
+        current += char;
+      }
+    } else if (quote === '"') {
+      if (char === '"') {
+        quote = null;
+      } else if (char === '\\' && i + 1 < commandLine.length && ['"', '\\', '$', '`'].includes(commandLine[i + 1])) {
+        current += commandLine[++i];
+      } else {
+        current += char;
+      }
+    } else if (char === "'" || char === '"') {
+      quote = char;
+      hasToken = true;
+    } else if (char === '\\' && i + 1 < commandLine.length) {
+      current += commandLine[++i];
+      hasToken = true;
+    } else if (/\s/.test(char)) {
+      if (hasToken) {
+        args.push(current);
+        current = '';
+        hasToken = false;
+      }
+    } else {
+      current += char;
+      hasToken = true;
+    }
+  }
+  if (hasToken) {
+    args.push(current);
+  }
+  return args;
+}
+
+/**
+ * Normalize a Compose entrypoint or command to an argument array
+ * @param {array|string} value - Entrypoint or command (array, or string split like a shell would)
+ * @returns {array} Argument array ([] when not set)
+ */
+function toCommandArray(value) {
+  if (Array.isArray(value)) {
+    return value.map(arg => String(arg));
   }
+  if (typeof value === 'string') {
+    return splitCommandString(value);
+  }
+  return [];
+}
+
+/**
+ * Run a shell script in front of a service's entrypoint and command
+ * The script receives the original entrypoint followed by the command as "$@", so the Compose
+ * command still ends up in the OCI arguments.
+ * @param {object} service - Service configuration
+ * @param {string} script - Shell script, runs the original process with "$@"
+ * @returns {object} Service with the wrapped entrypoint and the command as an array
+ */
+function wrapServiceEntrypoint(service, script) {
+  return {
+    ...service,
+    entrypoint: ['sh', '-c', script, 'sh', ...toCommandArray(service.entrypoint)],
+    command: toCommandArray(service.command)
+  };
+}
+
+/**
+ * Set a service's entrypoint to its image ENTRYPOINT before a startup script wraps its command
+ * Without a Compose entrypoint the wrapper would run the command directly and skip the image
+ * ENTRYPOINT, so it comes from the per-service x-oci imageEntrypoint, else from the registry lookup.
+ * The lookup is best-effort: when it failed the command runs directly and a warning says so.
+ * @param {object} service - Service configuration with a command and no entrypoint
+ * @param {string} serviceName - Service name
+ * @param {object} imageEntrypoints - Image ENTRYPOINT arrays read from the registry, or { error } when the
+ *   lookup failed, by service name
+ * @param {array} warnings - Array to collect warnings
+ * @returns {object} Service with the image ENTRYPOINT as entrypoint (unchanged when the image has none
+ *   or it couldn't be resolved)
+ */
+function applyImageEntrypoint(service, serviceName, imageEntrypoints = {}, warnings = []) {
+  const serviceOciExtension = getOciExtension(service);
+  let entrypoint;
+  if (serviceOciExtension.imageEntrypoint !== undefined && serviceOciExtension.imageEntrypoint !== null) {
+    entrypoint = toCommandArray(serviceOciExtension.imageEntrypoint);
+  } else if (Array.isArray(imageEntrypoints[serviceName])) {
+    entrypoint = imageEntrypoints[serviceName];
+  } else {
+    const reason = imageEntrypoints[serviceName] && imageEntrypoints[serviceName].error;
+    warnings.push(`Service "${serviceName}": has a command but no entrypoint, and the ENTRYPOINT of image "${service.image}" couldn't be read from its registry${reason ? ` (${reason})` : ''}, so the startup script runs the command directly and the image ENTRYPOINT is skipped. Set entrypoint, or x-oci imageEntrypoint to the image's ENTRYPOINT ([] if it has none), to keep it.`);
+    return service;
+  }
+  return entrypoint.length > 0 ? { ...service, entrypoint } : service;
+}
 
-  // If it's already an object, return it
+/**
+ * List the services whose image ENTRYPOINT is needed to wrap their command in a startup script
+ * These have a command, no entrypoint and no x-oci imageEntrypoint, and depends_on, secrets or
+ * services waiting for them to complete.
+ * @param {object} composeObject - Parsed Docker Compose object
+ * @returns {array} [{ serviceName, image }]
+ */
+function getImageEntrypointRequests(composeObject) {
+  const services = composeObject.services || {};
+  const completionServices = new Set(Object.values(services).flatMap(config => normalizeDependsOn(config && config.depends_on)
+    .filter(dep => dep.condition === 'service_completed_successfully')
+    .map(dep => dep.name)));
+
+  return Object.entries(services)
+    .filter(([serviceName, service]) => service && service.image &&
+      toCommandArray(service.command).length > 0 &&
+      toCommandArray(service.entrypoint).length === 0 &&
+      getOciExtension(service).imageEntrypoint === undefined &&
+      (normalizeDependsOn(service.depends_on).length > 0 ||
+        (Array.isArray(service.secrets) && service.secrets.length > 0) ||
+        completionServices.has(serviceName)))
+    .map(([serviceName, service]) => ({ serviceName, image: String(service.image) }));
+}
+
+/**
+ * Parse environment variables
+ * @param {array|object} env - Environment variables (array or object format)
+ * @param {object} envFileValues - Optional values loaded from env_file (inline environment takes precedence)
+ * @returns {object} Environment variables as object
+ */
+function parseEnvironment(env, envFileValues = {}) {
+  if (!env) {
+    return { ...envFileValues };
+  }
+
+  // If it's already an object, merge it over env_file values
   if (typeof env === 'object' && !Array.isArray(env)) {
-    return env;
+    return { ...envFileValues, ...env };
   }
 
   // If it's an array, parse KEY=value format
   if (Array.isArray(env)) {
-    const envObj = {};
+    const envObj = { ...envFileValues };
     env.forEach(item => {
       if (typeof item === 'string' && item.includes('=')) {
         const [key, ...valueParts] = item.split('=');
@@ -185,7 +1024,120 @@ function parseEnvironment(env) {
     return envObj;
   }
 
-  return {};
+  return { ...envFileValues };
+}
+
+/**
+ * Normalize env_file path for lookups ("./config/.env" -> "config/.env")
+ * @param {string} filePath - env_file path as written in the Compose file
+ * @returns {string} Normalized path
+ */
+function normalizeEnvFilePath(filePath) {
+  return String(filePath || '').trim().replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+}
+
+/**
+ * Find uploaded env file content by path, falling back to the file name
+ * (browsers only expose the file name of uploaded files, not the directory)
+ * @param {string} filePath - env_file path as written in the Compose file
+ * @param {object} envFiles - Uploaded env files as { path: content }
+ * @returns {string|null} File content or null if not supplied
+ */
+function findEnvFileContent(filePath, envFiles) {
+  const normalizedPath = normalizeEnvFilePath(filePath);
+  const baseName = normalizedPath.split('/').pop();
+  const entries = Object.entries(envFiles || {});
+
+  const exactMatch = entries.find(([name]) => normalizeEnvFilePath(name) === normalizedPath);
+  if (exactMatch) {
+    return exactMatch[1];
+  }
+  const baseNameMatch = entries.find(([name]) => normalizeEnvFilePath(name).split('/').pop() === baseName);
+  return baseNameMatch ? baseNameMatch[1] : null;
+}
+
+/**
+ * Resolve service env_file references into the inline environment
+ * Files are merged in the order listed (later files override earlier ones) and the
+ * inline environment overrides all of them, matching Compose precedence
+ * @param {object} composeObject - Parsed Docker Compose object
+ * @param {object} envFiles - Uploaded env files as { path: content }
+ * @returns {object} { composeObject: object, missingFiles: string[], warnings: string[] }
+ */
+function resolveEnvFiles(composeObject, envFiles = {}) {
+  const missingFiles = [];
+  const warnings = [];
+  if (!composeObject || !composeObject.services || typeof composeObject.services !== 'object') {
+    return { composeObject, missingFiles, warnings };
+  }
+
+  const resolvedServices = {};
+
+  Object.entries(composeObject.services).forEach(([serviceName, service]) => {
+    if (!service || !service.env_file) {
+      resolvedServices[serviceName] = service;
+      return;
+    }
+
+    const entries = Array.isArray(service.env_file) ? service.env_file : [service.env_file];
+    let envFileValues = {};
+
+    entries.forEach(entry => {
+      const filePath = typeof entry === 'object' && entry !== null ? entry.path : entry;
+      const required = typeof entry === 'object' && entry !== null && entry.required === false ? false : true;
+      const content = findEnvFileContent(filePath, envFiles);
+
+      if (content === null) {
+        if (required) {
+          if (!missingFiles.includes(filePath)) {
+            missingFiles.push(filePath);
+          }
+          warnings.push(`Service "${serviceName}": env_file "${filePath}" was not provided, its variables are missing`);
+        }
+        return;
+      }
+
+      envFileValues = { ...envFileValues, ...parseEnvFile(content) };
+    });
+
+    const resolvedService = {
+      ...service,
+      environment: parseEnvironment(service.environment, envFileValues)
+    };
+    delete resolvedService.env_file;
+    resolvedServices[serviceName] = resolvedService;
+  });
+
+  return {
+    composeObject: { ...composeObject, services: resolvedServices },
+    missingFiles,
+    warnings
+  };
+}
+
+// Shared EMPTYDIR volume used to signal that a one-shot service completed successfully
+const DEPENDENCY_MARKER_VOLUME = {
+  name: 'compose-markers',
+  path: '/compose-markers'
+};
+
+/**
+ * Normalize a Compose depends_on (short list or long-form map) to dependency entries
+ * @param {array|object} dependsOn - Compose depends_on value
+ * @returns {array} Array of { name: string, condition: string, required: boolean }
+ */
+function normalizeDependsOn(dependsOn) {
+  if (!dependsOn) {
+    return [];
+  }
+  if (Array.isArray(dependsOn)) {
+    return dependsOn.map(name => ({ name: String(name), condition: 'service_started', required: true }));
+  }
+  return Object.entries(dependsOn).map(([name, options]) => ({
+    name,
+    condition: (options && options.condition) || 'service_started',
+    required: !(options && options.required === false)
+  }));
 }
 
 /**
@@ -206,18 +1158,12 @@ function orderContainersByDependencies(services) {
 
   // Build dependency graph
   Object.entries(services).forEach(([serviceName, config]) => {
-    if (config.depends_on) {
-      const deps = Array.isArray(config.depends_on)
-        ? config.depends_on
-        : Object.keys(config.depends_on);
-      
-      deps.forEach(dep => {
-        if (graph[dep]) {
-          graph[dep].push(serviceName);
-          inDegree[serviceName]++;
-        }
-      });
-    }
+    normalizeDependsOn(config.depends_on).forEach(({ name: dep }) => {
+      if (graph[dep]) {
+        graph[dep].push(serviceName);
+        inDegree[serviceName]++;
+      }
+    });
   });
 
   // Topological sort
@@ -257,171 +1203,1193 @@ function orderContainersByDependencies(services) {
   return { ordered: result, hasCycle };
 }
 
+/**
+ * Quote a value for use as a single POSIX shell word
+ * @param {string} value - Value to quote
+ * @returns {string} Single-quoted value
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Generate a polling loop that waits until a shell check succeeds
+ * Required dependencies abort startup on timeout, optional ones continue
+ * @param {object} dep - { name: string, required: boolean }
+ * @param {string} check - Shell command that succeeds once the dependency is ready
+ * @param {string} description - What is being waited for (used in log lines)
+ * @param {number} timeoutSeconds - Maximum time to wait
+ * @returns {string} Shell snippet
+ */
+function generateWaitLoop(dep, check, description, timeoutSeconds) {
+  const onTimeout = dep.required === false
+    ? `    echo "WARNING: Timeout waiting for ${dep.name} (${description}), optional dependency - continuing"
+    break`
+    : `    echo "ERROR: Timeout waiting for ${dep.name} (${description})"
+    exit 1`;
+  return `echo "Waiting for ${dep.name} (${description})..."
+timeout=${timeoutSeconds}
+elapsed=0
+while ! ${check}; do
+  if [ \$elapsed -ge \$timeout ]; then
+${onTimeout}
+  fi
+  sleep 2
+  elapsed=\$((elapsed + 2))
+done
+echo "Done waiting for ${dep.name}"`;
+}
+
 /**
  * Generate wait script for dependencies
- * @param {array} dependencyInfo - Array of { name: string, port: number|null }
+ * Dependencies are waited on according to their depends_on condition:
+ * - service_started: port check (or delay when the service has no port)
+ * - service_healthy: the dependency's HTTP/TCP health check, its health check command
+ *   when the binary exists in this container, else a port check or delay
+ * - service_completed_successfully: marker file written to the shared marker volume
+ * Optional dependencies (required: false) never abort startup.
+ * @param {array} dependencyInfo - Array of { name, port, condition, required, healthCheck }
  * @param {number} dependencyDelaySeconds - Delay in seconds for deps without ports (default: 10)
  * @returns {string} Wait script as string
  */
 function generateWaitScript(dependencyInfo, dependencyDelaySeconds = 10) {
-  // Port-based checks (use first port if multiple ports exist)
   // Note: Use 127.0.0.1 instead of service names since OCI CI containers share network namespace
-  const portChecks = dependencyInfo
-    .filter(dep => dep.port !== null)
-    .map(dep => {
-      return `echo "Waiting for ${dep.name} on port ${dep.port}..."
-timeout=60
-elapsed=0
-# Try multiple methods to check port availability
+  const helpers = `# Try multiple methods to check port availability
 port_check() {
   # Method 1: Try bash /dev/tcp (most common, no external tools needed)
   if command -v bash >/dev/null 2>&1; then
-    if timeout 1 bash -c "echo > /dev/tcp/127.0.0.1/${dep.port}" 2>/dev/null; then
+    if timeout 1 bash -c "echo > /dev/tcp/127.0.0.1/\$1" 2>/dev/null; then
       return 0
     fi
   fi
   # Method 2: Try nc (netcat) if available
   if command -v nc >/dev/null 2>&1; then
-    if nc -z 127.0.0.1 ${dep.port} 2>/dev/null; then
+    if nc -z 127.0.0.1 \$1 2>/dev/null; then
       return 0
     fi
   fi
   # Method 3: Try telnet if available
   if command -v telnet >/dev/null 2>&1; then
-    if echo "" | timeout 1 telnet 127.0.0.1 ${dep.port} 2>/dev/null | grep -q "Connected"; then
+    if echo "" | timeout 1 telnet 127.0.0.1 \$1 2>/dev/null | grep -q "Connected"; then
       return 0
     fi
   fi
   return 1
 }
-echo "DEBUG: Checking port ${dep.port} on 127.0.0.1"
-while ! port_check; do
-  if [ \$elapsed -ge \$timeout ]; then
-    echo "ERROR: Timeout waiting for ${dep.name} on port ${dep.port} (checked 127.0.0.1:${dep.port})"
-    echo "DEBUG: Port check failed after \$elapsed seconds"
-    exit 1
+# HTTP check with curl or wget, falls back to a port check
+http_check() {
+  if command -v curl >/dev/null 2>&1; then
+    curl -fsS -o /dev/null "http://127.0.0.1:\$1\$2" 2>/dev/null
+    return \$?
   fi
-  echo "DEBUG: Port ${dep.port} not ready yet (elapsed: \$elapsed s), retrying in 2s..."
-  sleep 2
-  elapsed=\$((elapsed + 2))
-done
-echo "DEBUG: Port ${dep.port} is now open on 127.0.0.1"
-echo "${dep.name} is ready"`;
+  if command -v wget >/dev/null 2>&1; then
+    wget -q -O /dev/null "http://127.0.0.1:\$1\$2" 2>/dev/null
+    return \$?
+  fi
+  port_check \$1
+}`;
+
+  const checks = [];
+  const delayDeps = [];
+  let needsHelpers = false;
+
+  dependencyInfo.forEach(dep => {
+    const condition = dep.condition || 'service_started';
+
+    if (condition === 'service_completed_successfully') {
+      const markerFile = `${DEPENDENCY_MARKER_VOLUME.path}/${dep.name}.done`;
+      checks.push(generateWaitLoop(dep, `[ -f ${shellQuote(markerFile)} ]`, 'completed successfully', 600));
+      return;
+    }
+
+    if (condition === 'service_healthy' && dep.healthCheck) {
+      const healthCheck = dep.healthCheck;
+      // Give the dependency its full start period plus all retries before giving up
+      const timeoutSeconds = Math.max(60,
+        (healthCheck.initialDelayInSeconds || 0) + (healthCheck.intervalInSeconds || 30) * ((healthCheck.failureThreshold || 3) + 1));
+
+      if (healthCheck.healthCheckType === 'HTTP') {
+        needsHelpers = true;
+        checks.push(generateWaitLoop(dep, `http_check ${healthCheck.port} ${shellQuote(healthCheck.path || '/')}`,
+          `healthy, HTTP 127.0.0.1:${healthCheck.port}${healthCheck.path || '/'}`, timeoutSeconds));
+        return;
+      }
+      if (healthCheck.healthCheckType === 'TCP') {
+        needsHelpers = true;
+        checks.push(generateWaitLoop(dep, `port_check ${healthCheck.port}`, `healthy, TCP port ${healthCheck.port}`, timeoutSeconds));
+        return;
+      }
+      if (Array.isArray(healthCheck.command) && healthCheck.command.length > 0) {
+        // The health check command runs in this container, so only use it when its binary is available here
+        const binary = healthCheck.command[0];
+        const command = `${healthCheck.command.map(shellQuote).join(' ')} >/dev/null 2>&1`;
+        let fallback;
+        if (dep.port !== null) {
+          needsHelpers = true;
+          fallback = generateWaitLoop(dep, `port_check ${dep.port}`, `port ${dep.port}`, timeoutSeconds);
+        } else {
+          fallback = `echo "${binary} not available, waiting ${dependencyDelaySeconds}s for ${dep.name}..."\nsleep ${dependencyDelaySeconds}`;
+        }
+        checks.push(`if command -v ${shellQuote(binary)} >/dev/null 2>&1; then
+${generateWaitLoop(dep, command, 'healthy, health check command', timeoutSeconds)}
+else
+${fallback}
+fi`);
+        return;
+      }
+    }
+
+    // service_started (or service_healthy without a usable health check)
+    if (dep.port !== null) {
+      needsHelpers = true;
+      checks.push(generateWaitLoop(dep, `port_check ${dep.port}`, `port ${dep.port}`, 60));
+    } else if (dep.required !== false) {
+      delayDeps.push(dep.name);
+    } else {
+      checks.push(`echo "Not waiting for optional dependency ${dep.name} (no port)"`);
+    }
+  });
+
+  let waitScript = '';
+
+  // Add checks
+  if (checks.length > 0) {
+    waitScript += (needsHelpers ? `${helpers}\n` : '') + checks.join('\n');
+  }
+
+  // Add delay for dependencies without ports
+  if (delayDeps.length > 0) {
+    const delaySeconds = dependencyDelaySeconds
+      ? Math.max(dependencyDelaySeconds, delayDeps.length * 5)
+      : Math.max(10, delayDeps.length * 5);
+    waitScript += `\necho "Waiting for dependencies without ports: ${delayDeps.join(', ')}..."
+sleep ${delaySeconds}
+echo "Dependencies should be ready"`;
+  }
+
+  // Fallback if no dependencies
+  if (waitScript.trim() === '') {
+    return 'echo "No dependencies to wait for"';
+  }
+
+  return waitScript;
+}
+
+/**
+ * Add wait script to the entrypoint (OCI command) for dependencies
+ * The Compose command is left as is and still becomes the OCI arguments.
+ * @param {object} service - Service configuration
+ * @param {array} dependencies - Array of { name, condition, required } (or dependency service names)
+ * @param {object} allServices - All services object
+ * @param {number} dependencyDelaySeconds - Delay in seconds for deps without ports
+ * @returns {array|null} Entrypoint array running the wait script, or null when the service has neither
+ *   entrypoint nor command
+ */
+function addWaitScriptToCommand(service, dependencies, allServices, dependencyDelaySeconds = 10) {
+  // Get dependency ports - use first port if available (prefer port check over delay)
+  const dependencyInfo = dependencies
+    .map(dep => (typeof dep === 'string' ? { name: dep, condition: 'service_started', required: true } : dep))
+    .map(dep => {
+      const depService = allServices[dep.name];
+      // Use first TCP port if available (better than delay, even if multiple ports exist)
+      const tcpMapping = (depService?.ports || [])
+        .flatMap(portConfig => parsePortMapping(portConfig) || [])
+        .find(mapping => mapping.protocol === 'tcp');
+      const port = tcpMapping ? tcpMapping.target : null;
+      const healthCheck = dep.condition === 'service_healthy'
+        ? convertHealthcheck(depService?.healthcheck, dep.name)[0] || null
+        : null;
+      return { ...dep, port: port, healthCheck: healthCheck };
+    });
+
+  // Generate wait script
+  const waitScript = generateWaitScript(dependencyInfo, dependencyDelaySeconds);
+
+  // Wait script runs first, then execs the original entrypoint + command (passed as "$@")
+  if (toCommandArray(service.entrypoint).length > 0 || toCommandArray(service.command).length > 0) {
+    return wrapServiceEntrypoint(service, `${waitScript} && exec "$@"`).entrypoint;
+  }
+  // No command/entrypoint specified in compose - the image's default process is unknown,
+  // return null to signal "keep the image default" (the caller warns that depends_on won't run)
+  return null;
+}
+
+/**
+ * Process depends_on and add wait scripts
+ * Services that others wait on with service_completed_successfully write a marker file
+ * to the shared marker volume when their command exits with status 0.
+ * @param {object} services - Services object
+ * @param {array} orderedServices - Topologically sorted service names
+ * @param {number} dependencyDelaySeconds - Delay in seconds for deps without ports
+ * @param {array} warnings - Optional warnings array to append to
+ * @param {object} imageEntrypoints - Optional image ENTRYPOINT arrays by service name, for services with only a command
+ * @returns {array} Array of { name: string, config: object }
+ */
+function processDependsOn(services, orderedServices, dependencyDelaySeconds = 10, warnings = [], imageEntrypoints = {}) {
+  const dependencyMap = {};
+  const completionServices = new Set();
+
+  // Build dependency map (dependencies on unknown services can't be satisfied)
+  Object.entries(services).forEach(([serviceName, config]) => {
+    const deps = normalizeDependsOn(config.depends_on).filter(dep => {
+      if (services[dep.name]) {
+        return true;
+      }
+      warnings.push(`Service "${serviceName}": depends_on "${dep.name}" ${dep.required ? 'refers to an unknown service' : 'is optional and not defined'}, ignored`);
+      return false;
+    });
+    deps.forEach(dep => {
+      if (dep.condition === 'service_healthy' && !services[dep.name].healthcheck) {
+        warnings.push(`Service "${serviceName}": depends_on "${dep.name}" with condition service_healthy, but "${dep.name}" has no healthcheck. Waiting for it to start instead.`);
+      }
+      if (dep.condition === 'service_completed_successfully') {
+        completionServices.add(dep.name);
+      }
+    });
+    if (deps.length > 0) {
+      dependencyMap[serviceName] = deps;
+    }
+  });
+
+  // Process each service
+  return orderedServices.map(serviceName => {
+    const dependencies = dependencyMap[serviceName];
+    let service = services[serviceName];
+
+    const hasProcess = toCommandArray(service.entrypoint).length > 0 || toCommandArray(service.command).length > 0;
+    const needsWrapping = completionServices.has(serviceName) || (dependencies && dependencies.length > 0);
+    if (needsWrapping && hasProcess && toCommandArray(service.entrypoint).length === 0) {
+      service = applyImageEntrypoint(service, serviceName, imageEntrypoints, warnings);
+    }
+
+    if (completionServices.has(serviceName)) {
+      const markerFile = `${DEPENDENCY_MARKER_VOLUME.path}/${serviceName}.done`;
+      if (hasProcess) {
+        // Write the marker only when the process succeeds, and keep its exit status
+        service = wrapServiceEntrypoint(service, `rm -f ${shellQuote(markerFile)}; "$@" && touch ${shellQuote(markerFile)}`);
+      } else {
+        warnings.push(`Service "${serviceName}": other services wait for it to complete successfully, but it has no command/entrypoint to wrap. Add one so a completion marker can be written.`);
+      }
+    }
+
+    if (dependencies && dependencies.length > 0) {
+      const entrypoint = addWaitScriptToCommand(service, dependencies, services, dependencyDelaySeconds);
+      if (entrypoint) {
+        return { name: serviceName, config: { ...service, entrypoint, command: toCommandArray(service.command) } };
+      }
+      warnings.push(`Service "${serviceName}": No command/entrypoint specified. depends_on wait script will not run. Consider adding command/entrypoint to compose file for startup ordering.`);
+    }
+
+    return { name: serviceName, config: service };
+  });
+}
+
+// Docker Compose restart values: always, no, on-failure, unless-stopped
+// OCI containerRestartPolicy values: NEVER, ALWAYS, ON_FAILURE
+const RESTART_POLICY_MAP = {
+  'always': 'ALWAYS',
+  'no': 'NEVER',
+  'never': 'NEVER',
+  'on-failure': 'ON_FAILURE',
+  'on_failure': 'ON_FAILURE',
+  'unless-stopped': 'ALWAYS' // Map to ALWAYS as closest match
+};
+
+/**
+ * Normalize a Compose or OCI restart policy value to an OCI containerRestartPolicy
+ * @param {string} restart - Restart value (e.g. "on-failure:3", "unless-stopped" or "ALWAYS")
+ * @returns {string|null} NEVER, ALWAYS, ON_FAILURE or null if unknown
+ */
+function normalizeRestartPolicy(restart) {
+  if (!restart) {
+    return null;
+  }
+  const restartValue = String(restart).toLowerCase().split(':')[0];
+  return RESTART_POLICY_MAP[restartValue] || null;
+}
+
+/**
+ * Get the "x-oci" extension block of a Compose document or service
+ * @param {object} config - Compose object or service config
+ * @returns {object} Extension block ({} if missing)
+ */
+function getOciExtension(config) {
+  const extension = config && config['x-oci'];
+  return extension && typeof extension === 'object' && !Array.isArray(extension) ? extension : {};
+}
+
+/**
+ * Build an OCI_FSS_FILE_SYSTEM volume from an x-oci file system definition
+ * Uses the same shape as File Systems created in the UI
+ * @param {object} fileSystem - { name, mountTargetId, exportId, subnetId, mountOptions, isEncryptedInTransit }
+ * @param {number} idx - File system index (used for the default name)
+ * @returns {object} OCI volume
+ */
+function buildFileSystemVolume(fileSystem, idx) {
+  const volume = {
+    name: fileSystem.name || `fss-${idx}`,
+    volumeType: 'OCI_FSS_FILE_SYSTEM',
+    mountTarget: {
+      ociFssMountTargetType: 'OCID',
+      id: fileSystem.mountTargetId
+    },
+    export: {
+      ociFssExportType: 'OCID',
+      id: fileSystem.exportId
+    },
+    security: {
+      auth: 'SYS',
+      isEncryptedInTransit: fileSystem.isEncryptedInTransit !== false
+    }
+  };
+
+  const mountOptions = (Array.isArray(fileSystem.mountOptions) ? fileSystem.mountOptions : String(fileSystem.mountOptions || '').split(','))
+    .map(option => (typeof option === 'object' && option !== null ? `${option.option}${option.value ? `=${option.value}` : ''}` : String(option).trim()))
+    .filter(Boolean)
+    .map(option => {
+      const [name, ...valueParts] = option.split('=');
+      const mountOption = { option: name.trim().toLowerCase() };
+      if (valueParts.length > 0) {
+        mountOption.value = valueParts.join('=').trim();
+      }
+      return mountOption;
+    });
+  if (mountOptions.length > 0) {
+    volume.mountCommand = { mountOptions };
+  }
+  if (fileSystem.subnetId) {
+    volume.subnetId = fileSystem.subnetId;
+  }
+
+  return volume;
+}
+
+// Container instance Flex sizes offered per architecture (matches the create dialog options)
+const FLEX_SHAPE_SIZES = {
+  x86: {
+    ocpus: [1, 2, 3, 4, 5, 6, 7, 8],
+    memoryInGBs: [16, 32, 64, 96, 128]
+  },
+  ARM64: {
+    ocpus: Array.from({ length: 16 }, (_, idx) => idx + 1),
+    memoryInGBs: Array.from({ length: 16 }, (_, idx) => (idx + 1) * 6)
+  }
+};
+
+// Flex shapes allow between 1 and 64 GB of memory per OCPU
+const FLEX_MEMORY_PER_OCPU = { min: 1, max: 64 };
+
+// vCPUs per OCPU: an x86 OCPU is one core with two hardware threads, an Ampere (ARM64) OCPU is one core
+const VCPUS_PER_OCPU = { x86: 2, ARM64: 1 };
+
+/**
+ * Parse a Compose byte value (e.g. "512m", "1.5g", "2048kb" or a number of bytes)
+ * @param {string|number} value - Compose byte value
+ * @returns {number|null} Size in GB (1 GB = 1024 MB) or null if invalid
+ */
+function parseMemoryToGB(value) {
+  if (typeof value === 'number') {
+    return value > 0 ? value / (1024 ** 3) : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*([bkmgt]?)i?b?$/i);
+  if (!match) {
+    return null;
+  }
+  const exponents = { '': 0, b: 0, k: 1, m: 2, g: 3, t: 4 };
+  const bytes = parseFloat(match[1]) * (1024 ** exponents[match[2].toLowerCase()]);
+  return bytes > 0 ? bytes / (1024 ** 3) : null;
+}
+
+/**
+ * Read a service's CPU and memory limits and reservations
+ * deploy.resources limits/reservations win over the legacy cpus, mem_limit and mem_reservation keys
+ * @param {object} service - Service configuration
+ * @param {array} warnings - Array to collect warnings
+ * @param {string} serviceName - Service name used in warnings
+ * @returns {object} { limits: { vcpus, memoryInGBs }, reservations: { vcpus, memoryInGBs } } (values null when not set)
+ */
+function getServiceResources(service, warnings = [], serviceName = '') {
+  const deployResources = (service.deploy && service.deploy.resources) || {};
+  const limits = deployResources.limits || {};
+  const reservations = deployResources.reservations || {};
+
+  const readCpus = (value, key) => {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const cpus = parseFloat(value);
+    if (isNaN(cpus) || cpus <= 0) {
+      warnings.push(`Service "${serviceName}": invalid ${key} "${value}", ignoring`);
+      return null;
+    }
+    return Math.ceil(cpus * 100) / 100;
+  };
+  const readMemory = (value, key) => {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const memoryInGBs = parseMemoryToGB(value);
+    if (memoryInGBs === null) {
+      warnings.push(`Service "${serviceName}": invalid ${key} "${value}", ignoring`);
+      return null;
+    }
+    return Math.ceil(memoryInGBs * 100) / 100;
+  };
+
+  if (reservations.devices) {
+    warnings.push(`Service "${serviceName}": deploy.resources.reservations.devices are not supported in OCI and are ignored`);
+  }
+  if (limits.pids !== undefined) {
+    warnings.push(`Service "${serviceName}": deploy.resources.limits.pids is not supported in OCI and is ignored`);
+  }
+
+  const resources = {
+    limits: {
+      vcpus: readCpus(limits.cpus, 'deploy.resources.limits.cpus') ?? readCpus(service.cpus, 'cpus'),
+      memoryInGBs: readMemory(limits.memory, 'deploy.resources.limits.memory') ?? readMemory(service.mem_limit, 'mem_limit')
+    },
+    reservations: {
+      vcpus: readCpus(reservations.cpus, 'deploy.resources.reservations.cpus'),
+      memoryInGBs: readMemory(reservations.memory, 'deploy.resources.reservations.memory') ?? readMemory(service.mem_reservation, 'mem_reservation')
+    }
+  };
+
+  ['vcpus', 'memoryInGBs'].forEach(key => {
+    if (resources.limits[key] !== null && resources.reservations[key] !== null && resources.reservations[key] > resources.limits[key]) {
+      warnings.push(`Service "${serviceName}": ${key === 'vcpus' ? 'CPU' : 'memory'} reservation is higher than the limit, using the limit`);
+    }
+  });
+
+  return resources;
+}
+
+/**
+ * Fit a container instance size to the Flex shape sizes of an architecture
+ * OCPUs and memory are rounded up to the next offered size, then checked against the memory per OCPU
+ * ratio (more OCPUs are added for memory-heavy sizes, more memory for CPU-heavy ones)
+ * @param {string} architecture - Architecture (x86 or ARM64)
+ * @param {number} ocpus - Requested OCPUs
+ * @param {number} memoryInGBs - Requested memory in GB
+ * @param {array} warnings - Array to collect warnings
+ * @returns {object} { ocpus, memoryInGBs }
+ */
+function fitFlexShapeConfig(architecture, ocpus, memoryInGBs, warnings = []) {
+  const sizes = FLEX_SHAPE_SIZES[architecture] || FLEX_SHAPE_SIZES.x86;
+  const roundUp = (options, value) => options.find(option => option >= value);
+
+  let targetOcpus = Math.max(ocpus || 0, Math.ceil((memoryInGBs || 0) / FLEX_MEMORY_PER_OCPU.max), 1);
+  let targetMemory = Math.max(memoryInGBs || 0, targetOcpus * FLEX_MEMORY_PER_OCPU.min);
+
+  let fittedOcpus = roundUp(sizes.ocpus, targetOcpus);
+  if (fittedOcpus === undefined) {
+    fittedOcpus = sizes.ocpus[sizes.ocpus.length - 1];
+    warnings.push(`Containers need ${targetOcpus} OCPUs, more than the largest ${architecture} size (${fittedOcpus} OCPUs); using ${fittedOcpus}`);
+  }
+  targetMemory = Math.max(targetMemory, fittedOcpus * FLEX_MEMORY_PER_OCPU.min);
+
+  let fittedMemory = roundUp(sizes.memoryInGBs, targetMemory);
+  if (fittedMemory === undefined) {
+    fittedMemory = sizes.memoryInGBs[sizes.memoryInGBs.length - 1];
+    warnings.push(`Containers need ${targetMemory} GB of memory, more than the largest ${architecture} size (${fittedMemory} GB); using ${fittedMemory} GB`);
+  }
+
+  const memoryPerOcpu = fittedMemory / fittedOcpus;
+  if (memoryPerOcpu < FLEX_MEMORY_PER_OCPU.min || memoryPerOcpu > FLEX_MEMORY_PER_OCPU.max) {
+    warnings.push(`Shape size ${fittedOcpus} OCPUs / ${fittedMemory} GB is outside the allowed ${FLEX_MEMORY_PER_OCPU.min}-${FLEX_MEMORY_PER_OCPU.max} GB of memory per OCPU`);
+  }
+
+  return { ocpus: fittedOcpus, memoryInGBs: fittedMemory };
+}
+
+/**
+ * Build a CONFIGFILE volume from a top-level Compose config
+ * The file content is stored inline (base64) in the volume, under the config's file name
+ * @param {string} configName - Config name
+ * @param {object} definition - Config definition (with resolved "content")
+ * @param {array} warnings - Array to collect warnings
+ * @returns {object|null} { name, volumeType: 'CONFIGFILE', configs: [{ fileName, data }] } or null when unusable
+ */
+function buildConfigFileVolume(configName, definition, warnings = []) {
+  if (!definition || typeof definition !== 'object') {
+    warnings.push(`Config "${configName}" is not defined, skipping`);
+    return null;
+  }
+  if (definition.external) {
+    warnings.push(`Config "${configName}": external configs are not available in OCI, skipping`);
+    return null;
+  }
+  if (definition.content === undefined || definition.content === null) {
+    // Missing files and variables are reported when the config sources are resolved
+    if (!definition.file && !definition.environment) {
+      warnings.push(`Config "${configName}" has no file, environment or content, skipping`);
+    }
+    return null;
+  }
+
+  const fileName = definition.file ? normalizeEnvFilePath(definition.file).split('/').pop() : configName;
+  return {
+    name: volumeNameFromPath(configName, 'config'),
+    volumeType: 'CONFIGFILE',
+    configs: [{
+      fileName: fileName,
+      data: Buffer.from(String(definition.content), 'utf8').toString('base64')
+    }]
+  };
+}
+
+/**
+ * Parse a service's config references
+ * Short syntax ("name") mounts the config at /name; long syntax sets { source, target }.
+ * Relative targets are placed under / as Compose does for Linux containers.
+ * @param {array} configsArray - Service configs entries
+ * @param {array} warnings - Array to collect warnings
+ * @param {string} serviceName - Service name used in warnings
+ * @returns {array} Array of { source, target }
+ */
+function parseServiceConfigs(configsArray, warnings = [], serviceName = '') {
+  if (!Array.isArray(configsArray)) {
+    return [];
+  }
+
+  return configsArray.map(entry => {
+    const reference = typeof entry === 'string' ? { source: entry } : entry;
+    if (!reference || !reference.source) {
+      warnings.push(`Service "${serviceName}": config entry without a source, skipping`);
+      return null;
+    }
+    ['uid', 'gid', 'mode'].forEach(option => {
+      if (reference[option] !== undefined) {
+        warnings.push(`Service "${serviceName}": config "${reference.source}" ${option} is not supported in OCI and is ignored`);
+      }
+    });
+    const target = reference.target || reference.source;
+    return {
+      source: reference.source,
+      target: target.startsWith('/') ? target : `/${target}`
+    };
+  }).filter(Boolean);
+}
+
+// Compose secrets are files under /run/secrets, written there by VaultReader sidecars
+// on an in-memory volume shared with the services that use them
+const SECRETS_VOLUME = {
+  name: 'compose-secrets',
+  path: '/run/secrets',
+  backingStore: 'MEMORY'
+};
+
+/**
+ * Find the VaultReader sidecar definition for an architecture
+ * @param {string} architecture - Architecture (x86 or ARM64)
+ * @param {array} sidecars - Sidecar definitions (defaults to public/sidecars.json)
+ * @returns {object|undefined} Sidecar definition
+ */
+function getVaultReaderSidecar(architecture, sidecars = defaultSidecars) {
+  return sidecars.find(sidecar => sidecar.name === 'VaultReader' &&
+    String(sidecar.arch || 'x86').toUpperCase() === String(architecture || 'x86').toUpperCase());
+}
+
+/**
+ * Parse a service's secret references
+ * Short syntax ("name") reads the secret from /run/secrets/name; long syntax can rename the file with "target".
+ * Absolute targets outside /run/secrets can't be served from the shared secrets volume.
+ * @param {array} secretsArray - Service secrets entries
+ * @param {array} warnings - Array to collect warnings
+ * @param {string} serviceName - Service name used in warnings
+ * @returns {array} Array of { source, fileName }
+ */
+function parseServiceSecrets(secretsArray, warnings = [], serviceName = '') {
+  if (!Array.isArray(secretsArray)) {
+    return [];
+  }
+
+  return secretsArray.map(entry => {
+    const reference = typeof entry === 'string' ? { source: entry } : entry;
+    if (!reference || !reference.source) {
+      warnings.push(`Service "${serviceName}": secret entry without a source, skipping`);
+      return null;
+    }
+    ['uid', 'gid', 'mode'].forEach(option => {
+      if (reference[option] !== undefined) {
+        warnings.push(`Service "${serviceName}": secret "${reference.source}" ${option} is not supported in OCI and is ignored`);
+      }
     });
+    let target = String(reference.target || reference.source);
+    if (target.startsWith(`${SECRETS_VOLUME.path}/`)) {
+      target = target.slice(SECRETS_VOLUME.path.length + 1);
+    } else if (target.startsWith('/')) {
+      warnings.push(`Service "${serviceName}": secret "${reference.source}" target "${target}" is outside ${SECRETS_VOLUME.path}, using ${SECRETS_VOLUME.path}/${target.split('/').pop()}`);
+      target = target.split('/').pop();
+    }
+    return {
+      source: reference.source,
+      fileName: target
+    };
+  }).filter(Boolean);
+}
+
+/**
+ * Resolve a top-level Compose secret to an OCI Vault secret
+ * The secret's "x-oci" block either references an existing Vault secret ({ secretId }) or says where
+ * to create one ({ vaultId, keyId, secretName }, defaulting to the top-level x-oci vaultId and keyId).
+ * Secrets to create carry their (resolved) file or environment content, base64 encoded.
+ * @param {string} secretName - Compose secret name
+ * @param {object} definition - Secret definition (with resolved "content")
+ * @param {object} defaults - Top-level x-oci block ({ vaultId, keyId })
+ * @param {array} warnings - Array to collect warnings
+ * @returns {object|null} { name, secretId } or { name, request: { secretName, vaultId, keyId, content } }, null when undefined
+ */
+function resolveVaultSecret(secretName, definition, defaults = {}, warnings = []) {
+  if (!definition || typeof definition !== 'object') {
+    warnings.push(`Secret "${secretName}" is not defined, skipping`);
+    return null;
+  }
+
+  const secretExtension = getOciExtension(definition);
+  if (secretExtension.secretId) {
+    if (!String(secretExtension.secretId).startsWith('ocid1.vaultsecret.')) {
+      warnings.push(`Secret "${secretName}": x-oci secretId "${secretExtension.secretId}" is not a Vault secret OCID`);
+    }
+    return { name: secretName, secretId: String(secretExtension.secretId) };
+  }
+
+  const request = {
+    secretName: secretExtension.secretName || definition.name || secretName,
+    vaultId: secretExtension.vaultId || defaults.vaultId || null,
+    keyId: secretExtension.keyId || defaults.keyId || null,
+    content: definition.content !== undefined && definition.content !== null
+      ? Buffer.from(String(definition.content), 'utf8').toString('base64')
+      : null
+  };
+  if (definition.external) {
+    warnings.push(`Secret "${secretName}" is external; set x-oci secretId to the OCI Vault secret OCID`);
+  } else if (request.content === null) {
+    // Missing files and variables are reported when the secret sources are resolved
+    if (!definition.file && !definition.environment) {
+      warnings.push(`Secret "${secretName}" has no file or environment, so there is no content to create a Vault secret with`);
+    }
+  } else if (!request.vaultId || !request.keyId) {
+    warnings.push(`Secret "${secretName}": set x-oci vaultId and keyId to create it in OCI Vault, or secretId to use an existing secret`);
+  }
+  return { name: secretName, request };
+}
+
+/**
+ * Build a VaultReader sidecar container that writes a Vault secret to the shared secrets volume
+ * @param {object} sidecar - VaultReader sidecar definition (from sidecars.json)
+ * @param {object} secret - Resolved secret ({ name, secretId? })
+ * @param {string} fileName - File name under /run/secrets
+ * @returns {object} OCI container
+ */
+function buildVaultReaderContainer(sidecar, secret, fileName) {
+  const environmentVariables = {};
+  (sidecar.envs || []).forEach(env => {
+    environmentVariables[env.var] = env.value;
+  });
+  environmentVariables.secrets_file = `${SECRETS_VOLUME.path}/${fileName}`;
+  // Secrets that still have to be created keep the sidecar's placeholder, which sidecar validation rejects
+  if (secret.secretId) {
+    environmentVariables.secret_ocid = secret.secretId;
+  }
+
+  return {
+    displayName: volumeNameFromPath(secret.name, sidecar.name),
+    imageUrl: sidecar.image,
+    isResourcePrincipalDisabled: false,
+    resourceConfig: {
+      memoryLimitInGBs: parseFloat(sidecar.mem) || 1,
+      vcpusLimit: parseFloat(sidecar.ocpu) || 1
+    },
+    environmentVariables: environmentVariables,
+    volumeMounts: [{
+      mountPath: SECRETS_VOLUME.path,
+      volumeName: SECRETS_VOLUME.name
+    }]
+  };
+}
+
+/**
+ * Build an OCI container security context from a service's user, read_only, cap_add and cap_drop
+ * Only numeric users and groups can be mapped (names need the image's /etc/passwd); privileged mode
+ * and other security options have no OCI equivalent and are reported.
+ * The per-service x-oci isNonRootUserCheckEnabled enables OCI's non-root user check.
+ * @param {object} service - Service configuration
+ * @param {array} warnings - Array to collect warnings
+ * @param {string} serviceName - Service name used in warnings
+ * @returns {object|null} OCI LINUX security context, or null when the service sets none
+ */
+function getServiceSecurityContext(service, warnings = [], serviceName = '') {
+  const securityContext = { securityContextType: 'LINUX' };
+
+  if (service.user !== undefined && service.user !== null && service.user !== '') {
+    const [user, group] = String(service.user).split(':');
+    if (/^\d+$/.test(user)) {
+      securityContext.runAsUser = parseInt(user, 10);
+    } else {
+      warnings.push(`Service "${serviceName}": user "${user}" is not a numeric UID, the image's default user is used`);
+    }
+    if (group !== undefined && group !== '') {
+      if (/^\d+$/.test(group)) {
+        securityContext.runAsGroup = parseInt(group, 10);
+      } else {
+        warnings.push(`Service "${serviceName}": group "${group}" is not a numeric GID, the image's default group is used`);
+      }
+    }
+  }
+
+  if (service.read_only === true || service.read_only === 'true') {
+    securityContext.isRootFileSystemReadonly = true;
+  }
+
+  const serviceOciExtension = getOciExtension(service);
+  if (serviceOciExtension.isNonRootUserCheckEnabled === true) {
+    securityContext.isNonRootUserCheckEnabled = true;
+  }
+
+  const toCapabilities = value => [...new Set((Array.isArray(value) ? value : [])
+    .map(capability => String(capability).trim().toUpperCase())
+    .filter(Boolean)
+    .map(capability => (capability === 'ALL' || capability.startsWith('CAP_') ? capability : `CAP_${capability}`)))];
+  const addCapabilities = toCapabilities(service.cap_add);
+  const dropCapabilities = toCapabilities(service.cap_drop);
+  if (addCapabilities.length > 0 || dropCapabilities.length > 0) {
+    securityContext.capabilities = {};
+    if (addCapabilities.length > 0) securityContext.capabilities.addCapabilities = addCapabilities;
+    if (dropCapabilities.length > 0) securityContext.capabilities.dropCapabilities = dropCapabilities;
+  }
+
+  if (service.privileged === true || service.privileged === 'true') {
+    warnings.push(`Service "${serviceName}": privileged mode is not supported in OCI and is ignored; add the capabilities it needs with cap_add instead`);
+  }
+  if (Array.isArray(service.security_opt) && service.security_opt.length > 0) {
+    warnings.push(`Service "${serviceName}": security_opt is not supported in OCI and is ignored`);
+  }
+
+  return Object.keys(securityContext).length > 1 ? securityContext : null;
+}
+
+/**
+ * Parse a Compose duration (e.g. "1m30s", "500ms", "10s" or a number of seconds)
+ * @param {string|number} duration - Compose duration
+ * @returns {number|null} Duration in whole seconds (rounded up) or null if invalid
+ */
+function parseDuration(duration) {
+  if (duration === undefined || duration === null || duration === '') {
+    return null;
+  }
+  if (typeof duration === 'number') {
+    return Math.ceil(duration);
+  }
+  const units = { h: 3600, m: 60, s: 1, ms: 0.001, us: 0.000001, µs: 0.000001, ns: 0.000000001 };
+  const durationPattern = /(\d+(?:\.\d+)?)(h|ms|m|s|us|µs|ns)/g;
+  const value = String(duration).trim();
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return Math.ceil(parseFloat(value));
+  }
+  if (!/^((\d+(?:\.\d+)?)(h|ms|m|s|us|µs|ns))+$/.test(value)) {
+    return null;
+  }
+  let seconds = 0;
+  let match;
+  while ((match = durationPattern.exec(value)) !== null) {
+    seconds += parseFloat(match[1]) * units[match[2]];
+  }
+  return Math.ceil(seconds);
+}
+
+/**
+ * Detect an HTTP or TCP probe in a health check command
+ * Recognizes curl/wget against localhost and "nc -z host port"
+ * @param {string} commandLine - Health check command as a single string
+ * @returns {object|null} { healthCheckType: 'HTTP', port, path } or { healthCheckType: 'TCP', port }
+ */
+function detectHealthCheckProbe(commandLine) {
+  const httpMatch = commandLine.match(/^\s*(?:curl|wget)\b[^|;&]*?\bhttps?:\/\/(?:localhost|127\.0\.0\.1|0\.0\.0\.0)(?::(\d+))?(\/[^\s'"|;&]*)?/);
+  // Only plain probes (optionally followed by "|| exit 1") can be replaced by an HTTP check
+  if (httpMatch && /^\s*(?:curl|wget)\b[^|;&]*(?:\|\|\s*exit\s+1\s*)?$/.test(commandLine)) {
+    return {
+      healthCheckType: 'HTTP',
+      port: httpMatch[1] ? parseInt(httpMatch[1], 10) : 80,
+      path: httpMatch[2] || '/'
+    };
+  }
+  const tcpMatch = commandLine.match(/^\s*nc\s+(?:-\w+\s+)*-z(?:\w*)\s+(?:localhost|127\.0\.0\.1|0\.0\.0\.0)\s+(\d+)\s*(?:\|\|\s*exit\s+1\s*)?$/);
+  if (tcpMatch) {
+    return { healthCheckType: 'TCP', port: parseInt(tcpMatch[1], 10) };
+  }
+  return null;
+}
+
+/**
+ * Read private registry credentials from the top-level x-oci imagePullSecrets list
+ * Each entry is { registryEndpoint, username, password } (BASIC) or { registryEndpoint, secretId } (VAULT);
+ * credentials can come from the .env file through variable interpolation.
+ * @param {object} ociExtension - Top-level x-oci block
+ * @param {array} warnings - Array to collect warnings
+ * @returns {array} Image pull secrets [{ registryEndpoint, secretType, username, password } | { registryEndpoint, secretType, secretId }]
+ */
+function getImagePullSecrets(ociExtension = {}, warnings = []) {
+  const definitions = ociExtension.imagePullSecrets;
+  if (definitions === undefined || definitions === null) {
+    return [];
+  }
+  if (!Array.isArray(definitions)) {
+    warnings.push('x-oci: imagePullSecrets must be a list, ignoring');
+    return [];
+  }
 
-  // Dependencies without port (use delay)
-  const delayDeps = dependencyInfo
-    .filter(dep => dep.port === null)
-    .map(dep => dep.name);
+  const imagePullSecrets = [];
+  definitions.forEach((definition, idx) => {
+    const registryEndpoint = definition && definition.registryEndpoint
+      ? String(definition.registryEndpoint).trim().replace(/^https?:\/\//i, '').replace(/\/+$/, '')
+      : '';
+    if (!registryEndpoint) {
+      warnings.push(`x-oci: image pull secret ${idx + 1} has no registryEndpoint, skipping`);
+      return;
+    }
+    if (imagePullSecrets.some(secret => secret.registryEndpoint === registryEndpoint)) {
+      warnings.push(`x-oci: registry "${registryEndpoint}" has more than one image pull secret, using the first`);
+      return;
+    }
+
+    const secretType = String(definition.secretType || (definition.secretId ? 'VAULT' : 'BASIC')).toUpperCase();
+    if (secretType === 'VAULT') {
+      if (!definition.secretId || !String(definition.secretId).startsWith('ocid1.vaultsecret.')) {
+        warnings.push(`x-oci: registry "${registryEndpoint}": secretId must be a Vault secret OCID, skipping`);
+        return;
+      }
+      imagePullSecrets.push({ registryEndpoint, secretType, secretId: String(definition.secretId) });
+    } else if (secretType === 'BASIC') {
+      const username = definition.username ? String(definition.username) : '';
+      const password = definition.password ? String(definition.password) : '';
+      if (!username || !password) {
+        warnings.push(`x-oci: registry "${registryEndpoint}": username and password are required, enter them before creating the container instance`);
+      }
+      imagePullSecrets.push({ registryEndpoint, secretType, username, password });
+    } else {
+      warnings.push(`x-oci: registry "${registryEndpoint}": unknown secretType "${definition.secretType}" (use BASIC or VAULT), skipping`);
+    }
+  });
+
+  return imagePullSecrets;
+}
+
+/**
+ * Get the container instance graceful shutdown timeout from the services' stop_grace_period
+ * OCI applies one timeout to the whole instance, so the longest one is used (x-oci gracefulShutdownTimeoutInSeconds wins).
+ * @param {object} services - Services object
+ * @param {object} ociExtension - Top-level x-oci block
+ * @param {array} warnings - Array to collect warnings
+ * @returns {number|null} Timeout in seconds, or null to use the OCI default
+ */
+function getGracefulShutdownTimeout(services, ociExtension = {}, warnings = []) {
+  if (ociExtension.gracefulShutdownTimeoutInSeconds !== undefined) {
+    const timeout = parseDuration(ociExtension.gracefulShutdownTimeoutInSeconds);
+    if (timeout === null) {
+      warnings.push(`x-oci: invalid gracefulShutdownTimeoutInSeconds "${ociExtension.gracefulShutdownTimeoutInSeconds}", using the OCI default`);
+    }
+    return timeout;
+  }
+
+  const timeouts = [];
+  Object.entries(services).forEach(([serviceName, service]) => {
+    if (service.stop_grace_period === undefined) {
+      return;
+    }
+    const timeout = parseDuration(service.stop_grace_period);
+    if (timeout === null) {
+      warnings.push(`Service "${serviceName}": invalid stop_grace_period "${service.stop_grace_period}", ignoring`);
+    } else {
+      timeouts.push(timeout);
+    }
+  });
+
+  if (timeouts.length === 0) {
+    return null;
+  }
+  const timeout = Math.max(...timeouts);
+  if (new Set(timeouts).size > 1) {
+    warnings.push(`stop_grace_period differs between services; the container instance uses the longest one (${timeout}s)`);
+  }
+  return timeout;
+}
+
+/**
+ * Combine the services' dns, dns_search and dns_opt into the container instance DNS config
+ * OCI applies DNS settings to all containers of the instance, so differing service values are merged and reported.
+ * @param {object} services - Services object
+ * @param {array} warnings - Array to collect warnings
+ * @returns {object|null} { nameservers, searches, options }, or null when no service sets DNS
+ */
+function getInstanceDnsConfig(services, warnings = []) {
+  const toList = value => (Array.isArray(value) ? value : (value === undefined || value === null ? [] : [value]))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+  const serviceCount = Object.keys(services).length;
+  const dnsConfig = {};
+
+  [['nameservers', 'dns'], ['searches', 'dns_search'], ['options', 'dns_opt']].forEach(([field, key]) => {
+    const lists = Object.values(services).map(service => toList(service[key])).filter(list => list.length > 0);
+    if (lists.length === 0) {
+      return;
+    }
+    if (lists.length < serviceCount || new Set(lists.map(list => list.join(','))).size > 1) {
+      warnings.push(`${key} differs between services; DNS settings apply to the whole container instance, so all services use the combined values`);
+    }
+    dnsConfig[field] = [...new Set(lists.flat())];
+  });
+
+  return Object.keys(dnsConfig).length > 0 ? dnsConfig : null;
+}
 
-  let waitScript = '';
+/**
+ * Convert a Compose healthcheck to OCI container health checks
+ * HTTP and TCP probes are detected from curl/wget/nc commands, anything else becomes a COMMAND check.
+ * interval, timeout, retries and start_period map to intervalInSeconds, timeoutInSeconds,
+ * failureThreshold and initialDelayInSeconds.
+ * @param {object} healthcheck - Compose healthcheck
+ * @param {string} serviceName - Service name (used in warnings and the check name)
+ * @param {array} warnings - Warnings array to append to
+ * @returns {array} OCI healthChecks (empty if disabled or missing)
+ */
+function convertHealthcheck(healthcheck, serviceName, warnings = []) {
+  if (!healthcheck || healthcheck.disable === true) {
+    return [];
+  }
 
-  // Add port checks
-  if (portChecks.length > 0) {
-    waitScript += portChecks.join('\n');
+  const test = healthcheck.test;
+  let commandArgs = null;
+  let commandLine = null;
+  if (Array.isArray(test)) {
+    const [kind, ...rest] = test.map(String);
+    if (kind === 'NONE') {
+      return [];
+    } else if (kind === 'CMD') {
+      commandArgs = rest;
+      commandLine = rest.join(' ');
+    } else if (kind === 'CMD-SHELL') {
+      commandLine = rest.join(' ');
+      commandArgs = ['/bin/sh', '-c', commandLine];
+    } else {
+      // No CMD/CMD-SHELL prefix: treat as exec form
+      commandArgs = [kind, ...rest];
+      commandLine = commandArgs.join(' ');
+    }
+  } else if (typeof test === 'string' && test.trim()) {
+    commandLine = test;
+    commandArgs = ['/bin/sh', '-c', test];
   }
 
-  // Add delay for dependencies without ports
-  if (delayDeps.length > 0) {
-    const delaySeconds = dependencyDelaySeconds
-      ? Math.max(dependencyDelaySeconds, delayDeps.length * 5)
-      : Math.max(10, delayDeps.length * 5);
-    waitScript += `\necho "Waiting for dependencies without ports: ${delayDeps.join(', ')}..."
-sleep ${delaySeconds}
-echo "Dependencies should be ready"`;
+  if (!commandArgs || commandArgs.length === 0) {
+    warnings.push(`Service "${serviceName}": healthcheck has no test, skipping`);
+    return [];
   }
 
-  // Fallback if no dependencies
-  if (waitScript.trim() === '') {
-    return 'echo "No dependencies to wait for"';
+  const healthCheck = detectHealthCheckProbe(commandLine) || {
+    healthCheckType: 'COMMAND',
+    command: commandArgs
+  };
+  healthCheck.name = `${serviceName}-health`;
+
+  const timing = {
+    intervalInSeconds: ['interval', 30],
+    timeoutInSeconds: ['timeout', 30],
+    initialDelayInSeconds: ['start_period', null]
+  };
+  Object.entries(timing).forEach(([field, [key, defaultValue]]) => {
+    const seconds = parseDuration(healthcheck[key]);
+    if (healthcheck[key] !== undefined && seconds === null) {
+      warnings.push(`Service "${serviceName}": invalid healthcheck ${key} "${healthcheck[key]}", using default`);
+    }
+    const value = seconds !== null ? seconds : defaultValue;
+    if (value !== null) {
+      healthCheck[field] = value;
+    }
+  });
+  const retries = parseInt(healthcheck.retries, 10);
+  healthCheck.failureThreshold = Number.isNaN(retries) ? 3 : retries;
+  if (healthcheck.start_interval !== undefined) {
+    warnings.push(`Service "${serviceName}": healthcheck start_interval is not supported in OCI and is ignored`);
   }
 
-  return waitScript;
+  return [healthCheck];
 }
 
+// Address containers in one container instance use to reach each other (they share one network namespace)
+const LOCALHOST_ADDRESS = '127.0.0.1';
+
 /**
- * Add wait script to command for dependencies
- * @param {object} service - Service configuration
- * @param {array} dependencies - Array of dependency service names
- * @param {object} allServices - All services object
- * @param {number} dependencyDelaySeconds - Delay in seconds for deps without ports
- * @returns {array} Modified command array with wait script
+ * Collect the hostnames containers use to reach other services over the Compose network
+ * Service names, container_name, hostname and network aliases all resolve to a service; extra_hosts
+ * aliases pointing at a service, the host gateway or loopback resolve to the same instance.
+ * @param {object} services - Services object
+ * @returns {Map} Hostname -> service name it refers to
  */
-function addWaitScriptToCommand(service, dependencies, allServices, dependencyDelaySeconds = 10) {
-  // Get dependency ports - use first port if available (prefer port check over delay)
-  const dependencyInfo = dependencies.map(depName => {
-    const depService = allServices[depName];
-    const ports = depService?.ports || [];
-    // Use first port if available (better than delay, even if multiple ports exist)
-    const port = (ports.length > 0) ? extractContainerPort(ports[0]) : null;
-    return { name: depName, port: port };
+function collectServiceHostnames(services) {
+  const hostnames = new Map();
+  const add = (hostname, serviceName) => {
+    if (typeof hostname === 'string' && hostname.trim() && !hostnames.has(hostname.trim())) {
+      hostnames.set(hostname.trim(), serviceName);
+    }
+  };
+
+  Object.entries(services).forEach(([serviceName, service]) => {
+    add(serviceName, serviceName);
+    if (!service || typeof service !== 'object') {
+      return;
+    }
+    add(service.container_name, serviceName);
+    add(service.hostname, serviceName);
+    if (service.networks && typeof service.networks === 'object' && !Array.isArray(service.networks)) {
+      Object.values(service.networks).forEach(network => {
+        ((network && network.aliases) || []).forEach(alias => add(alias, serviceName));
+      });
+    }
   });
 
-  // Generate wait script
-  const waitScript = generateWaitScript(dependencyInfo, dependencyDelaySeconds);
+  Object.entries(services).forEach(([serviceName, service]) => {
+    Object.entries(toComposeMapping(service && service.extra_hosts, 'extra_hosts')).forEach(([alias, target]) => {
+      const address = String(target).trim();
+      if (hostnames.has(address)) {
+        add(alias, hostnames.get(address));
+      } else if (address === 'host-gateway' || address.startsWith('127.') || address === '::1') {
+        add(alias, serviceName);
+      }
+    });
+  });
 
-  // Get original command/entrypoint
-  const originalEntrypoint = service.entrypoint || [];
-  const originalCommand = service.command || [];
-  const combinedCommand = combineEntrypointAndCommand(originalEntrypoint, originalCommand);
+  return hostnames;
+}
 
-  // Combine: wait script + original command
-  if (combinedCommand.length > 0) {
-    // Escape command for shell
-    const cmdStr = combinedCommand.map(cmd => {
-      const cmdStr = String(cmd);
-      if (cmdStr.includes(' ') || cmdStr.includes('$') || cmdStr.includes('"')) {
-        return `"${cmdStr.replace(/"/g, '\\"')}"`;
-      }
-      return cmdStr;
-    }).join(' ');
+// Environment variable names whose whole value is a host (DB_HOST, REDIS_ADDR, API_URL, SMTP_SERVER, ...)
+const HOST_VARIABLE_PATTERN = /HOST|ADDR|URL|URI|SERVER|ENDPOINT/i;
 
-    return ['sh', '-c', `${waitScript} && exec ${cmdStr}`];
-  } else {
-    // No command/entrypoint specified in compose - preserve image's default entrypoint
-    // We can't add the wait script without knowing what the default entrypoint is
-    // Return null to signal "don't set command" - this preserves the image's default
-    // The calling code will handle this and add a warning that depends_on won't work
-    return null;
-  }
+/**
+ * Whether a hostname found in a string is used as a host there
+ * True for a URI or user@host ("http://db", "@db"), a host:port ("db:5432") and an option or setting
+ * named like a host ("--host db", "-h db", "--db-host=db", "host: db"); a bare word such as a user name is not.
+ * @param {string} text - Whole string
+ * @param {number} start - Index where the hostname starts
+ * @param {number} end - Index after the hostname
+ * @returns {boolean} True if the occurrence is in a host position
+ */
+function isHostPosition(text, start, end) {
+  const before = text.slice(0, start);
+  const after = text.slice(end);
+  return /(\/\/|@)$/.test(before) ||
+    /^:\d/.test(after) ||
+    /(host|addr|url|uri|server|endpoint)[\w.-]*\s*[=:]?\s*$/i.test(before) ||
+    /(^|\s)-h\s+$/.test(before);
 }
 
+// Command option naming a host as its next argument, e.g. ["--host", "db"] or ["-h", "db"]
+const HOST_OPTION_PATTERN = /^(-h|--?[\w-]*(host|addr|url|uri|server|endpoint)[\w-]*)$/i;
+
 /**
- * Process depends_on and add wait scripts
- * @param {object} services - Services object
- * @param {array} orderedServices - Topologically sorted service names
- * @param {number} dependencyDelaySeconds - Delay in seconds for deps without ports
- * @returns {array} Array of { name: string, config: object }
+ * Replace hostname references in a string with the localhost address
+ * A hostname only matches as a whole host (not as part of a longer name, domain or variable),
+ * e.g. "jdbc:oracle:thin:@ordsdb:1521/freepdb1" or "http://api:8080" but not "ordsdb-data" or "api.example.com",
+ * and only in a host position (see isHostPosition) unless the whole value is known to be a host.
+ * @param {string} value - String to rewrite
+ * @param {array} hostnames - Hostnames to replace
+ * @param {object} options - { hostValue: boolean } the value is a host (e.g. a DB_HOST variable)
+ * @returns {object} { value: string, hostnames: string[] } rewritten string and the hostnames found
  */
-function processDependsOn(services, orderedServices, dependencyDelaySeconds = 10) {
-  const dependencyMap = {};
-  
-  // Build dependency map
-  Object.entries(services).forEach(([serviceName, config]) => {
-    if (config.depends_on) {
-      const deps = Array.isArray(config.depends_on)
-        ? config.depends_on
-        : Object.keys(config.depends_on);
-      dependencyMap[serviceName] = deps;
+function replaceHostnameReferences(value, hostnames, { hostValue = false } = {}) {
+  const found = [];
+  let rewritten = value;
+  // Longest first, so "db-replica" is not partially matched as "db"
+  [...hostnames].sort((a, b) => b.length - a.length).forEach(hostname => {
+    const escaped = hostname.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`(^|[^A-Za-z0-9_.$-])${escaped}(?![A-Za-z0-9_-]|\\.[A-Za-z0-9])`, 'g');
+    let matched = false;
+    rewritten = rewritten.replace(pattern, (match, prefix, offset, text) => {
+      const start = offset + prefix.length;
+      if (!hostValue && !isHostPosition(text, start, start + hostname.length)) {
+        return match;
+      }
+      matched = true;
+      return `${prefix}${LOCALHOST_ADDRESS}`;
+    });
+    if (matched) {
+      found.push(hostname);
     }
   });
+  return { value: rewritten, hostnames: found };
+}
 
-  // Process each service
-  return orderedServices.map(serviceName => {
-    const service = services[serviceName];
-    const dependencies = dependencyMap[serviceName];
+/**
+ * Find (and optionally rewrite) references to Compose service hostnames
+ * Containers in a container instance share one network namespace, so service names don't resolve and
+ * other services are reached on 127.0.0.1. Environment values, command, entrypoint and extra_hosts are scanned.
+ * Each substitution has a key ("<service>/<field>") so that single rewrites can be selected.
+ * @param {object} services - Services object
+ * @param {object} options - { apply: boolean, selected: string[] } replace the references in the returned
+ *   services; with selected, only the substitutions with those keys
+ * @returns {object} { services: object, substitutions: array } services (rewritten copies when applied) and
+ *   the substitutions as [{ key, service, field, hostnames, from, to, applied }]
+ */
+function rewriteServiceHostnames(services, options = {}) {
+  const selected = Array.isArray(options.selected) ? options.selected : null;
+  const isApplied = (key) => Boolean(options.apply) && (!selected || selected.includes(key));
+  const hostnames = Array.from(collectServiceHostnames(services).keys());
+  const substitutions = [];
+  const rewrittenServices = {};
 
-    if (dependencies && dependencies.length > 0) {
-      // Add wait script to command
-      const modifiedService = {
-        ...service,
-        command: addWaitScriptToCommand(service, dependencies, services, dependencyDelaySeconds)
-      };
-      return { name: serviceName, config: modifiedService };
+  Object.entries(services).forEach(([serviceName, service]) => {
+    if (!service || typeof service !== 'object') {
+      rewrittenServices[serviceName] = service;
+      return;
     }
+    const rewritten = { ...service };
+    const rewrite = (field, value, hostValue = false) => {
+      if (typeof value !== 'string') {
+        return value;
+      }
+      const result = replaceHostnameReferences(value, hostnames, { hostValue });
+      if (result.hostnames.length === 0) {
+        return value;
+      }
+      const key = `${serviceName}/${field}`;
+      const applied = isApplied(key);
+      substitutions.push({ key, service: serviceName, field, hostnames: result.hostnames, from: value, to: result.value, applied });
+      return applied ? result.value : value;
+    };
 
-    return { name: serviceName, config: service };
+    if (service.environment) {
+      const environment = parseEnvironment(service.environment);
+      rewritten.environment = Object.fromEntries(Object.entries(environment)
+        .map(([key, value]) => [key, rewrite(`environment.${key}`, value, HOST_VARIABLE_PATTERN.test(key))]));
+    }
+    ['command', 'entrypoint'].forEach(key => {
+      if (Array.isArray(service[key])) {
+        rewritten[key] = service[key].map((arg, idx) => rewrite(`${key}[${idx}]`, arg,
+          idx > 0 && HOST_OPTION_PATTERN.test(String(service[key][idx - 1]))));
+      } else if (typeof service[key] === 'string') {
+        rewritten[key] = rewrite(key, service[key]);
+      }
+    });
+    if (service.extra_hosts) {
+      const extraHosts = toComposeMapping(service.extra_hosts, 'extra_hosts');
+      rewritten.extra_hosts = Object.fromEntries(Object.entries(extraHosts).map(([alias, target]) => {
+        const address = String(target).trim();
+        if (hostnames.includes(address) || address === 'host-gateway') {
+          const field = `extra_hosts.${alias}`;
+          const applied = isApplied(`${serviceName}/${field}`);
+          substitutions.push({ key: `${serviceName}/${field}`, service: serviceName, field, hostnames: [address], from: address, to: LOCALHOST_ADDRESS, applied });
+          return [alias, applied ? LOCALHOST_ADDRESS : target];
+        }
+        return [alias, target];
+      }));
+    }
+
+    rewrittenServices[serviceName] = rewritten;
   });
+
+  return { services: rewrittenServices, substitutions };
 }
 
 /**
@@ -433,25 +2401,58 @@ function processDependsOn(services, orderedServices, dependencyDelaySeconds = 10
  * @param {string} ociConfig.architecture - Architecture (x86 or ARM64)
  * @param {object} ociConfig.shapeConfig - Optional shape config { memoryInGBs, ocpus }
  * @param {number} ociConfig.dependencyDelaySeconds - Optional delay for deps without ports (default: 10)
- * @returns {object} { payload: object, warnings: string[] }
+ * @param {boolean} ociConfig.rewriteServiceHostnames - Optional, rewrite service hostname references to 127.0.0.1
+ * @param {array} ociConfig.hostnameSubstitutions - Optional keys of the substitutions to apply (default: all)
+ * @param {object} ociConfig.imageEntrypoints - Optional image ENTRYPOINT arrays (or { error }) by service name (see getImageEntrypointRequests)
+ * @param {array} ociConfig.sidecars - Optional sidecar definitions (defaults to public/sidecars.json)
+ *
+ * OCI-specific settings can also be given in the Compose file with "x-oci" extension blocks:
+ * top-level { displayName, shape, ocpus, memoryInGBs, subnetId, containerRestartPolicy, gracefulShutdownTimeoutInSeconds,
+ * fileSystems, vaultId, keyId, imagePullSecrets }
+ * (a file system with a "services" list is only mounted into those services),
+ * per-service { memoryInGBs, vcpus, isNonRootUserCheckEnabled, imageEntrypoint } and per-secret { secretId } or { vaultId, keyId, secretName }. The top-level Compose "name" is used as the CI display name.
+ * Service healthchecks are converted to OCI container health checks (HTTP, TCP or COMMAND).
+ * working_dir maps to the container working directory; stop_grace_period (longest) and dns, dns_search
+ * and dns_opt (combined) map to the instance graceful shutdown timeout and DNS config.
+ * References to other services by hostname are always reported, and rewritten when requested.
+ * Secrets are written to /run/secrets by VaultReader sidecars; secrets without an x-oci secretId are
+ * returned as requests to create them in OCI Vault (their sidecar keeps the secret_ocid placeholder).
+ * @returns {object} { payload: object, warnings: string[], hostnameSubstitutions: array,
+ *   secretRequests: [{ name, containerName, secretName, vaultId, keyId, content }] }
  */
 function convertToOCIPayload(composeObject, ociConfig) {
   const warnings = [];
-  const { compartmentId, subnetId, architecture = 'x86', shapeConfig, dependencyDelaySeconds = 10 } = ociConfig;
+  const ociExtension = getOciExtension(composeObject);
+  const { compartmentId, shapeConfig, dependencyDelaySeconds = 10 } = ociConfig;
+  const subnetId = ociExtension.subnetId || ociConfig.subnetId;
 
   if (!compartmentId || !subnetId) {
     throw new Error('compartmentId and subnetId are required in ociConfig');
   }
 
-  const services = composeObject.services || {};
-  const serviceNames = Object.keys(services);
+  const composeServices = composeObject.services || {};
+  const serviceNames = Object.keys(composeServices);
 
   if (serviceNames.length === 0) {
     throw new Error('No services found in Docker Compose file');
   }
 
-  // Determine shape
-  const shape = architecture === 'ARM64' ? 'CI.Standard.A1.Flex' : 'CI.Standard.E4.Flex';
+  // Service hostnames don't resolve inside a container instance, other services are on 127.0.0.1
+  const hostnameRewrite = rewriteServiceHostnames(composeServices, {
+    apply: Boolean(ociConfig.rewriteServiceHostnames),
+    selected: ociConfig.hostnameSubstitutions
+  });
+  const services = hostnameRewrite.services;
+  if (hostnameRewrite.substitutions.length > 0 && !ociConfig.rewriteServiceHostnames) {
+    warnings.push(`${hostnameRewrite.substitutions.length} reference(s) to service hostnames found; they won't resolve in a container instance (enable hostname rewriting to replace them with ${LOCALHOST_ADDRESS})`);
+  }
+
+  // Determine shape (x-oci shape wins and implies the architecture)
+  let architecture = ociConfig.architecture || 'x86';
+  if (ociExtension.shape) {
+    architecture = String(ociExtension.shape).includes('.A1.') ? 'ARM64' : 'x86';
+  }
+  const shape = ociExtension.shape || (architecture === 'ARM64' ? 'CI.Standard.A1.Flex' : 'CI.Standard.E4.Flex');
 
   // Order services by dependencies
   const { ordered: orderedServiceNames, hasCycle } = orderContainersByDependencies(services);
@@ -459,40 +2460,78 @@ function convertToOCIPayload(composeObject, ociConfig) {
     warnings.push('Circular dependencies detected in depends_on. Using best-effort ordering.');
   }
 
-  // Extract restart policy from services (before processing depends_on)
-  // Docker Compose restart values: always, no, on-failure, unless-stopped
-  // OCI containerRestartPolicy values: NEVER, ALWAYS, ON_FAILURE
-  // Use the first service's restart policy, or default to NEVER
+  // Extract restart policy (before processing depends_on)
+  // Use x-oci containerRestartPolicy, else the first service's restart policy, or default to NEVER
   let containerRestartPolicy = 'NEVER'; // Default
-  const restartPolicyMap = {
-    'always': 'ALWAYS',
-    'no': 'NEVER',
-    'never': 'NEVER',
-    'on-failure': 'ON_FAILURE',
-    'unless-stopped': 'ALWAYS' // Map to ALWAYS as closest match
-  };
-  
-  // Check first service (in original order) for restart policy
-  if (serviceNames.length > 0) {
-    const firstServiceName = serviceNames[0];
-    const firstService = services[firstServiceName];
+  if (ociExtension.containerRestartPolicy) {
+    containerRestartPolicy = normalizeRestartPolicy(ociExtension.containerRestartPolicy) || 'NEVER';
+    if (!normalizeRestartPolicy(ociExtension.containerRestartPolicy)) {
+      warnings.push(`x-oci: unknown containerRestartPolicy "${ociExtension.containerRestartPolicy}", using NEVER`);
+    }
+  } else if (serviceNames.length > 0) {
+    // Check first service (in original order) for restart policy
+    const firstService = services[serviceNames[0]];
     if (firstService && firstService.restart) {
-      const restartValue = String(firstService.restart).toLowerCase();
-      containerRestartPolicy = restartPolicyMap[restartValue] || 'NEVER';
+      containerRestartPolicy = normalizeRestartPolicy(firstService.restart) || 'NEVER';
     }
   }
 
+  // Top-level named volumes are EMPTYDIR volumes; driver_opts type tmpfs maps to MEMORY backing store
+  const namedVolumes = composeObject.volumes && typeof composeObject.volumes === 'object' ? composeObject.volumes : {};
+  Object.entries(namedVolumes).forEach(([volumeName, definition]) => {
+    if (!definition || typeof definition !== 'object') {
+      return;
+    }
+    if (definition.external) {
+      warnings.push(`Volume "${volumeName}": external volumes are not available in OCI, an empty volume is created instead`);
+    } else if ((definition.driver && definition.driver !== 'local') ||
+      (definition.driver_opts && definition.driver_opts.type && definition.driver_opts.type !== 'tmpfs')) {
+      warnings.push(`Volume "${volumeName}": driver settings are ignored, an empty volume is created instead`);
+    }
+  });
+  const getNamedVolumeBackingStore = volumeName => {
+    const definition = namedVolumes[volumeName];
+    return definition && definition.driver_opts && definition.driver_opts.type === 'tmpfs' ? 'MEMORY' : 'EPHEMERAL_STORAGE';
+  };
+
   // Process depends_on and add wait scripts
-  const processedServices = processDependsOn(services, orderedServiceNames, dependencyDelaySeconds);
+  const processedServices = processDependsOn(services, orderedServiceNames, dependencyDelaySeconds, warnings, ociConfig.imageEntrypoints);
 
   // Convert services to containers
   const containers = [];
+  const containerServiceNames = new Map(); // Container -> Compose service name
   const allVolumes = new Map(); // Track all volumes by name
+  const servicePorts = new Map(); // Compose service name -> port mappings
+  const requestedResources = { vcpus: 0, memoryInGBs: 0 }; // Sum of explicit container sizes
+  const composeConfigs = composeObject.configs && typeof composeObject.configs === 'object' ? composeObject.configs : {};
+  const configVolumes = new Map(); // Compose config name -> CONFIGFILE volume (null when unusable)
+  const composeSecrets = composeObject.secrets && typeof composeObject.secrets === 'object' ? composeObject.secrets : {};
+  const vaultSecrets = new Map(); // Compose secret name -> { secret, fileName } (null when undefined)
   const freeformTags = {
     architecture: architecture
   };
 
-  processedServices.forEach(({ name: serviceName, config: service }) => {
+  // One-shot services signal completion through a marker file on a shared volume,
+  // mounted only into the one-shot services and the services waiting for them
+  const markerServices = new Set();
+  Object.entries(services).forEach(([serviceName, service]) => {
+    normalizeDependsOn(service.depends_on)
+      .filter(dep => dep.condition === 'service_completed_successfully' && services[dep.name])
+      .forEach(dep => {
+        markerServices.add(serviceName);
+        markerServices.add(dep.name);
+      });
+  });
+  if (markerServices.size > 0) {
+    allVolumes.set(DEPENDENCY_MARKER_VOLUME.name, { ...DEPENDENCY_MARKER_VOLUME });
+    if (containerRestartPolicy === 'ALWAYS') {
+      warnings.push('containerRestartPolicy ALWAYS restarts one-shot services used with service_completed_successfully. Consider ON_FAILURE or NEVER.');
+    }
+  }
+
+  processedServices.forEach(({ name: serviceName, config: processedService }) => {
+    let service = processedService;
+
     // Container display name
     const displayName = service.container_name || serviceName;
 
@@ -504,8 +2543,9 @@ function convertToOCIPayload(composeObject, ociConfig) {
     const imageUrl = service.image;
 
     // Ports
-    const ports = service.ports || [];
-    const containerPorts = parsePorts(ports);
+    const portMappings = parseServicePorts(service.ports || [], warnings, serviceName);
+    servicePorts.set(serviceName, portMappings);
+    const containerPorts = [...new Set(portMappings.map(mapping => mapping.target))];
     if (containerPorts.length > 0) {
       // Use first port for freeformTags (single port only for depends_on)
       freeformTags[displayName] = containerPorts[0].toString();
@@ -514,25 +2554,108 @@ function convertToOCIPayload(composeObject, ociConfig) {
     // Environment variables
     const environmentVariables = parseEnvironment(service.environment);
 
-    // Command (entrypoint + command combined)
-    const command = combineEntrypointAndCommand(service.entrypoint, service.command);
+    // Secrets come from OCI Vault, the service waits until the VaultReader sidecars have written them
+    const secretReferences = parseServiceSecrets(service.secrets, warnings, serviceName).filter(reference => {
+      if (!vaultSecrets.has(reference.source)) {
+        const secret = resolveVaultSecret(reference.source, composeSecrets[reference.source], ociExtension, warnings);
+        vaultSecrets.set(reference.source, secret ? { secret, fileName: reference.fileName } : null);
+      }
+      const vaultSecret = vaultSecrets.get(reference.source);
+      if (vaultSecret && vaultSecret.fileName !== reference.fileName) {
+        warnings.push(`Service "${serviceName}": secret "${reference.source}" is written to ${SECRETS_VOLUME.path}/${vaultSecret.fileName} for all services, target "${reference.fileName}" is ignored`);
+      }
+      return Boolean(vaultSecret);
+    });
+    if (secretReferences.length > 0) {
+      const waitScript = secretReferences.map(reference => {
+        const secretFile = `${SECRETS_VOLUME.path}/${vaultSecrets.get(reference.source).fileName}`;
+        return generateWaitLoop({ name: `secret ${reference.source}`, required: true }, `[ -s ${shellQuote(secretFile)} ]`, secretFile, 120);
+      }).join('\n');
+      if (toCommandArray(service.entrypoint).length > 0) {
+        service = wrapServiceEntrypoint(service, `${waitScript} && exec "$@"`);
+      } else if (toCommandArray(service.command).length > 0) {
+        service = wrapServiceEntrypoint(applyImageEntrypoint(service, serviceName, ociConfig.imageEntrypoints, warnings), `${waitScript} && exec "$@"`);
+      } else {
+        warnings.push(`Service "${serviceName}": No command/entrypoint specified, so it can start before its secrets are written to ${SECRETS_VOLUME.path}`);
+      }
+    }
+
+    // Compose entrypoint replaces the image ENTRYPOINT (OCI command), Compose command its CMD (OCI arguments)
+    const command = toCommandArray(service.entrypoint);
+    const args = toCommandArray(service.command);
 
-    // Volumes
-    const serviceVolumes = parseVolumes(service.volumes || []);
+    // Volumes (each container only mounts the volumes its service declares)
+    const serviceVolumes = [
+      ...parseVolumes(service.volumes || [], warnings, serviceName),
+      ...parseTmpfs(service.tmpfs, warnings, serviceName)
+    ];
     serviceVolumes.forEach(vol => {
       if (!allVolumes.has(vol.name)) {
-        allVolumes.set(vol.name, vol);
+        allVolumes.set(vol.name, { ...vol, backingStore: vol.backingStore || getNamedVolumeBackingStore(vol.name) });
+      }
+    });
+    const volumeMounts = serviceVolumes.map(vol => {
+      const mount = {
+        mountPath: vol.path,
+        volumeName: vol.name
+      };
+      if (vol.subPath) {
+        mount.subPath = vol.subPath;
+      }
+      if (vol.isReadOnly) {
+        mount.isReadOnly = true;
       }
+      return mount;
     });
+    if (markerServices.has(serviceName)) {
+      volumeMounts.push({
+        mountPath: DEPENDENCY_MARKER_VOLUME.path,
+        volumeName: DEPENDENCY_MARKER_VOLUME.name
+      });
+    }
+
+    // Configs are CONFIGFILE volumes, the file is mounted at the target path
+    parseServiceConfigs(service.configs, warnings, serviceName).forEach(reference => {
+      if (!configVolumes.has(reference.source)) {
+        const configVolume = buildConfigFileVolume(reference.source, composeConfigs[reference.source], warnings);
+        configVolumes.set(reference.source, configVolume ? { ...configVolume, path: reference.target } : null);
+      }
+      const configVolume = configVolumes.get(reference.source);
+      if (configVolume) {
+        volumeMounts.push({
+          mountPath: reference.target,
+          volumeName: configVolume.name,
+          subPath: configVolume.configs[0].fileName
+        });
+      }
+    });
+
+    if (secretReferences.length > 0) {
+      volumeMounts.push({
+        mountPath: SECRETS_VOLUME.path,
+        volumeName: SECRETS_VOLUME.name,
+        isReadOnly: true
+      });
+    }
 
-    // Resource config (architecture-specific minimums)
+    // Resource config (x-oci per-service values, else Compose limits, else reservations,
+    // else architecture-specific minimums)
     // x86: minimum 16GB memory, 1 OCPU
     // ARM64: minimum 6GB memory, 1 OCPU
+    const serviceOciExtension = getOciExtension(services[serviceName]);
+    const serviceResources = getServiceResources(services[serviceName], warnings, serviceName);
+    const requestedMemory = parseFloat(serviceOciExtension.memoryInGBs) ||
+      serviceResources.limits.memoryInGBs || serviceResources.reservations.memoryInGBs;
+    const requestedVcpus = parseFloat(serviceOciExtension.vcpus) ||
+      serviceResources.limits.vcpus || serviceResources.reservations.vcpus;
     const minMemory = architecture === 'ARM64' ? 6 : 16;
     const resourceConfig = {
-      memoryLimitInGBs: minMemory,
-      vcpusLimit: 1
+      memoryLimitInGBs: requestedMemory || minMemory,
+      vcpusLimit: requestedVcpus || 1
     };
+    // Only containers with explicit sizes count towards the shape size
+    requestedResources.memoryInGBs += requestedMemory || 0;
+    requestedResources.vcpus += requestedVcpus || 0;
 
     // Build container object
     const container = {
@@ -548,42 +2671,143 @@ function convertToOCIPayload(composeObject, ociConfig) {
       container.environmentVariables = environmentVariables;
     }
 
-    // Only set command if it's not null (null means preserve image default)
-    if (command !== null && command.length > 0) {
+    // Only set what the Compose file overrides, the image defaults apply otherwise
+    if (command.length > 0) {
       container.command = command;
-    } else if (command === null) {
-      // No command specified in compose - preserve image default, but warn about depends_on
-      warnings.push(`Service "${serviceName}": No command/entrypoint specified. depends_on wait script will not run. Consider adding command/entrypoint to compose file for startup ordering.`);
+    }
+    if (args.length > 0) {
+      container.arguments = args;
+    }
+
+    if (service.working_dir) {
+      container.workingDirectory = String(service.working_dir);
+    }
+
+    if (volumeMounts.length > 0) {
+      container.volumeMounts = volumeMounts;
+    }
+
+    // Security context
+    const securityContext = getServiceSecurityContext(service, warnings, serviceName);
+    if (securityContext) {
+      container.securityContext = securityContext;
+    }
+
+    // Health checks
+    const healthChecks = convertHealthcheck(service.healthcheck, serviceName, warnings);
+    if (healthChecks.length > 0) {
+      container.healthChecks = healthChecks;
     }
 
     containers.push(container);
+    containerServiceNames.set(container, serviceName);
+  });
+
+  // One VaultReader sidecar per secret writes it to the shared secrets volume
+  const secretRequests = [];
+  const usedVaultSecrets = Array.from(vaultSecrets.values()).filter(Boolean);
+  if (usedVaultSecrets.length > 0) {
+    const vaultReader = getVaultReaderSidecar(architecture, ociConfig.sidecars);
+    if (!vaultReader) {
+      warnings.push(`No VaultReader sidecar is available for ${architecture}, secrets are not written to ${SECRETS_VOLUME.path}`);
+    } else {
+      allVolumes.set(SECRETS_VOLUME.name, { ...SECRETS_VOLUME });
+      const sidecarContainers = usedVaultSecrets.map(({ secret, fileName }) => {
+        const sidecarContainer = buildVaultReaderContainer(vaultReader, secret, fileName);
+        if (secret.request) {
+          secretRequests.push({ name: secret.name, containerName: sidecarContainer.displayName, ...secret.request });
+        }
+        return sidecarContainer;
+      });
+      containers.unshift(...sidecarContainers);
+      // Sidecars have explicit sizes (from sidecars.json), so the shape has to fit them too
+      sidecarContainers.forEach(sidecarContainer => {
+        requestedResources.memoryInGBs += sidecarContainer.resourceConfig.memoryLimitInGBs;
+        requestedResources.vcpus += sidecarContainer.resourceConfig.vcpusLimit;
+      });
+    }
+  }
+
+  // Containers share one network namespace, two services can't listen on the same port
+  findPortConflicts(servicePorts).forEach(conflict => {
+    warnings.push(`Port ${conflict.port}/${conflict.protocol} is used by services ${conflict.services.map(name => `"${name}"`).join(', ')}; containers in a container instance share one network, so only one of them can listen on it`);
   });
 
   // Build volumes array
   const volumes = Array.from(allVolumes.values()).map((vol, idx) => ({
     name: vol.name || `volume-${idx}`,
     volumeType: 'EMPTYDIR',
-    backingStore: 'EPHEMERAL_STORAGE'
+    backingStore: vol.backingStore || 'EPHEMERAL_STORAGE'
   }));
+  Array.from(configVolumes.values()).filter(Boolean).forEach(configVolume => {
+    allVolumes.set(configVolume.name, configVolume);
+    volumes.push({ name: configVolume.name, volumeType: 'CONFIGFILE', configs: configVolume.configs });
+  });
 
-  // Add volume mounts to containers
-  if (volumes.length > 0) {
-    const volumesTag = volumes.map(v => `${v.name}:${allVolumes.get(v.name).path}`).join(',');
-    freeformTags.volumes = volumesTag;
+  // File systems (FSS) from x-oci
+  const fileSystems = (Array.isArray(ociExtension.fileSystems) ? ociExtension.fileSystems : [])
+    .filter((fileSystem, idx) => {
+      if (!fileSystem || !fileSystem.mountPath || !fileSystem.mountTargetId || !fileSystem.exportId) {
+        warnings.push(`x-oci: file system ${idx + 1} requires mountPath, mountTargetId and exportId, skipping`);
+        return false;
+      }
+      return true;
+    })
+    .map((fileSystem, idx) => ({ ...fileSystem, name: fileSystem.name || `fss-${idx}` }));
+  const fileSystemVolumes = fileSystems.map((fileSystem, idx) => buildFileSystemVolume(fileSystem, idx));
+
+  // Volume tags and file system mounts
+  if (volumes.length > 0 || fileSystems.length > 0) {
+    if (volumes.length > 0) {
+      freeformTags.volumes = volumes.map(v => `${v.name}:${allVolumes.get(v.name).path}`).join(',');
+    }
+    if (fileSystems.length > 0) {
+      freeformTags.fileSystems = fileSystems.map(fileSystem => `${fileSystem.name}:${fileSystem.mountPath}`).join(',');
+    }
 
-    // Add volume mounts to all containers
+    // Add file system mounts (to the x-oci "services" listed, else to all containers)
     containers.forEach(container => {
-      container.volumeMounts = volumes.map(vol => ({
-        mountPath: allVolumes.get(vol.name).path,
-        volumeName: vol.name
-      }));
+      const serviceName = containerServiceNames.get(container);
+      const fileSystemMounts = fileSystems
+        .filter(fileSystem => !Array.isArray(fileSystem.services) ||
+          fileSystem.services.includes(serviceName) || fileSystem.services.includes(container.displayName))
+        .map(fileSystem => {
+          const mount = {
+            mountPath: fileSystem.mountPath,
+            volumeName: fileSystem.name
+          };
+          if (fileSystem.subPath) {
+            mount.subPath = fileSystem.subPath;
+          }
+          if (typeof fileSystem.isReadOnly === 'boolean') {
+            mount.isReadOnly = fileSystem.isReadOnly;
+          }
+          return mount;
+        });
+      if (fileSystemMounts.length > 0) {
+        container.volumeMounts = [...(container.volumeMounts || []), ...fileSystemMounts];
+      }
       // Update freeformTags in container
       container.freeformTags = { ...freeformTags };
     });
   }
 
-  // Calculate shape config if not provided
+  // Calculate shape config if not provided (x-oci ocpus/memoryInGBs, else the sum of container sizes
+  // rounded to the Flex sizes, else architecture minimums)
   let finalShapeConfig = shapeConfig;
+  if (!finalShapeConfig && (ociExtension.ocpus || ociExtension.memoryInGBs)) {
+    finalShapeConfig = fitFlexShapeConfig(
+      architecture,
+      parseFloat(ociExtension.ocpus) || 1,
+      parseFloat(ociExtension.memoryInGBs) || (architecture === 'ARM64' ? 6 : 16),
+      warnings
+    );
+  }
+  if (!finalShapeConfig && (requestedResources.vcpus > 0 || requestedResources.memoryInGBs > 0)) {
+    // Container limits are vCPUs, the shape is sized in OCPUs
+    const requestedOcpus = Math.ceil(requestedResources.vcpus / (VCPUS_PER_OCPU[architecture] || VCPUS_PER_OCPU.x86));
+    finalShapeConfig = fitFlexShapeConfig(architecture, requestedOcpus, requestedResources.memoryInGBs, warnings);
+  }
   if (!finalShapeConfig) {
     // Use architecture-specific minimums for CI instance (not sum of containers)
     // x86: minimum 16GB memory, 1 OCPU
@@ -595,9 +2819,18 @@ function convertToOCIPayload(composeObject, ociConfig) {
     };
   }
 
+  // Each container's limits have to fit in the container instance
+  containers.forEach(container => {
+    const { memoryLimitInGBs, vcpusLimit } = container.resourceConfig;
+    if (memoryLimitInGBs > finalShapeConfig.memoryInGBs || vcpusLimit > finalShapeConfig.ocpus) {
+      warnings.push(`Container "${container.displayName}": limits (${vcpusLimit} vCPUs, ${memoryLimitInGBs} GB) exceed the container instance size (${finalShapeConfig.ocpus} OCPUs, ${finalShapeConfig.memoryInGBs} GB)`);
+    }
+  });
+
   // Build payload
   const payload = {
-    displayName: serviceNames[0], // Use first service name as CI name
+    // CI name: x-oci displayName, else the Compose project name, else the first service name
+    displayName: ociExtension.displayName || composeObject.name || serviceNames[0],
     compartmentId: compartmentId,
     subnetId: subnetId,
     shape: shape,
@@ -607,8 +2840,32 @@ function convertToOCIPayload(composeObject, ociConfig) {
     freeformTags: freeformTags
   };
 
-  if (volumes.length > 0) {
-    payload.volumes = volumes;
+  const gracefulShutdownTimeoutInSeconds = getGracefulShutdownTimeout(services, ociExtension, warnings);
+  if (gracefulShutdownTimeoutInSeconds !== null) {
+    payload.gracefulShutdownTimeoutInSeconds = gracefulShutdownTimeoutInSeconds;
+  }
+
+  const dnsConfig = getInstanceDnsConfig(services, warnings);
+  if (dnsConfig) {
+    payload.dnsConfig = dnsConfig;
+  }
+
+  const imagePullSecrets = getImagePullSecrets(ociExtension, warnings);
+  if (imagePullSecrets.length > 0) {
+    payload.imagePullSecrets = imagePullSecrets;
+  }
+
+  if (volumes.length > 0 || fileSystemVolumes.length > 0) {
+    payload.volumes = [...volumes, ...fileSystemVolumes];
+  }
+
+  // File systems on other subnets need a secondary VNIC
+  const fileSystemSubnetIds = Array.from(new Set(fileSystems.map(fileSystem => fileSystem.subnetId).filter(id => id && id !== subnetId)));
+  if (fileSystemSubnetIds.length > 0) {
+    payload.vnics = [
+      { subnetId: subnetId, purpose: 'PRIMARY' },
+      ...fileSystemSubnetIds.map(id => ({ subnetId: id, purpose: 'SECONDARY' }))
+    ];
   }
 
   // Add warnings for unsupported features
@@ -619,28 +2876,331 @@ function convertToOCIPayload(composeObject, ociConfig) {
     if (service.build) {
       warnings.push(`Service "${serviceName}": build is not supported (use pre-built images)`);
     }
-    if (service.healthcheck) {
-      warnings.push(`Service "${serviceName}": healthcheck is not supported in OCI. Use depends_on with port checks instead for startup ordering.`);
+    Object.entries(toComposeMapping(service.extra_hosts, 'extra_hosts')).forEach(([alias, target]) => {
+      if (String(target).trim() !== LOCALHOST_ADDRESS && !String(target).trim().startsWith('127.')) {
+        warnings.push(`Service "${serviceName}": extra_hosts entry "${alias}:${target}" is ignored (container instances have no hosts file, use DNS instead)`);
+      }
+    });
+  });
+
+  return { payload, warnings, hostnameSubstitutions: hostnameRewrite.substitutions, secretRequests };
+}
+
+/**
+ * Resolve top-level Compose config (or secret) sources into inline content
+ * "file" sources are looked up in the uploaded files (by path, then file name) and "environment"
+ * sources in the interpolation variables; external ones are left as they are
+ * @param {object} composeObject - Parsed Docker Compose object
+ * @param {object} configFiles - Uploaded config files as { path: content }
+ * @param {object} variables - Interpolation variables as { KEY: value }
+ * @param {string} section - Top-level section to resolve, "configs" (default) or "secrets"
+ * @returns {object} { composeObject: object, missingFiles: string[], warnings: string[] }
+ */
+function resolveConfigFiles(composeObject, configFiles = {}, variables = {}, section = 'configs') {
+  const missingFiles = [];
+  const warnings = [];
+  const label = section === 'secrets' ? 'Secret' : 'Config';
+  if (!composeObject || !composeObject[section] || typeof composeObject[section] !== 'object') {
+    return { composeObject, missingFiles, warnings };
+  }
+
+  const resolvedConfigs = {};
+  Object.entries(composeObject[section]).forEach(([configName, definition]) => {
+    if (!definition || typeof definition !== 'object' || definition.content !== undefined) {
+      resolvedConfigs[configName] = definition;
+      return;
+    }
+    if (definition.file) {
+      const content = findEnvFileContent(definition.file, configFiles);
+      if (content === null) {
+        missingFiles.push(definition.file);
+        warnings.push(`${label} "${configName}": file "${definition.file}" was not provided, the ${label.toLowerCase()} is skipped`);
+        resolvedConfigs[configName] = definition;
+        return;
+      }
+      resolvedConfigs[configName] = { ...definition, content };
+      return;
+    }
+    if (definition.environment) {
+      const value = variables[definition.environment];
+      if (value === undefined) {
+        warnings.push(`${label} "${configName}": variable "${definition.environment}" is not set, the ${label.toLowerCase()} is skipped`);
+        resolvedConfigs[configName] = definition;
+        return;
+      }
+      resolvedConfigs[configName] = { ...definition, content: String(value) };
+      return;
+    }
+    resolvedConfigs[configName] = definition;
+  });
+
+  return {
+    composeObject: { ...composeObject, [section]: resolvedConfigs },
+    missingFiles,
+    warnings
+  };
+}
+
+/**
+ * Find a supplied Compose document by file path, falling back to the file name
+ * @param {array} documents - Array of { name: string, composeObject: object }
+ * @param {string} filePath - File path as referenced in the Compose file
+ * @returns {object|undefined} Matching document
+ */
+function findComposeDocument(documents, filePath) {
+  const normalizedPath = normalizeEnvFilePath(filePath);
+  const baseName = normalizedPath.split('/').pop();
+  return documents.find(doc => normalizeEnvFilePath(doc.name) === normalizedPath)
+    || documents.find(doc => normalizeEnvFilePath(doc.name).split('/').pop() === baseName);
+}
+
+/**
+ * Resolve "extends" on services, from the same file or from another supplied file
+ * The extending service is merged on top of its (recursively resolved) base service
+ * using the same rules as merging Compose files. Circular chains are reported as errors.
+ * @param {array} documents - Project documents as [{ name, composeObject }]
+ * @param {array} extendsDocuments - Additional documents only used as extends sources
+ * @returns {object} { documents: array, errors: string[] }
+ */
+function resolveServiceExtends(documents, extendsDocuments = []) {
+  const errors = [];
+  const allDocuments = [...documents, ...extendsDocuments];
+  const resolved = new Map();
+
+  const resolveService = (doc, serviceName, chain) => {
+    const serviceKey = `${doc.name}#${serviceName}`;
+    if (resolved.has(serviceKey)) {
+      return resolved.get(serviceKey);
+    }
+
+    const chainLabel = service => service.split('#').pop();
+    if (chain.includes(serviceKey)) {
+      errors.push(`Service "${chainLabel(chain[0])}": circular extends chain ${[...chain, serviceKey].map(chainLabel).join(' -> ')}`);
+      return null;
+    }
+
+    const service = doc.composeObject?.services?.[serviceName];
+    if (!service) {
+      errors.push(`Service "${chainLabel(chain[chain.length - 1])}": extends unknown service "${serviceName}"${doc.name ? ` in ${doc.name}` : ''}`);
+      return null;
+    }
+    if (!service.extends) {
+      resolved.set(serviceKey, service);
+      return service;
+    }
+
+    const extendsConfig = typeof service.extends === 'string' ? { service: service.extends } : service.extends;
+    const { extends: extendsRef, ...ownConfig } = service;
+    let baseDocument = doc;
+    if (extendsConfig.file) {
+      baseDocument = findComposeDocument(allDocuments, extendsConfig.file);
+      if (!baseDocument) {
+        errors.push(`Service "${serviceName}": extends file "${extendsConfig.file}" was not provided`);
+        return ownConfig;
+      }
+    }
+
+    const baseService = resolveService(baseDocument, extendsConfig.service, [...chain, serviceKey]);
+    const merged = baseService
+      ? mergeComposeValues(baseService, ownConfig, `services.${serviceName}`, 'definition', serviceName, doc.name, {})
+      : ownConfig;
+    resolved.set(serviceKey, merged);
+    return merged;
+  };
+
+  const resolvedDocuments = documents.map(doc => {
+    const services = doc.composeObject?.services;
+    if (!services || typeof services !== 'object') {
+      return doc;
+    }
+    const resolvedServices = {};
+    Object.entries(services).forEach(([serviceName, service]) => {
+      const resolvedService = resolveService(doc, serviceName, []);
+      if (resolvedService) {
+        resolvedServices[serviceName] = resolvedService;
+      } else {
+        // Circular chain: keep the service's own config without the "extends" key
+        const { extends: extendsRef, ...ownConfig } = service;
+        resolvedServices[serviceName] = ownConfig;
+      }
+    });
+    return { ...doc, composeObject: { ...doc.composeObject, services: resolvedServices } };
+  });
+
+  return { documents: resolvedDocuments, errors: Array.from(new Set(errors)) };
+}
+
+/**
+ * Filter services by Compose profiles
+ * Services without "profiles" are always included; services with profiles are included
+ * only when at least one of their profiles is active ("*" activates all profiles)
+ * @param {object} composeObject - Parsed Docker Compose object
+ * @param {array} activeProfiles - Active profile names
+ * @returns {object} { composeObject: object, droppedServices: string[], warnings: string[] }
+ */
+function filterServicesByProfiles(composeObject, activeProfiles = []) {
+  const warnings = [];
+  const droppedServices = [];
+
+  if (!composeObject || !composeObject.services || typeof composeObject.services !== 'object') {
+    return { composeObject, droppedServices, warnings };
+  }
+
+  const profiles = (Array.isArray(activeProfiles) ? activeProfiles : String(activeProfiles || '').split(','))
+    .map(profile => String(profile).trim())
+    .filter(Boolean);
+  const allProfilesActive = profiles.includes('*');
+
+  const includedServices = {};
+  Object.entries(composeObject.services).forEach(([serviceName, service]) => {
+    const serviceProfiles = Array.isArray(service?.profiles) ? service.profiles.map(String) : [];
+    if (serviceProfiles.length === 0 || allProfilesActive || serviceProfiles.some(profile => profiles.includes(profile))) {
+      includedServices[serviceName] = service;
+    } else {
+      droppedServices.push(serviceName);
+      warnings.push(`Service "${serviceName}": skipped, profile(s) ${serviceProfiles.join(', ')} not active`);
+    }
+  });
+
+  // Dependencies on dropped services can't be satisfied inside the Container Instance, remove them
+  Object.entries(includedServices).forEach(([serviceName, service]) => {
+    if (!service?.depends_on) {
+      return;
     }
-    if (service.deploy && service.deploy.resources) {
-      warnings.push(`Service "${serviceName}": deploy.resources are ignored (using defaults)`);
+    const deps = Array.isArray(service.depends_on) ? service.depends_on : Object.keys(service.depends_on);
+    const droppedDeps = deps.filter(dep => droppedServices.includes(dep));
+    if (droppedDeps.length === 0) {
+      return;
     }
+    droppedDeps.forEach(dep => {
+      warnings.push(`Service "${serviceName}": depends_on "${dep}" ignored, the service was skipped by profile selection`);
+    });
+    const dependsOn = Array.isArray(service.depends_on)
+      ? service.depends_on.filter(dep => !droppedDeps.includes(dep))
+      : Object.fromEntries(Object.entries(service.depends_on).filter(([dep]) => !droppedDeps.includes(dep)));
+    includedServices[serviceName] = { ...service, depends_on: dependsOn };
   });
 
-  return { payload, warnings };
+  return {
+    composeObject: { ...composeObject, services: includedServices },
+    droppedServices,
+    warnings
+  };
+}
+
+/**
+ * Load a Docker Compose project from one or more files
+ * Each file is parsed and interpolated, service "extends" are resolved, the files are merged in order (base first,
+ * overrides after), services are filtered by the active profiles, and service env_file
+ * references and top-level config sources are resolved
+ * @param {object} options - Load options
+ * @param {array} options.files - Ordered array of { name: string, yaml: string }
+ * @param {object} options.variables - Interpolation variables as { KEY: value }
+ * @param {array} options.extendsFiles - Files only referenced by "extends: { file }", as [{ name, yaml }]
+ * @param {object} options.envFiles - Uploaded env files as { path: content }
+ * @param {object} options.configFiles - Uploaded config and secret files as { path: content }
+ * @param {array} options.profiles - Active Compose profiles
+ * @returns {object} { composeObject, errors, warnings, missingEnvFiles, missingConfigFiles, droppedServices, sources }
+ * @throws {Error} If a file contains invalid YAML
+ */
+function loadDockerComposeProject({ files = [], extendsFiles = [], variables = {}, envFiles = {}, configFiles = {}, profiles = [] }) {
+  const errors = [];
+  const warnings = [];
+  const prefix = (name, message) => (files.length > 1 ? `${name}: ${message}` : message);
+
+  const loadDocument = ({ name, yaml: yamlString }, idx) => {
+    const fileName = name || `compose-file-${idx + 1}.yml`;
+    let rawComposeObject;
+    try {
+      rawComposeObject = parseDockerCompose(yamlString);
+    } catch (error) {
+      throw new Error(prefix(fileName, error.message));
+    }
+
+    const interpolation = interpolateDockerCompose(rawComposeObject, variables);
+    interpolation.errors.forEach(error => errors.push(prefix(fileName, error)));
+    interpolation.warnings.forEach(warning => warnings.push(prefix(fileName, warning)));
+    return { name: fileName, composeObject: interpolation.composeObject };
+  };
+  const documents = files.map(loadDocument);
+  const extendsDocuments = (extendsFiles || []).filter(file => file && file.yaml).map(loadDocument);
+
+  // Resolve service "extends" per file before merging
+  const extendsResolution = resolveServiceExtends(documents, extendsDocuments);
+  errors.push(...extendsResolution.errors);
+
+  const { composeObject: mergedComposeObject, sources } = mergeDockerComposeFiles(extendsResolution.documents);
+
+  // Drop services whose profiles are not active
+  const profileSelection = filterServicesByProfiles(mergedComposeObject, profiles);
+  warnings.push(...profileSelection.warnings);
+
+  // Merge service env_file contents (uploaded alongside the YAML) into environment
+  const envFileResolution = resolveEnvFiles(profileSelection.composeObject, envFiles);
+  warnings.push(...envFileResolution.warnings);
+
+  // Read top-level config and secret contents from the uploaded files and variables
+  const configFileResolution = resolveConfigFiles(envFileResolution.composeObject, configFiles, variables);
+  warnings.push(...configFileResolution.warnings);
+  const secretFileResolution = resolveConfigFiles(configFileResolution.composeObject, configFiles, variables, 'secrets');
+  warnings.push(...secretFileResolution.warnings);
+
+  return {
+    composeObject: secretFileResolution.composeObject,
+    errors,
+    warnings,
+    missingEnvFiles: envFileResolution.missingFiles,
+    missingConfigFiles: [...configFileResolution.missingFiles, ...secretFileResolution.missingFiles],
+    droppedServices: profileSelection.droppedServices,
+    sources
+  };
 }
 
 module.exports = {
   parseDockerCompose,
+  parseEnvFile,
+  interpolateDockerCompose,
+  mergeDockerComposeFiles,
+  resolveServiceExtends,
+  filterServicesByProfiles,
+  loadDockerComposeProject,
   validateDockerCompose,
   convertToOCIPayload,
   extractContainerPort,
+  parsePortMapping,
   parsePorts,
+  findPortConflicts,
+  rewriteServiceHostnames,
+  parseMemoryToGB,
+  getServiceResources,
+  getServiceSecurityContext,
+  fitFlexShapeConfig,
+  parseVolume,
   parseVolumes,
-  combineEntrypointAndCommand,
+  parseTmpfs,
+  splitCommandString,
+  toCommandArray,
   parseEnvironment,
+  parseDuration,
+  getImagePullSecrets,
+  getGracefulShutdownTimeout,
+  getInstanceDnsConfig,
+  convertHealthcheck,
+  normalizeRestartPolicy,
+  getOciExtension,
+  buildFileSystemVolume,
+  resolveEnvFiles,
+  resolveConfigFiles,
+  buildConfigFileVolume,
+  parseServiceConfigs,
+  parseServiceSecrets,
+  resolveVaultSecret,
+  getVaultReaderSidecar,
   orderContainersByDependencies,
   generateWaitScript,
   addWaitScriptToCommand,
-  processDependsOn
+  processDependsOn,
+  normalizeDependsOn,
+  applyImageEntrypoint,
+  getImageEntrypointRequests
 };
@@ -0,0 +1,187 @@
+// Docker Hub images without a registry host are pulled from this API endpoint
+const DOCKER_HUB_REGISTRY = 'registry-1.docker.io';
+const DOCKER_HUB_ALIASES = ['docker.io', 'index.docker.io', DOCKER_HUB_REGISTRY];
+
+// Timeout for each registry request
+const REGISTRY_TIMEOUT_MS = 15000;
+
+// Manifest media types the lookup understands (multi-platform indexes and single-platform manifests)
+const MANIFEST_ACCEPT = [
+  'application/vnd.oci.image.index.v1+json',
+  'application/vnd.docker.distribution.manifest.list.v2+json',
+  'application/vnd.oci.image.manifest.v1+json',
+  'application/vnd.docker.distribution.manifest.v2+json'
+].join(', ');
+
+// Container instance architectures by platform architecture
+const PLATFORM_ARCHITECTURES = {
+  x86: 'amd64',
+  ARM64: 'arm64'
+};
+
+/**
+ * Split an image reference into registry, repository and tag or digest
+ * @param {string} image - Image reference, e.g. "gvenzl/oracle-free:23-slim" or "ghcr.io/org/app@sha256:..."
+ * @returns {object} { registry, repository, reference } (registry is the API host, reference the tag or digest)
+ */
+function parseImageReference(image) {
+  let name = String(image || '').trim();
+  if (!name) {
+    throw new Error('Image reference is empty');
+  }
+
+  let reference = 'latest';
+  const digestIndex = name.indexOf('@');
+  if (digestIndex !== -1) {
+    reference = name.slice(digestIndex + 1);
+    name = name.slice(0, digestIndex);
+  } else {
+    const tagIndex = name.lastIndexOf(':');
+    if (tagIndex > name.lastIndexOf('/')) {
+      reference = name.slice(tagIndex + 1);
+      name = name.slice(0, tagIndex);
+    }
+  }
+
+  // The first component is a registry host when it has a dot or port, or is localhost
+  const components = name.split('/');
+  let registry = DOCKER_HUB_REGISTRY;
+  if (components.length > 1 && (/[.:]/.test(components[0]) || components[0] === 'localhost')) {
+    registry = components.shift();
+  }
+  if (DOCKER_HUB_ALIASES.includes(registry)) {
+    registry = DOCKER_HUB_REGISTRY;
+    if (components.length === 1) {
+      components.unshift('library');
+    }
+  }
+
+  return { registry, repository: components.join('/'), reference };
+}
+
+/**
+ * Parse a WWW-Authenticate header
+ * @param {string} header - Header value, e.g. 'Bearer realm="https://auth.docker.io/token",service="registry.docker.io"'
+ * @returns {object} { scheme, params } (scheme lowercased)
+ */
+function parseAuthenticateHeader(header) {
+  const value = String(header || '').trim();
+  const spaceIndex = value.indexOf(' ');
+  const scheme = (spaceIndex === -1 ? value : value.slice(0, spaceIndex)).toLowerCase();
+  const params = {};
+  const paramPattern = /([\w-]+)="([^"]*)"/g;
+  let match;
+  while ((match = paramPattern.exec(value)) !== null) {
+    params[match[1]] = match[2];
+  }
+  return { scheme, params };
+}
+
+/**
+ * Send a GET request to a registry, authenticating once when it answers 401
+ * Registries either accept Basic credentials directly or hand out a bearer token for the repository's
+ * pull scope (anonymously for public images).
+ * @param {string} url - Registry API URL
+ * @param {object} options - { accept, repository, credentials: { username, password }, auth: cached Authorization header holder }
+ * @returns {Promise<Response>} Successful response
+ */
+async function registryGet(url, { accept, repository, credentials, auth }) {
+  const send = () => fetch(url, {
+    headers: {
+      ...(accept ? { Accept: accept } : {}),
+      ...(auth.header ? { Authorization: auth.header } : {})
+    },
+    signal: AbortSignal.timeout(REGISTRY_TIMEOUT_MS)
+  });
+  const basicHeader = credentials && credentials.username && credentials.password
+    ? `Basic ${Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64')}`
+    : null;
+
+  let response = await send();
+  if (response.status === 401 && !auth.tried) {
+    auth.tried = true;
+    const { scheme, params } = parseAuthenticateHeader(response.headers.get('www-authenticate'));
+    if (scheme === 'bearer' && params.realm) {
+      const tokenUrl = new URL(params.realm);
+      if (params.service) {
+        tokenUrl.searchParams.set('service', params.service);
+      }
+      tokenUrl.searchParams.set('scope', `repository:${repository}:pull`);
+      const tokenResponse = await fetch(tokenUrl, {
+        headers: basicHeader ? { Authorization: basicHeader } : {},
+        signal: AbortSignal.timeout(REGISTRY_TIMEOUT_MS)
+      });
+      if (!tokenResponse.ok) {
+        throw new Error(`registry token request failed (${tokenResponse.status})`);
+      }
+      const tokenBody = await tokenResponse.json();
+      auth.header = `Bearer ${tokenBody.token || tokenBody.access_token}`;
+    } else if (scheme === 'basic' && basicHeader) {
+      auth.header = basicHeader;
+    }
+    if (auth.header) {
+      response = await send();
+    }
+  }
+
+  if (!response.ok) {
+    throw new Error(response.status === 401 || response.status === 403
+      ? `registry denied access (${response.status}), add x-oci imagePullSecrets credentials for it`
+      : `registry request failed (${response.status} ${response.statusText})`);
+  }
+  return response;
+}
+
+/**
+ * Read the ENTRYPOINT of an image from its registry (the image config of the matching linux platform)
+ * @param {string} image - Image reference
+ * @param {object} options - { architecture: x86 or ARM64, credentials: { username, password } for private registries }
+ * @returns {Promise<array>} ENTRYPOINT argument array ([] when the image has none)
+ */
+async function getImageEntrypoint(image, { architecture = 'x86', credentials = null } = {}) {
+  const { registry, repository, reference } = parseImageReference(image);
+  const baseUrl = `https://${registry}/v2/${repository}`;
+  const auth = {};
+  const options = { repository, credentials, auth };
+
+  let manifest = await (await registryGet(`${baseUrl}/manifests/${reference}`, { ...options, accept: MANIFEST_ACCEPT })).json();
+
+  // Multi-platform image: use the manifest of the instance's platform
+  if (Array.isArray(manifest.manifests)) {
+    const platformArchitecture = PLATFORM_ARCHITECTURES[architecture] || PLATFORM_ARCHITECTURES.x86;
+    const platformManifest = manifest.manifests.find(entry => entry.platform &&
+      entry.platform.os === 'linux' && entry.platform.architecture === platformArchitecture);
+    if (!platformManifest) {
+      throw new Error(`image has no linux/${platformArchitecture} variant`);
+    }
+    manifest = await (await registryGet(`${baseUrl}/manifests/${platformManifest.digest}`, { ...options, accept: MANIFEST_ACCEPT })).json();
+  }
+
+  if (!manifest.config || !manifest.config.digest) {
+    throw new Error('unsupported image manifest format');
+  }
+  const imageConfig = await (await registryGet(`${baseUrl}/blobs/${manifest.config.digest}`, options)).json();
+  const entrypoint = imageConfig.config && imageConfig.config.Entrypoint;
+  return Array.isArray(entrypoint) ? entrypoint.map(arg => String(arg)) : [];
+}
+
+/**
+ * Find the registry credentials for an image among image pull secrets
+ * @param {string} image - Image reference
+ * @param {array} imagePullSecrets - Image pull secrets [{ registryEndpoint, secretType, username, password }]
+ * @returns {object|null} { username, password } of the image's registry (BASIC secrets only), or null
+ */
+function findRegistryCredentials(image, imagePullSecrets = []) {
+  const { registry } = parseImageReference(image);
+  const secret = imagePullSecrets.find(candidate => candidate.secretType === 'BASIC' &&
+    parseImageReference(`${candidate.registryEndpoint}/image`).registry === registry);
+  return secret && secret.username && secret.password
+    ? { username: secret.username, password: secret.password }
+    : null;
+}
+
+module.exports = {
+  parseImageReference,
+  getImageEntrypoint,
+  findRegistryCredentials
+};
@@ -0,0 +1,208 @@
+// Seconds the generated script waits for the instance to become ACTIVE, and between state checks
+const DEFAULT_MAX_WAIT_SECONDS = 1200;
+const POLL_SECONDS = 10;
+
+/**
+ * Derive a file name base from a display name
+ * @param {string} displayName - Container instance display name
+ * @returns {string} Lowercase name with only letters, digits and dashes (e.g. "my-app")
+ */
+function toFileNameBase(displayName) {
+  const base = String(displayName || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return base || 'container-instance';
+}
+
+/**
+ * Name of the environment variable holding a registry credential in the generated script
+ * @param {number} index - Position of the image pull secret in imagePullSecrets
+ * @param {string} field - USERNAME or PASSWORD
+ * @returns {string} Variable name, e.g. "REGISTRY_1_USERNAME"
+ */
+function toRegistryVariableName(index, field) {
+  return `REGISTRY_${index + 1}_${field}`;
+}
+
+/**
+ * Remove BASIC registry credentials from the create details
+ * The generated script adds them back from environment variables, so they never end up in the JSON file.
+ * @param {object} details - CreateContainerInstanceDetails
+ * @returns {object} { details: copy without usernames and passwords, registryCredentials: [{ index, registryEndpoint }] }
+ */
+function stripRegistryCredentials(details) {
+  const registryCredentials = [];
+  const imagePullSecrets = (details.imagePullSecrets || []).map((secret, index) => {
+    if (secret.secretType !== 'BASIC') {
+      return secret;
+    }
+    registryCredentials.push({ index, registryEndpoint: secret.registryEndpoint });
+    const { username, password, ...rest } = secret;
+    return rest;
+  });
+  return {
+    details: details.imagePullSecrets ? { ...details, imagePullSecrets } : details,
+    registryCredentials
+  };
+}
+
+/**
+ * Build the script lines that add registry credentials from the environment to a temporary copy of the payload
+ * jq reads the values with env and base64-encodes them (OCI expects BASIC credentials base64-encoded),
+ * so they don't show up in the process list.
+ * @param {array} registryCredentials - [{ index, registryEndpoint }]
+ * @returns {array} Script lines (none when there are no BASIC credentials)
+ */
+function renderRegistryCredentialLines(registryCredentials) {
+  if (registryCredentials.length === 0) {
+    return [];
+  }
+  const variables = registryCredentials.flatMap(({ index }) => ['USERNAME', 'PASSWORD'].map(field => toRegistryVariableName(index, field)));
+  const assignments = registryCredentials.flatMap(({ index }) => [
+    `.imagePullSecrets[${index}].username = (env.${toRegistryVariableName(index, 'USERNAME')} | @base64)`,
+    `.imagePullSecrets[${index}].password = (env.${toRegistryVariableName(index, 'PASSWORD')} | @base64)`
+  ]);
+  return [
+    '# Registry credentials are not stored in the JSON file, they are read from the environment',
+    'if ! command -v jq >/dev/null 2>&1; then',
+    '  echo "jq is required to add the registry credentials to the payload" >&2',
+    '  exit 1',
+    'fi',
+    `for VARIABLE in ${variables.join(' ')}; do`,
+    '  if [ -z "${!VARIABLE:-}" ]; then',
+    '    echo "Set ${VARIABLE} to the registry credentials (see the script header)" >&2',
+    '    exit 1',
+    '  fi',
+    'done',
+    'CREATE_PAYLOAD_FILE=$(mktemp)',
+    'trap \'rm -f "$CREATE_PAYLOAD_FILE"\' EXIT',
+    `jq '${assignments.join(' |\n  ')}' "$PAYLOAD_FILE" > "$CREATE_PAYLOAD_FILE"`,
+    ''
+  ];
+}
+
+/**
+ * Build the bash script that creates the instance from the JSON file, waits for ACTIVE and prints its IPs
+ * File Storage (OCI_FSS_FILE_SYSTEM) volumes are posted with "oci raw-request" like the create route does,
+ * since "container-instance create" drops them.
+ * @param {object} options - { displayName, jsonFileName, scriptFileName, endpoint, useRawRequest,
+ *   registryCredentials: [{ index, registryEndpoint }] read from REGISTRY_<n>_USERNAME/PASSWORD }
+ * @returns {string} Script content
+ */
+function renderCreateScript({ displayName, jsonFileName, scriptFileName, endpoint, useRawRequest, registryCredentials = [] }) {
+  // The name only appears in comments; keep it on one line
+  const name = String(displayName || '').replace(/\s+/g, ' ');
+  const createCommand = useRawRequest
+    ? [
+      '# File Storage volumes are only kept by the REST API, so the payload is posted as-is',
+      'INSTANCE_ID=$(oci raw-request --http-method POST \\',
+      '  --target-uri "${CONTAINER_INSTANCES_ENDPOINT}/containerInstances" \\',
+      '  --request-body "file://${CREATE_PAYLOAD_FILE}" \\',
+      "  --query 'data.id' --raw-output)"
+    ]
+    : [
+      'INSTANCE_ID=$(oci container-instances container-instance create \\',
+      '  --from-json "file://${CREATE_PAYLOAD_FILE}" \\',
+      "  --query 'data.id' --raw-output)"
+    ];
+  const credentialUsage = registryCredentials.length > 0
+    ? [
+      '# Registry credentials (plain text, requires jq):',
+      ...registryCredentials.map(({ index, registryEndpoint }) =>
+        `#   ${toRegistryVariableName(index, 'USERNAME')} and ${toRegistryVariableName(index, 'PASSWORD')} for ${String(registryEndpoint).replace(/\s+/g, ' ')}`)
+    ]
+    : [];
+
+  return [
+    '#!/usr/bin/env bash',
+    `# Create the Container Instance ${name} with the OCI CLI, wait until it is ACTIVE and print its IPs.`,
+    '# Generated by CI Compose with the same payload a deployment from the UI sends.',
+    '#',
+    `# Usage: bash ${scriptFileName} [payload.json]`,
+    '# Uses the OCI CLI configuration (~/.oci/config); set OCI_CLI_PROFILE to use another profile.',
+    ...credentialUsage,
+    'set -euo pipefail',
+    '',
+    `PAYLOAD_FILE="\${1:-$(dirname "$0")/${jsonFileName}}"`,
+    'CREATE_PAYLOAD_FILE="$PAYLOAD_FILE"',
+    `MAX_WAIT_SECONDS="\${MAX_WAIT_SECONDS:-${DEFAULT_MAX_WAIT_SECONDS}}"`,
+    ...(useRawRequest ? [`CONTAINER_INSTANCES_ENDPOINT="\${CONTAINER_INSTANCES_ENDPOINT:-${endpoint}}"`] : []),
+    '',
+    ...renderRegistryCredentialLines(registryCredentials),
+    ...createCommand,
+    'echo "Created Container Instance ${INSTANCE_ID}"',
+    '',
+    'echo "Waiting for the Container Instance to become ACTIVE..."',
+    'STATE=""',
+    'ELAPSED=0',
+    'while [ "$ELAPSED" -le "$MAX_WAIT_SECONDS" ]; do',
+    '  STATE=$(oci container-instances container-instance get --container-instance-id "$INSTANCE_ID" \\',
+    "    --query 'data.\"lifecycle-state\"' --raw-output)",
+    '  case "$STATE" in',
+    '    ACTIVE) break ;;',
+    '    FAILED|DELETING|DELETED)',
+    '      echo "Container Instance is ${STATE}" >&2',
+    '      exit 1',
+    '      ;;',
+    '  esac',
+    `  sleep ${POLL_SECONDS}`,
+    `  ELAPSED=$((ELAPSED + ${POLL_SECONDS}))`,
+    'done',
+    'if [ "$STATE" != "ACTIVE" ]; then',
+    '  echo "Container Instance is still ${STATE} after ${MAX_WAIT_SECONDS} seconds" >&2',
+    '  exit 1',
+    'fi',
+    'echo "Container Instance is ACTIVE"',
+    '',
+    'VNIC_IDS=$(oci container-instances container-instance get --container-instance-id "$INSTANCE_ID" \\',
+    "  --query 'join(`\" \"`, data.vnics[].\"vnic-id\")' --raw-output)",
+    'for VNIC_ID in $VNIC_IDS; do',
+    '  PRIVATE_IP=$(oci network vnic get --vnic-id "$VNIC_ID" --query \'data."private-ip"\' --raw-output)',
+    '  PUBLIC_IP=$(oci network vnic get --vnic-id "$VNIC_ID" --query \'data."public-ip" || `"none"`\' --raw-output)',
+    '  echo "Private IP: ${PRIVATE_IP}"',
+    '  echo "Public IP: ${PUBLIC_IP}"',
+    'done',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Generate the OCI CLI export of a container instance: the --from-json payload and a bash script
+ * BASIC registry credentials are left out of the JSON; the script reads them from REGISTRY_<n>_USERNAME
+ * and REGISTRY_<n>_PASSWORD (n is the position in imagePullSecrets, starting at 1).
+ * @param {object} createDetails - CreateContainerInstanceDetails (as built for the create route, with availability domain)
+ * @param {object} options - { endpoint: Container Instances API endpoint, used for File Storage volumes }
+ * @returns {object} { files: { fileName: content }, jsonFileName, scriptFileName, usesRawRequest,
+ *   registryVariables: names of the credential variables the script requires }
+ */
+function generateOciCliExport(createDetails, { endpoint = '' } = {}) {
+  const { details, registryCredentials } = stripRegistryCredentials(createDetails);
+  const base = toFileNameBase(details.displayName);
+  const jsonFileName = `${base}.json`;
+  const scriptFileName = `create-${base}.sh`;
+  const usesRawRequest = (details.volumes || []).some(volume => volume.volumeType === 'OCI_FSS_FILE_SYSTEM');
+
+  return {
+    files: {
+      [jsonFileName]: `${JSON.stringify(details, null, 2)}\n`,
+      [scriptFileName]: renderCreateScript({
+        displayName: details.displayName,
+        jsonFileName,
+        scriptFileName,
+        endpoint,
+        useRawRequest: usesRawRequest,
+        registryCredentials
+      })
+    },
+    jsonFileName,
+    scriptFileName,
+    usesRawRequest,
+    registryVariables: registryCredentials.flatMap(({ index }) => ['USERNAME', 'PASSWORD'].map(field => toRegistryVariableName(index, field)))
+  };
+}
+
+module.exports = {
+  toFileNameBase,
+  generateOciCliExport
+};
@@ -0,0 +1,503 @@
+const yaml = require('js-yaml');
+
+// Marks a value as a raw HCL expression (variable reference, function call) instead of a literal
+const HCL_EXPRESSION = Symbol('hclExpression');
+
+// Attributes that are HCL maps rather than nested blocks
+const MAP_ATTRIBUTES = ['freeformTags', 'definedTags', 'environmentVariables'];
+
+// Flex shapes offered in the Resource Manager shape dropdown
+const CONTAINER_INSTANCE_SHAPES = [
+  'CI.Standard.E4.Flex',
+  'CI.Standard.E3.Flex',
+  'CI.Standard.E5.Flex',
+  'CI.Standard.A1.Flex'
+];
+
+/**
+ * Wrap a raw HCL expression so the emitter writes it unquoted
+ * @param {string} expression - HCL expression, e.g. var.subnet_id
+ * @returns {object} Expression marker
+ */
+function hclExpression(expression) {
+  return { [HCL_EXPRESSION]: expression };
+}
+
+/**
+ * Check whether a value is a raw HCL expression marker
+ * @param {*} value - Value to check
+ * @returns {boolean} True for values created by hclExpression
+ */
+function isHclExpression(value) {
+  return Boolean(value) && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, HCL_EXPRESSION);
+}
+
+/**
+ * Escape text for the inside of an HCL quoted string
+ * Besides quotes, backslashes and control characters, template sequences (${ and %{) are
+ * doubled so values like shell variables in commands reach the container unchanged.
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text without surrounding quotes
+ */
+function escapeHclString(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')
+    .replace(/[\u0000-\u001f\u007f]/g, (char) => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`)
+    .replace(/\$\{/g, () => '$${')
+    .replace(/%\{/g, () => '%%{');
+}
+
+/**
+ * Quote and escape a literal HCL string
+ * @param {string} value - String value
+ * @returns {string} Quoted HCL string
+ */
+function hclString(value) {
+  return `"${escapeHclString(value)}"`;
+}
+
+/**
+ * Convert an OCI API field name to its Terraform attribute name
+ * @param {string} key - camelCase field name, e.g. memoryLimitInGBs
+ * @returns {string} snake_case name, e.g. memory_limit_in_gbs
+ */
+function toSnakeCase(key) {
+  return String(key)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase();
+}
+
+/**
+ * Turn a display name into a valid, lowercase Terraform identifier
+ * @param {string} name - Display name, e.g. my-app.web
+ * @returns {string} Identifier, e.g. my_app_web
+ */
+function toTerraformIdentifier(name) {
+  const identifier = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  if (!identifier) {
+    return 'container';
+  }
+  return /^[a-z_]/.test(identifier) ? identifier : `c_${identifier}`;
+}
+
+/**
+ * Split an image reference into repository and tag
+ * References pinned by digest are left whole since a digest can't be swapped like a tag.
+ * @param {string} imageUrl - Image reference, e.g. registry:5000/team/app:1.2
+ * @returns {object} { repository, tag } or { digest: true } for digest references
+ */
+function splitImageTag(imageUrl) {
+  const image = String(imageUrl || '');
+  if (image.includes('@')) {
+    return { digest: true };
+  }
+  const lastSlash = image.lastIndexOf('/');
+  const lastColon = image.lastIndexOf(':');
+  if (lastColon > lastSlash) {
+    return { repository: image.substring(0, lastColon), tag: image.substring(lastColon + 1) };
+  }
+  return { repository: image, tag: 'latest' };
+}
+
+/**
+ * Check whether a value is written as a single-line HCL attribute value
+ * @param {*} value - Value to check
+ * @returns {boolean} True for primitives, expressions and lists of primitives
+ */
+function isInlineValue(value) {
+  if (value === null || typeof value !== 'object' || isHclExpression(value)) {
+    return true;
+  }
+  return Array.isArray(value) && value.every(item => item === null || typeof item !== 'object' || isHclExpression(item));
+}
+
+/**
+ * Render a single-line HCL value
+ * @param {*} value - String, number, boolean, expression or list of those
+ * @returns {string} HCL value
+ */
+function renderInlineValue(value) {
+  if (isHclExpression(value)) {
+    return value[HCL_EXPRESSION];
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(renderInlineValue).join(', ')}]`;
+  }
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  return hclString(value);
+}
+
+/**
+ * Render a map attribute value with quoted keys
+ * OCI defined tags ({ namespace: { key: value } }) are flattened to "namespace.key" keys.
+ * @param {object} map - Map to render
+ * @param {string} indent - Indentation of the attribute line
+ * @returns {string} HCL map
+ */
+function renderMap(map, indent) {
+  const entries = [];
+  Object.entries(map).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([nestedKey, nestedValue]) => entries.push([`${key}.${nestedKey}`, nestedValue]));
+    } else if (value !== undefined && value !== null) {
+      entries.push([key, value]);
+    }
+  });
+  if (entries.length === 0) {
+    return '{}';
+  }
+  const keys = entries.map(([key]) => hclString(key));
+  const width = Math.max(...keys.map(key => key.length));
+  const lines = entries.map(([, value], index) => `${indent}  ${keys[index].padEnd(width)} = ${hclString(value)}`);
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Render the body of an HCL block from an OCI API object
+ * Keys become snake_case; primitives, lists and expressions become attributes (aligned the way
+ * terraform fmt does), MAP_ATTRIBUTES become maps, nested objects become blocks and lists of
+ * objects become repeated blocks. Attributes are written before blocks; null and undefined are skipped.
+ * @param {object} attributes - Object to render
+ * @param {string} indent - Indentation of the block's content
+ * @returns {string} HCL block body lines
+ */
+function renderBody(attributes, indent) {
+  const attributeLines = [];
+  const blocks = [];
+
+  Object.entries(attributes).forEach(([key, value]) => {
+    if (value === undefined || value === null) {
+      return;
+    }
+    const name = toSnakeCase(key);
+    if (MAP_ATTRIBUTES.includes(key) && typeof value === 'object' && !isHclExpression(value)) {
+      attributeLines.push({ name, value: renderMap(value, indent), multiline: true });
+    } else if (isInlineValue(value)) {
+      attributeLines.push({ name, value: renderInlineValue(value) });
+    } else if (Array.isArray(value)) {
+      value.filter(Boolean).forEach(item => blocks.push(renderBlock(name, item, indent)));
+    } else {
+      blocks.push(renderBlock(name, value, indent));
+    }
+  });
+
+  // Align "=" across runs of single-line attributes, like terraform fmt
+  const lines = [];
+  let run = [];
+  const flushRun = () => {
+    const width = Math.max(0, ...run.map(attribute => attribute.name.length));
+    run.forEach(attribute => lines.push(`${indent}${attribute.name.padEnd(width)} = ${attribute.value}`));
+    run = [];
+  };
+  attributeLines.forEach(attribute => {
+    if (attribute.multiline) {
+      flushRun();
+      lines.push(`${indent}${attribute.name} = ${attribute.value}`);
+    } else {
+      run.push(attribute);
+    }
+  });
+  flushRun();
+
+  return [lines.join('\n'), ...blocks].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Render a nested HCL block
+ * @param {string} name - Block type, e.g. containers
+ * @param {object} attributes - Block content
+ * @param {string} indent - Indentation of the block header
+ * @returns {string} HCL block
+ */
+function renderBlock(name, attributes, indent) {
+  const body = renderBody(attributes, `${indent}  `);
+  return body ? `${indent}${name} {\n${body}\n${indent}}` : `${indent}${name} {\n${indent}}`;
+}
+
+/**
+ * Render a top-level HCL block with labels
+ * @param {string} type - Block type, e.g. resource
+ * @param {array} labels - Block labels
+ * @param {object} attributes - Block content
+ * @returns {string} HCL block
+ */
+function renderTopLevelBlock(type, labels, attributes) {
+  const header = [type, ...labels.map(label => hclString(label))].join(' ');
+  const body = renderBody(attributes, '  ');
+  return `${header} {\n${body}\n}`;
+}
+
+/**
+ * Build the container instance resource and the stack variables it needs
+ * Compartment, primary subnet, public IP assignment, shape, shape size and each container's image tag
+ * become variables defaulting to the current values; BASIC registry credentials become variables so
+ * no password is stored in the configuration.
+ * @param {object} details - OCI CreateContainerInstanceDetails (without availabilityDomain)
+ * @returns {object} { resource, variables }
+ */
+function buildTerraformResource(details) {
+  const variables = [];
+  const addVariable = (variable) => {
+    variables.push(variable);
+    return hclExpression(`var.${variable.name}`);
+  };
+
+  const compartment = addVariable({
+    name: 'compartment_ocid',
+    type: 'string',
+    default: details.compartmentId,
+    description: 'Compartment of the Container Instance',
+    group: 'instance',
+    schema: { type: 'oci:identity:compartment:id', title: 'Compartment', required: true }
+  });
+
+  const vnics = Array.isArray(details.vnics) ? details.vnics : [];
+  const primaryIndex = Math.max(0, vnics.findIndex(vnic => vnic.purpose === 'PRIMARY'));
+  const primaryVnic = vnics[primaryIndex] || {};
+  const subnet = addVariable({
+    name: 'subnet_id',
+    type: 'string',
+    default: primaryVnic.subnetId,
+    description: 'Subnet of the Container Instance primary VNIC',
+    group: 'instance',
+    schema: { type: 'string', title: 'Subnet OCID', required: true, pattern: '^ocid1\\.subnet\\.' }
+  });
+  const assignPublicIp = addVariable({
+    name: 'assign_public_ip',
+    type: 'bool',
+    default: primaryVnic.isPublicIpAssigned !== false,
+    description: 'Assign a public IP to the primary VNIC (not allowed in private subnets)',
+    group: 'instance',
+    schema: { type: 'boolean', title: 'Assign public IP' }
+  });
+
+  const shape = addVariable({
+    name: 'shape',
+    type: 'string',
+    default: details.shape,
+    description: 'Container Instance shape',
+    group: 'instance',
+    schema: {
+      type: 'enum',
+      title: 'Shape',
+      required: true,
+      enum: Array.from(new Set([details.shape, ...CONTAINER_INSTANCE_SHAPES]))
+    }
+  });
+  const shapeOcpus = addVariable({
+    name: 'shape_ocpus',
+    type: 'number',
+    default: details.shapeConfig.ocpus,
+    description: 'OCPUs of the Container Instance',
+    group: 'instance',
+    schema: { type: 'number', title: 'OCPUs', required: true, minimum: 1 }
+  });
+  const shapeMemory = addVariable({
+    name: 'shape_memory_in_gbs',
+    type: 'number',
+    default: details.shapeConfig.memoryInGBs,
+    description: 'Memory (GB) of the Container Instance',
+    group: 'instance',
+    schema: { type: 'number', title: 'Memory (GB)', required: true, minimum: 1 }
+  });
+
+  const usedIdentifiers = new Set();
+  const containers = details.containers.map(container => {
+    const image = splitImageTag(container.imageUrl);
+    if (image.digest) {
+      return container;
+    }
+    let identifier = toTerraformIdentifier(container.displayName);
+    for (let suffix = 2; usedIdentifiers.has(identifier); suffix++) {
+      identifier = `${toTerraformIdentifier(container.displayName)}_${suffix}`;
+    }
+    usedIdentifiers.add(identifier);
+    const name = `${identifier}_image_tag`;
+    addVariable({
+      name,
+      type: 'string',
+      default: image.tag,
+      description: `Image tag of ${container.displayName} (${image.repository})`,
+      group: 'images',
+      schema: { type: 'string', title: `${container.displayName} image tag`, required: true }
+    });
+    return {
+      ...container,
+      imageUrl: hclExpression(`"${escapeHclString(`${image.repository}:`)}\${var.${name}}"`)
+    };
+  });
+
+  const imagePullSecrets = (details.imagePullSecrets || []).map((secret, index) => {
+    if (secret.secretType !== 'BASIC') {
+      return secret;
+    }
+    const prefix = `registry_${index + 1}`;
+    const username = addVariable({
+      name: `${prefix}_username`,
+      type: 'string',
+      default: secret.username ? Buffer.from(secret.username, 'base64').toString('utf8') : undefined,
+      description: `Username for ${secret.registryEndpoint}`,
+      group: 'registries',
+      schema: { type: 'string', title: `${secret.registryEndpoint} username`, required: true }
+    });
+    const password = addVariable({
+      name: `${prefix}_password`,
+      type: 'string',
+      sensitive: true,
+      description: `Password for ${secret.registryEndpoint}`,
+      group: 'registries',
+      schema: { type: 'password', title: `${secret.registryEndpoint} password`, required: true }
+    });
+    return {
+      secretType: 'BASIC',
+      registryEndpoint: secret.registryEndpoint,
+      username: hclExpression(`base64encode(${username[HCL_EXPRESSION]})`),
+      password: hclExpression(`base64encode(${password[HCL_EXPRESSION]})`)
+    };
+  });
+
+  const resource = {
+    availabilityDomain: hclExpression('data.oci_identity_availability_domain.oci_ad.name'),
+    compartmentId: compartment,
+    displayName: details.displayName,
+    shape,
+    containerRestartPolicy: details.containerRestartPolicy,
+    gracefulShutdownTimeoutInSeconds: details.gracefulShutdownTimeoutInSeconds,
+    state: 'ACTIVE',
+    freeformTags: details.freeformTags,
+    definedTags: details.definedTags,
+    shapeConfig: { ocpus: shapeOcpus, memoryInGBs: shapeMemory },
+    vnics: vnics.map((vnic, index) => index === primaryIndex
+      ? { ...vnic, subnetId: subnet, isPublicIpAssigned: assignPublicIp }
+      : vnic),
+    dnsConfig: details.dnsConfig,
+    imagePullSecrets: imagePullSecrets.length > 0 ? imagePullSecrets : undefined,
+    containers,
+    volumes: details.volumes
+  };
+
+  return { resource, variables };
+}
+
+/**
+ * Render variables.tf
+ * @param {array} variables - Stack variables from buildTerraformResource
+ * @returns {string} HCL variable declarations, region first
+ */
+function renderVariables(variables) {
+  const declarations = [
+    renderTopLevelBlock('variable', ['region'], {
+      type: hclExpression('string'),
+      description: 'OCI region (filled in by Resource Manager)'
+    }),
+    ...variables.map(variable => renderTopLevelBlock('variable', [variable.name], {
+      type: hclExpression(variable.type),
+      default: variable.default,
+      sensitive: variable.sensitive,
+      description: variable.description
+    }))
+  ];
+  return `${declarations.join('\n\n')}\n`;
+}
+
+/**
+ * Render the Resource Manager schema.yaml that labels and groups the stack variables
+ * @param {string} displayName - Container Instance name
+ * @param {array} variables - Stack variables from buildTerraformResource
+ * @returns {string} schema.yaml content
+ */
+function renderSchema(displayName, variables) {
+  const groups = [
+    { id: 'instance', title: 'Container Instance' },
+    { id: 'images', title: 'Container Images' },
+    { id: 'registries', title: 'Registry Credentials' }
+  ];
+  const schemaVariables = { region: { type: 'oci:identity:region:name', title: 'Region', visible: false } };
+  variables.forEach(variable => {
+    schemaVariables[variable.name] = { ...variable.schema, description: variable.description };
+  });
+
+  const schema = {
+    title: `Container Instance ${displayName}`,
+    description: `Container Instance ${displayName} exported from CI Compose`,
+    schemaVersion: '1.1.0',
+    version: '20190304',
+    locale: 'en',
+    variableGroups: [
+      ...groups
+        .map(group => ({
+          title: group.title,
+          variables: variables.filter(variable => variable.group === group.id).map(variable => variable.name)
+        }))
+        .filter(group => group.variables.length > 0),
+      { title: 'Hidden', visible: false, variables: ['region'] }
+    ],
+    variables: schemaVariables,
+    outputs: {
+      container_instance_id: { type: 'ocid', title: 'Container Instance' }
+    }
+  };
+
+  return yaml.dump(schema, { lineWidth: -1, noRefs: true });
+}
+
+/**
+ * Generate a Resource Manager stack (main.tf, variables.tf, schema.yaml) for a container instance
+ * @param {object} details - OCI CreateContainerInstanceDetails as built for the create route (without availabilityDomain)
+ * @returns {object} { files: { 'main.tf', 'variables.tf', 'schema.yaml' }, variables: [{ name, type, default, sensitive, description }] }
+ */
+function generateContainerInstanceTerraform(details) {
+  const { resource, variables } = buildTerraformResource(details);
+  const displayName = String(details.displayName).replace(/[\r\n]+/g, ' ');
+
+  const mainTf = [
+    `# Terraform configuration for Container Instance: ${displayName}\n# Generated by CI Compose`,
+    'terraform {\n  required_providers {\n    oci = {\n      source = "oracle/oci"\n    }\n  }\n}',
+    '# Uses the Resource Manager (or local OCI CLI) authentication\n' +
+      renderTopLevelBlock('provider', ['oci'], { region: hclExpression('var.region') }),
+    renderTopLevelBlock('data', ['oci_identity_availability_domain', 'oci_ad'], {
+      compartmentId: hclExpression('var.compartment_ocid'),
+      adNumber: 1
+    }),
+    renderTopLevelBlock('resource', ['oci_container_instances_container_instance', 'this'], resource),
+    renderTopLevelBlock('output', ['container_instance_id'], {
+      value: hclExpression('oci_container_instances_container_instance.this.id')
+    })
+  ].join('\n\n');
+
+  return {
+    files: {
+      'main.tf': `${mainTf}\n`,
+      'variables.tf': renderVariables(variables),
+      'schema.yaml': renderSchema(displayName, variables)
+    },
+    variables: variables.map(({ name, type, default: defaultValue, sensitive, description }) => ({
+      name,
+      type,
+      default: defaultValue,
+      sensitive: Boolean(sensitive),
+      description
+    }))
+  };
+}
+
+module.exports = {
+  hclExpression,
+  hclString,
+  escapeHclString,
+  toSnakeCase,
+  toTerraformIdentifier,
+  splitImageTag,
+  renderBody,
+  buildTerraformResource,
+  generateContainerInstanceTerraform
+};
@@ -0,0 +1,723 @@
+// Fields of a container instance resource read back as numbers and booleans (older exports quote them)
+const NUMERIC_FIELDS = [
+  'ocpus', 'memoryInGBs', 'memoryLimitInGBs', 'vcpusLimit', 'gracefulShutdownTimeoutInSeconds',
+  'port', 'intervalInSeconds', 'timeoutInSeconds', 'failureThreshold', 'successThreshold',
+  'initialDelayInSeconds', 'runAsUser', 'runAsGroup'
+];
+
+// Nested blocks that may repeat, read back as arrays (every array of objects in CreateContainerInstanceDetails,
+// which terraform-generator renders as repeated blocks)
+const LIST_BLOCKS = [
+  'containers', 'vnics', 'volumes', 'configs', 'health_checks', 'headers', 'volume_mounts', 'image_pull_secrets',
+  'mount_options'
+];
+
+// Resource attributes that don't map to the create payload
+const IGNORED_ATTRIBUTES = ['availability_domain', 'state', 'fault_domain'];
+
+const CONTAINER_INSTANCE_RESOURCE = 'oci_container_instances_container_instance';
+
+// Functions evaluated when reading attribute values; anything else is left unresolved
+const HCL_FUNCTIONS = {
+  base64encode: (value) => Buffer.from(String(value), 'utf8').toString('base64'),
+  base64decode: (value) => Buffer.from(String(value), 'base64').toString('utf8'),
+  tostring: (value) => String(value),
+  tonumber: (value) => Number(value),
+  lower: (value) => String(value).toLowerCase(),
+  upper: (value) => String(value).toUpperCase(),
+  trimspace: (value) => String(value).trim(),
+  jsonencode: (value) => JSON.stringify(value)
+};
+
+/**
+ * Read a quoted string or heredoc body into template parts
+ * Literal text and ${...} interpolations alternate; $${ and %%{ are literal, %{...} directives are kept
+ * as unsupported parts. Quoted strings also process backslash escapes and end at the closing quote.
+ * @param {string} source - Source text
+ * @param {number} start - Index of the first character after the opening quote (or of the heredoc body)
+ * @param {object} options - { quoted: boolean, end: number } (end bounds heredoc bodies)
+ * @returns {object} { parts: [string | { expression } | { directive }], end } with end after the closing quote
+ * @throws {Error} On unterminated strings or interpolations
+ */
+function readTemplate(source, start, { quoted = true, end = source.length } = {}) {
+  const parts = [];
+  let literal = '';
+  let i = start;
+  const escapes = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+
+  while (true) {
+    if (i >= end) {
+      if (quoted) {
+        throw new Error('Unterminated string');
+      }
+      break;
+    }
+    const char = source[i];
+    if (quoted && char === '"') {
+      i++;
+      break;
+    }
+    if (quoted && char === '\n') {
+      throw new Error('Unterminated string');
+    }
+    if (quoted && char === '\\') {
+      const next = source[i + 1];
+      if (next === 'u' || next === 'U') {
+        const length = next === 'u' ? 4 : 8;
+        literal += String.fromCodePoint(parseInt(source.substr(i + 2, length), 16));
+        i += 2 + length;
+      } else {
+        literal += escapes[next] !== undefined ? escapes[next] : next;
+        i += 2;
+      }
+      continue;
+    }
+    if ((char === '$' || char === '%') && source[i + 1] === char && source[i + 2] === '{') {
+      literal += `${char}{`;
+      i += 3;
+      continue;
+    }
+    if ((char === '$' || char === '%') && source[i + 1] === '{') {
+      // Find the matching brace, skipping over nested strings
+      let depth = 1;
+      let j = i + 2;
+      while (j < end && depth > 0) {
+        if (source[j] === '"') {
+          j++;
+          while (j < end && source[j] !== '"') {
+            j += source[j] === '\\' ? 2 : 1;
+          }
+        } else if (source[j] === '{') {
+          depth++;
+        } else if (source[j] === '}') {
+          depth--;
+        }
+        j++;
+      }
+      if (depth > 0) {
+        throw new Error('Unterminated template interpolation');
+      }
+      if (literal) {
+        parts.push(literal);
+        literal = '';
+      }
+      const text = source.slice(i + 2, j - 1).replace(/^~|~$/g, '').trim();
+      parts.push(char === '$' ? { expression: text } : { directive: text });
+      i = j;
+      continue;
+    }
+    literal += char;
+    i++;
+  }
+
+  if (literal || parts.length === 0) {
+    parts.push(literal);
+  }
+  return { parts, end: i };
+}
+
+/**
+ * Split HCL source into tokens
+ * Comments are dropped; each token records whether a newline precedes it, since newlines end attributes.
+ * @param {string} source - HCL source
+ * @returns {array} Tokens [{ type, value, start, end, line, newlineBefore }]
+ * @throws {Error} On unterminated strings, comments and heredocs
+ */
+function tokenizeHcl(source) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let newlineBefore = true;
+  const push = (type, value, start) => {
+    tokens.push({ type, value, start, end: i, line, newlineBefore });
+    newlineBefore = false;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const start = i;
+
+    if (char === '\n') {
+      line++;
+      newlineBefore = true;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (char === '#' || (char === '/' && source[i + 1] === '/')) {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (char === '/' && source[i + 1] === '*') {
+      const close = source.indexOf('*/', i + 2);
+      if (close === -1) {
+        throw new Error(`Unterminated comment on line ${line}`);
+      }
+      line += (source.slice(i, close).match(/\n/g) || []).length;
+      i = close + 2;
+    } else if (char === '"') {
+      try {
+        const template = readTemplate(source, i + 1);
+        i = template.end;
+        push('string', template.parts, start);
+      } catch (error) {
+        throw new Error(`${error.message} on line ${line}`);
+      }
+    } else if (char === '<' && source[i + 1] === '<' && /[-A-Za-z_]/.test(source[i + 2] || '')) {
+      const header = source.slice(i).match(/^<<(-?)([A-Za-z_][\w-]*)[ \t]*\r?\n/);
+      if (!header) {
+        throw new Error(`Invalid heredoc on line ${line}`);
+      }
+      const bodyStart = i + header[0].length;
+      const closing = new RegExp(`^[ \\t]*${header[2]}[ \\t]*\\r?$`, 'm');
+      const match = closing.exec(source.slice(bodyStart));
+      if (!match) {
+        throw new Error(`Unterminated heredoc ${header[2]} on line ${line}`);
+      }
+      let body = source.slice(bodyStart, bodyStart + match.index);
+      if (header[1]) {
+        // <<- strips the smallest common indentation
+        const lines = body.split('\n');
+        const indents = lines.filter(text => text.trim()).map(text => text.match(/^[ \t]*/)[0].length);
+        const strip = indents.length > 0 ? Math.min(...indents) : 0;
+        body = lines.map(text => text.slice(strip)).join('\n');
+      }
+      line += (source.slice(i, bodyStart + match.index + match[0].length).match(/\n/g) || []).length;
+      i = bodyStart + match.index + match[0].length;
+      push('string', readTemplate(body, 0, { quoted: false }).parts, start);
+    } else if (/[0-9]/.test(char)) {
+      const number = source.slice(i).match(/^\d+(\.\d+)?([eE][+-]?\d+)?/)[0];
+      i += number.length;
+      push('number', Number(number), start);
+    } else if (/[A-Za-z_]/.test(char)) {
+      const identifier = source.slice(i).match(/^[A-Za-z_][\w-]*/)[0];
+      i += identifier.length;
+      push('identifier', identifier, start);
+    } else {
+      const operator = ['==', '!=', '<=', '>=', '&&', '||', '=>', '...'].find(op => source.startsWith(op, i)) || char;
+      i += operator.length;
+      push('punctuation', operator, start);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse HCL source into a body of attributes and blocks
+ * Expressions are kept as syntax nodes (literal, template, list, object, reference, call); anything more
+ * involved (operators, conditionals, for expressions) becomes a raw node that evaluates to undefined.
+ * @param {string} source - HCL source (.tf or .tfvars)
+ * @returns {object} { attributes: { name: node }, blocks: [{ type, labels, body }] }
+ * @throws {Error} On syntax errors, with the line number
+ */
+function parseHcl(source) {
+  const tokens = tokenizeHcl(source);
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const isPunctuation = (token, value) => Boolean(token) && token.type === 'punctuation' && token.value === value;
+  const fail = (message, token = peek()) => {
+    throw new Error(`${message} on line ${token ? token.line : 'end of file'}`);
+  };
+  const expect = (value) => {
+    if (!isPunctuation(peek(), value)) {
+      fail(`Expected "${value}"`);
+    }
+    return tokens[pos++];
+  };
+  const node = (type, props, startToken) => ({
+    type,
+    ...props,
+    text: source.slice(startToken.start, tokens[pos - 1].end)
+  });
+  const templateText = (parts) => parts.map(part => (typeof part === 'string' ? part : '')).join('');
+
+  // Skip a bracketed construct (for expressions, splats) to its matching closer
+  const skipBalanced = () => {
+    let depth = 0;
+    do {
+      const token = tokens[pos++];
+      if (!token) {
+        fail('Unbalanced brackets');
+      }
+      if (token.type === 'punctuation' && ['(', '[', '{'].includes(token.value)) depth++;
+      if (token.type === 'punctuation' && [')', ']', '}'].includes(token.value)) depth--;
+    } while (depth > 0);
+  };
+
+  const isCloser = (token) => token.type === 'punctuation' && [')', ']', '}', ',', ':'].includes(token.value);
+
+  const parseExpression = () => {
+    const startToken = peek();
+    const primary = parsePrimary();
+    // Operators and conditionals on the same line: keep the whole expression unevaluated
+    if (peek() && !peek().newlineBefore && !isCloser(peek())) {
+      let depth = 0;
+      while (peek() && (depth > 0 || (!peek().newlineBefore && !isCloser(peek())))) {
+        const token = tokens[pos++];
+        if (token.type === 'punctuation' && ['(', '[', '{'].includes(token.value)) depth++;
+        if (token.type === 'punctuation' && [')', ']', '}'].includes(token.value)) depth--;
+        // A ternary's ":" sits between its branches
+        if (depth === 0 && isPunctuation(peek(), ':')) pos++;
+      }
+      return node('raw', {}, startToken);
+    }
+    return primary;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      fail('Expected an expression');
+    }
+
+    if (token.type === 'number') {
+      pos++;
+      return node('literal', { value: token.value }, token);
+    }
+    if (token.type === 'string') {
+      pos++;
+      const parts = token.value;
+      if (parts.every(part => typeof part === 'string')) {
+        return node('literal', { value: parts.join('') }, token);
+      }
+      return node('template', { parts }, token);
+    }
+    if (isPunctuation(token, '-') && peek(1) && peek(1).type === 'number') {
+      pos += 2;
+      return node('literal', { value: -peek(-1).value }, token);
+    }
+    if (isPunctuation(token, '(')) {
+      pos++;
+      const inner = parseExpression();
+      expect(')');
+      return inner;
+    }
+    if (isPunctuation(token, '[')) {
+      if (peek(1) && peek(1).type === 'identifier' && peek(1).value === 'for') {
+        skipBalanced();
+        return node('raw', {}, token);
+      }
+      pos++;
+      const items = [];
+      while (!isPunctuation(peek(), ']')) {
+        items.push(parseExpression());
+        if (isPunctuation(peek(), ',')) pos++;
+      }
+      expect(']');
+      return node('list', { items }, token);
+    }
+    if (isPunctuation(token, '{')) {
+      if (peek(1) && peek(1).type === 'identifier' && peek(1).value === 'for') {
+        skipBalanced();
+        return node('raw', {}, token);
+      }
+      pos++;
+      const entries = [];
+      while (!isPunctuation(peek(), '}')) {
+        const keyToken = peek();
+        let key;
+        if (keyToken && keyToken.type === 'identifier') {
+          pos++;
+          key = keyToken.value;
+        } else if (keyToken && keyToken.type === 'string') {
+          pos++;
+          key = templateText(keyToken.value);
+        } else if (isPunctuation(keyToken, '(')) {
+          const keyNode = parsePrimary();
+          key = keyNode.type === 'literal' ? String(keyNode.value) : keyNode.text;
+        } else {
+          fail('Expected an object key');
+        }
+        if (!isPunctuation(peek(), '=') && !isPunctuation(peek(), ':')) {
+          fail('Expected "=" after object key');
+        }
+        pos++;
+        entries.push([key, parseExpression()]);
+        if (isPunctuation(peek(), ',')) pos++;
+      }
+      expect('}');
+      return node('object', { entries }, token);
+    }
+    if (token.type === 'identifier') {
+      pos++;
+      if (['true', 'false'].includes(token.value)) {
+        return node('literal', { value: token.value === 'true' }, token);
+      }
+      if (token.value === 'null') {
+        return node('literal', { value: null }, token);
+      }
+      if (isPunctuation(peek(), '(')) {
+        pos++;
+        const args = [];
+        while (!isPunctuation(peek(), ')')) {
+          args.push(parseExpression());
+          if (isPunctuation(peek(), ',') || isPunctuation(peek(), '...')) pos++;
+        }
+        expect(')');
+        return node('call', { name: token.value, args }, token);
+      }
+      const path = [token.value];
+      let splat = false;
+      while (peek()) {
+        if (isPunctuation(peek(), '.') && peek(1) && ['identifier', 'number'].includes(peek(1).type)) {
+          path.push(peek(1).value);
+          pos += 2;
+        } else if (isPunctuation(peek(), '[') && !peek().newlineBefore) {
+          if (isPunctuation(peek(1), '*')) {
+            splat = true;
+            skipBalanced();
+          } else {
+            pos++;
+            path.push(parseExpression());
+            expect(']');
+          }
+        } else if (isPunctuation(peek(), '.') && isPunctuation(peek(1), '*')) {
+          splat = true;
+          pos += 2;
+        } else {
+          break;
+        }
+      }
+      return splat ? node('raw', {}, token) : node('reference', { path }, token);
+    }
+    return fail(`Unexpected "${token.value}"`);
+  };
+
+  const parseBody = (closing) => {
+    const body = { attributes: {}, blocks: [] };
+    while (peek() && !(closing && isPunctuation(peek(), closing))) {
+      const nameToken = peek();
+      if (nameToken.type !== 'identifier') {
+        fail(`Unexpected "${Array.isArray(nameToken.value) ? templateText(nameToken.value) : nameToken.value}"`);
+      }
+      pos++;
+      if (isPunctuation(peek(), '=')) {
+        pos++;
+        body.attributes[nameToken.value] = parseExpression();
+        continue;
+      }
+      const labels = [];
+      while (peek() && (peek().type === 'string' || peek().type === 'identifier')) {
+        const label = tokens[pos++];
+        labels.push(label.type === 'string' ? templateText(label.value) : label.value);
+      }
+      expect('{');
+      const blockBody = parseBody('}');
+      expect('}');
+      body.blocks.push({ type: nameToken.value, labels, body: blockBody });
+    }
+    return body;
+  };
+
+  return parseBody(null);
+}
+
+/**
+ * Evaluate a parsed HCL expression
+ * Supports literals, templates, lists, objects, var.* and local.* references and a few functions
+ * (HCL_FUNCTIONS). Anything else evaluates to undefined.
+ * @param {object} expression - Node from parseHcl
+ * @param {object} context - { variables: { name: value }, locals: { name: node }, resolvingLocals: Set }
+ * @returns {*} Value, or undefined when it can't be evaluated without running Terraform
+ */
+function evaluateHclExpression(expression, context = {}) {
+  const variables = context.variables || {};
+  switch (expression.type) {
+    case 'literal':
+      return expression.value;
+    case 'template': {
+      const values = expression.parts.map(part => {
+        if (typeof part === 'string') return part;
+        if (part.directive !== undefined) return undefined;
+        try {
+          const body = parseHcl(`value = ${part.expression}`);
+          return evaluateHclExpression(body.attributes.value, context);
+        } catch (error) {
+          return undefined;
+        }
+      });
+      return values.some(value => value === undefined || (value !== null && typeof value === 'object'))
+        ? undefined
+        : values.map(value => (value === null ? '' : String(value))).join('');
+    }
+    case 'list': {
+      const items = expression.items.map(item => evaluateHclExpression(item, context));
+      return items.some(item => item === undefined) ? undefined : items;
+    }
+    case 'object': {
+      const result = {};
+      for (const [key, valueNode] of expression.entries) {
+        const value = evaluateHclExpression(valueNode, context);
+        if (value === undefined) return undefined;
+        result[key] = value;
+      }
+      return result;
+    }
+    case 'reference': {
+      const [root, name, ...rest] = expression.path;
+      let value;
+      if (root === 'var') {
+        value = variables[name];
+      } else if (root === 'local' && context.locals && context.locals[name]) {
+        const resolving = context.resolvingLocals || new Set();
+        if (resolving.has(name)) return undefined;
+        value = evaluateHclExpression(context.locals[name], {
+          ...context,
+          resolvingLocals: new Set([...resolving, name])
+        });
+      }
+      for (const step of rest) {
+        if (value === undefined || value === null) return undefined;
+        const key = typeof step === 'object' ? evaluateHclExpression(step, context) : step;
+        value = value[key];
+      }
+      return value;
+    }
+    case 'call': {
+      const fn = HCL_FUNCTIONS[expression.name];
+      if (!fn) return undefined;
+      const args = expression.args.map(arg => evaluateHclExpression(arg, context));
+      return args.some(arg => arg === undefined) ? undefined : fn(...args);
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Convert a Terraform attribute or block name to its OCI API field name
+ * @param {string} name - snake_case name, e.g. memory_limit_in_gbs
+ * @returns {string} camelCase name, e.g. memoryLimitInGBs
+ */
+function toCamelCase(name) {
+  return String(name)
+    .replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase())
+    .replace(/Gbs$/, 'GBs');
+}
+
+/**
+ * Convert a parsed block body into an OCI API object
+ * Attributes that can't be evaluated are skipped with a warning; LIST_BLOCKS become arrays.
+ * @param {object} body - Block body from parseHcl
+ * @param {object} context - Evaluation context (see evaluateHclExpression)
+ * @param {string} path - Address used in warnings, e.g. containers[0]
+ * @param {array} warnings - Array to collect warnings
+ * @returns {object} camelCase object
+ */
+function blockToObject(body, context, path, warnings) {
+  const result = {};
+  Object.entries(body.attributes).forEach(([name, expression]) => {
+    if (IGNORED_ATTRIBUTES.includes(name)) {
+      return;
+    }
+    const value = evaluateHclExpression(expression, context);
+    if (value === undefined) {
+      warnings.push(`${path}.${name}: could not resolve "${expression.text}"`);
+      return;
+    }
+    if (value !== null) {
+      result[toCamelCase(name)] = value;
+    }
+  });
+  body.blocks.forEach(block => {
+    const key = toCamelCase(block.type);
+    if (LIST_BLOCKS.includes(block.type)) {
+      result[key] = result[key] || [];
+      result[key].push(blockToObject(block.body, context, `${path}.${block.type}[${result[key].length}]`, warnings));
+    } else {
+      result[key] = blockToObject(block.body, context, `${path}.${block.type}`, warnings);
+    }
+  });
+  return result;
+}
+
+/**
+ * Coerce quoted numbers and booleans in a converted resource back to their types
+ * @param {*} value - Converted value
+ * @param {string} key - Field name of the value
+ * @returns {*} Value with NUMERIC_FIELDS as numbers and is* fields as booleans
+ */
+function coerceResourceTypes(value, key = '') {
+  if (Array.isArray(value)) {
+    return value.map(item => coerceResourceTypes(item, key));
+  }
+  if (value && typeof value === 'object') {
+    // Map attributes keep their keys; their values are strings in the API
+    if (['freeformTags', 'definedTags', 'environmentVariables'].includes(key)) {
+      const result = {};
+      Object.entries(value).forEach(([field, fieldValue]) => {
+        result[field] = fieldValue !== null && typeof fieldValue === 'object' ? fieldValue : String(fieldValue);
+      });
+      return result;
+    }
+    const result = {};
+    Object.entries(value).forEach(([field, fieldValue]) => {
+      result[field] = coerceResourceTypes(fieldValue, field);
+    });
+    return result;
+  }
+  if (typeof value === 'string' && NUMERIC_FIELDS.includes(key) && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (typeof value === 'string' && /^is[A-Z]/.test(key) && ['true', 'false'].includes(value)) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Read the variable values of a configuration
+ * Declared defaults are overridden by .tfvars files, then by the given values (e.g. Resource Manager
+ * stack variables, which are strings and get converted to the declared number or bool type).
+ * @param {array} parsedFiles - [{ fileName, body }] from parseHcl
+ * @param {object} overrides - Variable values { name: value }
+ * @returns {object} Variable values { name: value }
+ */
+function resolveTerraformVariables(parsedFiles, overrides = {}) {
+  const variables = {};
+  const types = {};
+  parsedFiles.filter(file => file.fileName.endsWith('.tf')).forEach(({ body }) => {
+    body.blocks.filter(block => block.type === 'variable' && block.labels[0]).forEach(block => {
+      const name = block.labels[0];
+      types[name] = block.body.attributes.type ? block.body.attributes.type.text : null;
+      if (block.body.attributes.default) {
+        const value = evaluateHclExpression(block.body.attributes.default);
+        if (value !== undefined) variables[name] = value;
+      }
+    });
+  });
+  parsedFiles.filter(file => file.fileName.endsWith('.tfvars')).forEach(({ body }) => {
+    Object.entries(body.attributes).forEach(([name, expression]) => {
+      const value = evaluateHclExpression(expression);
+      if (value !== undefined) variables[name] = value;
+    });
+  });
+  Object.entries(overrides || {}).forEach(([name, value]) => {
+    if (types[name] === 'number' && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+      variables[name] = Number(value);
+    } else if (types[name] === 'bool' && typeof value === 'string' && ['true', 'false'].includes(value)) {
+      variables[name] = value === 'true';
+    } else {
+      variables[name] = value;
+    }
+  });
+  return variables;
+}
+
+/**
+ * Convert a container instance resource into the create payload the UI imports
+ * (same shape as the Docker Compose import: OCI field names, ports as freeform tags)
+ * @param {object} resource - Converted resource from blockToObject
+ * @returns {object} Create payload
+ */
+function resourceToPayload(resource) {
+  const vnics = resource.vnics || [];
+  const primaryVnic = vnics.find(vnic => vnic.purpose === 'PRIMARY') || vnics[0] || {};
+  const freeformTags = { ...(resource.freeformTags || {}) };
+  if (!freeformTags.architecture && resource.shape) {
+    freeformTags.architecture = String(resource.shape).includes('.A1.') ? 'ARM64' : 'x86';
+  }
+
+  // defined_tags are flat "namespace.key" entries in Terraform
+  let definedTags;
+  if (resource.definedTags) {
+    definedTags = {};
+    Object.entries(resource.definedTags).forEach(([key, value]) => {
+      const [namespace, ...rest] = key.split('.');
+      definedTags[namespace] = { ...(definedTags[namespace] || {}), [rest.join('.')]: value };
+    });
+  }
+
+  // Registry credentials are base64-encoded in Terraform, the UI works with plain text
+  const imagePullSecrets = (resource.imagePullSecrets || []).map(secret => {
+    if (secret.secretType === 'VAULT' || secret.secretId) {
+      return { secretType: 'VAULT', registryEndpoint: secret.registryEndpoint, secretId: secret.secretId };
+    }
+    const decode = (value) => (value ? Buffer.from(String(value), 'base64').toString('utf8') : '');
+    return {
+      secretType: 'BASIC',
+      registryEndpoint: secret.registryEndpoint,
+      username: decode(secret.username),
+      password: decode(secret.password)
+    };
+  });
+
+  const containers = (resource.containers || []).map(container => {
+    const port = freeformTags[container.displayName];
+    return {
+      ...container,
+      ...(port && /^\d+$/.test(String(port)) ? { freeformTags: { ...(container.freeformTags || {}), [container.displayName]: String(port) } } : {})
+    };
+  });
+
+  const payload = {
+    displayName: resource.displayName,
+    compartmentId: resource.compartmentId,
+    subnetId: primaryVnic.subnetId,
+    shape: resource.shape,
+    shapeConfig: resource.shapeConfig,
+    containers,
+    volumes: resource.volumes || [],
+    vnics,
+    containerRestartPolicy: resource.containerRestartPolicy || 'NEVER',
+    gracefulShutdownTimeoutInSeconds: resource.gracefulShutdownTimeoutInSeconds,
+    dnsConfig: resource.dnsConfig,
+    imagePullSecrets,
+    freeformTags,
+    definedTags
+  };
+  Object.keys(payload).forEach(key => payload[key] === undefined && delete payload[key]);
+  return payload;
+}
+
+/**
+ * Read the container instances defined in a Terraform configuration
+ * @param {object} files - Configuration files { fileName: content }; .tf and .tfvars files are read
+ * @param {object} options - { variables: values overriding defaults and .tfvars }
+ * @returns {object} { containerInstances: [{ address, payload }], warnings }
+ * @throws {Error} If a file has a syntax error (message names the file and line)
+ */
+function parseTerraformContainerInstances(files, { variables = {} } = {}) {
+  const warnings = [];
+  const parsedFiles = Object.entries(files || {})
+    .filter(([fileName]) => fileName.endsWith('.tf') || fileName.endsWith('.tfvars'))
+    .map(([fileName, content]) => {
+      try {
+        return { fileName, body: parseHcl(String(content)) };
+      } catch (error) {
+        throw new Error(`${fileName}: ${error.message}`);
+      }
+    });
+
+  const context = {
+    variables: resolveTerraformVariables(parsedFiles, variables),
+    locals: {}
+  };
+  parsedFiles.forEach(({ body }) => {
+    body.blocks.filter(block => block.type === 'locals').forEach(block => Object.assign(context.locals, block.body.attributes));
+  });
+
+  const containerInstances = [];
+  parsedFiles.forEach(({ fileName, body }) => {
+    body.blocks
+      .filter(block => block.type === 'resource' && block.labels[0] === CONTAINER_INSTANCE_RESOURCE)
+      .forEach(block => {
+        const address = `${CONTAINER_INSTANCE_RESOURCE}.${block.labels[1]}`;
+        if (block.body.attributes.count || block.body.attributes.for_each) {
+          warnings.push(`${address} (${fileName}) uses count or for_each; importing a single instance`);
+        }
+        const resource = coerceResourceTypes(blockToObject(block.body, context, address, warnings));
+        containerInstances.push({ address, payload: resourceToPayload(resource) });
+      });
+  });
+
+  return { containerInstances, warnings };
+}
+
+module.exports = {
+  tokenizeHcl,
+  parseHcl,
+  evaluateHclExpression,
+  toCamelCase,
+  resolveTerraformVariables,
+  parseTerraformContainerInstances
+};